@@ -0,0 +1,27 @@
+import { listAchievements } from '../services/achievementService.js';
+
+/**
+ * GET /api/backend/game/session/:sessionId/achievements
+ * The game's achievements with what the session and the player unlocked
+ */
+export const getSessionAchievements = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const achievements = await listAchievements(sessionId);
+    res.json({
+      success: true,
+      achievements,
+      unlockedCount: achievements.filter(achievement => achievement.unlocked).length,
+      total: achievements.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Failed to get achievements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get achievements',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -6,9 +6,21 @@ import { dirname } from 'path';
 import { processPDFFile } from '../services/pdfService.js';
 import { processDocxFile } from '../services/docxService.js';
 import { extractGameInitializationData, loadGameData } from '../services/gameInitializationService.js';
-import { createGameSession, processPlayerAction, getSession, recoverSession} from '../services/gameService.js';
-import { loadStatus, saveStatus } from '../services/statusService.js';
+import { chunkDocument } from '../services/documentChunker.js';
+import taskManager from '../login/controller/persisentTaskManager.js';
+import { createGameSession, processPlayerAction, getSession, recoverSession, withSessionLock, uploadSessionFiles } from '../services/gameService.js';
+import {
+  loadStatus,
+  saveStatus,
+  equipItem as equipInventoryItem,
+  unequipItem as unequipInventoryItem,
+  ItemActionError
+} from '../services/statusService.js';
+import { sessionExists } from '../services/saveService.js';
+import { ModerationError, describeModeration } from '../services/moderationService.js';
 import { generateAllGameImages} from '../services/imageGenerationService.js';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError } from '../services/statePersistence.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -17,7 +29,42 @@ const __dirname = dirname(__filename);
 const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
 const GAME_SAVES_DIR = path.join(__dirname, '..', 'game_saves');
 
+const TASK_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * An ingestion task the caller may see (null when it does not exist or is not an ingestion task)
+ * @returns {Promise<{ task: Object|null, owned: boolean }>}
+ */
+async function findIngestionTask(taskId, req) {
+  const task = TASK_ID_PATTERN.test(String(taskId)) ? await taskManager.getTask(taskId) : null;
+  if (!task || task.options?.type !== 'gameIngestion') return { task: null, owned: false };
+  return { task, owned: task.userId === (req.user?.userId ?? null) };
+}
+
+/**
+ * POST /api/backend/pdf/tasks
+ * Reserve a task id to poll progress with before the upload finishes
+ */
+export const createIngestionTask = async (req, res) => {
+  try {
+    const taskId = crypto.randomUUID();
+    await taskManager.createTask(taskId, req.user?.userId ?? null, null, { type: 'gameIngestion' });
+    res.status(201).json({
+      success: true,
+      taskId
+    });
+  } catch (error) {
+    console.error('Create ingestion task error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create task',
+      message: error.message
+    });
+  }
+};
+
 export const uploadAndProcessPDF = async (req, res) => {
+  let taskId = null;
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -34,13 +81,52 @@ export const uploadAndProcessPDF = async (req, res) => {
       });
     }
 
+    // A reserved task (POST /pdf/tasks) must belong to the caller and not be in use yet
+    if (req.body.taskId) {
+      const { task, owned } = await findIngestionTask(req.body.taskId, req);
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          error: 'Task not found'
+        });
+      }
+      if (!owned) {
+        return res.status(403).json({
+          success: false,
+          error: 'Permission denied',
+          message: 'The task belongs to another user'
+        });
+      }
+      if (task.state !== 'pending' || task.options.filename) {
+        return res.status(409).json({
+          success: false,
+          error: 'Task already used'
+        });
+      }
+    }
+
     const fileId = path.parse(req.file.filename).name;
 
+    // Progress is tracked as a task so clients can poll GET /pdf/tasks/:taskId while this request runs
+    taskId = req.body.taskId || crypto.randomUUID();
+    await taskManager.createTask(taskId, req.user?.userId ?? null, null, {
+      type: 'gameIngestion',
+      filename: req.file.originalname,
+      fileType
+    });
+    await taskManager.updateProgress(taskId, 2, '开始解析文档', { fileId });
+
     // Process the document
     const documentData = await processDocument(req.file.path, fileType);
-
-    // Extract game initialization data (4 JSON files)
-    await extractGameInitializationData(documentData.text, fileId);
+    const chunks = chunkDocument(documentData);
+    await taskManager.updateProgress(taskId, 5, `文档解析完成，共 ${chunks.length} 部分`, { chunkCount: chunks.length });
+
+    // Extract game initialization data (4 JSON files), chunk by chunk for long documents
+    await extractGameInitializationData(documentData.text, fileId, {
+      chunks,
+      onProgress: (progress, message, data) =>
+        taskManager.updateProgress(taskId, 5 + Math.round(progress * 0.85), message, data)
+    });
 
     // Optional image generation
     // Parse boolean values from form-data (all values are strings in form-data)
@@ -48,6 +134,7 @@ export const uploadAndProcessPDF = async (req, res) => {
     let imageResults = null;
     if (generateImages) {
       console.log(`Generating images for fileId: ${fileId}`);
+      await taskManager.updateProgress(taskId, 92, '生成图片');
       try {
         imageResults = await generateAllGameImages(fileId, {
           generateNPCs: true,
@@ -65,9 +152,12 @@ export const uploadAndProcessPDF = async (req, res) => {
       }
     }
 
+    await taskManager.completeTask(taskId, { fileId, chunkCount: chunks.length, imagesGenerated: generateImages });
+
     res.json({
       success: true,
       fileId,
+      taskId,
       message: generateImages
         ? 'PDF processed and game data generated successfully (with images)'
         : 'PDF processed and game data generated successfully (without images)',
@@ -76,7 +166,8 @@ export const uploadAndProcessPDF = async (req, res) => {
         fileType,
         size: req.file.size,
         textLength: documentData.text.length,
-        numPages: documentData.numpages
+        numPages: documentData.numpages,
+        chunkCount: chunks.length
       },
       imagesGenerated: generateImages,
       imageResults: imageResults ? {
@@ -91,9 +182,63 @@ export const uploadAndProcessPDF = async (req, res) => {
     });
   } catch (error) {
     console.error('Upload and process error:', error);
+    if (taskId) {
+      try {
+        await taskManager.failTask(taskId, error);
+      } catch (taskError) {
+        console.error('Failed to mark ingestion task as failed:', taskError);
+      }
+    }
+    if (error.name === 'SchemaValidationError') {
+      return res.status(422).json({
+        success: false,
+        error: 'Extracted game data failed validation',
+        message: error.message,
+        extraction: error.label,
+        issues: error.issues,
+        taskId
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to process PDF',
+      message: error.message,
+      taskId
+    });
+  }
+};
+
+/**
+ * GET /api/backend/pdf/tasks/:taskId
+ */
+export const getIngestionTask = async (req, res) => {
+  try {
+    const { task, owned } = await findIngestionTask(req.params.taskId, req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+    if (!owned) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied',
+        message: 'The task belongs to another user'
+      });
+    }
+
+    const { fileData, ...taskInfo } = task;
+    res.json({
+      success: true,
+      task: taskInfo
+    });
+  } catch (error) {
+    console.error('Get ingestion task error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get task',
       message: error.message
     });
   }
@@ -383,7 +528,7 @@ export const getSavedGameSpecificFile = async (req, res) => {
  */
 export const createSession = async (req, res) => {
   try {
-    const { fileId, playerName = 'Player', literaryStyle } = req.body;
+    const { fileId, playerName = 'Player', literaryStyle, seed } = req.body;
 
     if (!fileId) {
       return res.status(400).json({
@@ -404,7 +549,7 @@ export const createSession = async (req, res) => {
 
     // Create session with literary style
     const sessionId = crypto.randomBytes(16).toString('hex');
-    const session = await createGameSession(sessionId, fileId, playerName, literaryStyle);
+    const session = await createGameSession(sessionId, fileId, playerName, literaryStyle, seed === undefined ? null : Number(seed));
 
     // Get game data from session (already loaded during creation)
     const identifier = session.isPreProcessed ? sessionId : fileId;
@@ -421,6 +566,7 @@ export const createSession = async (req, res) => {
       fileId,
       playerName,
       literaryStyle: session.literaryStyle,  // Include literary style in response
+      seed: session.seed,
       gameState: session.gameState,
       characterStatus: session.characterStatus,
       files: {
@@ -478,6 +624,8 @@ export const sendGameAction = async (req, res) => {
       actionOptions: result.actionOptions,
       gameState: result.gameState,
       characterStatus: result.characterStatus,
+      ending: result.ending,
+      moderation: result.moderation,
       isInitialized: result.isInitialized,
       updatedFiles: {
         lore: gameData.backgroundData,
@@ -492,8 +640,17 @@ export const sendGameAction = async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Content blocked',
+        message: error.message,
+        moderation: describeModeration(error.result, 'input'),
+        timestamp: new Date().toISOString()
+      });
+    }
     console.error('Send action error:', error);
-    res.status(500).json({
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: 'Failed to process action',
       message: error.message
@@ -537,7 +694,7 @@ export const updatePlayerName = async (req, res) => {
     playerData.lastUpdated = new Date().toISOString();
 
     // Save the updated player data
-    saveStatus(sessionId, playerData);
+    await saveStatus(sessionId, playerData);
 
     res.json({
       success: true,
@@ -551,7 +708,7 @@ export const updatePlayerName = async (req, res) => {
     });
   } catch (error) {
     console.error('Update player name error:', error);
-    res.status(500).json({
+    res.status(error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: 'Failed to update player name',
       message: error.message
@@ -627,6 +784,7 @@ async function processDocument(filePath, fileType) {
     const docxData = await processDocxFile(filePath, () => {});
     return {
       text: docxData.text,
+      sections: docxData.sections,
       numpages: null,
       info: docxData.metadata,
       metadata: docxData.metadata
@@ -666,7 +824,7 @@ export const useItem = async (req, res) => {
 
     // Load player data to get inventory
     const playerData = loadStatus(sessionId);
-    if (!playerData || !playerData.data || !playerData.data.inventory) {
+    if (!playerData || !playerData.inventory) {
       return res.status(404).json({
         success: false,
         error: 'Player data not found or no inventory'
@@ -674,8 +832,8 @@ export const useItem = async (req, res) => {
     }
 
     // Find the item in player's inventory
-    const item = playerData.data.inventory.find(
-      invItem => invItem.id === itemId
+    const item = playerData.inventory.items.find(
+      invItem => invItem.id === itemId || invItem.name === itemId
     );
 
     if (!item) {
@@ -686,14 +844,12 @@ export const useItem = async (req, res) => {
       });
     }
 
-    // Build the action message with item usage
+    // Effects are applied inside the turn, then the model narrates them
     const action = `我使用了${item.name}`;
-
-    // Process action through the normal game action flow
-    const result = await processPlayerAction(sessionId, action);
+    const result = await processPlayerAction(sessionId, action, async () => {}, { useItem: item.id || item.name });
 
     // Load updated game data files
-    const gameData = loadGameData(session.fileId);
+    const gameData = loadGameData(session.isPreProcessed ? sessionId : session.fileId, session.isPreProcessed);
     const updatedPlayerData = loadStatus(sessionId);
 
     res.json({
@@ -702,22 +858,37 @@ export const useItem = async (req, res) => {
         id: item.id,
         name: item.name
       },
+      effects: result.itemUse?.effects || [],
+      buffs: result.itemUse?.buffs || [],
+      events: result.itemUse?.events || [],
+      audit: result.itemUse?.audit || [],
+      storylineBlocked: result.storylineBlocked,
       response: result.response,
+      narrativeSteps: result.narrativeSteps,
       actionOptions: result.actionOptions,
       gameState: result.gameState,
       characterStatus: result.characterStatus,
+      ending: result.ending,
       isInitialized: result.isInitialized,
       updatedFiles: {
-        lore: gameData.backgroundData,
+        lore: gameData?.backgroundData,
         player: updatedPlayerData,
-        items: gameData.itemData,
-        scenes: gameData.worldData
+        items: gameData?.itemData,
+        scenes: gameData?.worldData
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof ItemActionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot use item',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
     console.error('Use item error:', error);
-    res.status(500).json({
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: 'Failed to use item',
       message: error.message
@@ -725,6 +896,125 @@ export const useItem = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/backend/game/session/:sessionId/equip
+ */
+export const equipItem = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { itemId, slot } = req.body;
+
+    if (!itemId) {
+      return res.status(400).json({
+        success: false,
+        error: 'itemId is required'
+      });
+    }
+
+    if (!sessionExists(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    // Under the session's lock, like a turn that may change the same status
+    const result = await withSessionLock(sessionId, async () => {
+      const equipped = await equipInventoryItem(sessionId, itemId, slot || null);
+      const session = getSession(sessionId);
+      if (session) {
+        session.characterStatus = equipped.status;
+      }
+      await uploadSessionFiles(sessionId);
+      return equipped;
+    });
+
+    res.json({
+      success: true,
+      slot: result.slot,
+      item: { id: result.item.id, name: result.item.name },
+      equipment: result.status.equipment,
+      characterStatus: result.status,
+      audit: result.audit,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ItemActionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot equip item',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Equip item error:', error);
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
+      success: false,
+      error: 'Failed to equip item',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/unequip
+ */
+export const unequipItem = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { slot, itemId } = req.body;
+
+    if (!slot && !itemId) {
+      return res.status(400).json({
+        success: false,
+        error: 'slot or itemId is required'
+      });
+    }
+
+    if (!sessionExists(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const result = await withSessionLock(sessionId, async () => {
+      const unequipped = await unequipInventoryItem(sessionId, slot || itemId);
+      const session = getSession(sessionId);
+      if (session) {
+        session.characterStatus = unequipped.status;
+      }
+      await uploadSessionFiles(sessionId);
+      return unequipped;
+    });
+
+    res.json({
+      success: true,
+      slot: result.slot,
+      item: { id: result.item.itemId, name: result.item.name },
+      equipment: result.status.equipment,
+      characterStatus: result.status,
+      audit: result.audit,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ItemActionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot unequip item',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Unequip item error:', error);
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
+      success: false,
+      error: 'Failed to unequip item',
+      message: error.message
+    });
+  }
+};
+
 /**
  * POST /api/backend/game/session/:sessionId/change-scene
  */
@@ -804,7 +1094,8 @@ export const changeScene = async (req, res) => {
     // Update player status location
     if (currentStatus) {
       currentStatus.location = sceneId;
-      saveStatus(sessionId, currentStatus);
+      currentStatus.visitedLocations = [...new Set([...(currentStatus.visitedLocations || []), previousScene, sceneId].filter(Boolean))];
+      await saveStatus(sessionId, currentStatus);
     }
 
     // Add to history if description provided
@@ -827,7 +1118,7 @@ export const changeScene = async (req, res) => {
 
   } catch (error) {
     console.error('Change scene error:', error);
-    res.status(500).json({
+    res.status(error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: 'Failed to change scene',
       message: error.message
@@ -0,0 +1,88 @@
+import { getCombat, takeCombatAction, narrateCombatRound, CombatError } from '../services/combatService.js';
+import { getSession, concludeIfEnded, unlockAchievements, withSessionLock } from '../services/gameService.js';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError } from '../services/statePersistence.js';
+
+function combatErrorResponse(res, error, fallbackMessage) {
+  if (error instanceof CombatError || error instanceof SessionBusyError || error instanceof StateConflictError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * GET /api/backend/game/session/:sessionId/combat
+ * Current (or last) fight of the session
+ */
+export const getCombatState = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const combat = getCombat(sessionId);
+    res.json({
+      success: true,
+      combatActive: !!combat?.active,
+      combat,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    combatErrorResponse(res, error, 'Failed to get combat');
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/combat/action
+ * Play one combat round with the player's action
+ */
+export const sendCombatAction = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { action, targetId, itemId } = req.body;
+
+    if (!action) {
+      return res.status(400).json({
+        success: false,
+        error: 'action is required'
+      });
+    }
+
+    // A round is played under the session's lock, like a story turn
+    const { result, narration, ending, newAchievements } = await withSessionLock(sessionId, async () => {
+      const result = await takeCombatAction(sessionId, { action, targetId, itemId });
+      const session = getSession(sessionId);
+      if (session) {
+        session.characterStatus = result.characterStatus;
+      }
+
+      const narration = await narrateCombatRound(sessionId, result.combat, result.events);
+
+      // A fight can end the game (e.g. a death ending)
+      const ending = result.combat.active ? null : await concludeIfEnded(sessionId, { sync: true });
+      const newAchievements = result.combat.active ? [] : await unlockAchievements(sessionId);
+      return { result, narration, ending, newAchievements };
+    });
+
+    res.json({
+      success: true,
+      combatActive: result.combat.active,
+      combat: result.combat,
+      events: result.events,
+      narration,
+      characterStatus: result.characterStatus,
+      ...(ending && { ending }),
+      ...(newAchievements.length > 0 && { newAchievements }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    combatErrorResponse(res, error, 'Failed to play combat round');
+  }
+};
@@ -0,0 +1,26 @@
+import { getEnding } from '../services/endingService.js';
+
+/**
+ * GET /api/backend/game/session/:sessionId/ending
+ * Ending the session reached (null while the game goes on)
+ */
+export const getSessionEnding = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const ending = getEnding(sessionId);
+    res.json({
+      success: true,
+      ended: !!ending,
+      ending,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Failed to get ending:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get ending',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
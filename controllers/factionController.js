@@ -0,0 +1,34 @@
+import { getFactionsOverview } from '../services/factionService.js';
+import { loadStatus } from '../services/statusService.js';
+
+/**
+ * GET /api/backend/game/session/:sessionId/factions
+ * Factions of the game with the player's reputation and what it unlocks
+ */
+export const getFactions = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const status = loadStatus(sessionId);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player data not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      factions: getFactionsOverview(sessionId, status),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get factions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get factions',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
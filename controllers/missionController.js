@@ -3,10 +3,14 @@ import {
   loadMissions,
   submitMissionForValidation,
   checkStorylineBlocked,
-  abandonMission
+  abandonMission,
+  getQuestGraph
 } from '../services/missionService.js';
+import { sessionExists } from '../services/saveService.js';
+import { StateConflictError } from '../services/statePersistence.js';
 
 import { processPlayerAction } from '../services/gameService.js';
+import { forwardTurnEvents } from '../services/turnEvents.js';
 
 /**
  * GET /api/backend/game/session/:sessionId/missions
@@ -57,6 +61,37 @@ export const getAllMissions = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/backend/game/session/:sessionId/missions/graph
+ * Quest chains of a session: missions and locked quests as nodes, how they unlock each other as edges
+ */
+export const getMissionGraph = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getQuestGraph(sessionId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get mission graph error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get mission graph',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 /**
  * POST /api/backend/game/session/:sessionId/missions/:missionId/submit
  * Submit a mission for validation and check if requirements are met
@@ -69,7 +104,7 @@ export const submitMission = async (req, res) => {
     console.log(`[Mission Controller] Submitting mission: ${missionId} for session: ${sessionId}`);
 
     // Validate mission submission
-    const result = submitMissionForValidation(sessionId, missionId);
+    const result = await submitMissionForValidation(sessionId, missionId);
 
     if (!result.success) {
       return res.status(400).json({
@@ -99,15 +134,14 @@ export const submitMission = async (req, res) => {
           completedPath: result.completedPath || null,
           completedPathName: result.completedPathName || null,
           pathResults: result.pathResults || null,
+          unlockedMissions: result.unlockedMissions || [],
           message: result.message,
           attempts: result.attempts || 0,
           timestamp: new Date().toISOString()
         })}\n\n`);
 
-        // Define streaming callback for story continuation
-        const onChunk = async (chunk) => {
-          res.write(`data: ${chunk}\n`);
-        };
+        // Story continuation events (steps, status, missions) are written as typed SSE events
+        const onChunk = forwardTurnEvents(res);
 
         // Generate story continuation with streaming
         const storyContinuation = await processPlayerAction(
@@ -143,6 +177,7 @@ export const submitMission = async (req, res) => {
             mission: result.mission,
             completedPath: result.completedPath || null,
             completedPathName: result.completedPathName || null,
+            unlockedMissions: result.unlockedMissions || [],
             message: result.message + '\n\n（故事续写失败，请手动发送消息继续游戏）',
             timestamp: new Date().toISOString()
           });
@@ -163,7 +198,7 @@ export const submitMission = async (req, res) => {
 
   } catch (error) {
     console.error('Submit mission error:', error);
-    res.status(500).json({
+    res.status(error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: 'Failed to submit mission',
       message: error.message,
@@ -217,7 +252,7 @@ export const abandonMissionController = async (req, res) => {
     console.log(`[Mission Controller] Abandoning mission: ${missionId} for session: ${sessionId}`);
 
     // Abandon the mission
-    const result = abandonMission(sessionId, missionId);
+    const result = await abandonMission(sessionId, missionId);
 
     if (!result.success) {
       return res.status(400).json({
@@ -251,10 +286,8 @@ export const abandonMissionController = async (req, res) => {
           timestamp: new Date().toISOString()
         })}\n\n`);
 
-        // Define streaming callback for story continuation
-        const onChunk = async (chunk) => {
-          res.write(`data: ${chunk}\n`);
-        };
+        // Story continuation events (steps, status, missions) are written as typed SSE events
+        const onChunk = forwardTurnEvents(res);
 
         // Generate story continuation with streaming
         const storyContinuation = await processPlayerAction(
@@ -308,7 +341,7 @@ export const abandonMissionController = async (req, res) => {
 
   } catch (error) {
     console.error('Abandon mission error:', error);
-    res.status(500).json({
+    res.status(error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: 'Failed to abandon mission',
       message: error.message,
@@ -1,7 +1,8 @@
 import * as npcChatService from '../services/npcChatService.js';
-import { getSession } from '../services/gameService.js';
-import { completeGameSessionByParams } from '../login/controller/gamesController.js';
-import { getPlayerNetwork as getNetworkData, getNetworkByLevel } from '../services/networkService.js';
+import { withSessionLock, uploadSessionFiles } from '../services/gameService.js';
+import { ModerationError, describeModeration } from '../services/moderationService.js';
+import { StateConflictError } from '../services/statePersistence.js';
+import { getPlayerNetwork as getNetworkData, getNetworkByLevel, getSocialGraph } from '../services/networkService.js';
 
 // Store active SSE connections
 const activeConnections = new Map();
@@ -49,20 +50,14 @@ async function sendMessageToNPC(req, res) {
       res.write(`data: ${JSON.stringify({ type: 'chunk', content: chunk })}\n\n`);
     };
 
-    // Process the message
-    const result = await npcChatService.sendNPCChatMessage(sessionId, npcId, message, onChunk);
-
-    // Upload session data to MinIO (after NPC chat)
-    try {
-      const session = getSession(sessionId);
-      if (session) {
-        const fileId = session.sourceFileId || session.fileId;
-        await completeGameSessionByParams(sessionId, 'public/game_data', fileId);
-        console.log(`✅ [NPC Chat] Session data uploaded to MinIO: ${sessionId}`);
-      }
-    } catch (uploadError) {
-      console.error('[MinIO Upload] Failed to upload session data after NPC chat:', uploadError.message);
-    }
+    // Process the message under the session's lock: the chat changes relationships, NPC memories
+    // and the player status, which a turn writes too. The files are uploaded before other
+    // instances may reload the session.
+    const result = await withSessionLock(sessionId, async () => {
+      const chatResult = await npcChatService.sendNPCChatMessage(sessionId, npcId, message, onChunk);
+      await uploadSessionFiles(sessionId);
+      return chatResult;
+    });
 
     // Send final result
     res.write(`data: ${JSON.stringify({
@@ -71,6 +66,7 @@ async function sendMessageToNPC(req, res) {
       fullResponse: result.response,
       relationshipChange: result.relationshipChange,
       newRelationship: result.newRelationship,
+      moderation: result.moderation,
     })}\n\n`);
 
     // End the stream
@@ -82,10 +78,11 @@ async function sendMessageToNPC(req, res) {
   } catch (error) {
     console.error('Error in sendMessageToNPC:', error);
 
-    // Send error event
+    // Send error event (refused messages say why)
     res.write(`data: ${JSON.stringify({
       type: 'error',
       error: error.message,
+      ...(error instanceof ModerationError && { moderation: describeModeration(error.result, 'input') }),
     })}\n\n`);
 
     res.end();
@@ -137,7 +134,7 @@ async function clearChatHistory(req, res) {
 
   } catch (error) {
     console.error('Error in clearChatHistory:', error);
-    res.status(500).json({
+    res.status(error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: error.message,
     });
@@ -165,7 +162,7 @@ function getActiveConnections(_req, res) {
 export const getPlayerNetwork = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { grouped } = req.query; // Optional: ?grouped=true for level grouping
+    const { grouped, graph } = req.query; // Optional: ?grouped=true for level grouping, ?graph=true for the social graph
 
     // Load player data
     const playerData = loadStatus(sessionId);
@@ -177,7 +174,10 @@ export const getPlayerNetwork = async (req, res) => {
     }
 
     let networkData;
-    if (grouped === 'true') {
+    if (graph === 'true') {
+      // Return the social graph including NPC-to-NPC relations
+      networkData = getSocialGraph(sessionId, playerData);
+    } else if (grouped === 'true') {
       // Return network grouped by relationship levels
       networkData = getNetworkByLevel(sessionId, playerData);
     } else {
@@ -0,0 +1,165 @@
+import {
+  loadGameRules,
+  saveGameRules,
+  getGameRulesPath,
+  loadRules,
+  loadAuditTrail,
+  RulesValidationError
+} from '../services/rulesService.js';
+import { sessionExists } from '../services/saveService.js';
+import { StateConflictError } from '../services/statePersistence.js';
+import { getCreatorUserIdByFileId } from '../login/service/gamesService.js';
+
+const ID_PATTERN = /^[\w-]+$/;
+
+function gameNotFound(res, fileId) {
+  return res.status(404).json({
+    success: false,
+    error: 'Game not found',
+    fileId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function sessionNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Session not found',
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * GET /api/backend/rules/:fileId
+ * Effective rules of a game (author file merged with defaults)
+ */
+export const getGameRules = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    if (!ID_PATTERN.test(fileId) || !getGameRulesPath(fileId)) {
+      return gameNotFound(res, fileId);
+    }
+
+    res.json({
+      success: true,
+      fileId,
+      rules: loadGameRules(fileId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get game rules error:', error);
+    res.status(error instanceof RulesValidationError ? 422 : 500).json({
+      success: false,
+      error: 'Failed to load game rules',
+      message: error.message,
+      issues: error.issues,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * PUT /api/backend/rules/:fileId
+ * Replace the rules of a game. New sessions of the game use them; running sessions keep theirs.
+ * Only the game's creator may change them (rules decide endings and achievement points).
+ */
+export const updateGameRules = async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    if (!ID_PATTERN.test(fileId) || !getGameRulesPath(fileId)) {
+      return gameNotFound(res, fileId);
+    }
+
+    const creatorUserId = await getCreatorUserIdByFileId(fileId);
+    if (!creatorUserId || String(creatorUserId) !== String(req.user?.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied',
+        message: 'Only the creator of the game can change its rules',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const rules = await saveGameRules(fileId, req.body);
+    res.json({
+      success: true,
+      fileId,
+      rules,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof RulesValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid game rules',
+        issues: error.issues,
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('Update game rules error:', error);
+    res.status(error instanceof StateConflictError ? 409 : 500).json({
+      success: false,
+      error: 'Failed to save game rules',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * GET /api/backend/game/session/:sessionId/rules
+ */
+export const getSessionRules = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      sessionId,
+      rules: loadRules(sessionId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get session rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load session rules',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * GET /api/backend/game/session/:sessionId/audit?limit=50
+ * Why each status change happened, newest first
+ */
+export const getSessionAudit = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const entries = loadAuditTrail(sessionId);
+    res.json({
+      success: true,
+      sessionId,
+      entries: entries.slice(-limit).reverse(),
+      total: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get audit trail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load audit trail',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import {
+  listSaves,
+  createSaveSlot,
+  loadSave,
+  forkSave,
+  deleteSave,
+  sessionExists,
+  isValidSaveId
+} from '../services/saveService.js';
+import { reloadSession, undoLastTurn, withSessionLock, uploadSessionFiles } from '../services/gameService.js';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError } from '../services/statePersistence.js';
+import { createGameSession, getGameSessionBySessionId } from '../login/service/gamesService.js';
+
+function sessionNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Session not found',
+    timestamp: new Date().toISOString()
+  });
+}
+
+function saveNotFound(res, saveId) {
+  return res.status(404).json({
+    success: false,
+    error: 'Save not found',
+    saveId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * GET /api/backend/game/session/:sessionId/saves
+ */
+export const getSaves = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+
+    const saves = listSaves(sessionId);
+    res.json({
+      success: true,
+      sessionId,
+      saves,
+      count: saves.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List saves error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list saves',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/saves
+ * Create a named save slot from the current state
+ */
+export const createSave = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { name } = req.body || {};
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+
+    // Under the session's lock, so the save never holds half of a turn's files
+    const save = await withSessionLock(sessionId, () =>
+      createSaveSlot(sessionId, typeof name === 'string' ? name.trim().slice(0, 100) : null));
+    res.json({
+      success: true,
+      save,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Create save error:', error);
+    res.status(error instanceof SessionBusyError ? 409 : 500).json({
+      success: false,
+      error: 'Failed to create save',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/saves/:saveId/load
+ * Rewind the session to a save
+ */
+export const loadSaveController = async (req, res) => {
+  try {
+    const { sessionId, saveId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+
+    const { save, session } = await withSessionLock(sessionId, async () => {
+      const save = await loadSave(sessionId, saveId);
+      if (!save) {
+        return { save, session: null };
+      }
+      const session = reloadSession(sessionId);
+      await uploadSessionFiles(sessionId);
+      return { save, session };
+    });
+    if (!save) {
+      return saveNotFound(res, saveId);
+    }
+
+    res.json({
+      success: true,
+      message: `已读取存档：${save.name}`,
+      save,
+      gameState: session?.gameState || null,
+      characterStatus: session?.characterStatus || null,
+      history: session?.history || [],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Load save error:', error);
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
+      success: false,
+      error: 'Failed to load save',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/saves/:saveId/fork
+ * Branch a new session from a save
+ */
+export const forkSaveController = async (req, res) => {
+  try {
+    const { sessionId, saveId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+
+    const newSessionId = crypto.randomBytes(16).toString('hex');
+    // The save is copied under the session's lock, so a load or turn cannot change it meanwhile
+    const result = await withSessionLock(sessionId, () => forkSave(sessionId, saveId, newSessionId));
+    if (!result) {
+      return saveNotFound(res, saveId);
+    }
+
+    // Register the branch for the same user so it shows up in their sessions and syncs to MinIO
+    try {
+      const original = await getGameSessionBySessionId(sessionId);
+      if (original) {
+        await createGameSession({
+          sessionId: newSessionId,
+          userId: original.user_id,
+          fileId: original.file_id,
+          status: original.status,
+          files: `interactive-fiction-game-data / ${original.user_id}/${newSessionId}`
+        });
+      }
+    } catch (dbError) {
+      console.error('[Fork] Failed to register forked session:', dbError.message);
+    }
+
+    const session = await withSessionLock(newSessionId, async () => {
+      const forked = reloadSession(newSessionId);
+      await uploadSessionFiles(newSessionId);
+      return forked;
+    });
+    res.json({
+      success: true,
+      message: `已从存档「${result.save.name}」创建分支`,
+      sessionId: newSessionId,
+      forkedFrom: { sessionId, saveId, turn: result.save.turn },
+      gameState: session?.gameState || null,
+      characterStatus: session?.characterStatus || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Fork save error:', error);
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
+      success: false,
+      error: 'Failed to fork save',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * DELETE /api/backend/game/session/:sessionId/saves/:saveId
+ */
+export const deleteSaveController = async (req, res) => {
+  try {
+    const { sessionId, saveId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+    if (!isValidSaveId(saveId) || !deleteSave(sessionId, saveId)) {
+      return saveNotFound(res, saveId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Save deleted',
+      saveId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Delete save error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete save',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/undo
+ * Revert the latest turn and all of its side effects
+ */
+export const undoLastTurnController = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!sessionExists(sessionId)) {
+      return sessionNotFound(res);
+    }
+
+    const result = await undoLastTurn(sessionId);
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Nothing to undo',
+        message: 'No earlier turn state is available for this session',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      undoneTurn: result.undoneTurn,
+      action: result.action,
+      restoredFrom: result.restoredFrom,
+      gameState: result.session?.gameState || null,
+      characterStatus: result.session?.characterStatus || null,
+      history: result.session?.history || [],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Undo turn error:', error);
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
+      success: false,
+      error: 'Failed to undo turn',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
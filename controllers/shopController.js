@@ -0,0 +1,104 @@
+import { getShop, buyItem, sellItem, narrateTransaction, ShopError } from '../services/shopService.js';
+import { getSession, withSessionLock } from '../services/gameService.js';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError } from '../services/statePersistence.js';
+
+function shopErrorResponse(res, error, fallbackMessage) {
+  if (error instanceof ShopError || error instanceof SessionBusyError || error instanceof StateConflictError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Settle a trade under the session's lock, then narrate it once the lock is released
+ */
+async function respondWithTransaction(req, res, trade) {
+  const { sessionId } = req.params;
+  const transaction = await withSessionLock(sessionId, async () => {
+    const settled = await trade();
+    const session = getSession(sessionId);
+    if (session) {
+      session.characterStatus = settled.status;
+    }
+    return settled;
+  });
+
+  const narration = await narrateTransaction(sessionId, transaction);
+  const { status, ...details } = transaction;
+  res.json({
+    success: true,
+    transaction: details,
+    narration,
+    characterStatus: status,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * GET /api/backend/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop
+ */
+export const getBuildingShop = async (req, res) => {
+  try {
+    const { sessionId, sceneId, buildingId } = req.params;
+    res.json({
+      success: true,
+      shop: await getShop(sessionId, sceneId, buildingId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    shopErrorResponse(res, error, 'Failed to load shop');
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop/buy
+ */
+export const buyFromShop = async (req, res) => {
+  try {
+    const { sessionId, sceneId, buildingId } = req.params;
+    const { itemId, quantity } = req.body;
+
+    if (!itemId) {
+      return res.status(400).json({
+        success: false,
+        error: 'itemId is required'
+      });
+    }
+
+    await respondWithTransaction(req, res, () => buyItem(sessionId, sceneId, buildingId, itemId, quantity));
+  } catch (error) {
+    shopErrorResponse(res, error, 'Failed to buy item');
+  }
+};
+
+/**
+ * POST /api/backend/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop/sell
+ */
+export const sellToShop = async (req, res) => {
+  try {
+    const { sessionId, sceneId, buildingId } = req.params;
+    const { itemId, quantity } = req.body;
+
+    if (!itemId) {
+      return res.status(400).json({
+        success: false,
+        error: 'itemId is required'
+      });
+    }
+
+    await respondWithTransaction(req, res, () => sellItem(sessionId, sceneId, buildingId, itemId, quantity));
+  } catch (error) {
+    shopErrorResponse(res, error, 'Failed to sell item');
+  }
+};
@@ -1,7 +1,11 @@
-import { processPlayerAction, getSession } from '../services/gameService.js';
+import { processPlayerAction, getSession, regenerateLastTurn, withSessionLock } from '../services/gameService.js';
 import { completeGameSessionByParams } from '../login/controller/gamesController.js';
 import { loadGameData } from '../services/gameInitializationService.js';
 import { loadStatus } from '../services/statusService.js';
+import { ModerationError, describeModeration } from '../services/moderationService.js';
+import { openTurnStream, writeTurnEvent, beginTurnStream, resumeTurnStream } from '../services/turnEvents.js';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError } from '../services/statePersistence.js';
 
 // Store active SSE connections
 const activeConnections = new Map();
@@ -140,10 +144,12 @@ export const sendActionWithStream = async (req, res) => {
 
   } catch (error) {
     console.error('Send action with stream error:', error);
+    const refused = error instanceof ModerationError;
     res.write(`data: ${JSON.stringify({
       type: 'error',
-      error: 'Failed to process action',
-      message: error.message
+      error: refused ? 'Content blocked' : 'Failed to process action',
+      message: error.message,
+      ...(refused && { moderation: describeModeration(error.result, 'input') })
     })}\n\n`);
     res.end();
   }
@@ -154,10 +160,19 @@ export const sendActionWithStream = async (req, res) => {
  * POST /api/backend/game/session/:sessionId/stream/action-live
  */
 export const sendActionWithLiveStream = async (req, res) => {
+  let stream = null;
   try {
     const { sessionId } = req.params;
     const { action } = req.body;
 
+    // A client retrying the request after a dropped connection resumes the turn instead of sending the action again
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      openTurnStream(res);
+      await resumeTurnStream(sessionId, lastEventId, res);
+      return;
+    }
+
     if (!action) {
       return res.status(400).json({
         success: false,
@@ -165,73 +180,192 @@ export const sendActionWithLiveStream = async (req, res) => {
       });
     }
 
-    // Set SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
+    // Holding the session's lock for the whole turn: a second request waits, then gets a 409
+    await withSessionLock(sessionId, async () => {
+      openTurnStream(res);
+      stream = beginTurnStream(sessionId, res);
 
-    // Send initial event
-    res.write(`data: ${JSON.stringify({
-      type: 'start',
-      message: 'Starting narrative generation...',
-      action
-    })}\n\n`);
+      // Send initial event
+      stream.send('start', {
+        message: 'Starting narrative generation...',
+        action
+      });
+
+      // Steps, status changes and mission updates are sent as typed events while the turn runs
+      const result = await processPlayerAction(sessionId, action, stream.forward());
+
+      // Get session and load files
+      const session = getSession(sessionId);
+      if (!session) {
+        stream.send('error', {
+          error: 'Session not found'
+        });
+        stream.end();
+        return;
+      }
+
+      const identifier = session.isPreProcessed ? sessionId : session.fileId;
+      const isSessionId = session.isPreProcessed || false;
+      const gameData = loadGameData(identifier, isSessionId);
+      const playerData = loadStatus(sessionId);
+
+      // Send final completion event with all data
+      stream.send('data', {
+        success: true,
+        response: result.response,
+        narrativeSteps: result.narrativeSteps,
+        actionOptions: result.actionOptions,
+        gameState: result.gameState,
+        characterStatus: result.characterStatus,
+        completedMissions: result.completedMissions,
+        newMission: result.newMission,
+        newAchievements: result.newAchievements,
+        checks: result.checks,
+        combatActive: result.combatActive,
+        combat: result.combat,
+        ending: result.ending,
+        moderation: result.moderation,
+        isInitialized: result.isInitialized,
+        updatedFiles: {
+          lore: gameData?.backgroundData || null,
+          player: playerData || null,
+          items: gameData?.itemData || null,
+          scenes: gameData?.worldData || null
+        },
+        timestamp: new Date().toISOString()
+      });
 
-    // Process action with TRUE streaming from Claude (now sends structured steps)
-    const result = await processPlayerAction(sessionId, action, (data, index) => {
-      // The chunk is already JSON string from parseNarrativeSteps
-      res.write(`data: ${data}\n`);
+      stream.send('done', { success: true });
+      stream.end();
     });
 
-    // Get session and load files
-    const session = getSession(sessionId);
-    if (!session) {
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        error: 'Session not found'
-      })}\n\n`);
+  } catch (error) {
+    console.error('Live stream error:', error);
+    const refused = error instanceof ModerationError;
+    const failure = {
+      error: refused ? 'Content blocked' : 'Failed to process action',
+      message: error.message,
+      ...(refused && { moderation: describeModeration(error.result, 'input') })
+    };
+    if (stream) {
+      stream.send('error', failure);
+      stream.end();
+    } else if ((error instanceof SessionBusyError || error instanceof StateConflictError) && !res.headersSent) {
+      res.status(409).json({ success: false, ...failure });
+    } else {
+      writeTurnEvent(res, 'error', failure);
       res.end();
+    }
+  }
+};
+
+/**
+ * Undo the latest turn and stream a new response to the same action
+ * POST /api/backend/game/session/:sessionId/regenerate
+ */
+export const regenerateWithLiveStream = async (req, res) => {
+  let stream = null;
+  try {
+    const { sessionId } = req.params;
+
+    // A retried request resumes the regeneration instead of starting another one
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      openTurnStream(res);
+      await resumeTurnStream(sessionId, lastEventId, res);
       return;
     }
 
-    const identifier = session.isPreProcessed ? sessionId : session.fileId;
-    const isSessionId = session.isPreProcessed || false;
-    const gameData = loadGameData(identifier, isSessionId);
-    const playerData = loadStatus(sessionId);
+    // Holding the session's lock for the whole turn: a second request waits, then gets a 409
+    await withSessionLock(sessionId, async () => {
+      openTurnStream(res);
+      stream = beginTurnStream(sessionId, res);
 
-    // Send final completion event with all data
-    res.write(`data: ${JSON.stringify({
-      type: 'data',
-      success: true,
-      response: result.response,
-      narrativeSteps: result.narrativeSteps,
-      actionOptions: result.actionOptions,
-      gameState: result.gameState,
-      characterStatus: result.characterStatus,
-      completedMissions: result.completedMissions,
-      newMission: result.newMission,
-      newAchievements: result.newAchievements,
-      isInitialized: result.isInitialized,
-      updatedFiles: {
-        lore: gameData?.backgroundData || null,
-        player: playerData || null,
-        items: gameData?.itemData || null,
-        scenes: gameData?.worldData || null
-      },
-      timestamp: new Date().toISOString()
-    })}\n\n`);
+      // Send initial event
+      stream.send('start', {
+        message: 'Regenerating last turn...'
+      });
 
-    res.write(`event: done\ndata: ${JSON.stringify({ success: true })}\n\n`);
-    res.end();
+      const result = await regenerateLastTurn(sessionId, stream.forward());
+
+      if (!result) {
+        stream.send('error', {
+          error: 'Nothing to regenerate'
+        });
+        stream.end();
+        return;
+      }
+
+      const session = getSession(sessionId);
+      const identifier = session?.isPreProcessed ? sessionId : session?.fileId;
+      const gameData = session ? loadGameData(identifier, session.isPreProcessed || false) : null;
+      const playerData = loadStatus(sessionId);
+
+      // Send final completion event with all data
+      stream.send('data', {
+        success: true,
+        response: result.response,
+        narrativeSteps: result.narrativeSteps,
+        actionOptions: result.actionOptions,
+        gameState: result.gameState,
+        characterStatus: result.characterStatus,
+        newMission: result.newMission,
+        checks: result.checks,
+        combatActive: result.combatActive,
+        combat: result.combat,
+        ending: result.ending,
+        moderation: result.moderation,
+        isInitialized: result.isInitialized,
+        regenerated: true,
+        regeneratedTurn: result.regeneratedTurn,
+        action: result.action,
+        updatedFiles: {
+          lore: gameData?.backgroundData || null,
+          player: playerData || null,
+          items: gameData?.itemData || null,
+          scenes: gameData?.worldData || null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+      stream.send('done', { success: true });
+      stream.end();
+    });
 
   } catch (error) {
-    console.error('Live stream error:', error);
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      error: 'Failed to process action',
+    console.error('Regenerate stream error:', error);
+    const failure = {
+      error: 'Failed to regenerate turn',
       message: error.message
-    })}\n\n`);
+    };
+    if (stream) {
+      stream.send('error', failure);
+      stream.end();
+    } else if ((error instanceof SessionBusyError || error instanceof StateConflictError) && !res.headersSent) {
+      res.status(409).json({ success: false, ...failure });
+    } else {
+      writeTurnEvent(res, 'error', failure);
+      res.end();
+    }
+  }
+};
+
+/**
+ * Resume the session's turn stream after a dropped connection
+ * GET /api/backend/game/session/:sessionId/stream/resume
+ * (Last-Event-ID header, or ?lastEventId= for clients that cannot set it)
+ */
+export const resumeSessionTurnStream = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    openTurnStream(res);
+    await resumeTurnStream(sessionId, req.get('Last-Event-ID') || req.query.lastEventId || null, res);
+  } catch (error) {
+    console.error('Resume stream error:', error);
+    writeTurnEvent(res, 'error', {
+      error: 'Failed to resume stream',
+      message: error.message
+    });
     res.end();
   }
 };
@@ -561,7 +695,7 @@ export const buildingFeatureInteractionWithStream = async (req, res) => {
       const session = getSession(sessionId);
       if (session) {
         const fileId = session.sourceFileId || session.fileId;
-        await completeGameSessionByParams(sessionId, 'public/game_data', fileId);
+        await completeGameSessionByParams(sessionId, 'public/game_data', fileId, { status: 'active' });
         console.log(`✅ [Building Interaction] Session data uploaded to MinIO: ${sessionId}`);
       }
     } catch (uploadError) {
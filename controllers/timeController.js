@@ -1,4 +1,7 @@
 import { getCurrentEraInfo, skipToNextEra as skipEra } from '../services/timeManagementService.js';
+import { concludeIfEnded, unlockAchievements, withSessionLock } from '../services/gameService.js';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError } from '../services/statePersistence.js';
 
 /**
  * POST /api/backend/game/session/:sessionId/skip-to-era
@@ -7,7 +10,17 @@ import { getCurrentEraInfo, skipToNextEra as skipEra } from '../services/timeMan
 export const skipToNextEra = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const result = await skipEra(sessionId);
+    const { result, ending, newAchievements } = await withSessionLock(sessionId, async () => {
+      const result = await skipEra(sessionId);
+      if (!result.success) {
+        return { result };
+      }
+
+      // Reaching a key event can end the game
+      const ending = await concludeIfEnded(sessionId, { sync: true });
+      const newAchievements = await unlockAchievements(sessionId);
+      return { result, ending, newAchievements };
+    });
 
     if (!result.success) {
       return res.status(400).json({
@@ -27,11 +40,13 @@ export const skipToNextEra = async (req, res) => {
       playerChanges: result.playerChanges,
       narrative: result.narrative,
       updatedFiles: result.updatedFiles,
+      ...(ending && { ending }),
+      ...(newAchievements.length > 0 && { newAchievements }),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('Skip to next era error:', error);
-    res.status(500).json({
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: 'Failed to skip to next era',
       message: error.message,
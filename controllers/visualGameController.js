@@ -2,13 +2,18 @@ import { randomUUID } from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { transformImagePaths } from '../services/visual/utils.js';
+import { ModerationError, describeModeration } from '../services/moderationService.js';
+import { openTurnStream, writeTurnEvent, beginTurnStream, resumeTurnStream } from '../services/turnEvents.js';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError, updateJsonState } from '../services/statePersistence.js';
 import {
   createVisualGameSession,
   loadVisualSession,
   processVisualGameAction,
   getVisualSessionState,
   regenerateVisualGameResponse,
-  editVisualGameHistory
+  editVisualGameHistory,
+  withVisualSessionLock
 } from '../services/visual/visualGameService.js';
 import {
   processVisualDocument,
@@ -288,13 +293,13 @@ export function deleteDocument(req, res) {
  * Create a new visual game session
  * POST /api/visual/session/create
  */
-export function createSession(req, res) {
+export async function createSession(req, res) {
   try {
     const { fileId, presetId, playerName } = req.body;
     const sessionId = randomUUID();
 
     // Create session with optional fileId or presetId
-    const sessionState = createVisualGameSession(sessionId, fileId, presetId);
+    const sessionState = await createVisualGameSession(sessionId, fileId, presetId);
 
     // Override player name if provided
     if (playerName) {
@@ -362,10 +367,19 @@ export function getSessionState(req, res) {
  * POST /api/visual/session/:sessionId/action/stream
  */
 export async function sendActionWithStream(req, res) {
+  let stream = null;
   try {
     const { sessionId } = req.params;
     const { action } = req.body;
 
+    // A client retrying the request after a dropped connection resumes the turn instead of sending the action again
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      openTurnStream(res);
+      await resumeTurnStream(sessionId, lastEventId, res);
+      return;
+    }
+
     if (!action) {
       return res.status(400).json({
         success: false,
@@ -373,59 +387,64 @@ export async function sendActionWithStream(req, res) {
       });
     }
 
-    // Set SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
+    // Holding the session's lock for the whole turn: a second request waits, then gets a 409
+    await withVisualSessionLock(sessionId, async () => {
+      openTurnStream(res);
+      stream = beginTurnStream(sessionId, res);
 
-    // Send initial event
-    res.write(`data: ${JSON.stringify({
-      type: 'start',
-      message: 'Starting narrative generation...',
-      action
-    })}\n\n`);
+      // Send initial event
+      stream.send('start', {
+        message: 'Starting narrative generation...',
+        action
+      });
 
-    const session = loadVisualSession(sessionId);
-    if (!session) {
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        error: 'Session not found'
-      })}\n\n`);
-      res.end();
-      return;
-    }
+      const session = loadVisualSession(sessionId);
+      if (!session) {
+        stream.send('error', {
+          error: 'Session not found'
+        });
+        stream.end();
+        return;
+      }
 
-    // Process action with streaming from Claude
-    const result = await processVisualGameAction(sessionId, action, (data, index) => {
-      // The data is already JSON string from parseVisualNarrativeSteps
-      res.write(`data: ${data}\n`);
-    });
+      // Process action with streaming from Claude
+      const result = await processVisualGameAction(sessionId, action, stream.forward());
 
-    // Send final completion event with all data
-    res.write(`data: ${JSON.stringify({
-      type: 'data',
-      success: true,
-      response: result.response,
-      narrativeSteps: result.narrativeSteps,
-      actionOptions: result.actionOptions,
-      currentScene: result.currentScene,
-      npcs: result.npcs,
-      metadata: result.metadata,
-      timestamp: new Date().toISOString()
-    })}\n\n`);
+      // Send final completion event with all data
+      stream.send('data', {
+        success: true,
+        response: result.response,
+        narrativeSteps: result.narrativeSteps,
+        actionOptions: result.actionOptions,
+        currentScene: result.currentScene,
+        npcs: result.npcs,
+        ending: result.ending,
+        moderation: result.moderation,
+        metadata: result.metadata,
+        timestamp: new Date().toISOString()
+      });
 
-    res.write(`event: done\ndata: ${JSON.stringify({ success: true })}\n\n`);
-    res.end();
+      stream.send('done', { success: true });
+      stream.end();
+    });
 
   } catch (error) {
     console.error('Error processing visual game action with stream:', error);
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      error: 'Failed to process action',
-      message: error.message
-    })}\n\n`);
-    res.end();
+    const refused = error instanceof ModerationError;
+    const failure = {
+      error: refused ? 'Content blocked' : 'Failed to process action',
+      message: error.message,
+      ...(refused && { moderation: describeModeration(error.result, 'input') })
+    };
+    if (stream) {
+      stream.send('error', failure);
+      stream.end();
+    } else if ((error instanceof SessionBusyError || error instanceof StateConflictError) && !res.headersSent) {
+      res.status(409).json({ success: false, ...failure });
+    } else {
+      writeTurnEvent(res, 'error', failure);
+      res.end();
+    }
   }
 }
 
@@ -464,64 +483,98 @@ export function getHistory(req, res) {
  * POST /api/visual/session/:sessionId/regenerate
  */
 export async function regenerateResponse(req, res) {
+  let stream = null;
   try {
     const { sessionId } = req.params;
     const { historyIndex } = req.body;
 
-    // Set SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
+    // A retried request resumes the regeneration instead of starting another one
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      openTurnStream(res);
+      await resumeTurnStream(sessionId, lastEventId, res);
+      return;
+    }
 
     const session = loadVisualSession(sessionId);
     if (!session) {
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
+      openTurnStream(res);
+      writeTurnEvent(res, 'error', {
         error: 'Session not found'
-      })}\n\n`);
+      });
       res.end();
       return;
     }
 
-    // Send initial event
-    res.write(`data: ${JSON.stringify({
-      type: 'start',
-      message: 'Regenerating response...',
-      historyIndex: historyIndex ?? null
-    })}\n\n`);
+    // Holding the session's lock for the whole turn: a second request waits, then gets a 409
+    await withVisualSessionLock(sessionId, async () => {
+      openTurnStream(res);
+      stream = beginTurnStream(sessionId, res);
 
-    // Regenerate the response with streaming
-    const result = await regenerateVisualGameResponse(sessionId, historyIndex ?? null, (data, index) => {
-      res.write(`data: ${data}\n`);
-    });
+      // Send initial event
+      stream.send('start', {
+        message: 'Regenerating response...',
+        historyIndex: historyIndex ?? null
+      });
 
-    // Send final completion event with all data
-    res.write(`data: ${JSON.stringify({
-      type: 'data',
-      success: true,
-      response: result.response,
-      narrativeSteps: result.narrativeSteps,
-      actionOptions: result.actionOptions,
-      currentScene: result.currentScene,
-      npcs: result.npcs,
-      metadata: result.metadata,
-      regenerated: result.regenerated,
-      regeneratedFrom: result.regeneratedFrom,
-      truncatedMessages: result.truncatedMessages,
-      timestamp: new Date().toISOString()
-    })}\n\n`);
+      // Regenerate the response with streaming
+      const result = await regenerateVisualGameResponse(sessionId, historyIndex ?? null, stream.forward());
 
-    res.write(`event: done\ndata: ${JSON.stringify({ success: true })}\n\n`);
-    res.end();
+      // Send final completion event with all data
+      stream.send('data', {
+        success: true,
+        response: result.response,
+        narrativeSteps: result.narrativeSteps,
+        actionOptions: result.actionOptions,
+        currentScene: result.currentScene,
+        npcs: result.npcs,
+        ending: result.ending,
+        moderation: result.moderation,
+        metadata: result.metadata,
+        regenerated: result.regenerated,
+        regeneratedFrom: result.regeneratedFrom,
+        truncatedMessages: result.truncatedMessages,
+        timestamp: new Date().toISOString()
+      });
+
+      stream.send('done', { success: true });
+      stream.end();
+    });
 
   } catch (error) {
     console.error('Error regenerating response:', error);
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
+    const failure = {
       error: 'Failed to regenerate response',
       message: error.message
-    })}\n\n`);
+    };
+    if (stream) {
+      stream.send('error', failure);
+      stream.end();
+    } else if ((error instanceof SessionBusyError || error instanceof StateConflictError) && !res.headersSent) {
+      res.status(409).json({ success: false, ...failure });
+    } else {
+      writeTurnEvent(res, 'error', failure);
+      res.end();
+    }
+  }
+}
+
+/**
+ * Resume the session's turn stream after a dropped connection
+ * GET /api/visual/session/:sessionId/stream/resume
+ * (Last-Event-ID header, or ?lastEventId= for clients that cannot set it)
+ */
+export async function resumeStream(req, res) {
+  try {
+    const { sessionId } = req.params;
+    openTurnStream(res);
+    await resumeTurnStream(sessionId, req.get('Last-Event-ID') || req.query.lastEventId || null, res);
+  } catch (error) {
+    console.error('Error resuming stream:', error);
+    writeTurnEvent(res, 'error', {
+      error: 'Failed to resume stream',
+      message: error.message
+    });
     res.end();
   }
 }
@@ -530,7 +583,7 @@ export async function regenerateResponse(req, res) {
  * Edit a message in conversation history
  * PUT /api/visual/session/:sessionId/history/:historyIndex
  */
-export function editHistory(req, res) {
+export async function editHistory(req, res) {
   try {
     const { sessionId, historyIndex } = req.params;
     const { content } = req.body;
@@ -550,7 +603,7 @@ export function editHistory(req, res) {
       });
     }
 
-    const result = editVisualGameHistory(sessionId, index, content);
+    const result = await editVisualGameHistory(sessionId, index, content);
 
     res.json(result);
   } catch (error) {
@@ -658,20 +711,18 @@ export async function generateNPCImage(req, res) {
       }
 
       if (npcSettingPath && fs.existsSync(npcSettingPath)) {
-        const npcSetting = JSON.parse(fs.readFileSync(npcSettingPath, 'utf-8'));
-
-        // Find and update the NPC in the settings
-        const npcIndex = npcSetting.npcs.findIndex(n => n.id === npc.id);
-        if (npcIndex !== -1) {
-          if (!npcSetting.npcs[npcIndex].images) {
-            npcSetting.npcs[npcIndex].images = {};
+        // Update the settings as they are now (they may have been edited while the image was generated)
+        await updateJsonState(npcSettingPath, (npcSetting) => {
+          // Find and update the NPC in the settings
+          const npcIndex = npcSetting.npcs.findIndex(n => n.id === npc.id);
+          if (npcIndex !== -1) {
+            if (!npcSetting.npcs[npcIndex].images) {
+              npcSetting.npcs[npcIndex].images = {};
+            }
+            npcSetting.npcs[npcIndex].images['base'] = imagePath;
+            console.log(`✅ Updated npcSetting.json with image path for NPC: ${npc.id}`);
           }
-          npcSetting.npcs[npcIndex].images['base'] = imagePath;
-
-          // Save updated settings
-          fs.writeFileSync(npcSettingPath, JSON.stringify(npcSetting, null, 2), 'utf-8');
-          console.log(`✅ Updated npcSetting.json with image path for NPC: ${npc.id}`);
-        }
+        });
       } else if (npcSettingPath) {
         console.warn(`⚠️ NPC setting file not found: ${npcSettingPath}`);
       }
@@ -765,23 +816,20 @@ export async function generateNPCVariant(req, res) {
       }
 
       if (npcSettingPath && fs.existsSync(npcSettingPath)) {
-        const npcSetting = JSON.parse(fs.readFileSync(npcSettingPath, 'utf-8'));
-
-        // Find and update the NPC in the settings
-        const npcIndex = npcSetting.npcs.findIndex(n => n.id === npcId);
-        if (npcIndex !== -1) {
-          if (!npcSetting.npcs[npcIndex].images) {
-            npcSetting.npcs[npcIndex].images = {};
+        await updateJsonState(npcSettingPath, (npcSetting) => {
+          // Find and update the NPC in the settings
+          const npcIndex = npcSetting.npcs.findIndex(n => n.id === npcId);
+          if (npcIndex !== -1) {
+            if (!npcSetting.npcs[npcIndex].images) {
+              npcSetting.npcs[npcIndex].images = {};
+            }
+
+            // Store variant image path with key like "expression_happy" or "clothing_casual"
+            const variantKey = `${variant.type}_${variant.value.replace(/\s+/g, '_')}`;
+            npcSetting.npcs[npcIndex].images[variantKey] = imagePath;
+            console.log(`✅ Updated npcSetting.json with new variant image path for NPC: ${npcId}`);
           }
-
-          // Store variant image path with key like "expression_happy" or "clothing_casual"
-          const variantKey = `${variant.type}_${variant.value.replace(/\s+/g, '_')}`;
-          npcSetting.npcs[npcIndex].images[variantKey] = imagePath;
-
-          // Save updated settings
-          fs.writeFileSync(npcSettingPath, JSON.stringify(npcSetting, null, 2), 'utf-8');
-          console.log(`✅ Updated npcSetting.json with new variant image path for NPC: ${npcId}`);
-        }
+        });
       } else if (npcSettingPath) {
         console.warn(`⚠️ NPC setting file not found: ${npcSettingPath}`);
       }
@@ -853,17 +901,14 @@ export async function generateSceneImage(req, res) {
       }
 
       if (sceneSettingPath && fs.existsSync(sceneSettingPath)) {
-        const sceneSetting = JSON.parse(fs.readFileSync(sceneSettingPath, 'utf-8'));
-
-        // Find and update the scene in the settings
-        const sceneIndex = sceneSetting.scenes.findIndex(s => s.id === scene.id);
-        if (sceneIndex !== -1) {
-          sceneSetting.scenes[sceneIndex].image = imagePath;
-
-          // Save updated settings
-          fs.writeFileSync(sceneSettingPath, JSON.stringify(sceneSetting, null, 2), 'utf-8');
-          console.log(`✅ Updated sceneSetting.json with new image path for scene: ${scene.name}`);
-        }
+        await updateJsonState(sceneSettingPath, (sceneSetting) => {
+          // Find and update the scene in the settings
+          const sceneIndex = sceneSetting.scenes.findIndex(s => s.id === scene.id);
+          if (sceneIndex !== -1) {
+            sceneSetting.scenes[sceneIndex].image = imagePath;
+            console.log(`✅ Updated sceneSetting.json with new image path for scene: ${scene.name}`);
+          }
+        });
       } else if (sceneSettingPath) {
         console.warn(`⚠️ Scene setting file not found: ${sceneSettingPath}`);
       }
@@ -932,16 +977,13 @@ export async function generatePlayerImage(req, res) {
       }
 
       if (worldSettingPath && fs.existsSync(worldSettingPath)) {
-        const worldSetting = JSON.parse(fs.readFileSync(worldSettingPath, 'utf-8'));
-
-        // Update player image path (handle both 'player' and 'Player' property names)
-        if (worldSetting.player) {
-          worldSetting.player.images = imagePath;
-
-          // Save updated settings
-          fs.writeFileSync(worldSettingPath, JSON.stringify(worldSetting, null, 2), 'utf-8');
-          console.log(`✅ Updated worldSetting.json with new image path for Player: ${player.name}`);
-        }
+        await updateJsonState(worldSettingPath, (worldSetting) => {
+          // Update player image path (handle both 'player' and 'Player' property names)
+          if (worldSetting.player) {
+            worldSetting.player.images = imagePath;
+            console.log(`✅ Updated worldSetting.json with new image path for Player: ${player.name}`);
+          }
+        });
       } else if (worldSettingPath) {
         console.warn(`⚠️ World setting file not found: ${worldSettingPath}`);
       }
@@ -27,12 +27,12 @@ import fs from 'fs';
  * Update world setting
  * PUT /api/visual/edit/:fileId/world
  */
-export function updateWorldSettingController(req, res) {
+export async function updateWorldSettingController(req, res) {
   try {
     const { fileId } = req.params;
     const updates = req.body;
 
-    const updatedWorldSetting = updateWorldSetting(fileId, updates);
+    const updatedWorldSetting = await updateWorldSetting(fileId, updates);
 
     res.json({
       success: true,
@@ -52,12 +52,12 @@ export function updateWorldSettingController(req, res) {
  * Update player information
  * PUT /api/visual/edit/:fileId/player
  */
-export function updatePlayerController(req, res) {
+export async function updatePlayerController(req, res) {
   try {
     const { fileId } = req.params;
     const playerUpdates = req.body;
 
-    const updatedPlayer = updatePlayer(fileId, playerUpdates);
+    const updatedPlayer = await updatePlayer(fileId, playerUpdates);
 
     res.json({
       success: true,
@@ -126,12 +126,12 @@ export function getNPCController(req, res) {
  * Add a new NPC
  * POST /api/visual/edit/:fileId/npcs
  */
-export function addNPCController(req, res) {
+export async function addNPCController(req, res) {
   try {
     const { fileId } = req.params;
     const npcData = req.body;
 
-    const addedNPC = addNPC(fileId, npcData);
+    const addedNPC = await addNPC(fileId, npcData);
 
     res.json({
       success: true,
@@ -151,12 +151,12 @@ export function addNPCController(req, res) {
  * Update an existing NPC
  * PUT /api/visual/edit/:fileId/npcs/:npcId
  */
-export function updateNPCController(req, res) {
+export async function updateNPCController(req, res) {
   try {
     const { fileId, npcId } = req.params;
     const updates = req.body;
 
-    const updatedNPC = updateNPC(fileId, npcId, updates);
+    const updatedNPC = await updateNPC(fileId, npcId, updates);
 
     res.json({
       success: true,
@@ -176,11 +176,11 @@ export function updateNPCController(req, res) {
  * Delete an NPC
  * DELETE /api/visual/edit/:fileId/npcs/:npcId
  */
-export function deleteNPCController(req, res) {
+export async function deleteNPCController(req, res) {
   try {
     const { fileId, npcId } = req.params;
 
-    deleteNPC(fileId, npcId);
+    await deleteNPC(fileId, npcId);
 
     res.json({
       success: true,
@@ -248,12 +248,12 @@ export function getSceneController(req, res) {
  * Add a new scene
  * POST /api/visual/edit/:fileId/scenes
  */
-export function addSceneController(req, res) {
+export async function addSceneController(req, res) {
   try {
     const { fileId } = req.params;
     const sceneData = req.body;
 
-    const addedScene = addScene(fileId, sceneData);
+    const addedScene = await addScene(fileId, sceneData);
 
     res.json({
       success: true,
@@ -273,12 +273,12 @@ export function addSceneController(req, res) {
  * Update an existing scene
  * PUT /api/visual/edit/:fileId/scenes/:sceneId
  */
-export function updateSceneController(req, res) {
+export async function updateSceneController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
     const updates = req.body;
 
-    const updatedScene = updateScene(fileId, sceneId, updates);
+    const updatedScene = await updateScene(fileId, sceneId, updates);
 
     res.json({
       success: true,
@@ -298,11 +298,11 @@ export function updateSceneController(req, res) {
  * Delete a scene
  * DELETE /api/visual/edit/:fileId/scenes/:sceneId
  */
-export function deleteSceneController(req, res) {
+export async function deleteSceneController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
 
-    deleteScene(fileId, sceneId);
+    await deleteScene(fileId, sceneId);
 
     res.json({
       success: true,
@@ -351,7 +351,7 @@ export async function getCompleteGameDataController(req, res) {
  * Upload NPC image
  * POST /api/visual/edit/:fileId/npcs/:npcId/image
  */
-export function uploadNPCImageController(req, res) {
+export async function uploadNPCImageController(req, res) {
   try {
     const { fileId, npcId } = req.params;
     const { variant = 'base' } = req.body;
@@ -365,7 +365,7 @@ export function uploadNPCImageController(req, res) {
       });
     }
 
-    const result = uploadNPCImage(fileId, npcId, req.file, variant);
+    const result = await uploadNPCImage(fileId, npcId, req.file, variant);
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
@@ -398,7 +398,7 @@ export function uploadNPCImageController(req, res) {
  * Upload scene image
  * POST /api/visual/edit/:fileId/scenes/:sceneId/image
  */
-export function uploadSceneImageController(req, res) {
+export async function uploadSceneImageController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
 
@@ -409,7 +409,7 @@ export function uploadSceneImageController(req, res) {
       });
     }
 
-    const result = uploadSceneImage(fileId, sceneId, req.file);
+    const result = await uploadSceneImage(fileId, sceneId, req.file);
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
@@ -442,7 +442,7 @@ export function uploadSceneImageController(req, res) {
  * Upload player image
  * POST /api/visual/edit/:fileId/player/image
  */
-export function uploadPlayerImageController(req, res) {
+export async function uploadPlayerImageController(req, res) {
   try {
     const { fileId } = req.params;
     const { variant = 'base' } = req.body;
@@ -454,7 +454,7 @@ export function uploadPlayerImageController(req, res) {
       });
     }
 
-    const result = uploadPlayerImage(fileId, req.file, variant);
+    const result = await uploadPlayerImage(fileId, req.file, variant);
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
@@ -487,11 +487,11 @@ export function uploadPlayerImageController(req, res) {
  * Delete NPC image variant
  * DELETE /api/visual/edit/:fileId/npcs/:npcId/image/:variant
  */
-export function deleteNPCImageController(req, res) {
+export async function deleteNPCImageController(req, res) {
   try {
     const { fileId, npcId, variant } = req.params;
 
-    deleteNPCImage(fileId, npcId, variant);
+    await deleteNPCImage(fileId, npcId, variant);
 
     res.json({
       success: true,
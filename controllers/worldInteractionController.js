@@ -3,7 +3,8 @@ import {
   getSessionState,
   startNewRound,
   loadWorldInteractionSession,
-  getInteractionHistory
+  getInteractionHistory,
+  withWorldSessionLock
 } from '../services/world_interaction/sessionManager.js';
 import {
   generateAndDistributeEvent,
@@ -29,6 +30,8 @@ import {
 import { randomUUID } from 'crypto';
 import path from 'path';
 import fs from 'fs';
+import { SessionBusyError } from '../services/sessionStore.js';
+import { StateConflictError } from '../services/statePersistence.js';
 
 // ============================================
 // DOCUMENT MANAGEMENT CONTROLLERS
@@ -253,7 +256,7 @@ export function deleteDocumentController(req, res) {
  * }
  * Either fileId or presetId must be provided
  */
-export function createSessionController(req, res) {
+export async function createSessionController(req, res) {
   try {
     const { fileId, presetId } = req.body;
 
@@ -264,7 +267,7 @@ export function createSessionController(req, res) {
       });
     }
 
-    const session = createWorldInteractionSession(fileId, presetId);
+    const session = await createWorldInteractionSession(fileId, presetId);
 
     res.json({
       success: true,
@@ -318,11 +321,10 @@ export async function startNewRoundController(req, res) {
   try {
     const { sessionId } = req.params;
 
-    // Load the session first
-    const session = loadWorldInteractionSession(sessionId);
-
-    // Start new round (now async - will auto-generate events)
-    const updatedSession = await startNewRound(session);
+    // Start new round (now async - will auto-generate events) from the session as it is under the lock
+    const updatedSession = await withWorldSessionLock(sessionId, () =>
+      startNewRound(loadWorldInteractionSession(sessionId))
+    );
 
     res.json({
       success: true,
@@ -333,7 +335,7 @@ export async function startNewRoundController(req, res) {
     });
   } catch (error) {
     console.error('Error starting new round:', error);
-    res.status(500).json({
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: error.message
     });
@@ -377,7 +379,7 @@ export async function distributeEventController(req, res) {
   try {
     const { sessionId } = req.params;
 
-    const result = await generateAndDistributeEvent(sessionId);
+    const result = await withWorldSessionLock(sessionId, () => generateAndDistributeEvent(sessionId));
 
     res.json({
       success: true,
@@ -396,7 +398,7 @@ export async function distributeEventController(req, res) {
     });
   } catch (error) {
     console.error('Error distributing event:', error);
-    res.status(500).json({
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: error.message
     });
@@ -435,7 +437,7 @@ export async function interactWithNPCController(req, res) {
   try {
     const { sessionId, eventId } = req.params;
 
-    const interaction = await interactWithNPC(sessionId, eventId);
+    const interaction = await withWorldSessionLock(sessionId, () => interactWithNPC(sessionId, eventId));
 
     res.json({
       success: true,
@@ -443,7 +445,7 @@ export async function interactWithNPCController(req, res) {
     });
   } catch (error) {
     console.error('Error interacting with NPC:', error);
-    res.status(500).json({
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: error.message
     });
@@ -471,7 +473,7 @@ export async function selectOptionController(req, res) {
       });
     }
 
-    const result = await selectOption(sessionId, eventId, optionId);
+    const result = await withWorldSessionLock(sessionId, () => selectOption(sessionId, eventId, optionId));
 
     res.json({
       success: true,
@@ -479,7 +481,7 @@ export async function selectOptionController(req, res) {
     });
   } catch (error) {
     console.error('Error selecting option:', error);
-    res.status(500).json({
+    res.status(error instanceof SessionBusyError || error instanceof StateConflictError ? 409 : 500).json({
       success: false,
       error: error.message
     });
@@ -39,12 +39,12 @@ import fs from 'fs';
  * Update world setting
  * PUT /api/world-interaction/edit/:fileId/world-setting
  */
-export function updateWorldSettingController(req, res) {
+export async function updateWorldSettingController(req, res) {
   try {
     const { fileId } = req.params;
     const updates = req.body;
 
-    const updatedWorldSetting = updateWorldSetting(fileId, updates);
+    const updatedWorldSetting = await updateWorldSetting(fileId, updates);
 
     res.json({
       success: true,
@@ -64,12 +64,12 @@ export function updateWorldSettingController(req, res) {
  * Update player
  * PUT /api/world-interaction/edit/:fileId/player
  */
-export function updatePlayerController(req, res) {
+export async function updatePlayerController(req, res) {
   try {
     const { fileId } = req.params;
     const playerUpdates = req.body;
 
-    const updatedPlayer = updatePlayer(fileId, playerUpdates);
+    const updatedPlayer = await updatePlayer(fileId, playerUpdates);
 
     res.json({
       success: true,
@@ -141,12 +141,12 @@ export function getNPCController(req, res) {
  * Add new NPC
  * POST /api/world-interaction/edit/:fileId/npcs
  */
-export function addNPCController(req, res) {
+export async function addNPCController(req, res) {
   try {
     const { fileId } = req.params;
     const npcData = req.body;
 
-    const newNPC = addNPC(fileId, npcData);
+    const newNPC = await addNPC(fileId, npcData);
 
     res.json({
       success: true,
@@ -166,12 +166,12 @@ export function addNPCController(req, res) {
  * Update NPC
  * PUT /api/world-interaction/edit/:fileId/npcs/:npcId
  */
-export function updateNPCController(req, res) {
+export async function updateNPCController(req, res) {
   try {
     const { fileId, npcId } = req.params;
     const updates = req.body;
 
-    const updatedNPC = updateNPC(fileId, npcId, updates);
+    const updatedNPC = await updateNPC(fileId, npcId, updates);
 
     res.json({
       success: true,
@@ -191,11 +191,11 @@ export function updateNPCController(req, res) {
  * Delete NPC
  * DELETE /api/world-interaction/edit/:fileId/npcs/:npcId
  */
-export function deleteNPCController(req, res) {
+export async function deleteNPCController(req, res) {
   try {
     const { fileId, npcId } = req.params;
 
-    deleteNPC(fileId, npcId);
+    await deleteNPC(fileId, npcId);
 
     res.json({
       success: true,
@@ -222,7 +222,7 @@ export function deleteNPCController(req, res) {
  *   ]
  * }
  */
-export function updateSubsceneNpcSlotsController(req, res) {
+export async function updateSubsceneNpcSlotsController(req, res) {
   try {
     const { fileId, sceneId, subsceneId } = req.params;
     const { npcSlots } = req.body;
@@ -234,7 +234,7 @@ export function updateSubsceneNpcSlotsController(req, res) {
       });
     }
 
-    const result = updateSubsceneNpcSlots(fileId, sceneId, subsceneId, npcSlots);
+    const result = await updateSubsceneNpcSlots(fileId, sceneId, subsceneId, npcSlots);
 
     res.json({
       success: true,
@@ -305,12 +305,12 @@ export function getSceneController(req, res) {
  * Add new scene
  * POST /api/world-interaction/edit/:fileId/scenes
  */
-export function addSceneController(req, res) {
+export async function addSceneController(req, res) {
   try {
     const { fileId } = req.params;
     const sceneData = req.body;
 
-    const newScene = addScene(fileId, sceneData);
+    const newScene = await addScene(fileId, sceneData);
 
     res.json({
       success: true,
@@ -330,12 +330,12 @@ export function addSceneController(req, res) {
  * Update scene
  * PUT /api/world-interaction/edit/:fileId/scenes/:sceneId
  */
-export function updateSceneController(req, res) {
+export async function updateSceneController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
     const updates = req.body;
 
-    const updatedScene = updateScene(fileId, sceneId, updates);
+    const updatedScene = await updateScene(fileId, sceneId, updates);
 
     res.json({
       success: true,
@@ -355,11 +355,11 @@ export function updateSceneController(req, res) {
  * Delete scene
  * DELETE /api/world-interaction/edit/:fileId/scenes/:sceneId
  */
-export function deleteSceneController(req, res) {
+export async function deleteSceneController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
 
-    deleteScene(fileId, sceneId);
+    await deleteScene(fileId, sceneId);
 
     res.json({
       success: true,
@@ -430,12 +430,12 @@ export function getSubsceneController(req, res) {
  * Add new subscene
  * POST /api/world-interaction/edit/:fileId/scenes/:sceneId/subscenes
  */
-export function addSubsceneController(req, res) {
+export async function addSubsceneController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
     const subsceneData = req.body;
 
-    const newSubscene = addSubscene(fileId, sceneId, subsceneData);
+    const newSubscene = await addSubscene(fileId, sceneId, subsceneData);
 
     res.json({
       success: true,
@@ -455,12 +455,12 @@ export function addSubsceneController(req, res) {
  * Update subscene
  * PUT /api/world-interaction/edit/:fileId/scenes/:sceneId/subscenes/:subsceneId
  */
-export function updateSubsceneController(req, res) {
+export async function updateSubsceneController(req, res) {
   try {
     const { fileId, sceneId, subsceneId } = req.params;
     const updates = req.body;
 
-    const updatedSubscene = updateSubscene(fileId, sceneId, subsceneId, updates);
+    const updatedSubscene = await updateSubscene(fileId, sceneId, subsceneId, updates);
 
     res.json({
       success: true,
@@ -480,11 +480,11 @@ export function updateSubsceneController(req, res) {
  * Delete subscene
  * DELETE /api/world-interaction/edit/:fileId/scenes/:sceneId/subscenes/:subsceneId
  */
-export function deleteSubsceneController(req, res) {
+export async function deleteSubsceneController(req, res) {
   try {
     const { fileId, sceneId, subsceneId } = req.params;
 
-    deleteSubscene(fileId, sceneId, subsceneId);
+    await deleteSubscene(fileId, sceneId, subsceneId);
 
     res.json({
       success: true,
@@ -512,7 +512,7 @@ export function deleteSubsceneController(req, res) {
  *   toSceneId: string
  * }
  */
-export function moveSubsceneController(req, res) {
+export async function moveSubsceneController(req, res) {
   try {
     const { fileId, subsceneId } = req.params;
     const { fromSceneId, toSceneId } = req.body;
@@ -524,7 +524,7 @@ export function moveSubsceneController(req, res) {
       });
     }
 
-    const result = moveSubscene(fileId, subsceneId, fromSceneId, toSceneId);
+    const result = await moveSubscene(fileId, subsceneId, fromSceneId, toSceneId);
 
     res.json({
       success: true,
@@ -554,7 +554,7 @@ export function moveSubsceneController(req, res) {
  *   }
  * }
  */
-export function updateScenePositionsController(req, res) {
+export async function updateScenePositionsController(req, res) {
   try {
     const { fileId } = req.params;
     const { positions } = req.body;
@@ -566,7 +566,7 @@ export function updateScenePositionsController(req, res) {
       });
     }
 
-    const result = updateScenePositions(fileId, positions);
+    const result = await updateScenePositions(fileId, positions);
 
     res.json({
       success: true,
@@ -595,7 +595,7 @@ export function updateScenePositionsController(req, res) {
  *   }
  * }
  */
-export function updateSubscenePositionsController(req, res) {
+export async function updateSubscenePositionsController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
     const { positions } = req.body;
@@ -607,7 +607,7 @@ export function updateSubscenePositionsController(req, res) {
       });
     }
 
-    const result = updateSubscenePositions(fileId, sceneId, positions);
+    const result = await updateSubscenePositions(fileId, sceneId, positions);
 
     res.json({
       success: true,
@@ -869,11 +869,11 @@ export async function uploadWorldMapImageController(req, res) {
  * Delete NPC image
  * DELETE /api/world-interaction/edit/:fileId/npcs/:npcId/image/:variant
  */
-export function deleteNPCImageController(req, res) {
+export async function deleteNPCImageController(req, res) {
   try {
     const { fileId, npcId, variant } = req.params;
 
-    deleteNPCImage(fileId, npcId, variant);
+    await deleteNPCImage(fileId, npcId, variant);
 
     res.json({
       success: true,
@@ -892,11 +892,11 @@ export function deleteNPCImageController(req, res) {
  * Delete scene image
  * DELETE /api/world-interaction/edit/:fileId/scenes/:sceneId/image
  */
-export function deleteSceneImageController(req, res) {
+export async function deleteSceneImageController(req, res) {
   try {
     const { fileId, sceneId } = req.params;
 
-    deleteSceneImage(fileId, sceneId);
+    await deleteSceneImage(fileId, sceneId);
 
     res.json({
       success: true,
@@ -915,11 +915,11 @@ export function deleteSceneImageController(req, res) {
  * Delete subscene image
  * DELETE /api/world-interaction/edit/:fileId/scenes/:sceneId/subscenes/:subsceneId/image
  */
-export function deleteSubsceneImageController(req, res) {
+export async function deleteSubsceneImageController(req, res) {
   try {
     const { fileId, sceneId, subsceneId } = req.params;
 
-    deleteSubsceneImage(fileId, sceneId, subsceneId);
+    await deleteSubsceneImage(fileId, sceneId, subsceneId);
 
     res.json({
       success: true,
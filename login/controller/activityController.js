@@ -4,10 +4,12 @@ import {    checkAlreadyInvited, recordInviteRelation } from '../service/userInv
 import { generateShortId } from '../util/idUtil.js';
 import { generateInviteCode } from '../util/inviteCodeGenerator.js';
 import crypto from 'crypto';
+import { getFlatRate, loadPricingConfig } from '../../services/usageMeteringService.js';
 
 /**
  * 扣减积分接口
-option:-2;selfDefined:-3
+按次计费（billing: flat）时 option / selfDefined 按 LLM_PRICING_CONFIG 的 flatRates 扣减（默认 2 / 3）；
+按用量计费（billing: metered）时这里只检查余额是否达到 minimumBalance，实际积分在回合结束后按模型用量扣除
  */
 export const deductPointsOption = async (req, res) => {
     try {
@@ -28,11 +30,11 @@ export const deductPointsOption = async (req, res) => {
         let description = '';
 
         if (type === 'option') {
-            pointsToDeduct = 2;
+            pointsToDeduct = getFlatRate('option');
             activityType = 'deduct_option';
             description = '选项扣减积分';
         } else if (type === 'selfDefined') {
-            pointsToDeduct = 3;
+            pointsToDeduct = getFlatRate('selfDefined');
             activityType = 'deduct_self_defined';
             description = '自定义扣减积分';
         } else {
@@ -47,6 +49,26 @@ export const deductPointsOption = async (req, res) => {
         const user = await getUserByUserId(userId);
         const currentPoints = user.points;
         console.log("======================currentPoints=======================",currentPoints);
+        const { billing, minimumBalance } = loadPricingConfig();
+        if (billing === 'metered') {
+            if (currentPoints < minimumBalance) {
+                return res.status(400).json({
+                    success: false,
+                    message: `积分不足，当前积分：${currentPoints}，至少需要：${minimumBalance}`
+                });
+            }
+            return res.status(200).json({
+                success: true,
+                message: '按用量计费，回合结束后扣除积分',
+                data: {
+                    deductedPoints: 0,
+                    remainingPoints: currentPoints,
+                    type: type,
+                    billing
+                }
+            });
+        }
+
         if (currentPoints < pointsToDeduct) {
             return res.status(400).json({
                 success: false,
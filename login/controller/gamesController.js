@@ -378,7 +378,7 @@ export async function sessionCreate(req, res) {
       // 第二个操作：完成会话（只有在数据库记录创建成功后才执行）
       if (sessionRecord) {
         try {
-          await completeGameSessionByParams(backendSessionResp.sessionId, 'public/game_data', normalizedFileId);
+          await completeGameSessionByParams(backendSessionResp.sessionId, 'public/game_data', normalizedFileId, { status: 'active' });
           console.log('[sessionCreate] 会话存储完成操作成功');
         } catch (error) {
           console.error('[sessionCreate] 完成会话存储操作失败', error);
@@ -596,7 +596,8 @@ export async function downloadInitFilesAndReturnFiles(fileId, destRoot) {
 }
 
 // 游戏会话存储，上传数据并写入/更新 （本地的上传路径为local_path）（ZZ）
-export async function completeGameSessionByParams(session_id, local_path, file_id) {
+// status：'active'（进行中）或 'completed'（已完成，不传时的默认值）；每回合的同步需显式传 'active'
+export async function completeGameSessionByParams(session_id, local_path, file_id, { status = 'completed' } = {}) {
   // 先通过 session_id 查询是否存在记录（session_id 是唯一键）
   const existingSession = await getGameSessionBySessionId(session_id);
 
@@ -634,7 +635,7 @@ export async function completeGameSessionByParams(session_id, local_path, file_i
 
   if (existingSession) {
     // 如果存在相同的 session_id，更新 status、files 和 ended_at 字段
-    return await updateGameSessionStatusAndFiles(existingSession.id, 'completed', filesValue, new Date());
+    return await updateGameSessionStatusAndFiles(existingSession.id, status, filesValue, new Date());
   }
 
   // 如果不存在，创建新的 game_session 记录
@@ -643,7 +644,7 @@ export async function completeGameSessionByParams(session_id, local_path, file_i
       sessionId: session_id,
       userId: Number(user_id),
       fileId: file_id,
-      status: 'completed',
+      status,
       files: filesValue,
       startedAt: new Date(),
       endedAt: null
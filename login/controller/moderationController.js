@@ -0,0 +1,68 @@
+import { listModerationFlags, reviewModerationFlag } from '../service/moderationFlagService.js';
+
+const FLAG_STATUSES = ['pending', 'confirmed', 'dismissed'];
+
+/**
+ * 管理员查询内容审核标记
+ * GET /api/auth/admin/moderation/flags?status=pending&sessionId=xxx&limit=50&offset=0
+ */
+export async function getModerationFlags(req, res) {
+  try {
+    const { status, sessionId, limit, offset } = req.query || {};
+    if (status && !FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status 只能是 ${FLAG_STATUSES.join(' / ')}`
+      });
+    }
+
+    const rows = await listModerationFlags({ status, sessionId, limit, offset });
+    return res.json({ success: true, data: rows });
+  } catch (err) {
+    console.error('[getModerationFlags] 查询内容审核标记失败:', err);
+    return res.status(500).json({
+      success: false,
+      message: '查询内容审核标记失败',
+      error: err.message
+    });
+  }
+}
+
+/**
+ * 管理员审核一条内容标记
+ * POST /api/auth/admin/moderation/flags/:flagId/review
+ * 请求体: { status: "confirmed" | "dismissed", note?: "xxx" }
+ */
+export async function reviewFlag(req, res) {
+  try {
+    const { flagId } = req.params;
+    const { status, note } = req.body || {};
+    if (!['confirmed', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status 只能是 confirmed 或 dismissed'
+      });
+    }
+
+    const updated = await reviewModerationFlag(flagId, { status, reviewerId: req.user?.userId, note: note || null });
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: '内容审核标记不存在'
+      });
+    }
+    return res.json({ success: true, message: '审核完成' });
+  } catch (err) {
+    console.error('[reviewFlag] 审核内容标记失败:', err);
+    return res.status(500).json({
+      success: false,
+      message: '审核内容标记失败',
+      error: err.message
+    });
+  }
+}
+
+export default {
+  getModerationFlags,
+  reviewFlag
+};
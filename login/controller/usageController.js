@@ -0,0 +1,98 @@
+import { listUserUsageTurns, listUsageByRequest } from '../service/llmUsageService.js';
+
+/**
+ * 查询当前用户的模型用量历史（按回合汇总，含实际扣除的积分）
+ * GET /api/auth/user/usage?sessionId=xxx&limit=20&offset=0
+ * sessionId 可选，不传则返回所有存档的用量
+ */
+export async function getUserUsage(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { sessionId, limit, offset } = req.query || {};
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: '缺少 userId'
+      });
+    }
+
+    const rows = await listUserUsageTurns(userId, {
+      sessionId: sessionId ? String(sessionId).trim() : null,
+      limit,
+      offset
+    });
+    return res.json({
+      success: true,
+      data: rows.map(row => ({
+        requestId: row.request_id,
+        sessionId: row.session_id,
+        mode: row.mode,
+        route: row.route,
+        features: row.features ? row.features.split(',') : [],
+        calls: Number(row.calls),
+        inputTokens: Number(row.input_tokens),
+        outputTokens: Number(row.output_tokens),
+        images: Number(row.images),
+        costUsd: Number(row.cost_usd),
+        points: Number(row.points),
+        pointsCharged: Number(row.points_charged),
+        startedAt: row.started_at
+      }))
+    });
+  } catch (err) {
+    console.error('[getUserUsage] 查询模型用量失败:', err);
+    return res.status(500).json({
+      success: false,
+      message: '查询模型用量失败',
+      error: err.message
+    });
+  }
+}
+
+/**
+ * 查询某个回合的逐次调用明细
+ * GET /api/auth/user/usage/:requestId
+ */
+export async function getUsageDetail(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { requestId } = req.params;
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: '缺少 userId'
+      });
+    }
+
+    const rows = await listUsageByRequest(userId, requestId);
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: '未找到该回合的用量记录'
+      });
+    }
+    return res.json({
+      success: true,
+      data: rows.map(row => ({
+        feature: row.feature,
+        task: row.task,
+        provider: row.provider,
+        model: row.model,
+        inputTokens: row.input_tokens,
+        outputTokens: row.output_tokens,
+        images: row.images,
+        costUsd: Number(row.cost_usd),
+        points: Number(row.points),
+        durationMs: row.duration_ms,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (err) {
+    console.error('[getUsageDetail] 查询回合用量明细失败:', err);
+    return res.status(500).json({
+      success: false,
+      message: '查询回合用量明细失败',
+      error: err.message
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import { listUserAchievements } from '../service/userAchievementService.js';
+
+/**
+ * 查询当前用户已解锁的成就
+ * GET /api/auth/user/achievements?fileId=xxx
+ * fileId 可选，不传则返回所有游戏的成就
+ */
+export async function getUserAchievements(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { fileId } = req.query || {};
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: '缺少 userId'
+      });
+    }
+
+    const rows = await listUserAchievements(userId, fileId ? String(fileId).trim() : null);
+    return res.json({
+      success: true,
+      data: rows.map(row => ({
+        fileId: row.file_id,
+        achievementId: row.achievement_id,
+        sessionId: row.session_id,
+        title: row.title,
+        points: row.points,
+        unlockedAt: row.unlocked_at
+      }))
+    });
+  } catch (err) {
+    console.error('[getUserAchievements] 查询用户成就失败:', err);
+    return res.status(500).json({
+      success: false,
+      message: '查询用户成就失败',
+      error: err.message
+    });
+  }
+}
+
+export default {
+  getUserAchievements
+};
@@ -8,6 +8,9 @@ import { register, login, refreshToken, refreshAccessToken, sendVerificationCode
 import gamesController, { userGamSession , sessionCreate, listPublicGames, publishGame, deleteGame, gameInfo, deleteGamSession , exportGameHistoryDoc, unpublishGame, markOrderPaid} from '../controller/gamesController.js';
 import { deductPointsOption , signin, watchAd, useInviteCode, joinGroup} from '../controller/activityController.js';
 import gamesStatusController from '../controller/gamesStatusController.js';
+import { getUserAchievements } from '../controller/userAchievementController.js';
+import { getModerationFlags, reviewFlag } from '../controller/moderationController.js';
+import { getUserUsage, getUsageDetail } from '../controller/usageController.js';
 import { authMiddleware, optionalAuthMiddleware, adminOnlyMiddleware } from '../authMiddleware.js';
 import { testUploadImage, testUploadPdf, downloadPrefixToLocal, uploadLocalFolderToMinio } from '../service/minioService.js';
 import { upload as diskUpload } from '../../middleware/upload.js';
@@ -204,6 +207,11 @@ router.post('/games/orders/mark-paid', markOrderPaid);
 router.get('/session/:sessionId/export-history', exportGameHistoryDoc);
 // 用户信息
 router.get('/user/info', getUserInfo);
+// 用户已解锁的成就（可按 fileId 筛选）
+router.get('/user/achievements', getUserAchievements);
+// 用户的模型用量历史（按回合汇总，可按 sessionId 筛选）与单个回合的调用明细
+router.get('/user/usage', getUserUsage);
+router.get('/user/usage/:requestId', getUsageDetail);
 
 // ========================
 // Games Statistics APIs
@@ -219,6 +227,14 @@ router.get('/games-stats/data/:fileId', gamesStatusController.getGameData);
 // 获取用户游戏数据的总统计量
 router.get('/games-stats/total-data', gamesStatusController.getGameDataByUser);
 
+// ========================
+// Moderation APIs（仅管理员）
+// ========================
+// 查询内容审核标记（可按 status / sessionId 筛选）
+router.get('/admin/moderation/flags', adminOnlyMiddleware, getModerationFlags);
+// 审核内容标记：confirmed 确认违规 / dismissed 误报
+router.post('/admin/moderation/flags/:flagId/review', adminOnlyMiddleware, reviewFlag);
+
 // ========================
 // Points Statistics APIs
 // ========================
@@ -0,0 +1,152 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { pool } from './dbPool.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../../.env') });
+
+const LLM_USAGE_TABLE = '`llm_usage`';
+const USER_POINT_ACTIVITIES_TABLE = '`user_point_activities`';
+const USAGE_ACTIVITY_TYPE = 'llm_usage';
+
+/**
+ * 确保 llm_usage 表存在
+ */
+async function ensureLlmUsageTable() {
+    const createSql = `
+    CREATE TABLE IF NOT EXISTS ${LLM_USAGE_TABLE} (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    request_id VARCHAR(64) NOT NULL COMMENT '请求ID（一次请求即一个回合）',
+    user_id VARCHAR(191) NULL COMMENT '用户ID',
+    session_id VARCHAR(64) NULL COMMENT '存档ID',
+    mode VARCHAR(20) NULL COMMENT '游戏模式：classic / visual / world',
+    route VARCHAR(255) NULL COMMENT '发起调用的接口',
+    feature VARCHAR(30) NOT NULL COMMENT '功能：story / chat / novel / images / events ...',
+    task VARCHAR(50) NOT NULL COMMENT '模型任务名',
+    provider VARCHAR(30) NULL COMMENT '模型提供方',
+    model VARCHAR(100) NOT NULL COMMENT '模型',
+    input_tokens INT NOT NULL DEFAULT 0,
+    output_tokens INT NOT NULL DEFAULT 0,
+    images INT NOT NULL DEFAULT 0 COMMENT '生成的图片数',
+    cost_usd DECIMAL(12,6) NOT NULL DEFAULT 0 COMMENT '按价格表计算的费用（美元）',
+    points DECIMAL(12,4) NOT NULL DEFAULT 0 COMMENT '折算的积分',
+    duration_ms INT NULL,
+    created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+    KEY idx_request_id (request_id),
+    KEY idx_user_id (user_id),
+    KEY idx_session_id (session_id),
+    KEY idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='模型用量计量表';
+`;
+    try {
+        await pool.query(createSql);
+        console.log("LLM usage table ensured");
+    } catch (err) {
+        console.error("Failed to ensure llm_usage table:", err);
+    }
+}
+
+// 初始化表结构
+ensureLlmUsageTable();
+
+/**
+ * 记录一次模型调用（或图片生成）的用量
+ * @param {Object} data - { requestId, userId, sessionId, mode, route, feature, task, provider, model, inputTokens, outputTokens, images, costUsd, points, durationMs }
+ * @returns {Promise<number>} - 新记录ID
+ */
+export async function recordLlmUsage({ requestId, userId = null, sessionId = null, mode = null, route = null, feature, task, provider = null, model, inputTokens = 0, outputTokens = 0, images = 0, costUsd = 0, points = 0, durationMs = null }) {
+    const sql = `
+    INSERT INTO ${LLM_USAGE_TABLE}
+    (request_id, user_id, session_id, mode, route, feature, task, provider, model, input_tokens, output_tokens, images, cost_usd, points, duration_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+    const [result] = await pool.execute(sql, [
+        requestId, userId === null ? null : String(userId), sessionId, mode, route, feature, task, provider, model,
+        inputTokens, outputTokens, images, costUsd, points, durationMs
+    ]);
+    return result.insertId;
+}
+
+/**
+ * 按回合（请求）分页查询用户的用量，附带该回合实际扣除的积分
+ * @param {string} userId - 用户ID
+ * @param {Object} [options] - { sessionId, limit, offset }
+ * @returns {Promise<Array>} - 按时间倒序
+ */
+export async function listUserUsageTurns(userId, { sessionId = null, limit = 20, offset = 0 } = {}) {
+    const params = [String(userId)];
+    if (sessionId) {
+        params.push(sessionId);
+    }
+    const lim = Math.max(0, parseInt(limit, 10) || 20);
+    const off = Math.max(0, parseInt(offset, 10) || 0);
+    // limit/offset 经过严格数字校验后作为字面量拼入（同 moderationFlagService）
+    const sql = `
+    SELECT u.request_id, MAX(u.session_id) AS session_id, MAX(u.mode) AS mode, MAX(u.route) AS route,
+      GROUP_CONCAT(DISTINCT u.feature ORDER BY u.feature) AS features,
+      COUNT(*) AS calls, SUM(u.input_tokens) AS input_tokens, SUM(u.output_tokens) AS output_tokens,
+      SUM(u.images) AS images, SUM(u.cost_usd) AS cost_usd, SUM(u.points) AS points,
+      (SELECT -COALESCE(SUM(p.points), 0) FROM ${USER_POINT_ACTIVITIES_TABLE} p
+        WHERE p.user_id = u.user_id AND p.activity_id = u.request_id AND p.activity_type = '${USAGE_ACTIVITY_TYPE}') AS points_charged,
+      MIN(u.created_at) AS started_at
+    FROM ${LLM_USAGE_TABLE} u
+    WHERE u.user_id = ?${sessionId ? ' AND u.session_id = ?' : ''}
+    GROUP BY u.request_id, u.user_id
+    ORDER BY MIN(u.id) DESC
+    LIMIT ${lim} OFFSET ${off}
+`;
+    const [rows] = await pool.execute(sql, params);
+    return rows;
+}
+
+/**
+ * 查询某个回合（请求）的逐次调用明细
+ * @param {string} userId - 用户ID
+ * @param {string} requestId - 请求ID
+ * @returns {Promise<Array>}
+ */
+export async function listUsageByRequest(userId, requestId) {
+    const sql = `
+    SELECT feature, task, provider, model, input_tokens, output_tokens, images, cost_usd, points, duration_ms, created_at
+    FROM ${LLM_USAGE_TABLE}
+    WHERE user_id = ? AND request_id = ?
+    ORDER BY id ASC
+`;
+    const [rows] = await pool.execute(sql, [String(userId), requestId]);
+    return rows;
+}
+
+/**
+ * 汇总存档在某时刻之前的 token 用量（用于恢复内存中的存档）
+ * @param {string} sessionId - 存档ID
+ * @param {Date} [before] - 只统计该时刻之前的记录
+ * @returns {Promise<Object>} - { totalInputTokens, totalOutputTokens, totalTokens, apiCalls, costUsd }
+ */
+export async function getSessionTokenUsage(sessionId, before = new Date()) {
+    const sql = `
+    SELECT COALESCE(SUM(input_tokens), 0) AS input_tokens, COALESCE(SUM(output_tokens), 0) AS output_tokens,
+      COALESCE(SUM(images = 0), 0) AS api_calls, COALESCE(SUM(cost_usd), 0) AS cost_usd
+    FROM ${LLM_USAGE_TABLE}
+    WHERE session_id = ? AND created_at < ?
+`;
+    const [rows] = await pool.execute(sql, [sessionId, before]);
+    const row = rows[0] || {};
+    const totalInputTokens = Number(row.input_tokens) || 0;
+    const totalOutputTokens = Number(row.output_tokens) || 0;
+    return {
+        totalInputTokens,
+        totalOutputTokens,
+        totalTokens: totalInputTokens + totalOutputTokens,
+        apiCalls: Number(row.api_calls) || 0,
+        costUsd: Number(row.cost_usd) || 0
+    };
+}
+
+export default {
+    recordLlmUsage,
+    listUserUsageTurns,
+    listUsageByRequest,
+    getSessionTokenUsage
+};
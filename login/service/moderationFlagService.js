@@ -0,0 +1,114 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { pool } from './dbPool.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../../.env') });
+
+const MODERATION_FLAGS_TABLE = '`moderation_flags`';
+
+/**
+ * 确保 moderation_flags 表存在
+ */
+async function ensureModerationFlagsTable() {
+    const createSql = `
+    CREATE TABLE IF NOT EXISTS ${MODERATION_FLAGS_TABLE} (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    session_id VARCHAR(64) NULL COMMENT '存档ID',
+    mode VARCHAR(20) NOT NULL COMMENT '游戏模式：classic / visual',
+    source VARCHAR(30) NOT NULL COMMENT '来源：action / npc_chat / visual_action',
+    stage ENUM('input', 'output') NOT NULL COMMENT '玩家输入 / 模型输出',
+    action ENUM('blocked', 'flagged') NOT NULL COMMENT '已拦截 / 仅标记',
+    rating VARCHAR(20) NULL COMMENT '游戏内容分级',
+    categories JSON NULL COMMENT '命中的分类及分数',
+    injection TINYINT NOT NULL DEFAULT 0 COMMENT '是否为提示词注入',
+    content TEXT NULL COMMENT '被标记的内容',
+    status ENUM('pending', 'confirmed', 'dismissed') NOT NULL DEFAULT 'pending' COMMENT '审核状态',
+    reviewer_id VARCHAR(191) NULL COMMENT '审核管理员',
+    review_note VARCHAR(500) NULL COMMENT '审核备注',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME NULL,
+    KEY idx_status (status),
+    KEY idx_session_id (session_id),
+    KEY idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='内容审核标记表';
+`;
+    try {
+        await pool.query(createSql);
+        console.log("Moderation flags table ensured");
+    } catch (err) {
+        console.error("Failed to ensure moderation_flags table:", err);
+    }
+}
+
+// 初始化表结构
+ensureModerationFlagsTable();
+
+/**
+ * 记录一条待审核的内容标记
+ * @param {Object} data - { sessionId, mode, source, stage, action, rating, categories, injection, content }
+ * @returns {Promise<number>} - 新记录ID
+ */
+export async function createModerationFlag({ sessionId = null, mode, source, stage, action, rating = null, categories = {}, injection = false, content = '' }) {
+    const sql = `
+    INSERT INTO ${MODERATION_FLAGS_TABLE}
+    (session_id, mode, source, stage, action, rating, categories, injection, content)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+    const [result] = await pool.execute(sql, [sessionId, mode, source, stage, action, rating, JSON.stringify(categories), injection ? 1 : 0, content]);
+    return result.insertId;
+}
+
+/**
+ * 分页查询内容标记（默认按时间倒序）
+ * @param {Object} [options] - { status, sessionId, limit, offset }
+ * @returns {Promise<Array>}
+ */
+export async function listModerationFlags({ status = null, sessionId = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    if (sessionId) {
+        conditions.push('session_id = ?');
+        params.push(sessionId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const lim = Math.max(0, parseInt(limit, 10) || 50);
+    const off = Math.max(0, parseInt(offset, 10) || 0);
+    // 将 limit/offset 作为字面量拼入（先做严格数字校验），避免某些 MySQL 版本不支持占位符绑定 LIMIT/OFFSET 导致的错误
+    const sql = `
+    SELECT * FROM ${MODERATION_FLAGS_TABLE}
+    ${where}
+    ORDER BY id DESC
+    LIMIT ${lim} OFFSET ${off}
+`;
+    const [rows] = await pool.execute(sql, params);
+    return rows;
+}
+
+/**
+ * 管理员审核内容标记
+ * @param {number} id - 标记ID
+ * @param {Object} review - { status: 'confirmed' | 'dismissed', reviewerId, note }
+ * @returns {Promise<boolean>} - 记录存在并已更新返回 true
+ */
+export async function reviewModerationFlag(id, { status, reviewerId, note = null }) {
+    const sql = `
+    UPDATE ${MODERATION_FLAGS_TABLE}
+    SET status = ?, reviewer_id = ?, review_note = ?, reviewed_at = NOW()
+    WHERE id = ?
+`;
+    const [result] = await pool.execute(sql, [status, String(reviewerId), note, id]);
+    return result.affectedRows > 0;
+}
+
+export default {
+    createModerationFlag,
+    listModerationFlags,
+    reviewModerationFlag
+};
@@ -0,0 +1,83 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { pool } from './dbPool.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '../../.env') });
+
+const USER_ACHIEVEMENTS_TABLE = '`user_achievements`';
+
+/**
+ * 确保 user_achievements 表存在
+ */
+async function ensureUserAchievementsTable() {
+    const createSql = `
+    CREATE TABLE IF NOT EXISTS ${USER_ACHIEVEMENTS_TABLE} (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(191) NOT NULL COMMENT '用户ID',
+    file_id VARCHAR(191) NOT NULL COMMENT '游戏ID',
+    achievement_id VARCHAR(191) NOT NULL COMMENT '成就ID（游戏规则中定义）',
+    session_id CHAR(32) NULL COMMENT '解锁成就的存档',
+    title VARCHAR(255) NOT NULL COMMENT '成就名称',
+    points INT NOT NULL DEFAULT 0 COMMENT '奖励积分',
+    unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_user_file_achievement (user_id, file_id, achievement_id),
+    KEY idx_user_id (user_id),
+    KEY idx_file_id (file_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='用户成就表';
+`;
+    try {
+        await pool.query(createSql);
+        console.log("User achievements table ensured");
+    } catch (err) {
+        console.error("Failed to ensure user_achievements table:", err);
+    }
+}
+
+// 初始化表结构
+ensureUserAchievementsTable();
+
+/**
+ * 记录用户解锁的成就（同一用户同一游戏的成就只记录一次）
+ * @param {Object} data
+ * @param {string} data.userId - 用户ID
+ * @param {string} data.fileId - 游戏ID
+ * @param {string} data.achievementId - 成就ID
+ * @param {string} [data.sessionId] - 存档ID
+ * @param {string} data.title - 成就名称
+ * @param {number} [data.points=0] - 奖励积分
+ * @returns {Promise<boolean>} - 首次解锁返回 true，之前已解锁返回 false
+ */
+export async function unlockUserAchievement({ userId, fileId, achievementId, sessionId = null, title, points = 0 }) {
+    const sql = `
+    INSERT IGNORE INTO ${USER_ACHIEVEMENTS_TABLE}
+    (user_id, file_id, achievement_id, session_id, title, points)
+    VALUES (?, ?, ?, ?, ?, ?)
+`;
+    const [result] = await pool.execute(sql, [String(userId), fileId, achievementId, sessionId, title, points]);
+    return result.affectedRows === 1;
+}
+
+/**
+ * 查询用户已解锁的成就
+ * @param {string} userId - 用户ID
+ * @param {string} [fileId] - 只查询该游戏的成就（可选）
+ * @returns {Promise<Array>} - 按解锁时间倒序
+ */
+export async function listUserAchievements(userId, fileId = null) {
+    const sql = `
+    SELECT file_id, achievement_id, session_id, title, points, unlocked_at
+    FROM ${USER_ACHIEVEMENTS_TABLE}
+    WHERE user_id = ?${fileId ? ' AND file_id = ?' : ''}
+    ORDER BY unlocked_at DESC
+`;
+    const [rows] = await pool.execute(sql, fileId ? [String(userId), fileId] : [String(userId)]);
+    return rows;
+}
+
+export default {
+    unlockUserAchievement,
+    listUserAchievements
+};
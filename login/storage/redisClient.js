@@ -18,6 +18,9 @@ const createMockRedisClient = () => ({
   del: async () => 1,
   setEx: async () => 'OK',
   expire: async () => true,
+  rPush: async () => 1,
+  lRange: async () => [],
+  eval: async () => 1,
   on: () => {},
   disconnect: async () => Promise.resolve(),
 });
@@ -87,6 +90,9 @@ if (process.env.NODE_ENV !== 'test') {
     'del',
     'setEx',
     'expire',
+    'rPush',
+    'lRange',
+    'eval',
   ].forEach(wrapMethod);
 }
 
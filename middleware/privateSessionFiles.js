@@ -0,0 +1,19 @@
+/**
+ * Session files that the static /game_data route must not serve: the replay log (every prompt
+ * and model answer, and a copy of the session's initial files), the dice state (its seed
+ * predicts every roll) and the saves (which carry the dice state too)
+ */
+const PRIVATE_PATH = /(^|\/)(replay|saves)(\/|$)|(^|\/)dice_[^/]*\.json$/i;
+
+export function hidePrivateSessionFiles(req, res, next) {
+  let requestedPath;
+  try {
+    requestedPath = decodeURIComponent(req.path);
+  } catch {
+    return res.status(400).json({ success: false, error: 'Bad path' });
+  }
+  if (PRIVATE_PATH.test(requestedPath)) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  next();
+}
@@ -0,0 +1,16 @@
+import { runRecordedRequest } from '../services/sessionLogService.js';
+
+/**
+ * Record every request that can change a session (anything but GET) in the session's
+ * replay log, and attribute the LLM calls and random draws it makes to that session
+ */
+export function recordSessionRequest(req, res, next) {
+  if (req.method === 'GET') {
+    return next();
+  }
+  runRecordedRequest(req.params.sessionId, {
+    method: req.method,
+    url: req.originalUrl,
+    body: req.body || {}
+  }, () => next());
+}
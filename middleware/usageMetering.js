@@ -0,0 +1,23 @@
+import { runMeteredRequest, settleMeteredRequest, getMeteringContext } from '../services/usageMeteringService.js';
+
+// Session id in a route path (/game/session/:sessionId, /npc-chat/:sessionId, /session/:sessionId, ...)
+const SESSION_PATH = /\/(?:session|npc-chat|novel)\/([\w-]+)/;
+
+/**
+ * Meter the model usage of a request as one turn (see services/usageMeteringService.js)
+ * and bill it to the authenticated caller once the response has been sent or the client went away
+ */
+export function meterRequest(req, res, next) {
+  runMeteredRequest({
+    sessionId: req.params.sessionId || req.path.match(SESSION_PATH)?.[1] || req.body?.sessionId,
+    userId: req.user?.userId,
+    route: `${req.method} ${req.originalUrl.split('?')[0]}`
+  }, () => {
+    const store = getMeteringContext();
+    if (!res.locals.meteringSettler) {
+      res.locals.meteringSettler = () => settleMeteredRequest(store);
+      res.on('close', res.locals.meteringSettler);
+    }
+    next();
+  });
+}
@@ -1,7 +1,12 @@
 import express from 'express';
 import { upload } from '../middleware/upload.js';
+import { recordSessionRequest } from '../middleware/sessionLog.js';
+import { meterRequest } from '../middleware/usageMetering.js';
+import { authMiddleware, optionalAuthMiddleware } from '../login/authMiddleware.js';
 import {
   uploadAndProcessPDF,
+  createIngestionTask,
+  getIngestionTask,
   getGameFiles,
   getSpecificFile,
   getGameHistory,
@@ -9,6 +14,8 @@ import {
   sendGameAction,
   getSessionState,
   useItem,
+  equipItem,
+  unequipItem,
   changeScene,
   getSavedGameFiles,
   getSavedGameSpecificFile,
@@ -33,7 +40,8 @@ import {
   getAllMissions,
   submitMission,
   getStorylineStatus,
-  abandonMissionController
+  abandonMissionController,
+  getMissionGraph
 } from '../controllers/missionController.js';
 import {
   connectToSessionStream,
@@ -42,7 +50,9 @@ import {
   getActiveConnections,
   buildingFeatureInteractionWithStream,
   getBuildingFeatures,
-  getSceneBuildings
+  getSceneBuildings,
+  regenerateWithLiveStream,
+  resumeSessionTurnStream
 } from '../controllers/sseController.js';
 import {
   sendMessageToNPC,
@@ -56,22 +66,85 @@ import {
   getNovelController,
   deleteNovelController
 } from '../controllers/novelController.js';
-import { skipToNextEra } from '../controllers/timeController.js';
+import { skipToNextEra, getCurrentEra } from '../controllers/timeController.js';
+import {
+  getSaves,
+  createSave,
+  loadSaveController,
+  forkSaveController,
+  deleteSaveController,
+  undoLastTurnController
+} from '../controllers/saveController.js';
+import {
+  getGameRules,
+  updateGameRules,
+  getSessionRules,
+  getSessionAudit
+} from '../controllers/rulesController.js';
+import {
+  getBuildingShop,
+  buyFromShop,
+  sellToShop
+} from '../controllers/shopController.js';
+import { getFactions } from '../controllers/factionController.js';
+import { getCombatState, sendCombatAction } from '../controllers/combatController.js';
+import { getSessionEnding } from '../controllers/endingController.js';
+import { getSessionAchievements } from '../controllers/achievementController.js';
 
 const router = express.Router();
 
+// Session-changing requests go to the session's replay log (see services/sessionLogService.js)
+router.use(['/game/session/:sessionId', '/npc-chat/:sessionId'], recordSessionRequest);
+
+// Model usage is metered per request and billed to the logged-in caller, if any (see services/usageMeteringService.js)
+router.use(optionalAuthMiddleware, meterRequest);
+
 // ============================================
 // INTERFACE 1: PDF UPLOAD & PROCESSING
 // ============================================
 
+/**
+ * Reserve an ingestion task id to poll progress with while the upload is processed
+ * POST /api/backend/pdf/tasks
+ *
+ * Headers: Authorization: Bearer <token> (optional; the task belongs to the caller)
+ * Response: 201 { success: true, taskId }
+ */
+router.post('/pdf/tasks', optionalAuthMiddleware, createIngestionTask);
+
 /**
  * Upload and process PDF in one step
  * POST /api/backend/pdf/upload-and-process
  *
+ * Headers: Authorization: Bearer <token> (optional; the task belongs to the caller)
  * Request: multipart/form-data with 'pdf' field
- * Response: { success, fileId, message, data }
+ *   - taskId (optional): an id from POST /pdf/tasks (404 unknown, 403 another user's, 409 already used);
+ *     without it the server creates a task
+ *   - generateImages (optional): 'true' to generate images after extraction
+ * Response: { success, fileId, taskId, message, data: { ..., chunkCount } }
+ *
+ * Long documents are split by heading/page and extracted chunk by chunk
+ * (chunk size: INGEST_CHUNK_CHARS), then merged by entity id/name.
  */
-router.post('/pdf/upload-and-process', upload.single('pdf'), uploadAndProcessPDF);
+router.post('/pdf/upload-and-process', optionalAuthMiddleware, upload.single('pdf'), uploadAndProcessPDF);
+
+/**
+ * Get ingestion progress
+ * GET /api/backend/pdf/tasks/:taskId
+ *
+ * Headers: Authorization: Bearer <token> (the task's owner; 403 for other callers)
+ * Response: {
+ *   success: true,
+ *   task: {
+ *     taskId, state: "pending" | "processing" | "completed" | "failed",
+ *     progress, message, fileId, chunkCount,
+ *     chunk: { index, total, titles, pages },
+ *     failedChunks: [{ chunk, category, issues }],
+ *     result, error
+ *   }
+ * }
+ */
+router.get('/pdf/tasks/:taskId', optionalAuthMiddleware, getIngestionTask);
 // ============================================
 // INTERFACE 2: JSON FILE RETRIEVAL
 // ============================================
@@ -159,12 +232,14 @@ router.put('/game/session/:sessionId/player/name', updatePlayerName);
  * Create a new game session
  * POST /api/backend/game/session/create
  *
- * Request body: { fileId, playerName? }
+ * Request body: { fileId, playerName?, literaryStyle?, seed? }
+ *   - seed: integer random seed, to reproduce a session's dice (random when omitted)
  * Response: {
  *   success,
  *   sessionId,
  *   fileId,
  *   playerName,
+ *   seed,
  *   gameState,
  *   characterStatus,
  *   files: { lore, player, items, scenes },
@@ -186,8 +261,11 @@ router.post('/game/session/create', createSession);
  *   characterStatus,
  *   isInitialized,
  *   updatedFiles: { lore, player, items, scenes },
+ *   moderation?: { stage: 'output', blocked, categories, injection },  // the answer was refused (INTERFACE 19)
  *   timestamp
  * }
+ *
+ * 422 when moderation refuses the action: { success: false, error: 'Content blocked', message, moderation }
  */
 router.post('/game/session/:sessionId/action', sendGameAction);
 
@@ -215,11 +293,19 @@ router.get('/game/session/:sessionId', getSessionState);
  * Use an item from inventory
  * POST /api/backend/game/session/:sessionId/use-item
  *
- * Request body: { itemId: "item_identifier" }
+ * The item's typed effects (heal, modify, buff, unlock_scene, trigger_event) are applied by the
+ * rules engine at the start of a story turn, then the model narrates the use. Undo reverts both.
+ *
+ * Request body: { itemId: "item id or name" }
  * Response: {
  *   success,
  *   itemUsed: { id, name },
- *   response: "LLM text with '我使用了{itemName}' prepended",
+ *   effects: [{ type, stat?, amount?, duration?, sceneId?, event? }],
+ *   buffs: [{ id, stat, amount, remainingTurns, source }],
+ *   events: ["narrative events triggered by the item"],
+ *   audit: [...status changes],
+ *   response: "LLM narration",
+ *   narrativeSteps: [...],
  *   actionOptions: [...],
  *   gameState,
  *   characterStatus,
@@ -227,9 +313,30 @@ router.get('/game/session/:sessionId', getSessionState);
  *   updatedFiles: { lore, player, items, scenes },
  *   timestamp
  * }
+ * 400 when the item's requirements are not met
  */
 router.post('/game/session/:sessionId/use-item', useItem);
 
+/**
+ * Equip an inventory item
+ * POST /api/backend/game/session/:sessionId/equip
+ *
+ * Request body: { itemId: "item id or name", slot?: "rightHand" }
+ * Without a slot the first free slot the item fits is used. The previous item in the slot is
+ * unequipped; the item's stats are added while it stays equipped.
+ * Response: { success, slot, item: { id, name }, equipment, characterStatus, audit, timestamp }
+ */
+router.post('/game/session/:sessionId/equip', equipItem);
+
+/**
+ * Unequip an item and remove its stat bonuses
+ * POST /api/backend/game/session/:sessionId/unequip
+ *
+ * Request body: { slot: "rightHand" } or { itemId: "item id or name" }
+ * Response: { success, slot, item: { id, name }, equipment, characterStatus, audit, timestamp }
+ */
+router.post('/game/session/:sessionId/unequip', unequipItem);
+
 
 
 /**
@@ -356,13 +463,65 @@ router.post('/game/session/:sessionId/stream/action', sendActionWithStream);
  * Best user experience - text appears character by character.
  *
  * Request body: { action }
- * Response: SSE stream with events:
+ * Response: SSE stream of typed events (`event: <type>`; data also carries `type`):
  * - start: Stream started
- * - stream: Real-time chunks from Claude
- * - complete: Final data with all files
+ * - raw_text: Real-time chunks from Claude ({ text, chunkIndex })
+ * - step: A parsed step the moment it closes ({ stepIndex, step, isIncremental }); hint steps
+ *   carry their changes, checks are sent again with their result under the same stepIndex
+ * - status: Status changes applied by the rules engine
+ *   ({ source: 'item' | 'narrative', changes: [audit entries], characterStatus, expiredEffects? })
+ * - mission: { event: 'created', mission } or { event: 'activated' | 'failed', missions }
+ * - achievement / moderation: see INTERFACE 18 and 19
+ * - complete: All steps of the turn ({ totalSteps, allSteps })
+ * - data: Final data with all files
+ * - done / error
+ *
+ * Every event has an id and is kept in the session's event log (Redis, TURN_EVENT_LOG_TTL_SECONDS;
+ * raw_text only while the turn runs on the server the client reconnects to).
+ * Sending the request again with a Last-Event-ID header resumes the turn instead of replaying
+ * the action: the missed events are sent, then the rest live while it is still generated.
+ * While another turn of the session runs the request waits for it; 409 (JSON) when it waited too long.
  */
 router.post('/game/session/:sessionId/stream/action-live', sendActionWithLiveStream);
 
+/**
+ * Resume a turn stream after a dropped connection
+ * GET /api/backend/game/session/:sessionId/stream/resume
+ *
+ * Header: Last-Event-ID (or query ?lastEventId=); without it the whole latest turn is sent.
+ * Response: SSE stream of the events after that id (same events as /stream/action-live); stays
+ *   open while the turn is still generated, on this server or another one.
+ * Error cases:
+ * - error event { error: 'No turn to resume' }: the session's event log is empty or expired
+ */
+router.get('/game/session/:sessionId/stream/resume', resumeSessionTurnStream);
+
+/**
+ * Regenerate the latest turn
+ * POST /api/backend/game/session/:sessionId/regenerate
+ *
+ * Reverts every side effect of the latest turn (status changes, turn count, missions,
+ * NPC memories, history) and streams a new response to the same action. When the new response
+ * fails, the session is left at the start of the turn, as after an undo.
+ *
+ * Request body: (none required)
+ * Response: SSE stream like /stream/action-live (resumable the same way); the final data event
+ *   also has { regenerated: true, regeneratedTurn, action }
+ */
+router.post('/game/session/:sessionId/regenerate', regenerateWithLiveStream);
+
+/**
+ * Undo the latest turn
+ * POST /api/backend/game/session/:sessionId/undo
+ *
+ * Restores the state right before the latest turn (falls back to the previous turn's checkpoint).
+ *
+ * Response: { success: true, undoneTurn, action, restoredFrom, gameState, characterStatus, history }
+ * Error cases:
+ * - 409: Nothing to undo (no turn played, or no earlier state saved)
+ */
+router.post('/game/session/:sessionId/undo', undoLastTurnController);
+
 // ============================================
 // BUILDING FEATURE INTERACTION WITH SSE
 // ============================================
@@ -379,6 +538,7 @@ router.post('/game/session/:sessionId/stream/action-live', sendActionWithLiveStr
  * - start: Interaction started
  * - stream: Real-time response chunks
  * - complete: Final result with response and options (if applicable)
+ * - error: e.g. the building is closed at the current game hour
  */
 router.post('/game/session/:sessionId/building-feature/stream', buildingFeatureInteractionWithStream);
 
@@ -394,7 +554,19 @@ router.get('/game/session/:sessionId/scene/:sceneId/building/:buildingId/feature
  * Get scene buildings
  * GET /api/backend/game/session/:sessionId/scene/:sceneId/buildings
  *
- * Returns all buildings in a scene with their features.
+ * Returns all buildings in a scene with their features, whether they are open at the
+ * current game hour and which NPCs their schedules put inside right now.
+ *
+ * Response: {
+ *   success: true,
+ *   sceneId,
+ *   buildings: [{
+ *     id, name, description, icon, type, features, hasShop,
+ *     isOpen: boolean,
+ *     openHours: { from, to } | null,
+ *     npcs: [{ id, name, activity }]
+ *   }]
+ * }
  */
 router.get('/game/session/:sessionId/scene/:sceneId/buildings', getSceneBuildings);
 
@@ -410,8 +582,9 @@ router.get('/game/session/:sessionId/scene/:sceneId/buildings', getSceneBuilding
  * Response: SSE stream with events:
  * - connected: Connection established
  * - chunk: Text chunks from NPC response
- * - complete: Final data with relationship changes
+ * - complete: Final data with relationship changes (moderation when the reply was refused)
  * - done: Stream finished
+ * - error: also sent when moderation refuses the message (with moderation, see INTERFACE 19)
  *
  * Example:
  * POST /api/backend/npc-chat/session123/npc_merchant/send
@@ -583,6 +756,7 @@ router.get('/saves/:saveId/avatars/:filename', serveAvatarImage);
  *     turnsUntilNextMission: number,
  *     activeMissions: [...],
  *     completedMissions: [...],
+ *     failedMissions: [...],             // Ran out of turns / in-game days
  *     totalMissions: number
  *   },
  *   timestamp: string
@@ -614,6 +788,44 @@ router.get('/game/session/:sessionId/missions', getMissions);
  */
 router.get('/game/session/:sessionId/missions/all', getAllMissions);
 
+/**
+ * Get the quest graph of a session
+ * GET /api/backend/game/session/:sessionId/missions/graph
+ *
+ * Missions (authored quests and generated story missions) plus authored quests
+ * that are not active yet, and how they unlock each other.
+ *
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     turnCount: number,
+ *     today: number,                     // In-game day number
+ *     nodes: [{
+ *       id, title,
+ *       status: 'active' | 'completed' | 'failed' | 'abandoned' | 'pending' | 'locked',
+ *       source: 'authored' | 'generated',
+ *       isStoryMission, chainId,
+ *       paths: [{ pathId, name }],
+ *       completedViaPath, failureReason,
+ *       timeLimits: { turnsLeft?, deadlineDay? } | null
+ *     }],
+ *     edges: [{
+ *       from, to,
+ *       type: 'prerequisite' | 'followUp' | 'branch' | 'failure',
+ *       pathId?, outcome?
+ *     }]
+ *   },
+ *   timestamp: string
+ * }
+ *
+ * Error cases:
+ * - 404: Session not found
+ *
+ * Example:
+ * GET /api/backend/game/session/abc123/missions/graph
+ */
+router.get('/game/session/:sessionId/missions/graph', getMissionGraph);
+
 /**
  * Submit a mission for completion validation
  * POST /api/backend/game/session/:sessionId/missions/:missionId/submit
@@ -638,6 +850,7 @@ router.get('/game/session/:sessionId/missions/all', getAllMissions);
  *       missingRequirements: [...]
  *     }
  *   ],
+ *   unlockedMissions: [...],            // Quests activated by this completion
  *   message: string,
  *   attempts: number,
  *   timestamp: string
@@ -717,13 +930,24 @@ router.get('/game/session/:sessionId/storyline/status', getStorylineStatus);
  *
  * Query parameters:
  * - grouped: boolean - Return network grouped by relationship levels (default: false)
+ * - graph: boolean - Return the social graph instead of the list (default: false)
  *
  * Returns the player's relationship network with all NPCs, including their details
  * from the scene data. Relationships are automatically synced to scene JSON files.
  *
+ * With graph=true, data is { nodes, edges }:
+ * - nodes: the player ("player"), every NPC (kind "npc", with factions and relationship)
+ *   and every faction an NPC belongs to (kind "faction", id "faction:<name>")
+ * - edges: { from, to, type, label?, value? }; type "player" for the player's relationships,
+ *   "member" for faction membership, otherwise the NPC-to-NPC relation type (family, rival, ...)
+ *
+ * NPC-to-NPC relations come from the scene data and change with
+ * [CHANGE: RELATIONSHIP, NPC名字, NPC名字, +/-数值] markers in the story.
+ *
  * Example:
  * GET /api/backend/game/session/abc123/network
  * GET /api/backend/game/session/abc123/network?grouped=true
+ * GET /api/backend/game/session/abc123/network?graph=true
  */
 router.get('/game/session/:sessionId/network', getPlayerNetwork);
 
@@ -753,7 +977,7 @@ router.get('/game/session/:sessionId/network', getPlayerNetwork);
  *   },
  *   timeChange: {
  *     yearsPassed: number,
- *     previousDate: string,
+ *     previousDate: string,             // Formatted with the game's calendar
  *     newDate: string
  *   },
  *   playerChanges: {
@@ -767,6 +991,8 @@ router.get('/game/session/:sessionId/network', getPlayerNetwork);
  *     lore: object,
  *     player: object
  *   },
+ *   ending?: object,                    // when reaching the era's key event ended the game (INTERFACE 17)
+ *   newAchievements?: object[],         // achievements unlocked by the skip (INTERFACE 18)
  *   timestamp: string
  * }
  *
@@ -780,6 +1006,30 @@ router.get('/game/session/:sessionId/network', getPlayerNetwork);
  */
 router.post('/game/session/:sessionId/skip-to-era', skipToNextEra);
 
+/**
+ * Get the current era, the next one and the in-game date
+ * GET /api/backend/game/session/:sessionId/current-era
+ *
+ * Response: {
+ *   success: true,
+ *   currentEra: { index, title, year, description } | null,
+ *   nextEra: { index, title, year, description } | null,
+ *   gameTime: {
+ *     yearName, currentYear, currentMonth, currentDay,
+ *     currentHour: number | null,
+ *     season: string | null,
+ *     formatted: string                 // e.g. "建安13年3月5日"
+ *   },
+ *   calendar: { months: [{ name, days }], hoursPerDay, seasons: [{ name, startMonth }], eras: [{ name, startYear }] },
+ *   canSkipToNextEra: boolean,
+ *   timestamp: string
+ * }
+ *
+ * Example:
+ * GET /api/backend/game/session/abc123/current-era
+ */
+router.get('/game/session/:sessionId/current-era', getCurrentEra);
+
 // ============================================
 // INTERFACE 11: LITERARY STYLES
 // ============================================
@@ -808,4 +1058,332 @@ router.post('/game/session/:sessionId/skip-to-era', skipToNextEra);
  */
 router.get('/literary-styles', getLiteraryStyles);
 
+// ============================================
+// INTERFACE 12: SAVE SLOTS & CHECKPOINTS
+// ============================================
+
+/**
+ * List save slots and automatic checkpoints of a classic session
+ * GET /api/backend/game/session/:sessionId/saves
+ *
+ * A checkpoint (saveId "turn_<n>") is written after every turn; named slots ("slot_<hex>")
+ * are created on request. Each save snapshots history, player status, missions,
+ * scenes (NPC memories), NPC chat logs and the lore gameTime.
+ *
+ * Response: {
+ *   success: true,
+ *   saves: [
+ *     {
+ *       saveId: "turn_3" | "slot_1a2b3c4d",
+ *       type: "checkpoint" | "slot",
+ *       name: string,
+ *       turn: number,
+ *       createdAt: string,
+ *       summary: { historyLength, location, gameTime, preview }
+ *     }
+ *   ],
+ *   count: number
+ * }
+ */
+router.get('/game/session/:sessionId/saves', getSaves);
+
+/**
+ * Create a named save slot
+ * POST /api/backend/game/session/:sessionId/saves
+ *
+ * Request body: { name?: string }
+ * Response: { success: true, save: {...} }
+ */
+router.post('/game/session/:sessionId/saves', createSave);
+
+/**
+ * Load a save into the session (rewind)
+ * POST /api/backend/game/session/:sessionId/saves/:saveId/load
+ *
+ * Checkpoints after the loaded turn are discarded; named slots are kept.
+ *
+ * Response: { success: true, save, gameState, characterStatus, history }
+ */
+router.post('/game/session/:sessionId/saves/:saveId/load', loadSaveController);
+
+/**
+ * Branch a new session from a save, leaving the original untouched
+ * POST /api/backend/game/session/:sessionId/saves/:saveId/fork
+ *
+ * Response: { success: true, sessionId: <new session>, forkedFrom: { sessionId, saveId, turn }, gameState, characterStatus }
+ */
+router.post('/game/session/:sessionId/saves/:saveId/fork', forkSaveController);
+
+/**
+ * Delete a save
+ * DELETE /api/backend/game/session/:sessionId/saves/:saveId
+ */
+router.delete('/game/session/:sessionId/saves/:saveId', deleteSaveController);
+
+// ============================================
+// INTERFACE 13: GAME RULES & STATUS AUDIT
+// ============================================
+
+/**
+ * Get the rules of a game (rules_<fileId>.json merged with defaults)
+ * GET /api/backend/rules/:fileId
+ *
+ * Response: {
+ *   success: true,
+ *   rules: {
+ *     attributes: { [stat]: { min?, max?, maxDeltaPerTurn? } },   // min/max: number or expression ("maxHealth")
+ *     currency: { [currency]: { min?, max?, maxDeltaPerTurn? } }, // currency defaults to min 0
+ *     derived: { [stat]: "100 + 体质 * 10" },                      // recomputed after every change
+ *     items: { [itemId or name]: { effects: { [stat]: delta }, consumable, requires: { [stat]: minimum } } },
+ *     relationships: { min: 0, max: 100, maxDeltaPerTurn? },
+ *     levels?: { stat: "experience", levelStat: "level", thresholds: number[], rewards: { [stat]: perLevel } },
+ *     endings: [{ id, title, kind: "good" | "neutral" | "bad" | "death", description, priority,
+ *       when: { keyEvent?, scene?, relationship?: { npc, min?, max? }, death?, condition? } }],
+ *     unknownAttributes: "allow" | "reject"
+ *   }
+ * }
+ */
+router.get('/rules/:fileId', getGameRules);
+
+/**
+ * Replace the rules of a game (validated; 400 with field issues when invalid)
+ * PUT /api/backend/rules/:fileId
+ * Headers: Authorization: Bearer <token> (the game's creator; 401 without a token, 403 for other users)
+ *
+ * New sessions copy the rules at creation; running sessions keep the rules they started with.
+ */
+router.put('/rules/:fileId', authMiddleware, updateGameRules);
+
+/**
+ * Rules a session is played with
+ * GET /api/backend/game/session/:sessionId/rules
+ */
+router.get('/game/session/:sessionId/rules', getSessionRules);
+
+/**
+ * Status change audit trail, newest first
+ * GET /api/backend/game/session/:sessionId/audit?limit=50
+ *
+ * Response: {
+ *   success: true,
+ *   entries: [
+ *     {
+ *       timestamp, source: "narrative" | "item:<id>" | "equip:<id>" | "unequip:<id>" | "buff:expired" | "shop:<buildingId>"
+ *         | "npc_chat:<npcId>" | "rule:level" | "rule:derived" | "rule:bounds",
+ *       target: "stats.health", before, after, requested, applied,
+ *       status: "applied" | "adjusted" | "rejected", reason
+ *     }
+ *   ],
+ *   total: number
+ * }
+ */
+router.get('/game/session/:sessionId/audit', getSessionAudit);
+
+// ============================================
+// INTERFACE 14: SHOPS & ECONOMY
+// ============================================
+
+/**
+ * Shop of a building: stock, prices, the player's funds and what the shop pays for their items
+ * GET /api/backend/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop
+ *
+ * Response: {
+ *   success: true,
+ *   shop: {
+ *     sceneId, buildingId, name, isOpen, openHours, currency, funds, sellRate, restockEveryDays, nextRestockDay,
+ *     stock: [{ itemId, name, description, price, quantity (null = unlimited), affordable }],
+ *     sellPrices: [{ itemId, name, quantity, price }]
+ *   }
+ * }
+ * 404 when the building has no shop; buying and selling answer 409 while it is closed.
+ * For a shop run by a faction, `faction` is { factionId, factionName, reputation, tier, priceModifier,
+ * refusesTrade } and prices already include the modifier (null for other shops); buying and selling
+ * answer 403 when the faction refuses to trade.
+ */
+router.get('/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop', getBuildingShop);
+
+/**
+ * Buy from a shop. Currency, inventory and stock are settled by the server; the model only narrates.
+ * POST /api/backend/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop/buy
+ *
+ * Request body: { itemId, quantity?: 1 }
+ * Response: {
+ *   success: true,
+ *   transaction: { type: "buy", item: { id, name }, quantity, unitPrice, total, currency, balance, stockLeft, audit },
+ *   narration: "...",
+ *   characterStatus
+ * }
+ * 400 when the player cannot afford it or the stock is too low
+ */
+router.post('/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop/buy', buyFromShop);
+
+/**
+ * Sell an inventory item to a shop at the shop's sellRate of its price
+ * POST /api/backend/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop/sell
+ *
+ * Request body: { itemId (id or name), quantity?: 1 }
+ * Response: same shape as /shop/buy with transaction.type "sell"
+ * 400 when the item is equipped or the shop will not buy it
+ */
+router.post('/game/session/:sessionId/scene/:sceneId/building/:buildingId/shop/sell', sellToShop);
+
+// ============================================
+// INTERFACE 15: FACTIONS & REPUTATION
+// ============================================
+
+/**
+ * Factions of the game (lore `factions`) and the player's reputation with each
+ * GET /api/backend/game/session/:sessionId/factions
+ *
+ * Response: {
+ *   success: true,
+ *   factions: [{
+ *     id, name, description, reputation, tier,
+ *     members: ["NPC name"], allies: ["faction id"], rivals: ["faction id"], buildings: ["building id"],
+ *     unlocks: [{ sceneId, minReputation, unlocked }]
+ *   }]
+ * }
+ *
+ * Reputation changes with [CHANGE: REPUTATION, 势力名, +/-数值] markers and spreads from relationship
+ * changes with members (story turns and NPC chat) to their factions, allies and rivals, per the
+ * lore `factionRules`. Every change is in the status audit trail (source "rule:faction").
+ */
+router.get('/game/session/:sessionId/factions', getFactions);
+
+// ============================================
+// INTERFACE 16: SKILL CHECKS & COMBAT
+// ============================================
+
+/**
+ * Skill checks need no endpoint: a story turn with [CHECK: 属性, 难度] is rolled by the server
+ * (rules `checks`, seeded per session) and narrated in the same turn. The stream sends the check
+ * step again with its result under the same stepIndex ({ type: 'check', resolved: true, roll,
+ * modifier, total, difficulty, success }) and the final data event lists them in `checks`.
+ *
+ * A [COMBAT: 敌人, ...] step starts a fight (`combatActive: true`, `combat` in the turn result).
+ * Story actions are refused with `combatActive: true` until it ends.
+ */
+
+/**
+ * Current or last fight of the session
+ * GET /api/backend/game/session/:sessionId/combat
+ *
+ * Response: {
+ *   success: true,
+ *   combatActive: true,
+ *   combat: {
+ *     active, round, order: ["player", "enemy_1"], initiative: { player: 15 },
+ *     combatants: [{ id, name, side: "player" | "enemy", hp, maxHp, attack, defense, initiative, damage, defending }],
+ *     log: [{ round, action, events }], outcome: null | "victory" | "defeat" | "fled", rewards
+ *   } | null
+ * }
+ */
+router.get('/game/session/:sessionId/combat', getCombatState);
+
+/**
+ * Play one combat round: the player's action, then every enemy in initiative order
+ * POST /api/backend/game/session/:sessionId/combat/action
+ *
+ * Request Body: {
+ *   action: "attack" | "defend" | "flee" | "item",
+ *   targetId: "enemy_1",   // attack (defaults to the first living enemy)
+ *   itemId: "health_potion" // item
+ * }
+ *
+ * Response: {
+ *   success: true,
+ *   combatActive: false,
+ *   combat: { ... },
+ *   events: [{ type: "attack", actor, target, roll, total, defense, hit, critical, damage, targetHp, text }],
+ *   narration: "...",
+ *   characterStatus: { ... },
+ *   ending?: { ... }        // when the fight ended the game (see INTERFACE 17)
+ *   newAchievements?: [...] // unlocked when the fight ended (see INTERFACE 18)
+ * }
+ *
+ * Damage to the player goes through the rules (`combat.hpStat`, audit source "combat"); enemy
+ * rewards are granted on victory. The outcome is told to the storyteller on the next story turn.
+ * 409 without an active fight, 400 for an invalid action, target or item.
+ */
+router.post('/game/session/:sessionId/combat/action', sendCombatAction);
+
+// ============================================
+// INTERFACE 17: ENDINGS
+// ============================================
+
+/**
+ * Endings are authored in the game's rules (`endings`) and checked by the server after every
+ * story turn and combat round. The first one reached (highest priority) ends the game: an
+ * epilogue sums up the playthrough, the stream sends an ending step after the turn's steps
+ * ({ type: 'ending', endingId, title, kind, kindLabel, content: epilogue }), the turn result
+ * carries `ending` and the session is marked completed in game_sessions. Later actions only
+ * return the ending step. Undoing the turn (or loading an earlier save) undoes the ending.
+ */
+
+/**
+ * Ending the session reached
+ * GET /api/backend/game/session/:sessionId/ending
+ *
+ * Response: {
+ *   success: true,
+ *   ended: true,
+ *   ending: { id, title, kind, description, epilogue, turn, endedAt } | null
+ * }
+ */
+router.get('/game/session/:sessionId/ending', getSessionEnding);
+
+// ============================================
+// INTERFACE 18: ACHIEVEMENTS
+// ============================================
+
+/**
+ * Achievements are authored in the game's rules (`achievements`) and checked by the server after
+ * every story turn, finished fight and era skip. A newly unlocked one is kept in the session
+ * (achievements_<sessionId>.json) and on the player's account (MySQL user_achievements, once
+ * per player and game, with its points awarded the first time). The stream announces it after
+ * the turn's steps ({ type: 'achievement', achievement }) and the turn result carries
+ * `newAchievements`: [{ id, title, description, icon?, points, pointsAwarded, unlockedAt }].
+ * The player's unlocks across games are listed by GET /api/auth/user/achievements.
+ */
+
+/**
+ * The game's achievements and which ones are unlocked
+ * GET /api/backend/game/session/:sessionId/achievements
+ *
+ * Response: {
+ *   success: true,
+ *   achievements: [{
+ *     id, title, description, icon?, hidden, points,
+ *     unlocked: boolean,                 // by this session or an earlier one of the player
+ *     unlockedInSession: boolean,
+ *     unlockedAt: string | null
+ *   }],                                  // locked hidden ones: { id, title: '???', hidden: true, points, unlocked: false }
+ *   unlockedCount: number,
+ *   total: number
+ * }
+ */
+router.get('/game/session/:sessionId/achievements', getSessionAchievements);
+
+// ============================================
+// INTERFACE 19: CONTENT MODERATION
+// ============================================
+
+/**
+ * Player actions (/action, /stream/*), NPC chat messages and visual actions are moderated
+ * before they reach the model, and the model's answer before it is kept. Keyword lists and an
+ * optional classifier score the text per category (sexual, minors, violence, self_harm, hate,
+ * illegal); the game's content rating (rules `contentRating`: all | teen | mature) sets the
+ * scores that get it logged for review and refused. Player input is also checked for
+ * prompt-injection attempts (e.g. "忽略之前的指令", typed game markers like [CHANGE: ...]).
+ *
+ * - Refused input: the turn is not played. JSON endpoints answer 422, streams send
+ *   { type: 'error', error: 'Content blocked', message, moderation: { stage: 'input', blocked, categories, injection } }
+ * - Refused output: replaced with a fallback narration (NPC chat: a fallback line) before it is
+ *   kept; streams send { type: 'moderation', stage: 'output', blocked, categories, injection, replacement }
+ *   after the streamed steps, and the result carries `moderation`
+ *
+ * Refused and flagged texts are stored in MySQL (moderation_flags). Admins review them with
+ * GET /api/auth/admin/moderation/flags and POST /api/auth/admin/moderation/flags/:flagId/review.
+ */
+
 export default router;
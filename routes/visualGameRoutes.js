@@ -1,6 +1,8 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
+import { meterRequest } from '../middleware/usageMetering.js';
+import { optionalAuthMiddleware } from '../login/authMiddleware.js';
 import {
   uploadAndProcessDocument,
   getDocumentFiles,
@@ -11,6 +13,7 @@ import {
   sendActionWithStream,
   getHistory,
   regenerateResponse,
+  resumeStream,
   editHistory,
   generateAllImages,
   generateNPCImage,
@@ -44,6 +47,9 @@ import {
 
 const router = express.Router();
 
+// Model usage and generated images are metered per request and billed to the logged-in caller, if any (see services/usageMeteringService.js)
+router.use(optionalAuthMiddleware, meterRequest);
+
 // Configure multer for file uploads
 const upload = multer({
   dest: 'uploads/',
@@ -157,6 +163,8 @@ router.post('/session/create', createSession);
  *     npcs: [{ id, name, job, race, images }, ...],
  *     visitedScenes,
  *     gameStarted,
+ *     reachedKeyEvents: ["key event title"],
+ *     ending: { id, title, kind, description, epilogue, historyIndex, endedAt } | null,
  *     worldInfo: { title, summary, theme }
  *   }
  * }
@@ -171,17 +179,40 @@ router.get('/session/:sessionId', getSessionState);
  *   action: string  // Required: Player's action or dialogue
  * }
  *
- * Response: Server-Sent Events (SSE) stream with the following event types:
- * - type: 'start' - Initial event when processing starts
- * - type: 'raw_text' - Raw text chunks from Claude as they arrive
- * - type: 'step' - Parsed narrative steps (narration, dialogue, thought, transition, choice)
- * - type: 'complete' - Final summary of all steps
- * - type: 'data' - Complete response with all game state data
- * - event: 'done' - Final completion marker
- * - type: 'error' - Error occurred during processing
+ * Response: Server-Sent Events (SSE) stream of typed events (`event: <type>`; data also carries `type`):
+ * - start - Initial event when processing starts
+ * - raw_text - Raw text chunks from Claude as they arrive
+ * - step - A parsed step the moment it closes ({ stepIndex, step, isIncremental }):
+ *   narration, dialogue, transition, scene_change, choice, key_event
+ * - complete - Final summary of all steps
+ * - data - Complete response with all game state data
+ * - done - Final completion marker
+ * - error - Error occurred during processing
+ *
+ * When the turn reaches one of worldSetting.endings, an ending step ({ type: 'ending', endingId,
+ * title, kind, kindLabel, content: epilogue }) follows the turn's steps and the data event carries
+ * `ending`. Later actions only return the ending step.
+ *
+ * The action and the answer are moderated against worldSetting.contentRating (see
+ * /api/backend INTERFACE 19): a refused action ends the stream with an error event carrying
+ * `moderation`; a refused answer is replaced by a fallback narration, announced with
+ * { type: 'moderation', stage: 'output', ..., replacement } before the complete event.
+ *
+ * Events have ids and are logged per session: sending the request again with Last-Event-ID
+ * resumes the turn instead of replaying the action (see /api/backend .../stream/resume).
  */
 router.post('/session/:sessionId/action/stream', sendActionWithStream);
 
+/**
+ * Resume a turn stream after a dropped connection
+ * GET /api/visual/session/:sessionId/stream/resume
+ *
+ * Header: Last-Event-ID (or query ?lastEventId=)
+ * Response: SSE stream of the missed events of the latest turn, then the rest live while it is
+ *   still generated; an error event when there is nothing to resume
+ */
+router.get('/session/:sessionId/stream/resume', resumeStream);
+
 /**
  * Get conversation history
  * GET /api/visual/session/:sessionId/history
@@ -202,14 +233,8 @@ router.get('/session/:sessionId/history', getHistory);
  *   historyIndex?: number  // Optional: Index in history to regenerate from (null = regenerate last)
  * }
  *
- * Response: Server-Sent Events (SSE) stream with the following event types:
- * - type: 'start' - Initial event when regeneration starts
- * - type: 'raw_text' - Raw text chunks from Claude as they arrive
- * - type: 'step' - Parsed narrative steps (narration, dialogue, thought, transition, choice)
- * - type: 'complete' - Final summary of all steps
- * - type: 'data' - Complete response with all game state data
- * - event: 'done' - Final completion marker
- * - type: 'error' - Error occurred during regeneration
+ * Response: SSE stream of typed events like /action/stream (start, raw_text, step, complete,
+ * data, done, error), resumable the same way
  */
 router.post('/session/:sessionId/regenerate', regenerateResponse);
 
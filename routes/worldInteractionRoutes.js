@@ -1,6 +1,8 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
+import { meterRequest } from '../middleware/usageMetering.js';
+import { optionalAuthMiddleware } from '../login/authMiddleware.js';
 import {
   uploadAndProcessDocumentController,
   getDocumentFilesController,
@@ -58,6 +60,9 @@ import {
 
 const router = express.Router();
 
+// Model usage and generated images are metered per request and billed to the logged-in caller, if any (see services/usageMeteringService.js)
+router.use(optionalAuthMiddleware, meterRequest);
+
 // Configure multer for document uploads
 const upload = multer({
   dest: 'uploads/',
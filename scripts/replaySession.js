@@ -0,0 +1,72 @@
+/**
+ * Replay a logged session against the mock LLM provider and diff the resulting state.
+ *
+ * Usage: node scripts/replaySession.js <sessionId> [--keep] [--json]
+ *   --keep  keep the replay session (public/game_data/<sessionId>_replay) for inspection
+ *   --json  print the full report as JSON
+ * Exits with 1 when the replay differs from the original.
+ */
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import backendRouter from '../routes/backendRoutes.js';
+import { replaySession } from '../services/replayService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.LLM_PROVIDER = 'mock';
+
+const [sessionId, ...flags] = process.argv.slice(2);
+if (!sessionId) {
+  console.error('Usage: node scripts/replaySession.js <sessionId> [--keep] [--json]');
+  process.exit(2);
+}
+
+const app = express();
+app.use(express.json());
+app.use('/api/backend', backendRouter);
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+let exitCode = 0;
+try {
+  const report = await replaySession(sessionId, { baseUrl });
+
+  if (flags.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\n=== Replay of ${sessionId} ===`);
+    console.log(`Requests: ${report.requests.length} (${report.requests.filter(r => r.status >= 400).length} failed)`);
+    console.log(`LLM calls: ${report.llmCalls.recorded} recorded, ${report.llmCalls.replayed} replayed`);
+    if (report.llmCalls.firstPromptMismatch) {
+      const { index, task } = report.llmCalls.firstPromptMismatch;
+      console.log(`  first prompt that differs: #${index} (${task})`);
+    }
+    console.log(`Random draws: ${report.randomDraws.recorded} recorded, ${report.randomDraws.replayed} replayed`);
+    if (report.randomDraws.firstMismatch) {
+      const { index, recorded, replayed } = report.randomDraws.firstMismatch;
+      console.log(`  first draw that differs: #${index} ${JSON.stringify(recorded)} -> ${JSON.stringify(replayed)}`);
+    }
+    for (const file of report.files) {
+      console.log(`${file.status === 'same' ? '✅' : '❌'} ${file.file}: ${file.status}`);
+      for (const difference of file.differences || []) {
+        console.log(`    ${difference.path}: ${JSON.stringify(difference.original)} -> ${JSON.stringify(difference.replayed)}`);
+      }
+    }
+    console.log(report.identical ? '\n✅ Replay matches the original session' : '\n❌ Replay differs from the original session');
+  }
+
+  exitCode = report.identical ? 0 : 1;
+  if (!flags.includes('--keep')) {
+    fs.rmSync(path.join(__dirname, '..', 'public', 'game_data', report.replayId), { recursive: true, force: true });
+  }
+} catch (error) {
+  console.error('❌ Replay failed:', error.message);
+  exitCode = 2;
+}
+
+server.close();
+process.exit(exitCode);
@@ -14,6 +14,8 @@ import gameRoutes from './login/routes/gameRoutes.js';
 import visualRoutes from './login/routes/visualRoutes.js';
 import worldRoutes from './login/routes/worldRoutes.js';
 import { authMiddleware } from './login/authMiddleware.js';
+import { meterRequest } from './middleware/usageMetering.js';
+import { hidePrivateSessionFiles } from './middleware/privateSessionFiles.js';
 import notify from './login/notify.js';
 import './login/script/scheduledTask.js';
 import './login/script/minioScheduledTask.js';
@@ -100,7 +102,8 @@ app.use(express.urlencoded({ extended: true }));
 
 // Static files - uploads and game data
 app.use('/uploads', express.static(join(__dirname, uploadDir)));
-app.use('/game_data', express.static(join(__dirname, 'public', 'game_data')));
+// Replay logs, dice state and saves stay on the server
+app.use('/game_data', hidePrivateSessionFiles, express.static(join(__dirname, 'public', 'game_data')));
 
 // ============================================
 // BACKEND API ROUTES
@@ -111,9 +114,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/auth', authMiddleware, emailRoutes);
 app.use('/api/pay', authMiddleware, payRoutes);
 app.use('/api/wechat', authMiddleware, notify);
-app.use('/api/auth', authMiddleware , gameRoutes);
-app.use('/api/optical', authMiddleware, visualRoutes);
-app.use('/api/worldInteraction', authMiddleware, worldRoutes);
+app.use('/api/auth', authMiddleware , meterRequest, gameRoutes);
+app.use('/api/optical', authMiddleware, meterRequest, visualRoutes);
+app.use('/api/worldInteraction', authMiddleware, meterRequest, worldRoutes);
 // ============================================
 // VISUAL GAME API ROUTES (NEW)
 // ============================================
@@ -0,0 +1,185 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { loadRules } from './rulesService.js';
+import { evaluate } from './rulesExpression.js';
+import { loadStatus } from './statusService.js';
+import { loadMissions } from './missionService.js';
+import { loadGameData } from './gameInitializationService.js';
+import { getEnding } from './endingService.js';
+import { getGameSessionBySessionId } from '../login/service/gamesService.js';
+import { unlockUserAchievement, listUserAchievements } from '../login/service/userAchievementService.js';
+import { addPointActivity } from '../login/service/userPointService.js';
+import { readJsonState, writeJsonState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Per-game achievements (trophies) of the classic mode.
+ *
+ * Achievements are authored in the rules file and checked after every story turn, combat
+ * round and era skip against the player's status, missions, turn count and ending. A session
+ * keeps what it unlocked in achievements_<sessionId>.json; the player's unlocks across
+ * sessions are kept in MySQL (user_achievements), one per player and game. Points are
+ * awarded through userPointService the first time the player unlocks an achievement.
+ */
+
+const POINT_ACTIVITY_TYPE = 'achievement';
+
+function getAchievementsPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `achievements_${sessionId}.json`);
+}
+
+/**
+ * Achievements a session unlocked, in order
+ */
+export function getSessionUnlocks(sessionId) {
+  return readJsonState(getAchievementsPath(sessionId), { unlocked: [] }).unlocked;
+}
+
+function saveSessionUnlocks(sessionId, unlocked) {
+  return writeJsonState(getAchievementsPath(sessionId), { unlocked });
+}
+
+function getFacts(sessionId, status) {
+  const missionData = loadMissions(sessionId);
+  return {
+    visited: new Set([...(status.visitedLocations || []), status.location].filter(Boolean)),
+    scenes: Object.keys(loadGameData(sessionId, true)?.worldData || {}),
+    relationships: Object.fromEntries(Object.entries(status.network || {})
+      .filter(([, npc]) => Number.isFinite(Number(npc?.relationship)))
+      .map(([name, npc]) => [name, Number(npc.relationship)])),
+    completedMissions: new Set(missionData.missions
+      .filter(mission => mission.status === 'completed')
+      .flatMap(mission => [mission.id, mission.questId])),
+    ending: getEnding(sessionId)?.id || null,
+    turns: missionData.turnCount || 0,
+    scope: { ...(status.currency || {}), ...(status.stats || {}) }
+  };
+}
+
+function matchesAchievement(when, facts) {
+  if (when.scenes) {
+    const scenes = when.scenes === 'all' ? facts.scenes : when.scenes;
+    if (scenes.length === 0 || !scenes.every(scene => facts.visited.has(scene))) return false;
+  }
+  if (when.relationship) {
+    const { npc, min, max } = when.relationship;
+    const value = facts.relationships[npc];
+    if (value === undefined) return false;
+    if (min !== undefined && value < min) return false;
+    if (max !== undefined && value > max) return false;
+  }
+  if (when.missions && !when.missions.every(id => facts.completedMissions.has(id))) return false;
+  if (when.ending !== undefined && (!facts.ending || (when.ending !== true && facts.ending !== when.ending))) return false;
+  if (when.turns && facts.turns < when.turns) return false;
+  if (when.condition && !evaluate(when.condition, facts.scope)) return false;
+  return true;
+}
+
+/**
+ * Keep the unlock on the player's account and award its points the first time.
+ * Without a game_sessions row (or a database) the unlock stays in the session only.
+ * @returns {Promise<number>} Points awarded
+ */
+async function recordUserUnlock(sessionId, achievement) {
+  try {
+    const gameSession = await getGameSessionBySessionId(sessionId);
+    if (!gameSession) return 0;
+
+    const firstUnlock = await unlockUserAchievement({
+      userId: gameSession.user_id,
+      fileId: gameSession.file_id,
+      achievementId: achievement.id,
+      sessionId,
+      title: achievement.title,
+      points: achievement.points
+    });
+    if (!firstUnlock || achievement.points === 0) return 0;
+
+    await addPointActivity(gameSession.user_id, POINT_ACTIVITY_TYPE, achievement.points,
+      `解锁成就：${achievement.title}`, 1, `${gameSession.file_id}:${achievement.id}`);
+    return achievement.points;
+  } catch (error) {
+    console.error(`[Achievements] Failed to record ${achievement.id} for session ${sessionId}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Unlock the achievements the session now meets
+ * @returns {Promise<Array<Object>>} Achievements unlocked by this call
+ *   ({ id, title, description, icon, points, pointsAwarded, unlockedAt })
+ */
+export async function checkAchievements(sessionId) {
+  const { achievements } = loadRules(sessionId);
+  const status = loadStatus(sessionId);
+  if (achievements.length === 0 || !status) return [];
+
+  const unlocked = getSessionUnlocks(sessionId);
+  const unlockedIds = new Set(unlocked.map(achievement => achievement.id));
+  const pending = achievements.filter(achievement => !unlockedIds.has(achievement.id));
+  if (pending.length === 0) return [];
+
+  const facts = getFacts(sessionId, status);
+  const newlyUnlocked = [];
+  for (const achievement of pending.filter(a => matchesAchievement(a.when, facts))) {
+    console.log(`🏆 Session ${sessionId} unlocked achievement: ${achievement.title}`);
+    newlyUnlocked.push({
+      id: achievement.id,
+      title: achievement.title,
+      description: achievement.description,
+      ...(achievement.icon && { icon: achievement.icon }),
+      points: achievement.points,
+      pointsAwarded: await recordUserUnlock(sessionId, achievement),
+      unlockedAt: new Date().toISOString()
+    });
+  }
+
+  if (newlyUnlocked.length > 0) {
+    await saveSessionUnlocks(sessionId, [...unlocked, ...newlyUnlocked]);
+  }
+  return newlyUnlocked;
+}
+
+/**
+ * The game's achievements with what the session and the player unlocked.
+ * Hidden achievements that are still locked only show their id.
+ */
+export async function listAchievements(sessionId) {
+  const { achievements } = loadRules(sessionId);
+  const sessionUnlocks = new Map(getSessionUnlocks(sessionId).map(achievement => [achievement.id, achievement]));
+
+  let userUnlocks = new Map();
+  try {
+    const gameSession = await getGameSessionBySessionId(sessionId);
+    if (gameSession) {
+      const rows = await listUserAchievements(gameSession.user_id, gameSession.file_id);
+      userUnlocks = new Map(rows.map(row => [row.achievement_id, row]));
+    }
+  } catch (error) {
+    console.error(`[Achievements] Failed to load the player's achievements for session ${sessionId}:`, error.message);
+  }
+
+  return achievements.map(achievement => {
+    const inSession = sessionUnlocks.get(achievement.id);
+    const onAccount = userUnlocks.get(achievement.id);
+    const unlocked = !!(inSession || onAccount);
+    if (achievement.hidden && !unlocked) {
+      return { id: achievement.id, title: '???', description: '', hidden: true, points: achievement.points, unlocked: false };
+    }
+    return {
+      id: achievement.id,
+      title: achievement.title,
+      description: achievement.description,
+      ...(achievement.icon && { icon: achievement.icon }),
+      hidden: achievement.hidden,
+      points: achievement.points,
+      unlocked,
+      unlockedInSession: !!inSession,
+      unlockedAt: inSession?.unlockedAt || onAccount?.unlocked_at || null
+    };
+  });
+}
@@ -1,19 +1,15 @@
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getStyleInstructions, getDefaultStyle } from './literaryStyleService.js';
+import { createMessage, streamMessage } from './llm/index.js';
+import { formatShopForPrompt } from './shopService.js';
+import { advanceSessionTime, loadSessionLore } from './gameTimeService.js';
+import { applySchedules, isBuildingOpen, getSessionTimeOfDay, formatOpenHours } from './scheduleService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
-});
-
-const MODEL_NAME = 'claude-sonnet-4-5-20250929';
-
 async function loadBuildingData(sessionId, sceneId, buildingId) {
   const scenesPath = path.join(__dirname, '../public/game_data', sessionId, `scenes_${sessionId}.json`);
   const scenesData = JSON.parse(await fs.readFile(scenesPath, 'utf-8'));
@@ -47,7 +43,7 @@ async function loadLoreData(sessionId) {
 }
 
 
-function buildBuildingInteractionPrompt(buildingData, playerData, loreData, feature, isInitialInteraction, literaryStyle) {
+function buildBuildingInteractionPrompt(buildingData, playerData, loreData, feature, isInitialInteraction, literaryStyle, shopSection = '') {
   // Get literary style instructions
   const styleInstructions = getStyleInstructions(literaryStyle || getDefaultStyle());
 
@@ -70,6 +66,8 @@ function buildBuildingInteractionPrompt(buildingData, playerData, loreData, feat
 ## 世界背景
 ${loreData.worldBackground?.content?.join('\n') || ''}
 
+${shopSection}
+
 # 📖 文学风格要求 (LITERARY STYLE REQUIREMENTS)
 
 **你必须严格遵循以下文学风格进行叙述：**
@@ -213,6 +211,9 @@ export async function processBuildingFeatureInteraction(sessionId, sceneId, buil
   try {
     // Load all necessary data
     const buildingData = await loadBuildingData(sessionId, sceneId, buildingId);
+    if (!isBuildingOpen(buildingData, getSessionTimeOfDay(sessionId))) {
+      throw new Error(`${buildingData.name} is closed (open ${formatOpenHours(buildingData.openHours)})`);
+    }
     const playerData = await loadPlayerData(sessionId);
     const loreData = await loadLoreData(sessionId);
 
@@ -233,7 +234,8 @@ export async function processBuildingFeatureInteraction(sessionId, sceneId, buil
     const isInitialInteraction = selectedOption === null;
 
     // Build system prompt with literary style
-    const systemPrompt = buildBuildingInteractionPrompt(buildingData, playerData, loreData, feature, isInitialInteraction, literaryStyle);
+    const shopSection = await formatShopForPrompt(sessionId, sceneId, buildingId);
+    const systemPrompt = buildBuildingInteractionPrompt(buildingData, playerData, loreData, feature, isInitialInteraction, literaryStyle, shopSection);
 
     // Prepare user message
     let userMessage;
@@ -248,31 +250,18 @@ export async function processBuildingFeatureInteraction(sessionId, sceneId, buil
 
     if (onChunk) {
       // Streaming mode
-      const stream = await anthropic.messages.create({
-        model: MODEL_NAME,
-        max_tokens: isInitialInteraction ? 1024 : 3000,
+      const result = await streamMessage('buildingInteraction', {
         system: systemPrompt,
         messages: [{ role: 'user', content: userMessage }],
-        stream: true,
-      });
+      }, onChunk, { use: isInitialInteraction ? 'start' : 'stream' });
 
-      for await (const event of stream) {
-        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
-          const chunk = event.delta.text;
-          fullResponse += chunk;
-          if (onChunk) {
-            onChunk(chunk);
-          }
-        }
-      }
+      fullResponse = result.text;
     } else {
       // Non-streaming mode
-      const response = await anthropic.messages.create({
-        model: MODEL_NAME,
-        max_tokens: isInitialInteraction ? 1024 : 512,
+      const response = await createMessage('buildingInteraction', {
         system: systemPrompt,
         messages: [{ role: 'user', content: userMessage }],
-      });
+      }, { use: isInitialInteraction ? 'start' : null });
 
       fullResponse = response.content[0].text;
     }
@@ -280,6 +269,7 @@ export async function processBuildingFeatureInteraction(sessionId, sceneId, buil
     // Apply LLM response changes to player data
     const { applyClaudeUpdates } = await import('./statusService.js');
     await applyClaudeUpdates(sessionId, fullResponse);
+    await advanceSessionTime(sessionId, 'building');
 
     // Parse response based on interaction type
     if (isInitialInteraction) {
@@ -332,7 +322,8 @@ export async function getSceneBuildings(sessionId, sceneId) {
     const scenesPath = path.join(__dirname, '../public/game_data', sessionId, `scenes_${sessionId}.json`);
     const scenesData = JSON.parse(await fs.readFile(scenesPath, 'utf-8'));
 
-    const scene = scenesData[sceneId];
+    // Opening hours and the NPCs inside follow the current time of day
+    const scene = applySchedules(scenesData, loadSessionLore(sessionId))[sceneId];
     if (!scene || !scene.buildings) {
       return [];
     }
@@ -343,7 +334,13 @@ export async function getSceneBuildings(sessionId, sceneId) {
       description: building.description,
       icon: building.icon,
       type: building.type,
-      features: building.features || []
+      features: building.features || [],
+      hasShop: Boolean(building.shop),
+      isOpen: building.isOpen,
+      openHours: building.openHours || null,
+      npcs: scene.npcs
+        .filter(npc => npc.location?.buildingId === building.id)
+        .map(npc => ({ id: npc.id, name: npc.name, activity: npc.location.activity || null }))
     }));
   } catch (error) {
     console.error('Error getting scene buildings:', error);
@@ -0,0 +1,361 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { loadRules, applyRulesToSession } from './rulesService.js';
+import { evaluate } from './rulesExpression.js';
+import { rollDie, rollDice } from './diceService.js';
+import { loadStatus, saveStatus, useItem, ItemActionError } from './statusService.js';
+import { createMessage, getMessageText } from './llm/index.js';
+import { readJsonState, writeJsonState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+// Defending adds this much to the player's defense until their next action
+const DEFEND_BONUS = 5;
+
+/**
+ * Turn-based combat started by a [COMBAT: 敌人, ...] step.
+ *
+ * The fight lives in combat_<sessionId>.json: combatants with HP and stat blocks, the
+ * initiative order and a log. Each player action plays one round; all rolls come from the
+ * session's seeded dice and damage to the player goes through the rules engine (hpStat).
+ * While a fight is active the story is paused; its outcome is told to the storyteller on
+ * the next story turn.
+ */
+
+export class CombatError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CombatError';
+    this.status = status;
+  }
+}
+
+function getCombatPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `combat_${sessionId}.json`);
+}
+
+function saveCombat(sessionId, combat) {
+  return writeJsonState(getCombatPath(sessionId), combat);
+}
+
+/**
+ * Combat state of a session, or null when it never fought
+ */
+export function getCombat(sessionId) {
+  return readJsonState(getCombatPath(sessionId), null);
+}
+
+function loadActiveCombat(sessionId) {
+  const combat = getCombat(sessionId);
+  if (!combat?.active) {
+    throw new CombatError('No active combat', 409);
+  }
+  return combat;
+}
+
+function getMaxHpStat(hpStat) {
+  return `max${hpStat.charAt(0).toUpperCase()}${hpStat.slice(1)}`;
+}
+
+function buildPlayer(status, combatRules) {
+  const stats = status.stats || {};
+  const scope = { ...(status.currency || {}), ...stats };
+  const hp = Number(stats[combatRules.hpStat]);
+  return {
+    id: 'player',
+    name: status.profile?.name || status.name || '玩家',
+    side: 'player',
+    hp,
+    maxHp: Number(stats[getMaxHpStat(combatRules.hpStat)]) || hp,
+    attack: Math.floor(evaluate(combatRules.player.attack, scope)),
+    defense: Math.floor(evaluate(combatRules.player.defense, scope)),
+    initiative: Math.floor(evaluate(combatRules.player.initiative, scope)),
+    damage: combatRules.player.damage,
+    defending: false
+  };
+}
+
+function findEnemy(combatRules, ref) {
+  if (combatRules.enemies[ref]) return { enemyId: ref, ...combatRules.enemies[ref] };
+  const entry = Object.entries(combatRules.enemies).find(([, enemy]) => enemy.name === ref);
+  if (entry) return { enemyId: entry[0], ...entry[1] };
+  return { enemyId: null, ...combatRules.defaultEnemy, name: ref || combatRules.defaultEnemy.name };
+}
+
+function buildEnemies(combatRules, enemyRefs) {
+  const enemies = enemyRefs.map(ref => findEnemy(combatRules, String(ref).trim()));
+  const counts = {};
+  enemies.forEach(enemy => { counts[enemy.name] = (counts[enemy.name] || 0) + 1; });
+  const seen = {};
+
+  return enemies.map((enemy, i) => {
+    seen[enemy.name] = (seen[enemy.name] || 0) + 1;
+    return {
+      id: `enemy_${i + 1}`,
+      enemyId: enemy.enemyId,
+      name: counts[enemy.name] > 1 ? `${enemy.name} ${seen[enemy.name]}` : enemy.name,
+      side: 'enemy',
+      hp: enemy.hp,
+      maxHp: enemy.hp,
+      attack: enemy.attack,
+      defense: enemy.defense,
+      initiative: enemy.initiative,
+      damage: enemy.damage,
+      rewards: enemy.rewards,
+      defending: false
+    };
+  });
+}
+
+/**
+ * Start a fight against the named enemies (keys or names of the rules' enemies; anything
+ * else uses the default stat block under that name) and roll initiative.
+ * An already active fight is returned unchanged.
+ */
+export async function startCombat(sessionId, enemyRefs) {
+  const current = getCombat(sessionId);
+  if (current?.active) return current;
+
+  const status = loadStatus(sessionId);
+  if (!status) {
+    throw new CombatError('Player data not found for session', 404);
+  }
+  const combatRules = loadRules(sessionId).combat;
+  if (!Number.isFinite(Number(status.stats?.[combatRules.hpStat]))) {
+    throw new CombatError(`Player has no ${combatRules.hpStat} stat to fight with`);
+  }
+
+  const refs = enemyRefs.length > 0 ? enemyRefs : [combatRules.defaultEnemy.name];
+  const combatants = [buildPlayer(status, combatRules), ...buildEnemies(combatRules, refs)];
+  const initiative = {};
+  for (const combatant of combatants) {
+    const [roll] = await rollDie(sessionId, 20);
+    initiative[combatant.id] = roll + combatant.initiative;
+  }
+  // Highest initiative acts first; the player wins ties
+  const order = combatants
+    .map(combatant => combatant.id)
+    .sort((a, b) => initiative[b] - initiative[a] || (a === 'player' ? -1 : b === 'player' ? 1 : 0));
+
+  const combat = {
+    active: true,
+    round: 1,
+    order,
+    initiative,
+    combatants,
+    log: [],
+    outcome: null,
+    rewards: {},
+    reported: false,
+    startedAt: new Date().toISOString(),
+    endedAt: null
+  };
+  await saveCombat(sessionId, combat);
+  console.log(`⚔️ Combat started: ${combatants.filter(c => c.side === 'enemy').map(c => c.name).join(', ')}`);
+  return combat;
+}
+
+async function attackRoll(sessionId, attacker, target) {
+  const [roll] = await rollDie(sessionId, 20);
+  const defense = target.defense + (target.defending ? DEFEND_BONUS : 0);
+  const total = roll + attacker.attack;
+  // A natural 20 always hits and doubles the damage dice, a natural 1 always misses
+  const hit = roll === 20 || (roll !== 1 && total >= defense);
+  let damage = 0;
+  if (hit) {
+    const first = await rollDice(sessionId, attacker.damage);
+    const critical = roll === 20 ? (await rollDice(sessionId, attacker.damage)).rolls.reduce((sum, r) => sum + r, 0) : 0;
+    damage = Math.max(1, first.total + critical);
+    target.hp = Math.max(0, target.hp - damage);
+  }
+  return {
+    type: 'attack',
+    actor: attacker.name,
+    target: target.name,
+    roll,
+    total,
+    defense,
+    hit,
+    critical: roll === 20,
+    damage,
+    targetHp: target.hp,
+    text: hit
+      ? `${attacker.name}攻击${target.name}（${roll}+${attacker.attack}=${total} 对 ${defense}），造成 ${damage} 点伤害${target.hp === 0 ? `，${target.name}倒下了` : ''}。`
+      : `${attacker.name}攻击${target.name}（${roll}+${attacker.attack}=${total} 对 ${defense}），未能命中。`
+  };
+}
+
+function publicCombat(combat) {
+  const { reported, ...rest } = combat;
+  return rest;
+}
+
+/**
+ * Play one round: the player's action and every enemy's attack, in initiative order.
+ * @param {Object} params - { action: 'attack' | 'defend' | 'flee' | 'item', targetId?, itemId? }
+ * @returns {Promise<{ combat, events: Array<Object>, characterStatus, audit: Array<Object> }>}
+ * @throws {CombatError} Without an active fight or for an invalid action
+ */
+export async function takeCombatAction(sessionId, { action, targetId, itemId } = {}) {
+  const combat = loadActiveCombat(sessionId);
+  const combatRules = loadRules(sessionId).combat;
+  if (!['attack', 'defend', 'flee', 'item'].includes(action)) {
+    throw new CombatError('action must be one of attack, defend, flee, item');
+  }
+
+  const byId = Object.fromEntries(combat.combatants.map(combatant => [combatant.id, combatant]));
+  const player = byId.player;
+  const livingEnemies = () => combat.combatants.filter(c => c.side === 'enemy' && c.hp > 0);
+
+  let target = null;
+  if (action === 'attack') {
+    target = targetId ? byId[targetId] : livingEnemies()[0];
+    if (!target || target.side !== 'enemy' || target.hp <= 0) {
+      throw new CombatError('targetId must be a living enemy');
+    }
+  }
+  if (action === 'item' && !itemId) {
+    throw new CombatError('itemId is required to use an item');
+  }
+
+  let status = loadStatus(sessionId);
+  let audit = [];
+  const events = [];
+  player.defending = false;
+
+  if (action === 'item') {
+    try {
+      const used = await useItem(sessionId, itemId);
+      status = used.status;
+      audit = used.audit;
+      player.hp = Number(status.stats?.[combatRules.hpStat]) || 0;
+      events.push({ type: 'item', actor: player.name, item: used.usedItem.name, text: `${player.name}使用了${used.usedItem.name}。` });
+    } catch (error) {
+      if (error instanceof ItemActionError) throw new CombatError(error.message);
+      throw error;
+    }
+  }
+
+  const hpBefore = player.hp;
+  for (const id of combat.order) {
+    const actor = byId[id];
+    if (actor.hp <= 0 || player.hp <= 0 || livingEnemies().length === 0 || combat.outcome) continue;
+
+    if (actor.side === 'player') {
+      if (action === 'attack') {
+        events.push(await attackRoll(sessionId, actor, target.hp > 0 ? target : livingEnemies()[0]));
+      } else if (action === 'defend') {
+        actor.defending = true;
+        events.push({ type: 'defend', actor: actor.name, text: `${actor.name}摆出防御姿态。` });
+      } else if (action === 'flee') {
+        const [roll] = await rollDie(sessionId, 20);
+        const total = roll + actor.initiative;
+        const escaped = total >= combatRules.fleeDifficulty;
+        events.push({
+          type: 'flee',
+          actor: actor.name,
+          roll,
+          total,
+          difficulty: combatRules.fleeDifficulty,
+          success: escaped,
+          text: escaped ? `${actor.name}成功脱离了战斗。` : `${actor.name}试图逃跑，但没能脱身。`
+        });
+        if (escaped) combat.outcome = 'fled';
+      }
+    } else {
+      events.push(await attackRoll(sessionId, actor, player));
+    }
+  }
+
+  // Damage taken this round goes through the rules so HP bounds and the audit trail apply
+  if (player.hp !== hpBefore) {
+    const result = await applyRulesToSession(sessionId, status, {
+      stats: { [combatRules.hpStat]: player.hp - hpBefore }
+    }, { source: 'combat', reason: `combat round ${combat.round}`, capDeltas: false });
+    status = result.status;
+    audit = [...audit, ...result.audit];
+    player.hp = Number(status.stats[combatRules.hpStat]) || 0;
+  }
+
+  if (!combat.outcome && player.hp <= 0) {
+    combat.outcome = 'defeat';
+  } else if (!combat.outcome && livingEnemies().length === 0) {
+    combat.outcome = 'victory';
+    const rewards = {};
+    combat.combatants
+      .filter(c => c.side === 'enemy')
+      .forEach(enemy => Object.entries(enemy.rewards || {}).forEach(([stat, amount]) => {
+        rewards[stat] = (rewards[stat] || 0) + amount;
+      }));
+    if (Object.keys(rewards).length > 0) {
+      const result = await applyRulesToSession(sessionId, status, { stats: rewards }, { source: 'combat', reason: 'combat rewards' });
+      status = result.status;
+      audit = [...audit, ...result.audit];
+    }
+    combat.rewards = rewards;
+  }
+
+  await saveStatus(sessionId, status);
+
+  combat.log.push({ round: combat.round, action, events });
+  if (combat.outcome) {
+    combat.active = false;
+    combat.endedAt = new Date().toISOString();
+    console.log(`⚔️ Combat ended: ${combat.outcome} after ${combat.round} rounds`);
+  } else {
+    combat.round += 1;
+  }
+  await saveCombat(sessionId, combat);
+
+  return { combat: publicCombat(combat), events, characterStatus: status, audit };
+}
+
+const OUTCOME_LABELS = { victory: '胜利', defeat: '战败', fled: '逃脱' };
+
+/**
+ * Narrate a round from its events; the events' own text is the fallback
+ */
+export async function narrateCombatRound(sessionId, combat, events) {
+  const fallback = events.map(event => event.text).join('');
+  const outcome = combat.outcome ? `战斗结果：${OUTCOME_LABELS[combat.outcome]}。` : '';
+
+  try {
+    const response = await createMessage('combat', {
+      system: '你是互动小说游戏的战斗旁白。回合结果已经由系统掷骰决定，请用2-4句紧张生动的中文描写这一回合，不要改变命中、伤害和结果，不要输出任何标记或选项。',
+      messages: [{ role: 'user', content: `第${combat.round - (combat.active ? 1 : 0)}回合：${fallback}${outcome}` }]
+    }, { context: { sessionId, mode: 'classic' } });
+    return getMessageText(response).trim() || fallback;
+  } catch (error) {
+    console.error('[Combat] Narration failed:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Summary of a finished fight the storyteller has not been told about yet ('' otherwise)
+ */
+export function getCombatSummaryForPrompt(sessionId) {
+  const combat = getCombat(sessionId);
+  if (!combat || combat.active || combat.reported || !combat.outcome) return '';
+
+  const enemies = combat.combatants.filter(c => c.side === 'enemy');
+  const player = combat.combatants.find(c => c.side === 'player');
+  const rewards = Object.entries(combat.rewards || {}).map(([stat, amount]) => `${stat} ${amount >= 0 ? '+' : ''}${amount}`);
+  return `
+## ⚔️ 刚刚结束的战斗
+
+玩家与${enemies.map(enemy => enemy.name).join('、')}的战斗已经结束（共${combat.round}回合），结果：${OUTCOME_LABELS[combat.outcome]}。
+玩家剩余生命：${player.hp}/${player.maxHp}${rewards.length > 0 ? `；战利品：${rewards.join('，')}` : ''}。
+请在本回合的叙述中承接这场战斗的结果，不要重新开始这场战斗。
+`;
+}
+
+export async function markCombatReported(sessionId) {
+  const combat = getCombat(sessionId);
+  if (combat && !combat.active && !combat.reported) {
+    await saveCombat(sessionId, { ...combat, reported: true });
+  }
+}
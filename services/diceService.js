@@ -0,0 +1,119 @@
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { recordRandomDraw } from './sessionLogService.js';
+import { writeJsonState, updateJsonState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Seeded randomness for a session.
+ *
+ * Each session keeps a seed and the number of draws made so far (dice_<sessionId>.json);
+ * draw n is a pure function of (seed, n), so the same session state always rolls the same numbers.
+ * The seed is set when the session is created; every draw is written to the session's replay log.
+ */
+
+export function createSeed() {
+  return crypto.randomInt(2 ** 31);
+}
+
+function getDicePath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `dice_${sessionId}.json`);
+}
+
+/**
+ * Take draws from the session's sequence while holding its dice file, so parallel draws never
+ * reuse an index
+ * @returns {{ index: number, result: * }} index of the first draw and what draw(state) returned
+ */
+async function drawFromSession(sessionId, draw) {
+  let index;
+  let result;
+  await updateJsonState(getDicePath(sessionId), (state) => {
+    index = state.draws;
+    result = draw(state);
+  }, { seed: createSeed(), draws: 0 });
+  return { index, result };
+}
+
+/**
+ * Give a new session its seed (a random one unless given)
+ * @returns {Promise<number>} The seed
+ */
+export async function initSessionSeed(sessionId, seed = null) {
+  const state = { seed: Number.isInteger(seed) ? seed : createSeed(), draws: 0 };
+  await writeJsonState(getDicePath(sessionId), state);
+  return state.seed;
+}
+
+// mulberry32 step on seed + draw index: a float in [0, 1)
+function drawAt(seed, index) {
+  let t = (seed + Math.imul(index + 1, 0x6D2B79F5)) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Next float in [0, 1) of a seed/draws state kept by the caller (e.g. a world session's `random`);
+ * advances state.draws
+ */
+export function nextRandom(state) {
+  return drawAt(state.seed, state.draws++);
+}
+
+/**
+ * Roll `count` dice with `sides` faces from the session's seeded sequence
+ * @returns {Promise<Array<number>>}
+ */
+export async function rollDie(sessionId, sides, count = 1) {
+  const { index, result: rolls } = await drawFromSession(sessionId, (state) =>
+    Array.from({ length: count }, () => 1 + Math.floor(nextRandom(state) * sides)));
+  recordRandomDraw(sessionId, { kind: 'dice', index, sides, values: rolls });
+  return rolls;
+}
+
+/**
+ * Pick one element of a list with the session's seeded sequence
+ */
+export async function pickRandom(sessionId, items, label = null) {
+  if (items.length === 0) return undefined;
+  const { index, result: choice } = await drawFromSession(sessionId, (state) => Math.floor(nextRandom(state) * items.length));
+  recordRandomDraw(sessionId, { kind: 'pick', label, index, size: items.length, values: [choice] });
+  return items[choice];
+}
+
+/**
+ * Parse dice notation ("2d6+1", "d20", "5")
+ * @returns {{ count: number, sides: number, modifier: number }} sides 0 for a flat number
+ */
+export function parseDice(notation) {
+  const match = String(notation).trim().match(/^(?:(\d*)d(\d+))?([+-]?\d+)?$/i);
+  if (!match || (!match[2] && match[3] === undefined)) {
+    throw new Error(`Invalid dice notation: ${notation}`);
+  }
+  return {
+    count: match[2] ? Number(match[1] || 1) : 0,
+    sides: match[2] ? Number(match[2]) : 0,
+    modifier: Number(match[3] || 0)
+  };
+}
+
+/**
+ * Roll dice notation for a session
+ * @returns {Promise<{ notation, rolls: Array<number>, modifier, total }>}
+ */
+export async function rollDice(sessionId, notation) {
+  const { count, sides, modifier } = parseDice(notation);
+  const rolls = count > 0 ? await rollDie(sessionId, sides, count) : [];
+  return {
+    notation: String(notation),
+    rolls,
+    modifier,
+    total: rolls.reduce((sum, roll) => sum + roll, 0) + modifier
+  };
+}
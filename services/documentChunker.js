@@ -0,0 +1,134 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_CHUNK_CHARS = Number(process.env.INGEST_CHUNK_CHARS || 30000);
+
+// Markdown headings, 第X章/节/回/幕/卷, "Chapter 3", "一、" style section titles
+const HEADING_PATTERN = /^\s*(#{1,3}\s+\S.*|第[一二三四五六七八九十百千零〇两\d]+[章节回幕卷部篇集].{0,40}|(chapter|part|act)\s+[\divxlc]+\b.{0,60}|[一二三四五六七八九十]+、.{1,40})\s*$/i;
+
+/**
+ * Split plain text at heading lines: [{ title, text }]
+ */
+export function splitByHeadings(text) {
+  const sections = [];
+  let current = { title: null, lines: [] };
+
+  for (const line of text.split('\n')) {
+    if (HEADING_PATTERN.test(line) && current.lines.some(l => l.trim())) {
+      sections.push(current);
+      current = { title: line.trim(), lines: [line] };
+    } else {
+      if (HEADING_PATTERN.test(line) && !current.title) {
+        current.title = line.trim();
+      }
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ title: section.title, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+}
+
+/**
+ * Break an oversized segment at paragraph (then line, then hard) boundaries
+ */
+function splitOversized(segment, maxChars) {
+  if (segment.text.length <= maxChars) {
+    return [segment];
+  }
+
+  const parts = [];
+  let buffer = '';
+  const paragraphs = segment.text.split(/\n\s*\n/).flatMap(paragraph => {
+    if (paragraph.length <= maxChars) return [paragraph];
+    const pieces = [];
+    for (let i = 0; i < paragraph.length; i += maxChars) {
+      pieces.push(paragraph.slice(i, i + maxChars));
+    }
+    return pieces;
+  });
+
+  for (const paragraph of paragraphs) {
+    if (buffer && buffer.length + paragraph.length + 2 > maxChars) {
+      parts.push(buffer);
+      buffer = '';
+    }
+    buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+  }
+  if (buffer) parts.push(buffer);
+
+  return parts.map((text, i) => ({
+    title: segment.title ? `${segment.title} (${i + 1}/${parts.length})` : null,
+    text,
+    pages: segment.pages
+  }));
+}
+
+/**
+ * Pick the most natural segmentation the document offers:
+ * DOCX headings > headings in the text > PDF pages > the whole text
+ */
+function getSegments(documentData) {
+  const { text = '', sections, pages } = documentData;
+
+  if (Array.isArray(sections) && sections.length > 1) {
+    return sections.map(section => ({ title: section.title, text: section.text }));
+  }
+
+  const headingSections = splitByHeadings(text);
+  if (headingSections.length > 1) {
+    return headingSections;
+  }
+
+  if (Array.isArray(pages) && pages.length > 1) {
+    return pages
+      .map((pageText, i) => ({ title: null, text: pageText.trim(), pages: [i + 1, i + 1] }))
+      .filter(segment => segment.text);
+  }
+
+  return [{ title: null, text: text.trim() }];
+}
+
+/**
+ * Split a processed document into extraction-sized chunks.
+ * Segments are packed in order until a chunk would exceed maxChars (INGEST_CHUNK_CHARS).
+ *
+ * @param {Object} documentData - { text, sections?, pages? } from processPDFFile / processDocxFile
+ * @param {Object} options - { maxChars }
+ * @returns {Array<{index: number, total: number, titles: string[], pages: number[]|null, text: string}>}
+ */
+export function chunkDocument(documentData, options = {}) {
+  const { maxChars = DEFAULT_CHUNK_CHARS } = options;
+
+  if ((documentData.text || '').length <= maxChars) {
+    return [{ index: 0, total: 1, titles: [], pages: null, text: documentData.text || '' }];
+  }
+
+  const segments = getSegments(documentData).flatMap(segment => splitOversized(segment, maxChars));
+  const chunks = [];
+  let current = null;
+
+  for (const segment of segments) {
+    if (current && current.text.length + segment.text.length + 2 > maxChars) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { titles: [], pages: null, text: '' };
+    }
+
+    current.text = current.text ? `${current.text}\n\n${segment.text}` : segment.text;
+    if (segment.title) {
+      current.titles.push(segment.title);
+    }
+    if (segment.pages) {
+      current.pages = current.pages ? [current.pages[0], segment.pages[1]] : [...segment.pages];
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map((chunk, index) => ({ index, total: chunks.length, ...chunk }));
+}
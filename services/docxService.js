@@ -4,6 +4,46 @@ import fs from 'fs';
 const require = createRequire(import.meta.url);
 const mammoth = require('mammoth');
 
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Split the document at its h1-h3 headings: [{ title, text }]
+ * Content before the first heading becomes an untitled section.
+ */
+async function extractSections(dataBuffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer: dataBuffer });
+  const sections = [];
+  const headingPattern = /<h([1-3])[^>]*>([\s\S]*?)<\/h\1>/gi;
+
+  let lastIndex = 0;
+  let currentTitle = null;
+  let match;
+  while ((match = headingPattern.exec(html)) !== null) {
+    const body = htmlToText(html.slice(lastIndex, match.index));
+    if (body || currentTitle) {
+      sections.push({ title: currentTitle, text: currentTitle ? `${currentTitle}\n${body}` : body });
+    }
+    currentTitle = htmlToText(match[2]);
+    lastIndex = headingPattern.lastIndex;
+  }
+
+  const body = htmlToText(html.slice(lastIndex));
+  if (body || currentTitle) {
+    sections.push({ title: currentTitle, text: currentTitle ? `${currentTitle}\n${body}` : body });
+  }
+  return sections;
+}
+
 export const processDocxFile = async (filePath, progressCallback) => {
   try {
     // Simulate progress for reading file
@@ -16,6 +56,7 @@ export const processDocxFile = async (filePath, progressCallback) => {
     // Extract text and metadata
     const result = await mammoth.extractRawText({ buffer: dataBuffer });
     const messages = result.messages || [];
+    const sections = await extractSections(dataBuffer);
 
     // Get file stats for additional metadata
     const stats = fs.statSync(filePath);
@@ -24,6 +65,7 @@ export const processDocxFile = async (filePath, progressCallback) => {
 
     return {
       text: result.value,
+      sections,
       messages: messages,
       metadata: {
         size: stats.size,
@@ -0,0 +1,223 @@
+import path from 'path';
+import { z } from 'zod';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { endingSchema } from './schemas/rulesSchemas.js';
+import { loadRules } from './rulesService.js';
+import { evaluate } from './rulesExpression.js';
+import { loadStatus } from './statusService.js';
+import { loadSessionLore } from './gameTimeService.js';
+import { getReachedKeyEvents } from './timeManagementService.js';
+import { loadStoryLedger, formatStoryLedger, historyToMessages } from './storyMemoryService.js';
+import { createMessage, getMessageText } from './llm/index.js';
+import { formatIssues } from './llm/structuredOutput.js';
+import { readJsonState, writeJsonState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Endings of the classic and visual modes.
+ *
+ * Endings are authored in the rules file (classic) or in worldSetting.endings (visual).
+ * After each turn the session's facts (key events, scene, relationships, stats) are checked
+ * against them; the first one reached ends the game with an epilogue written from the
+ * story ledger and the last messages. A classic session keeps its ending in
+ * ending_<sessionId>.json, a visual session in its session.json.
+ */
+
+export const KIND_LABELS = { good: '好结局', neutral: '普通结局', bad: '坏结局', death: '死亡结局' };
+
+// Last messages quoted to the epilogue writer besides the story ledger
+const EPILOGUE_MESSAGES = 6;
+const MAX_MESSAGE_CHARS = 1500;
+
+const endingsSchema = z.array(endingSchema);
+
+/**
+ * Validate authored endings (visual worldSetting.endings); broken endings are ignored
+ */
+export function parseEndings(endings, label = 'endings') {
+  const result = endingsSchema.safeParse(endings || []);
+  if (!result.success) {
+    const issues = formatIssues(result.error).map(i => `${i.path}: ${i.message}`).join('; ');
+    console.error(`[Endings] Ignoring invalid ${label}: ${issues}`);
+    return [];
+  }
+  return result.data;
+}
+
+function matchesEnding(when, facts) {
+  if (when.keyEvent && !facts.keyEvents.includes(when.keyEvent)) return false;
+  if (when.scene && facts.scene !== when.scene) return false;
+  if (when.relationship) {
+    const { npc, min, max } = when.relationship;
+    const value = facts.relationships?.[npc];
+    if (value === undefined) return false;
+    if (min !== undefined && value < min) return false;
+    if (max !== undefined && value > max) return false;
+  }
+  if (when.death !== undefined && when.death !== !!facts.dead) return false;
+  if (when.condition && !(facts.scope && evaluate(when.condition, facts.scope))) return false;
+  return true;
+}
+
+/**
+ * Ending reached by the given facts: the highest priority one, then the first listed
+ * @param {Array<Object>} endings - Parsed endings
+ * @param {Object} facts - { keyEvents, scene, relationships, dead, scope }
+ * @returns {Object|null}
+ */
+export function findReachedEnding(endings, facts) {
+  let reached = null;
+  for (const ending of endings) {
+    if (matchesEnding(ending.when, facts) && (!reached || ending.priority > reached.priority)) {
+      reached = ending;
+    }
+  }
+  return reached;
+}
+
+/**
+ * The ending as the narrative step that closes the story
+ */
+export function buildEndingStep(record) {
+  return {
+    type: 'ending',
+    endingId: record.id,
+    title: record.title,
+    kind: record.kind,
+    kindLabel: KIND_LABELS[record.kind],
+    content: record.epilogue
+  };
+}
+
+function formatTranscript(messages) {
+  return messages.map(message => {
+    const speaker = message.role === 'user' ? '玩家' : '主持人';
+    const content = String(message.content || '');
+    const text = content.length > MAX_MESSAGE_CHARS ? `${content.slice(0, MAX_MESSAGE_CHARS)}…` : content;
+    return `【${speaker}】${text}`;
+  }).join('\n\n');
+}
+
+/**
+ * Epilogue that sums up the playthrough; the ending's description is the fallback
+ * @param {Object} options - { sessionId, mode, ending, ledger, messages, finalState }
+ */
+export async function generateEpilogue({ sessionId, mode, ending, ledger, messages = [], finalState = '' }) {
+  const fallback = ending.description || `${ending.title}。`;
+  const storySoFar = formatStoryLedger(ledger);
+
+  try {
+    const response = await createMessage('epilogue', {
+      system: `你是互动小说的结局撰写者。玩家的这段旅程已经到达结局「${ending.title}」（${KIND_LABELS[ending.kind]}）。${ending.description ? `\n结局说明：${ending.description}` : ''}
+
+请根据剧情梗概和最后的剧情，写一段300-500字的中文尾声：
+- 回顾玩家这一路的关键抉择、结识的人物和最终的处境
+- 交代结局，基调与结局类型一致
+- 只写真实发生过的事，不要编造新的情节
+- 不要输出任何标记、选项、标题或markdown格式`,
+      messages: [{
+        role: 'user',
+        content: `${storySoFar || '## 故事梗概\n（故事较短，暂无梗概）\n'}
+## 最后的剧情
+
+${formatTranscript(messages.slice(-EPILOGUE_MESSAGES)) || '（无）'}${finalState ? `\n\n## 玩家最终状态\n\n${finalState}` : ''}
+
+请写出尾声。`
+      }]
+    }, { context: { sessionId, mode } });
+    return getMessageText(response).trim() || fallback;
+  } catch (error) {
+    console.error('[Endings] Epilogue generation failed:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Ending record kept once the game is over
+ */
+export function createEndingRecord(ending, epilogue, extra = {}) {
+  return {
+    id: ending.id,
+    title: ending.title,
+    kind: ending.kind,
+    description: ending.description,
+    epilogue,
+    ...extra,
+    endedAt: new Date().toISOString()
+  };
+}
+
+// --- Classic sessions ---
+
+function getEndingPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `ending_${sessionId}.json`);
+}
+
+/**
+ * Ending of a classic session, or null while the game goes on
+ */
+export function getEnding(sessionId) {
+  return readJsonState(getEndingPath(sessionId), null);
+}
+
+function getClassicFacts(sessionId, status, rules) {
+  const lore = loadSessionLore(sessionId);
+  const hp = Number(status.stats?.[rules.combat.hpStat]);
+  return {
+    keyEvents: lore ? getReachedKeyEvents(lore) : [],
+    scene: status.location || null,
+    relationships: Object.fromEntries(Object.entries(status.network || {})
+      .filter(([, npc]) => Number.isFinite(Number(npc?.relationship)))
+      .map(([name, npc]) => [name, Number(npc.relationship)])),
+    dead: Number.isFinite(hp) && hp <= 0,
+    scope: { ...(status.currency || {}), ...(status.stats || {}) }
+  };
+}
+
+/**
+ * Ending a classic session has reached (null when none, or when it already ended)
+ */
+export function detectClassicEnding(sessionId) {
+  const rules = loadRules(sessionId);
+  const status = loadStatus(sessionId);
+  if (rules.endings.length === 0 || !status || getEnding(sessionId)) return null;
+  return findReachedEnding(rules.endings, getClassicFacts(sessionId, status, rules));
+}
+
+function formatFinalState(status) {
+  const stats = Object.entries(status?.stats || {}).map(([name, value]) => `${name}: ${value}`);
+  const relationships = Object.entries(status?.network || {})
+    .filter(([, npc]) => npc?.relationship !== undefined)
+    .map(([name, npc]) => `${name}: ${npc.relationship}`);
+  return [
+    stats.length > 0 && `属性：${stats.join('，')}`,
+    relationships.length > 0 && `人物关系：${relationships.join('，')}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * End a classic session with the given ending: write the epilogue and keep the record
+ * @param {Array<Object>} history - Session history ({ type, message } entries)
+ * @returns {Promise<Object>} The ending record
+ */
+export async function endClassicSession(sessionId, ending, history = []) {
+  console.log(`🏁 Session ${sessionId} reached ending: ${ending.title} (${ending.kind})`);
+  const epilogue = await generateEpilogue({
+    sessionId,
+    mode: 'classic',
+    ending,
+    ledger: loadStoryLedger(path.join(GAME_DATA_DIR, sessionId, `story_ledger_${sessionId}.json`)),
+    messages: historyToMessages(history),
+    finalState: formatFinalState(loadStatus(sessionId))
+  });
+
+  const record = createEndingRecord(ending, epilogue, {
+    turn: history.filter(entry => entry.type === 'player').length
+  });
+  await writeJsonState(getEndingPath(sessionId), record);
+  return record;
+}
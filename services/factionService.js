@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { z } from 'zod';
+import { factionSchema, factionRulesSchema } from './schemas/gameDataSchemas.js';
+import { loadSessionLore } from './gameTimeService.js';
+import { applyRulesToSession } from './rulesService.js';
+import { trackState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Factions and the player's standing with them.
+ *
+ * Factions are authored in the lore (`factions`, `factionRules`); the player's reputation per
+ * faction is kept in the player status (`reputation`, bounded by the rules' `reputation` section).
+ * Relationship changes with a member spread to its factions, then to their allies and rivals.
+ * Reputation sets the prices of faction-run shops and opens scenes listed in a faction's `unlocks`.
+ */
+
+/**
+ * Factions of a lore file with members resolved to NPC names, plus the faction rules.
+ * NPCs naming a faction (by id or name) in their own `factions` are members too.
+ * @returns {{ factions: Array<Object>, rules: Object }}
+ */
+export function getFactionSetup(lore, worldData) {
+  const parsed = z.array(factionSchema).safeParse(lore?.factions || []);
+  if (!parsed.success) {
+    console.error('[Factions] Ignoring invalid lore factions:', parsed.error.message);
+  }
+  const factions = parsed.success ? parsed.data : [];
+  const rules = factionRulesSchema.parse(lore?.factionRules || {});
+
+  const npcs = Object.values(worldData || {}).flatMap(scene => scene.npcs || []);
+  const npcName = ref => npcs.find(npc => npc.id === ref || npc.name === ref)?.name || ref;
+
+  return {
+    factions: factions.map(faction => {
+      const joined = npcs
+        .filter(npc => (npc.factions || []).some(ref => ref === faction.id || ref === faction.name))
+        .map(npc => npc.name);
+      return { ...faction, members: [...new Set([...faction.members.map(npcName), ...joined])] };
+    }),
+    rules
+  };
+}
+
+/**
+ * Faction setup of a session (lore and scenes files)
+ */
+export function loadSessionFactions(sessionId) {
+  const scenesPath = path.join(GAME_DATA_DIR, sessionId, `scenes_${sessionId}.json`);
+  const worldData = fs.existsSync(scenesPath) ? JSON.parse(fs.readFileSync(scenesPath, 'utf-8')) : {};
+  return getFactionSetup(loadSessionLore(sessionId), worldData);
+}
+
+function findFaction(factions, idOrName) {
+  const ref = String(idOrName || '').trim();
+  return factions.find(faction => faction.id === ref || faction.name === ref) || null;
+}
+
+/**
+ * Reputation of the player with every faction ({ factionId: value }); factions the player
+ * has not dealt with yet stand at their initialReputation
+ */
+export function getReputation(status, factions) {
+  return Object.fromEntries(factions.map(faction => [
+    faction.id,
+    Number(status?.reputation?.[faction.id] ?? faction.initialReputation) || 0
+  ]));
+}
+
+/**
+ * Highest tier the reputation reaches (the lowest tier when it is below all of them)
+ */
+export function getReputationTier(value, rules) {
+  const tiers = [...rules.tiers].sort((a, b) => a.minReputation - b.minReputation);
+  return [...tiers].reverse().find(tier => value >= tier.minReputation) || tiers[0];
+}
+
+/**
+ * Reputation deltas caused by relationship changes with members and by direct reputation changes
+ * @param {Object} changes - { relationships: { npcName: delta }, reputation: { factionIdOrName: delta } }
+ * @returns {Object} { factionId: delta }, rounded, without zeros
+ */
+export function computeReputationChanges({ factions, rules }, { relationships = {}, reputation = {} }) {
+  const direct = {};
+  const add = (target, factionId, delta) => {
+    target[factionId] = (target[factionId] || 0) + delta;
+  };
+
+  for (const [npcName, delta] of Object.entries(relationships)) {
+    factions
+      .filter(faction => faction.members.includes(npcName))
+      .forEach(faction => add(direct, faction.id, Number(delta) * rules.memberShare));
+  }
+  for (const [ref, delta] of Object.entries(reputation)) {
+    const faction = findFaction(factions, ref);
+    if (faction) {
+      add(direct, faction.id, Number(delta));
+    } else {
+      console.warn(`⚠️ Unknown faction in reputation change: ${ref}`);
+    }
+  }
+
+  const total = {};
+  for (const [factionId, delta] of Object.entries(direct)) {
+    const faction = findFaction(factions, factionId);
+    add(total, factionId, delta);
+    faction.allies.map(ref => findFaction(factions, ref)).filter(Boolean)
+      .forEach(ally => add(total, ally.id, delta * rules.allyShare));
+    faction.rivals.map(ref => findFaction(factions, ref)).filter(Boolean)
+      .forEach(rival => add(total, rival.id, -delta * rules.rivalShare));
+  }
+
+  return Object.fromEntries(
+    Object.entries(total)
+      .map(([factionId, delta]) => [factionId, Math.round(delta)])
+      .filter(([, delta]) => delta !== 0)
+  );
+}
+
+/**
+ * Apply reputation changes to a player status through the rules engine, then unlock the scenes
+ * the new reputation opens. Pure with respect to the status: the caller saves the result.
+ * @returns {Promise<{ status: Object, audit: Array<Object>, unlockedScenes: Array<string> }>}
+ */
+export async function applyReputationChanges(sessionId, status, changes, options = {}) {
+  const setup = loadSessionFactions(sessionId);
+  const deltas = computeReputationChanges(setup, changes);
+  if (Object.keys(deltas).length === 0) {
+    return { status, audit: [], unlockedScenes: [] };
+  }
+
+  const seeded = trackState({ ...status, reputation: getReputation(status, setup.factions) }, status);
+  const result = await applyRulesToSession(sessionId, seeded, { reputation: deltas }, { source: 'rule:faction', ...options });
+
+  const unlockedScenes = [...new Set(setup.factions.flatMap(faction => faction.unlocks
+    .filter(unlock => result.status.reputation[faction.id] >= unlock.minReputation)
+    .map(unlock => unlock.sceneId)))]
+    .filter(sceneId => !(result.status.unlockedScenes || []).includes(sceneId));
+  if (unlockedScenes.length === 0) {
+    return { ...result, unlockedScenes };
+  }
+
+  const unlocked = await applyRulesToSession(sessionId, result.status, { unlocked_scenes: unlockedScenes }, {
+    source: 'rule:faction',
+    reason: 'unlocked by faction reputation'
+  });
+  console.log(`🏳️ Reputation unlocked scenes: ${unlockedScenes.join(', ')}`);
+  return { status: unlocked.status, audit: [...result.audit, ...unlocked.audit], unlockedScenes };
+}
+
+/**
+ * The faction running a building and what the player's standing there means for trade,
+ * or null when no faction runs it
+ * @returns {{ factionId, factionName, reputation, tier, priceModifier, refusesTrade } | null}
+ */
+export function getBuildingStanding(sessionId, buildingId, status) {
+  const { factions, rules } = loadSessionFactions(sessionId);
+  const faction = factions.find(f => f.buildings.includes(buildingId));
+  if (!faction) return null;
+
+  const reputation = getReputation(status, [faction])[faction.id];
+  const tier = getReputationTier(reputation, rules);
+  return {
+    factionId: faction.id,
+    factionName: faction.name,
+    reputation,
+    tier: tier.name,
+    priceModifier: tier.priceModifier,
+    refusesTrade: tier.refusesTrade
+  };
+}
+
+/**
+ * Every faction with the player's reputation, tier and the scenes it unlocks
+ */
+export function getFactionsOverview(sessionId, status) {
+  const { factions, rules } = loadSessionFactions(sessionId);
+  const reputation = getReputation(status, factions);
+
+  return factions.map(faction => ({
+    id: faction.id,
+    name: faction.name,
+    description: faction.description,
+    reputation: reputation[faction.id],
+    tier: getReputationTier(reputation[faction.id], rules).name,
+    members: faction.members,
+    allies: faction.allies,
+    rivals: faction.rivals,
+    buildings: faction.buildings,
+    unlocks: faction.unlocks.map(unlock => ({
+      ...unlock,
+      unlocked: (status?.unlockedScenes || []).includes(unlock.sceneId)
+    }))
+  }));
+}
+
+/**
+ * "- 蜀汉: 声望 45（友好）；盟友: 东吴；对手: 曹魏；成员: 刘备、关羽" lines for prompts ('' without factions)
+ */
+export function formatFactionsForPrompt({ factions, rules }, status) {
+  const reputation = getReputation(status, factions);
+  const factionName = ref => findFaction(factions, ref)?.name || ref;
+
+  return factions.map(faction => [
+    `- ${faction.name}: 声望 ${reputation[faction.id]}（${getReputationTier(reputation[faction.id], rules).name}）`,
+    faction.allies.length > 0 ? `盟友: ${faction.allies.map(factionName).join('、')}` : '',
+    faction.rivals.length > 0 ? `对手: ${faction.rivals.map(factionName).join('、')}` : '',
+    faction.members.length > 0 ? `成员: ${faction.members.join('、')}` : ''
+  ].filter(Boolean).join('；')).join('\n');
+}
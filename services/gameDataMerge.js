@@ -0,0 +1,133 @@
+/**
+ * Merge game data extracted from several document chunks.
+ * Entities are matched by id, then by name (case/whitespace-insensitive);
+ * the first chunk that mentions a field wins, later chunks only fill gaps.
+ */
+
+function normalizeKey(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, '') : '';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (isPlainObject(value) && Object.keys(value).length === 0);
+}
+
+function entityKeys(entity) {
+  if (!isPlainObject(entity)) return [];
+  return [entity.id, entity.name, entity.title].map(normalizeKey).filter(Boolean);
+}
+
+/**
+ * Deep-merge two versions of the same entity
+ */
+export function mergeEntity(base, incoming) {
+  if (isEmpty(base)) return incoming;
+  if (isEmpty(incoming)) return base;
+
+  if (Array.isArray(base) && Array.isArray(incoming)) {
+    return mergeList([...base, ...incoming]);
+  }
+  if (!isPlainObject(base) || !isPlainObject(incoming)) {
+    return base;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(incoming)) {
+    merged[key] = mergeEntity(merged[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Dedupe a list: objects by id/name/title, primitives by value
+ */
+function mergeList(list) {
+  const result = [];
+  const indexByKey = new Map();
+  const seenValues = new Set();
+
+  for (const item of list) {
+    const keys = entityKeys(item);
+    if (keys.length > 0) {
+      const existingIndex = keys.map(key => indexByKey.get(key)).find(index => index !== undefined);
+      if (existingIndex !== undefined) {
+        result[existingIndex] = mergeEntity(result[existingIndex], item);
+        entityKeys(result[existingIndex]).forEach(key => indexByKey.set(key, existingIndex));
+        continue;
+      }
+      keys.forEach(key => indexByKey.set(key, result.length));
+      result.push(item);
+      continue;
+    }
+
+    const valueKey = JSON.stringify(item);
+    if (!seenValues.has(valueKey)) {
+      seenValues.add(valueKey);
+      result.push(item);
+    }
+  }
+  return result;
+}
+
+/**
+ * Merge { id: entity } records. Returns the merged record and an alias map
+ * (dropped id -> kept id) for fixing references such as scene exits.
+ */
+function mergeRecords(records) {
+  const merged = {};
+  const aliases = {};
+  const idByKey = new Map();
+
+  for (const record of records) {
+    for (const [id, entity] of Object.entries(record || {})) {
+      const keys = [normalizeKey(id), ...entityKeys(entity)].filter(Boolean);
+      const existingId = keys.map(key => idByKey.get(key)).find(Boolean);
+
+      if (existingId) {
+        merged[existingId] = mergeEntity(merged[existingId], { ...entity, id: existingId });
+        if (existingId !== id) aliases[id] = existingId;
+        keys.forEach(key => idByKey.set(key, existingId));
+      } else {
+        merged[id] = entity;
+        keys.forEach(key => idByKey.set(key, id));
+      }
+    }
+  }
+  return { merged, aliases };
+}
+
+export function mergeBackgroundData(list) {
+  return list.reduce((merged, data) => mergeEntity(merged, data), {});
+}
+
+export function mergePlayerData(list) {
+  return list.reduce((merged, data) => mergeEntity(merged, data), {});
+}
+
+export function mergeItemData(list) {
+  return mergeRecords(list).merged;
+}
+
+/**
+ * Scenes are merged like items; NPCs and buildings inside a scene by id/name,
+ * and exits pointing at a merged-away scene id are redirected
+ */
+export function mergeWorldData(list) {
+  const { merged, aliases } = mergeRecords(list);
+
+  for (const scene of Object.values(merged)) {
+    if (!isPlainObject(scene.exits)) continue;
+    for (const [direction, targetId] of Object.entries(scene.exits)) {
+      if (aliases[targetId]) {
+        scene.exits[direction] = aliases[targetId];
+      }
+    }
+  }
+  return merged;
+}
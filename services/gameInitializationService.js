@@ -1,37 +1,54 @@
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { parseJSONFromResponse } from './utils.js';
+import { createMessage } from './llm/index.js';
+import { createStructuredMessage, SchemaValidationError, formatIssues } from './llm/structuredOutput.js';
+import {
+  backgroundDataSchema,
+  playerDataSchema,
+  itemDataSchema,
+  worldDataSchema,
+  partialPlayerDataSchema,
+  partialWorldDataSchema
+} from './schemas/gameDataSchemas.js';
+import { chunkDocument } from './documentChunker.js';
+import { mergeBackgroundData, mergePlayerData, mergeItemData, mergeWorldData } from './gameDataMerge.js';
+import { copyRulesToSession } from './rulesService.js';
+import { copyQuestsToSession } from './questChainService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Initialize Claude client
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
-});
-
 // Directory for storing game data files
 const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
 const GAME_SAVES_DIR = path.join(__dirname, '..', 'game_saves');
 
 /**
- * Extract comprehensive game data from PDF using LLM
+ * Extract comprehensive game data from PDF using LLM.
+ * Long documents are split into chunks (see documentChunker.js); every chunk is
+ * extracted separately and the results are merged by entity id/name.
+ *
+ * @param {string} pdfText - Full document text
+ * @param {string} fileId - Target file id
+ * @param {Object} options - { chunks, onProgress(progress, message, data) }
  */
-export async function extractGameInitializationData(pdfText, fileId) {
+export async function extractGameInitializationData(pdfText, fileId, options = {}) {
+  const { onProgress = null } = options;
+  const chunks = options.chunks || chunkDocument({ text: pdfText });
+
   console.log('\n=== 🎮 GAME INITIALIZATION EXTRACTION ===');
   console.log('File ID:', fileId);
   console.log('PDF text length:', pdfText.length);
+  console.log('Chunks:', chunks.length);
 
   try {
-    // Extract all 4 categories of data using LLM
-    const backgroundData = await extractBackgroundData(pdfText);
-    const playerData = await extractPlayerData(pdfText);
-    const itemData = await extractItemData(pdfText);
-    const worldData = await extractWorldData(pdfText);
+    const { backgroundData, playerData, itemData, worldData } = chunks.length > 1
+      ? await extractFromChunks(chunks, onProgress)
+      : await extractFromSingleText(pdfText, onProgress);
+
+    await reportProgress(onProgress, 90, '生成NPC问候语');
+    await generateNPCGreetings(worldData);
 
     // Create session-specific data structure
     const gameData = {
@@ -44,7 +61,7 @@ export async function extractGameInitializationData(pdfText, fileId) {
     };
 
     // Save each category to separate JSON files
-    await saveGameData(fileId, gameData);
+    await saveGameData(fileId, gameData, { chunkCount: chunks.length });
 
     console.log('✅ Game initialization data extracted and saved successfully');
     return gameData;
@@ -53,17 +70,109 @@ export async function extractGameInitializationData(pdfText, fileId) {
     throw error;
   }
 }
+
+async function reportProgress(onProgress, progress, message, data = {}) {
+  if (!onProgress) return;
+  try {
+    await onProgress(progress, message, data);
+  } catch (error) {
+    console.warn('⚠️ Progress callback failed:', error.message);
+  }
+}
+
+async function extractFromSingleText(pdfText, onProgress) {
+  await reportProgress(onProgress, 10, '提取背景数据');
+  const backgroundData = await extractBackgroundData(pdfText);
+  await reportProgress(onProgress, 30, '提取玩家数据');
+  const playerData = await extractPlayerData(pdfText);
+  await reportProgress(onProgress, 50, '提取物品数据');
+  const itemData = await extractItemData(pdfText);
+  await reportProgress(onProgress, 70, '提取场景数据');
+  const worldData = await extractWorldData(pdfText);
+
+  return { backgroundData, playerData, itemData, worldData };
+}
+
+/**
+ * Extract every chunk, then merge. A chunk whose extraction still fails
+ * validation is skipped; the merged result must pass the full schemas.
+ */
+async function extractFromChunks(chunks, onProgress) {
+  const results = { backgroundData: [], playerData: [], itemData: [], worldData: [] };
+  const failedChunks = [];
+  const extractors = [
+    ['backgroundData', extractBackgroundData],
+    ['playerData', extractPlayerData],
+    ['itemData', extractItemData],
+    ['worldData', extractWorldData]
+  ];
+
+  for (const chunk of chunks) {
+    const chunkLabel = `${chunk.index + 1}/${chunk.total}`;
+    await reportProgress(
+      onProgress,
+      Math.round(5 + (chunk.index / chunk.total) * 80),
+      `提取第 ${chunkLabel} 部分`,
+      { chunk: { index: chunk.index, total: chunk.total, titles: chunk.titles, pages: chunk.pages } }
+    );
+    console.log(`📑 Extracting chunk ${chunkLabel} (${chunk.text.length} chars)`);
+
+    for (const [category, extract] of extractors) {
+      try {
+        results[category].push(await extract(chunk.text, chunk));
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        console.warn(`⚠️ Skipping ${category} of chunk ${chunkLabel}: ${error.message}`);
+        failedChunks.push({ chunk: chunk.index, category, issues: error.issues });
+      }
+    }
+  }
+
+  await reportProgress(onProgress, 85, '合并提取结果', { failedChunks });
+  console.log(`🔗 Merging ${chunks.length} chunks (${failedChunks.length} failed extractions)`);
+
+  return {
+    backgroundData: validateMerged('backgroundData', backgroundDataSchema, mergeBackgroundData(results.backgroundData), chunks.length),
+    playerData: validateMerged('playerData', playerDataSchema, mergePlayerData(results.playerData), chunks.length),
+    itemData: validateMerged('itemData', itemDataSchema, mergeItemData(results.itemData), chunks.length),
+    worldData: validateMerged('worldData', worldDataSchema, mergeWorldData(results.worldData), chunks.length)
+  };
+}
+
+function validateMerged(label, schema, data, attempts) {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    throw new SchemaValidationError(label, formatIssues(result.error), JSON.stringify(data), attempts);
+  }
+  return result.data;
+}
+
+/**
+ * Prompt note telling the model it only sees one part of the document
+ */
+function describePart(part) {
+  if (!part) return '';
+  const titles = part.titles?.length ? ` (sections: ${part.titles.slice(0, 5).join(' / ')})` : '';
+  const pages = part.pages ? ` (pages ${part.pages[0]}-${part.pages[1]})` : '';
+  return `
+NOTE: This is part ${part.index + 1} of ${part.total} of a longer document${titles}${pages}.
+- Extract only what appears in this part; all parts are merged afterwards by id and name
+- Use stable snake_case ids derived from names so the same entity gets the same id in every part
+- Leave fields empty ("", [], {}) instead of inventing defaults for things this part does not mention
+`;
+}
+
 /**
  * 1. Extract Background Data (背景数据)
  */
-async function extractBackgroundData(pdfText) {
+async function extractBackgroundData(pdfText, part = null) {
   console.log('📜 Extracting background data...');
 
   const prompt = `Extract background and lore information from this game content.
 
 CONTENT:
 ${pdfText}
-
+${describePart(part)}
 Extract and return ONLY valid JSON in this format:
 {
   "worldBackground": {
@@ -92,7 +201,25 @@ Extract and return ONLY valid JSON in this format:
     "currentDay": 1,
     "monthNames": ["一月", "二月", "三月", "四月", "五月", "六月", "七月", "八月", "九月", "十月", "十一月", "十二月"],
     "season": "Extract current season"
-  }
+  },
+  "calendar": {
+    "months": [{ "name": "一月", "days": 30 }],
+    "hoursPerDay": 24,
+    "seasons": [{ "name": "春", "startMonth": 1 }, { "name": "夏", "startMonth": 4 }, { "name": "秋", "startMonth": 7 }, { "name": "冬", "startMonth": 10 }],
+    "eras": [{ "name": "Era name (same as gameTime.yearName)", "startYear": 0 }],
+    "dateFormat": "{era}{year}年{month}月{day}日"
+  },
+  "factions": [
+    {
+      "id": "faction_id",
+      "name": "Faction name",
+      "description": "Faction description",
+      "members": ["NPC name"],
+      "allies": ["allied_faction_id"],
+      "rivals": ["rival_faction_id"],
+      "initialReputation": 0
+    }
+  ]
 }
 
 IMPORTANT:
@@ -100,35 +227,16 @@ IMPORTANT:
 - Include player/protagonist backstory and origin
 - List key historical events that shape the world
 - Determine current game time and calendar system
+- calendar.eras: eras (reign titles, ages) in order; startYear is the absolute year (e.g. AD year) of the era's first year, and keyEvents years should be absolute years or "<era name><year>年"
+- calendar.months: list every month with its length; omit calendar fields the source does not define
+- factions: the groups, clans, sects or organisations of the story; members are character names, allies/rivals are other faction ids, initialReputation (-100..100) is how the protagonist starts out with them; omit factions if the story has none
 - If information is not available, use reasonable defaults but keep the structure
 - Return ONLY JSON, no explanations
 - All text content in the JSON must be in Chinese`;
 
-  const message = await anthropic.messages.create({
-    model: 'gpt-4.1-2025-04-14',
-    max_tokens: 10000,
+  const data = await createStructuredMessage('extraction', {
     messages: [{ role: 'user', content: prompt }]
-  });
-
-  // Handle both string and object responses (for custom API endpoints)
-  let parsedMessage = message;
-  if (typeof message === 'string') {
-    try {
-      parsedMessage = JSON.parse(message);
-    } catch (e) {
-      console.error('❌ Failed to parse API response string:', e);
-      throw new Error('Invalid JSON response from API');
-    }
-  }
-
-  // Check if response has the expected structure
-  if (!parsedMessage?.content?.[0]?.text) {
-    console.error('❌ Invalid API response structure:', JSON.stringify(parsedMessage, null, 2));
-    throw new Error('Invalid response from Claude API - no content received');
-  }
-
-  const responseText = parsedMessage.content[0].text.trim();
-  const data = parseJSONFromResponse(responseText);
+  }, backgroundDataSchema, { label: 'backgroundData' });
 
   // Return the generated data directly
   console.log('✅ Background data extracted');
@@ -138,14 +246,14 @@ IMPORTANT:
 /**
  * 2. Extract Player Data (玩家数据)
  */
-async function extractPlayerData(pdfText) {
+async function extractPlayerData(pdfText, part = null) {
   console.log('👤 Extracting player data...');
 
   const prompt = `Extract player character data from this game content.
 
 CONTENT:
 ${pdfText}
-
+${describePart(part)}
 Extract and return ONLY valid JSON in this format:
 {
   "profile": {
@@ -193,31 +301,9 @@ IMPORTANT:
 - Return ONLY JSON, no explanations
 - All text content in the JSON must be in Chinese`;
 
-  const message = await anthropic.messages.create({
-    model: 'gpt-4.1-2025-04-14',
-    max_tokens: 10000,
+  const data = await createStructuredMessage('extraction', {
     messages: [{ role: 'user', content: prompt }]
-  });
-
-  // Handle both string and object responses (for custom API endpoints)
-  let parsedMessage = message;
-  if (typeof message === 'string') {
-    try {
-      parsedMessage = JSON.parse(message);
-    } catch (e) {
-      console.error('❌ Failed to parse API response string:', e);
-      throw new Error('Invalid JSON response from API');
-    }
-  }
-
-  // Check if response has the expected structure
-  if (!parsedMessage?.content?.[0]?.text) {
-    console.error('❌ Invalid API response structure:', JSON.stringify(parsedMessage, null, 2));
-    throw new Error('Invalid response from Claude API - no content received');
-  }
-
-  const responseText = parsedMessage.content[0].text.trim();
-  const data = parseJSONFromResponse(responseText);
+  }, part ? partialPlayerDataSchema : playerDataSchema, { label: 'playerData' });
 
   // Return the generated data directly
   console.log('✅ Player data extracted');
@@ -227,14 +313,14 @@ IMPORTANT:
 /**
  * 3. Extract Item Data (物品数据)
  */
-async function extractItemData(pdfText) {
+async function extractItemData(pdfText, part = null) {
   console.log('🎒 Extracting item data...');
 
   const prompt = `Extract all items from this game content and return them as a simple key-value object.
 
 CONTENT:
 ${pdfText}
-
+${describePart(part)}
 Extract and return ONLY valid JSON in this format:
 {
   "item_id_1": {
@@ -245,9 +331,10 @@ Extract and return ONLY valid JSON in this format:
     "type": "consumable/armor/weapon/material/currency/etc",
     "usable": true,
     "stackable": true,
-    "effects": {
-      "health": 50
-    }
+    "effects": [
+      { "type": "heal", "stat": "health", "amount": 50 },
+      { "type": "buff", "stat": "attack", "amount": 5, "duration": 3 }
+    ]
   },
   "item_id_2": {
     "id": "item_id_2",
@@ -268,37 +355,20 @@ IMPORTANT:
 - Use simple item IDs as keys (e.g., health_potion, iron_sword)
 - Include basic properties: name, description, icon, type
 - Add appropriate effects, stats, or equipment slots as needed
-- For consumables, include effects like health, attack, etc.
-- For equipment, include equippable, slots, and stats
+- For usable items, "effects" is a list of typed effects:
+  - { "type": "heal", "stat": "health", "amount": 50 } restores a stat
+  - { "type": "modify", "stat": "strength", "amount": 1 } changes a stat permanently
+  - { "type": "buff", "stat": "attack", "amount": 5, "duration": 3 } changes a stat for a number of turns
+  - { "type": "unlock_scene", "sceneId": "scene_id" } opens access to a scene (keys, maps, passes)
+  - { "type": "trigger_event", "event": "What happens in the story when the item is used" }
+- For equipment, include equippable, slots, and stats (bonuses while equipped)
 - If information is not available, use reasonable defaults but keep the structure
 - Return ONLY JSON object with item IDs as keys, no explanations
 - All text content in the JSON must be in Chinese`;
 
-  const message = await anthropic.messages.create({
-    model: 'gpt-4.1-2025-04-14',
-    max_tokens: 10000,
+  const data = await createStructuredMessage('extraction', {
     messages: [{ role: 'user', content: prompt }]
-  });
-
-  // Handle both string and object responses (for custom API endpoints)
-  let parsedMessage = message;
-  if (typeof message === 'string') {
-    try {
-      parsedMessage = JSON.parse(message);
-    } catch (e) {
-      console.error('❌ Failed to parse API response string:', e);
-      throw new Error('Invalid JSON response from API');
-    }
-  }
-
-  // Check if response has the expected structure
-  if (!parsedMessage?.content?.[0]?.text) {
-    console.error('❌ Invalid API response structure:', JSON.stringify(parsedMessage, null, 2));
-    throw new Error('Invalid response from Claude API - no content received');
-  }
-
-  const responseText = parsedMessage.content[0].text.trim();
-  const data = parseJSONFromResponse(responseText);
+  }, itemDataSchema, { label: 'itemData' });
 
   // Return the generated data directly
   console.log('✅ Item data extracted');
@@ -308,14 +378,14 @@ IMPORTANT:
 /**
  * 4. Extract World Data (世界数据)
  */
-async function extractWorldData(pdfText) {
+async function extractWorldData(pdfText, part = null) {
   console.log('🌍 Extracting world data...');
 
   const prompt = `Extract world scenes and locations from this game content and return them as a simple key-value object.
 
 CONTENT:
 ${pdfText}
-
+${describePart(part)}
 Extract and return ONLY valid JSON in this format:
 {
   "scene_id_1": {
@@ -331,7 +401,15 @@ Extract and return ONLY valid JSON in this format:
         "icon": "data/icons/building.png",
         "type": "shop/inn/temple/guild/etc",
         "eventId": "building_event",
-        "features": ["Feature 1", "Feature 2"]
+        "features": ["Feature 1", "Feature 2"],
+        "shop": {
+          "currency": "gold",
+          "restockEveryDays": 7,
+          "stock": [
+            { "itemId": "item_id_1", "price": 20, "maxQuantity": 5 }
+          ]
+        },
+        "openHours": { "from": 8, "to": 20 }
       }
     ],
     "npcs": [
@@ -347,7 +425,16 @@ Extract and return ONLY valid JSON in this format:
         "eventId": "npc_event",
         "relationships": 10,
         "memory": [],
-        "greetings": ["Hello there!", "Greetings, traveler.", "Nice to meet you."]
+        "greetings": ["Hello there!", "Greetings, traveler.", "Nice to meet you."],
+        "schedule": [
+          { "timeOfDay": "上午", "sceneId": "market_scene_id", "activity": "摆摊" },
+          { "from": 19, "to": 23, "buildingId": "building_id", "activity": "喝酒" }
+        ],
+        "relations": [
+          { "target": "other_npc_id", "type": "family", "label": "兄长", "value": 85 },
+          { "target": "rival_npc_id", "type": "rival", "value": 20 }
+        ],
+        "factions": ["Faction name"]
       }
     ],
     "events": ["event_id_1", "event_id_2"],
@@ -371,6 +458,11 @@ Extract and return ONLY valid JSON in this format:
 IMPORTANT:
 - Extract ALL scenes and locations mentioned in the PDF
 - The features in each building describe the activity that user could participate in this buildings. e.g. Buying stuff in the store.
+- Only buildings that sell goods (shops, inns, smithies, etc.) get a "shop": item ids from the item list, prices in the game's currency, and maxQuantity (omit for unlimited stock)
+- openHours (hours, "to" may be past midnight e.g. 18 -> 2) only for buildings with known opening times
+- schedule only for NPCs whose daily routine is described: timeOfDay is one of 清晨/上午/中午/下午/傍晚/夜晚/深夜 or use from/to hours; sceneId/buildingId say where the NPC is (omit sceneId for the scene listing the NPC), "away": true when the NPC is nowhere to be met
+- relations are how an NPC stands towards other NPCs (target is the other NPC's id): type is family/friend/ally/lover/mentor/rival/enemy, value 0-100 (high = close, low = hostile); list each side of a relation on its own NPC
+- factions lists the groups, clans or organisations an NPC belongs to
 - Each Scene should be connected to at least one other scene
 - Use simple scene IDs as keys (e.g., village_square, forest_path)
 - Include buildings, NPCs, events, and exits for each scene.
@@ -379,34 +471,9 @@ IMPORTANT:
 - Return ONLY JSON object with scene IDs as keys, no explanations
 - All text content in the JSON must be in Chinese`;
 
-  const message = await anthropic.messages.create({
-    model: 'gpt-4.1-2025-04-14',
-    max_tokens: 10000,
+  const data = await createStructuredMessage('extraction', {
     messages: [{ role: 'user', content: prompt }]
-  });
-
-  // Handle both string and object responses (for custom API endpoints)
-  let parsedMessage = message;
-  if (typeof message === 'string') {
-    try {
-      parsedMessage = JSON.parse(message);
-    } catch (e) {
-      console.error('❌ Failed to parse API response string:', e);
-      throw new Error('Invalid JSON response from API');
-    }
-  }
-
-  // Check if response has the expected structure
-  if (!parsedMessage?.content?.[0]?.text) {
-    console.error('❌ Invalid API response structure:', JSON.stringify(parsedMessage, null, 2));
-    throw new Error('Invalid response from Claude API - no content received');
-  }
-
-  const responseText = parsedMessage.content[0].text.trim();
-  const data = parseJSONFromResponse(responseText);
-
-  // Post-process NPCs to ensure they all have memory field and generate greetings
-  await generateNPCGreetings(data);
+  }, part ? partialWorldDataSchema : worldDataSchema, { label: 'worldData' });
 
   // Return the generated data directly
   console.log('✅ World data extracted');
@@ -489,9 +556,7 @@ NPC信息：
 
 请直接返回3句问候语，用换行符分隔，不要其他说明。`;
 
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 200,
+  const message = await createMessage('greeting', {
     messages: [{ role: 'user', content: prompt }]
   });
 
@@ -509,7 +574,7 @@ NPC信息：
 /**
  * Save game data to separate JSON files
  */
-async function saveGameData(fileId, gameData) {
+async function saveGameData(fileId, gameData, ingestion = {}) {
   console.log('💾 Saving game data files...');
 
   const files = {
@@ -541,7 +606,8 @@ async function saveGameData(fileId, gameData) {
         items: `items_${fileId}.json`,
         scenes: `scenes_${fileId}.json`
         
-      }
+      },
+      chunkCount: ingestion.chunkCount || 1
     };
 
     fs.writeFileSync(files.manifest, JSON.stringify(manifest, null, 2));
@@ -698,6 +764,8 @@ export function copyUploadedGameToSession(fileId, sessionId) {
         console.warn(`  ⚠️ Source file not found: ${fileName}`);
       }
     });
+    copyRulesToSession(path.join(sourceDir, `rules_${fileId}.json`), sessionId);
+    copyQuestsToSession(path.join(sourceDir, `quests_${fileId}.json`), sessionId);
 
     // Create manifest with session info
     const manifestTarget = path.join(targetDir, 'manifest.json');
@@ -773,6 +841,8 @@ export function copyGameToSession(fileId, sessionId) {
         console.log(`  ✓ Copied ${fileName} -> ${targetFileName}`);
       }
     });
+    copyRulesToSession(path.join(sourceDir, `rules_${fileId}.json`), sessionId);
+    copyQuestsToSession(path.join(sourceDir, `quests_${fileId}.json`), sessionId);
 
     // Copy manifest
     const manifestSource = path.join(sourceDir, 'manifest.json');
@@ -1,23 +1,46 @@
-import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
 import {loadGameData, copyGameToSession, copyUploadedGameToSession } from './gameInitializationService.js';
-import {loadStatus, applyClaudeUpdates, initializeStatus, saveStatus} from './statusService.js';
+import {loadStatus, applyClaudeUpdates, initializeStatus, saveStatus, useItem, tickActiveEffects} from './statusService.js';
 import { prepareGameDataForLLM } from './utils.js';
 import {
   loadMissions,
   incrementTurnCount,
   buildGameContext,
   checkStorylineBlocked,
-  generateStoryMission
+  generateStoryMission,
+  updateQuestProgress
 } from './missionService.js';
-import { parseNarrativeSteps } from './narrativeParser.js';
-import { completeGameSessionByParams } from '../login/controller/gamesController.js';
+import { parseNarrativeSteps, toClassicStep } from './narrativeParser.js';
+import { createStepStream, describeStepFormat, getStepToolParams, formatToolTurn } from './stepFormat.js';
+import { completeGameSessionByParams, uploadGameSessionDataBySessionId } from '../login/controller/gamesController.js';
 import { updateNPCMemoriesWithPlot } from './npcChatService.js';
 import { getStyleInstructions, getDefaultStyle, isValidStyle } from './literaryStyleService.js';
+import { streamMessage, accumulateTokenUsage } from './llm/index.js';
+import { onMeteredUsage } from './usageMeteringService.js';
+import { getSessionTokenUsage } from '../login/service/llmUsageService.js';
+import { createCheckpoint, saveTurnStart, rewindLastTurn, restoreTurnStart } from './saveService.js';
+import { advanceSessionTime } from './gameTimeService.js';
+import { resolvePendingChecks, hasPendingChecks, formatCheckResultsForPrompt } from './skillCheckService.js';
+import { getCombat, startCombat, getCombatSummaryForPrompt, markCombatReported } from './combatService.js';
+import { initSessionSeed } from './diceService.js';
+import { startSessionLog } from './sessionLogService.js';
+import { getEnding, detectClassicEnding, endClassicSession, buildEndingStep } from './endingService.js';
+import { checkAchievements } from './achievementService.js';
+import { checkPlayerInput, checkModelOutput, getSessionRating, describeModeration } from './moderationService.js';
+import {
+  loadStoryLedger,
+  saveStoryLedger,
+  updateStoryLedger,
+  getRecentMessages,
+  formatStoryLedger,
+  historyToMessages
+} from './storyMemoryService.js';
+import { createSessionStore } from './sessionStore.js';
 import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { writeJsonState, updateJsonState } from './statePersistence.js';
 
 // Load environment variables
 dotenv.config();
@@ -29,16 +52,35 @@ const __dirname = dirname(__filename);
 const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
 const GAME_SAVES_DIR = path.join(__dirname, '..', 'game_saves');
 
-// Initialize Claude client
-console.log('🔍 GameService Environment Variables:');
-console.log('CLAUDE_API_KEY:', process.env.CLAUDE_API_KEY ? 'SET' : 'NOT SET');
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
+// Game sessions of this instance, locked and versioned in Redis (files and MinIO are the durable copy)
+const gameSessions = createSessionStore('game', {
+  pull: sessionId => uploadGameSessionDataBySessionId(sessionId, 'public/game_data')
+});
+
+// Every metered call of a live session counts towards its tokenUsage: turns, summaries, NPC chat, events...
+onMeteredUsage(({ sessionId, inputTokens, outputTokens, images, costUsd }) => {
+  const session = sessionId && gameSessions.get(sessionId);
+  if (!session) return;
+  if (images === 0) {
+    accumulateTokenUsage(session.tokenUsage, { input_tokens: inputTokens, output_tokens: outputTokens });
+  }
+  session.tokenUsage.costUsd = (session.tokenUsage.costUsd || 0) + costUsd;
 });
 
-// Store game sessions in memory (in production, use Redis or database)
-const gameSessions = new Map();
+/**
+ * Add the usage the session recorded before it was recovered (kept in llm_usage)
+ */
+function restoreTokenUsage(session) {
+  getSessionTokenUsage(session.sessionId, new Date())
+    .then(stored => {
+      for (const [key, value] of Object.entries(stored)) {
+        session.tokenUsage[key] = (session.tokenUsage[key] || 0) + value;
+      }
+    })
+    .catch(error => {
+      console.error(`[Metering] Failed to restore token usage of session ${session.sessionId}:`, error.message);
+    });
+}
 
 export function recoverSession(sessionId) {
   console.log(`🔄 Attempting to recover session: ${sessionId}`);
@@ -73,28 +115,13 @@ export function recoverSession(sessionId) {
     }
     const history = loadSessionHistory(sessionId);
 
-    // Rebuild conversation history from saved history for Claude context
-    const conversationHistory = [];
-    for (const entry of history) {
-      if (entry.type === 'player') {
-        conversationHistory.push({
-          role: 'user',
-          content: entry.message
-        });
-      } else if (entry.type === 'game') {
-        conversationHistory.push({
-          role: 'assistant',
-          content: entry.message
-        });
-      }
-    }
-
-    // Keep only the last 20 messages to avoid token overflow
-    const trimmedConversationHistory = conversationHistory.length > 20
-      ? conversationHistory.slice(-20)
-      : conversationHistory;
+    // Rebuild the verbatim part of the model context; older turns live in the story ledger
+    const conversationHistory = getRecentMessages(
+      loadStoryLedger(getStoryLedgerPath(sessionId)),
+      historyToMessages(history)
+    );
 
-    console.log(`📜 Rebuilt conversation history: ${trimmedConversationHistory.length} messages`);
+    console.log(`📜 Rebuilt conversation history: ${conversationHistory.length} messages`);
 
     // Load literary style from manifest
     let literaryStyle = getDefaultStyle();
@@ -124,7 +151,7 @@ export function recoverSession(sessionId) {
         isInitialized: history.length > 0
       },
       history,
-      conversationHistory: trimmedConversationHistory,
+      conversationHistory,
       tokenUsage: {
         totalInputTokens: 0,
         totalOutputTokens: 0,
@@ -135,6 +162,7 @@ export function recoverSession(sessionId) {
 
     // Store in memory
     gameSessions.set(sessionId, session);
+    restoreTokenUsage(session);
     console.log(`✅ Session recovered successfully`);
 
     return session;
@@ -144,7 +172,7 @@ export function recoverSession(sessionId) {
   }
 }
 
-export function saveSessionHistory(sessionId, history) {
+export async function saveSessionHistory(sessionId, history) {
   // Save to session directory
   const sessionDir = path.join(GAME_DATA_DIR, sessionId);
   const historyPath = path.join(sessionDir, `history_${sessionId}.json`);
@@ -161,7 +189,7 @@ export function saveSessionHistory(sessionId, history) {
       lastUpdated: new Date().toISOString(),
       totalMessages: (history || []).length
     };
-    fsSync.writeFileSync(historyPath, JSON.stringify(historyData, null, 2), 'utf-8');
+    await writeJsonState(historyPath, historyData);
     console.log(`💾 History saved: ${history?.length || 0} messages`);
   } catch (error) {
     console.error('Error saving session history:', error);
@@ -186,7 +214,11 @@ function loadSessionHistory(sessionId) {
   return [];
 }
 
-export const createGameSession = async (sessionId, fileId, playerName = 'Player', literaryStyle = null) => {
+/**
+ * Create a classic session from an uploaded or pre-processed game.
+ * seed: the session's random seed (a random one when not given)
+ */
+export const createGameSession = async (sessionId, fileId, playerName = 'Player', literaryStyle = null, seed = null) => {
   console.log('\n=== 🎮 CREATE GAME SESSION ===');
   console.log('Session ID:', sessionId);
   console.log('File ID:', fileId);
@@ -228,21 +260,18 @@ export const createGameSession = async (sessionId, fileId, playerName = 'Player'
   }
 
   // Initialize character status
-  const characterStatus = initializeStatus(sessionId, fileId, initialLocation);
-  saveStatus(sessionId, characterStatus);
+  const characterStatus = await initializeStatus(sessionId, fileId, initialLocation);
+  await saveStatus(sessionId, characterStatus);
   console.log('✅ Character status initialized and saved');
 
   // Save literary style to manifest
   const sessionDir = path.join(GAME_DATA_DIR, sessionId);
   const manifestPath = path.join(sessionDir, 'manifest.json');
-  let manifest = {};
-  if (fsSync.existsSync(manifestPath)) {
-    manifest = JSON.parse(fsSync.readFileSync(manifestPath, 'utf-8'));
-  }
-  manifest.session = manifest.session || {};
-  manifest.session.literaryStyle = style;
-  manifest.session.lastUpdated = new Date().toISOString();
-  fsSync.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+  await updateJsonState(manifestPath, (manifest) => {
+    manifest.session = manifest.session || {};
+    manifest.session.literaryStyle = style;
+    manifest.session.lastUpdated = new Date().toISOString();
+  }, {});
   console.log(`✅ Literary style saved to manifest: ${style}`);
 
   const session = {
@@ -252,6 +281,7 @@ export const createGameSession = async (sessionId, fileId, playerName = 'Player'
     isPreProcessed,
     playerName, // Add status to session
     literaryStyle: style,  // Add literary style
+    seed: await initSessionSeed(sessionId, seed),
     gameState: {
       currentLocation: initialLocation,
       inventory: [],
@@ -270,11 +300,30 @@ export const createGameSession = async (sessionId, fileId, playerName = 'Player'
   };
   gameSessions.set(sessionId, session);
 
+  // Authored quests without prerequisites are active from the start
+  await updateQuestProgress(sessionId);
+
+  // Turn 0 checkpoint so a story can be branched from the very beginning
+  await saveTurnCheckpoint(sessionId);
+  // From here on every request, LLM call and random draw of the session is logged for replay
+  startSessionLog(sessionId, { fileId, seed: session.seed, literaryStyle: style });
+
   // Persist session to allow recovery
   return session;
 };
 
-export const processPlayerAction = async (sessionId, action, onChunk = null) => {
+/**
+ * Play one classic turn.
+ * options.useItem: inventory item id/name whose effects are applied at the start of the turn
+ * (so undo reverts them) and narrated by the model
+ */
+export const processPlayerAction = (sessionId, action, onChunk = null, options = {}) =>
+  gameSessions.withLock(sessionId, () => playTurn(sessionId, action, onChunk, options));
+
+/**
+ * Play one classic turn while holding the session's lock
+ */
+const playTurn = async (sessionId, action, onChunk, options) => {
   let session = gameSessions.get(sessionId);
 
   // Try to recover session if not found in memory
@@ -284,6 +333,19 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
       throw new Error('Session not found. Please start a new game.');
     }
   }
+  // Nothing is played after the story reached an ending
+  const ending = getEnding(sessionId);
+  if (ending) {
+    return {
+      response: `游戏已经结束：${ending.title}。`,
+      gameState: session.gameState,
+      characterStatus: session.characterStatus,
+      narrativeSteps: [buildEndingStep(ending)],
+      ending,
+      isInitialized: true
+    };
+  }
+
   // Check if this is a game initialization command
   const initCommands = ['start game', '开始游戏', 'start', '开始'];
   const isInitCommand = initCommands.some(cmd =>
@@ -295,7 +357,13 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
 
   if (isInitCommand && !session.gameState.isInitialized) {
     console.log('Start the First Round...');
-    const response = await callClaudeAPI(session, '开始游戏！请展示初始设定并开始剧情。', useStreaming, onChunk);
+    await saveTurnStartSnapshot(sessionId, action);
+    const initAction = '开始游戏！请展示初始设定并开始剧情。';
+    const { response, moderation } = await moderateTurnOutput(
+      session,
+      await resolveTurnChecks(session, initAction, await callClaudeAPI(session, initAction, useStreaming, onChunk), useStreaming, onChunk),
+      onChunk
+    );
 
     session.gameState.isInitialized = true;
     session.history.push({
@@ -310,8 +378,12 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
     });
 
     // Parse and apply status updates from initial response
-    const updatedStatus = await applyClaudeUpdates(sessionId, response.message);
+    let statusChanges = [];
+    const updatedStatus = await applyClaudeUpdates(sessionId, response.message, { onAudit: audit => { statusChanges = audit; } });
     session.characterStatus = updatedStatus;
+    if (statusChanges.length > 0) {
+      await sendStatusEvent(onChunk, 'narrative', statusChanges, updatedStatus);
+    }
 
     // Parse narrative steps from response
     const narrativeData = parseNarrativeSteps(response.message);
@@ -321,11 +393,13 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
     const actionOptions = choiceSteps.length > 0 ? choiceSteps[0].options : null;
 
     // Persist session history to file
-    saveSessionHistory(sessionId, session.history);
+    await saveSessionHistory(sessionId, session.history);
+    await refreshStoryLedger(session);
+    await saveTurnCheckpoint(sessionId);
 
     try {
       const fileId = session.sourceFileId || session.fileId;
-      await completeGameSessionByParams(sessionId, 'public/game_data', fileId);
+      await completeGameSessionByParams(sessionId, 'public/game_data', fileId, { status: 'active' });
       console.log(`✅ Session data uploaded to MinIO: ${sessionId}`);
     } catch (uploadError) {
       console.error('[MinIO Upload] Failed to upload session data:', uploadError.message);
@@ -336,6 +410,8 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
       characterStatus: updatedStatus,
       narrativeSteps: narrativeData.steps,
       actionOptions,
+      ...(response.checks.length > 0 && { checks: response.checks }),
+      ...(moderation && { moderation }),
       isInitialized: true
     };
   }
@@ -355,7 +431,20 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
     };
   }
 
-  // PRE-CHECK: Determine if we should force [MISSION: true] marker in Claude's response
+  // The story waits while a fight is on; its rounds are played through the combat endpoint
+  const activeCombat = getCombat(sessionId);
+  if (activeCombat?.active) {
+    return {
+      response: `战斗仍在进行中（第${activeCombat.round}回合）。请先选择战斗行动（攻击、防御、使用道具或逃跑）结束战斗。`,
+      gameState: session.gameState,
+      characterStatus: session.characterStatus,
+      combatActive: true,
+      combat: activeCombat,
+      isInitialized: true
+    };
+  }
+
+  // PRE-CHECK: Determine if we should force a mission step in Claude's response
   let shouldForceMissionMarker = false;
   try {
     const missionData = loadMissions(sessionId);
@@ -368,21 +457,41 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
     console.log(`[Story Mission] : ${turnsSinceLastMission} turns`)
     shouldForceMissionMarker = turnsSinceLastMission >= 10;
     if (shouldForceMissionMarker) {
-      console.log(`[Story Mission] PRE-CHECK: Will force [MISSION: true] marker (${turnsSinceLastMission} turns since last mission)`);
+      console.log(`[Story Mission] PRE-CHECK: Will force a mission step (${turnsSinceLastMission} turns since last mission)`);
     }
   } catch (error) {
     console.error('[Mission Pre-Check] Error checking for force-generation:', error);
   }
 
+  // Refused input never reaches the model (throws ModerationError)
+  await checkPlayerInput(action, { sessionId, mode: 'classic', source: 'action', rating: getSessionRating(sessionId) });
+
+  await saveTurnStartSnapshot(sessionId, action);
+
+  const itemUse = options.useItem ? await useItem(sessionId, options.useItem) : null;
+  if (itemUse) {
+    await sendStatusEvent(onChunk, 'item', itemUse.audit, loadStatus(sessionId));
+  }
+
   // Add player action to history
   session.history.push({
     type: 'player',
     message: action,
+    ...(itemUse && { itemUse: itemUse.usedItem.id || itemUse.usedItem.name }),
     timestamp: new Date().toISOString()
   });
 
   // Generate response using Claude (with optional streaming)
-  const response = await callClaudeAPI(session, action, useStreaming, onChunk, shouldForceMissionMarker);
+  const llmAction = itemUse ? `${action}\n\n${formatItemUseNote(itemUse)}` : action;
+  const { response, moderation } = await moderateTurnOutput(session, await resolveTurnChecks(
+    session,
+    llmAction,
+    await callClaudeAPI(session, llmAction, useStreaming, onChunk, shouldForceMissionMarker),
+    useStreaming,
+    onChunk
+  ), onChunk);
+  // The storyteller has now been told how the last fight ended
+  await markCombatReported(sessionId);
 
   // Add response to history
   session.history.push({
@@ -391,20 +500,41 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
     timestamp: new Date().toISOString()
   });
 
-  const updatedStatus = await applyClaudeUpdates(sessionId, response.message);
+  const expiredEffects = await tickActiveEffects(sessionId);
+  // Let the game's per-turn time pass (before quests check their deadlines)
+  const timeAdvance = await advanceSessionTime(sessionId, 'turn');
+  let statusChanges = [];
+  const updatedStatus = await applyClaudeUpdates(sessionId, response.message, { onAudit: audit => { statusChanges = audit; } });
   session.characterStatus = updatedStatus;
+  if (statusChanges.length > 0 || expiredEffects.length > 0) {
+    await sendStatusEvent(onChunk, 'narrative', statusChanges, updatedStatus, { expiredEffects });
+  }
   const narrativeData = parseNarrativeSteps(response.message);
   const choiceSteps = narrativeData.steps.filter(step => step.type === 'choice');
   const actionOptions = choiceSteps.length > 0 ? choiceSteps[0].options : null;
 
   await updateNPCMemoriesWithPlot(sessionId, response.message);
 
+  // A combat step pauses the story for a turn-based fight
+  let combat = null;
+  const combatStep = narrativeData.steps.find(step => step.type === 'combat');
+  if (combatStep) {
+    try {
+      combat = await startCombat(sessionId, combatStep.enemies);
+    } catch (error) {
+      console.error('[Combat] Failed to start combat:', error.message);
+    }
+  }
+
   // UPDATE MISSION SYSTEM - Check for completed missions and generate new ones
   let newStoryMission = null;
+  let questUpdates = null;
 
   try {
     // Increment turn count for mission tracking
-    incrementTurnCount(sessionId);
+    await incrementTurnCount(sessionId);
+    // Fail quests whose time ran out and unlock the ones that follow
+    questUpdates = await updateQuestProgress(sessionId);
     const gameData = loadGameData(session.isPreProcessed ? sessionId : session.fileId, session.isPreProcessed);
     const gameContext = buildGameContext(sessionId, session, gameData, updatedStatus);
 
@@ -412,7 +542,7 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
     const shouldTriggerStoryMission = narrativeData.shouldGenerateMission || false;
 
     if (shouldTriggerStoryMission) {
-      console.log('[Story Mission] [MISSION: true] tag detected in narrative response');
+      console.log('[Story Mission] Mission step detected in narrative response');
 
       const missionData = loadMissions(sessionId);
         // Calculate turns since last story mission for cooldown check
@@ -440,14 +570,33 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
   } catch (error) {
     console.error('[Mission System] Error updating missions:', error);
   }
+  if (questUpdates?.failed.length > 0) {
+    await sendMissionEvent(onChunk, { event: 'failed', missions: questUpdates.failed });
+  }
+  if (questUpdates?.activated.length > 0) {
+    await sendMissionEvent(onChunk, { event: 'activated', missions: questUpdates.activated });
+  }
+  if (newStoryMission) {
+    await sendMissionEvent(onChunk, { event: 'created', mission: newStoryMission });
+  }
+
+  // An ending reached this turn closes the story with an epilogue step
+  const turnEnding = await concludeIfEnded(sessionId, { onChunk, stepIndex: narrativeData.totalSteps });
+  if (turnEnding) {
+    narrativeData.steps.push(buildEndingStep(turnEnding));
+  }
+
+  const newAchievements = await unlockAchievements(sessionId, { onChunk });
 
   // Persist session history to file
-  saveSessionHistory(sessionId, session.history);
+  await saveSessionHistory(sessionId, session.history);
+  await refreshStoryLedger(session);
+  await saveTurnCheckpoint(sessionId);
 
   // Upload session data to MinIO (after all updates are complete)
   try {
     const fileId = session.sourceFileId || session.fileId;
-    await completeGameSessionByParams(sessionId, 'public/game_data', fileId);
+    await completeGameSessionByParams(sessionId, 'public/game_data', fileId, { status: turnEnding ? 'completed' : 'active' });
     console.log(`✅ Session data uploaded to MinIO: ${sessionId}`);
   } catch (uploadError) {
     console.error('[MinIO Upload] Failed to upload session data:', uploadError.message);
@@ -459,8 +608,30 @@ export const processPlayerAction = async (sessionId, action, onChunk = null) =>
     gameState: session.gameState,
     characterStatus: updatedStatus,
     narrativeSteps: narrativeData.steps,
-    actionOptions,
-    newMission: newStoryMission // Include the generated story mission if any
+    actionOptions: turnEnding ? null : actionOptions,
+    newMission: newStoryMission, // Include the generated story mission if any
+    ...(response.checks.length > 0 && { checks: response.checks }),
+    ...(combat && { combatActive: true, combat }),
+    ...(turnEnding && { ending: turnEnding }),
+    ...(newAchievements.length > 0 && { newAchievements }),
+    ...(moderation && { moderation }),
+    ...(questUpdates && (questUpdates.failed.length > 0 || questUpdates.activated.length > 0) && {
+      questUpdates: {
+        failedMissions: questUpdates.failed,
+        activatedMissions: questUpdates.activated
+      }
+    }),
+    ...(itemUse && {
+      itemUse: {
+        item: itemUse.usedItem,
+        effects: itemUse.effects,
+        buffs: itemUse.buffs,
+        events: itemUse.events,
+        audit: itemUse.audit
+      }
+    }),
+    expiredEffects,
+    ...(timeAdvance && { gameTime: timeAdvance.gameTime })
   };
 };
 
@@ -468,7 +639,327 @@ export const getSession = (sessionId) => {
   return gameSessions.get(sessionId);
 };
 
-async function callClaudeAPI(session, action, useStreaming = false, onChunk = null, shouldForceMissionMarker = false) {
+/**
+ * Run fn while holding the session's lock (serializes it with turns and other locked actions,
+ * also across server instances)
+ */
+export const withSessionLock = (sessionId, fn) => gameSessions.withLock(sessionId, fn);
+
+/**
+ * Upload the session's files to MinIO after a locked action changed them, so the instances that
+ * reload it on the new version get the change (a failed upload is logged, not thrown)
+ */
+export async function uploadSessionFiles(sessionId) {
+  const session = gameSessions.get(sessionId);
+  if (!session) {
+    return;
+  }
+  try {
+    await completeGameSessionByParams(sessionId, 'public/game_data', session.sourceFileId || session.fileId, {
+      status: getEnding(sessionId) ? 'completed' : 'active'
+    });
+    console.log(`✅ Session data uploaded to MinIO: ${sessionId}`);
+  } catch (uploadError) {
+    console.error('[MinIO Upload] Failed to upload session data:', uploadError.message);
+  }
+}
+
+/**
+ * Rebuild the in-memory session from disk after its files were replaced (e.g. a save was loaded)
+ */
+export function reloadSession(sessionId) {
+  const previous = gameSessions.get(sessionId);
+  gameSessions.delete(sessionId);
+
+  const session = recoverSession(sessionId);
+  if (session && previous) {
+    session.tokenUsage = previous.tokenUsage;
+  }
+  return session;
+}
+
+/**
+ * Undo the latest classic turn: restores status, missions/turn count, NPC memories,
+ * history and game time to the state right before that turn.
+ * @returns {Promise<Object|null>} { undoneTurn, action, restoredFrom, session } or null when nothing can be undone
+ */
+export const undoLastTurn = (sessionId, { sync = true } = {}) =>
+  gameSessions.withLock(sessionId, async () => {
+    const result = await rewindLastTurn(sessionId);
+    if (!result) {
+      return null;
+    }
+
+    const session = reloadSession(sessionId);
+
+    if (sync) {
+      await uploadSessionFiles(sessionId);
+    }
+
+    return { ...result, session };
+  });
+
+/**
+ * Undo the latest turn and play the same action again (when that fails, the session is left
+ * at the start of the turn, as an undo leaves it)
+ */
+export const regenerateLastTurn = (sessionId, onChunk = null) =>
+  gameSessions.withLock(sessionId, async () => {
+    const undone = await undoLastTurn(sessionId, { sync: false });
+    if (!undone) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = await processPlayerAction(sessionId, undone.action, onChunk, { useItem: undone.itemUse });
+    } catch (error) {
+      // Don't leave half a turn behind: go back to the state the undo left
+      if (await restoreTurnStart(sessionId, undone.undoneTurn)) {
+        reloadSession(sessionId);
+      }
+      throw error;
+    }
+    return {
+      ...result,
+      regenerated: true,
+      regeneratedTurn: undone.undoneTurn,
+      action: undone.action
+    };
+  });
+
+const EFFECT_LABELS = {
+  heal: '恢复',
+  modify: '变化'
+};
+
+/**
+ * Tell the model which item effects the system already applied this turn
+ */
+function formatItemUseNote(itemUse) {
+  const lines = itemUse.effects.map(effect => {
+    switch (effect.type) {
+      case 'heal':
+      case 'modify':
+        return `- ${effect.stat} ${effect.amount > 0 ? '+' : ''}${effect.amount}（${EFFECT_LABELS[effect.type]}）`;
+      case 'buff':
+        return `- ${effect.stat} ${effect.amount > 0 ? '+' : ''}${effect.amount}（持续${effect.duration}回合）`;
+      case 'unlock_scene':
+        return `- 解锁场景：${effect.sceneId}`;
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+
+  let note = `【系统】玩家使用了「${itemUse.usedItem.name}」。`;
+  note += lines.length > 0
+    ? `以下效果已由系统结算，请在叙事中自然地描写使用过程和效果，不要再为这些效果输出 hint 的 changes：\n${lines.join('\n')}`
+    : '请在叙事中描写使用过程和结果。';
+  if (itemUse.events.length > 0) {
+    note += `\n使用后发生以下事件，请在本回合剧情中演绎：\n${itemUse.events.map(event => `- ${event}`).join('\n')}`;
+  }
+  return note;
+}
+
+/**
+ * Equipment and active buffs as a system prompt section ('' when there are none)
+ */
+function formatEquipmentAndEffects(status) {
+  const equipment = Object.entries(status?.equipment || {});
+  const effects = status?.activeEffects || [];
+  if (equipment.length === 0 && effects.length === 0) {
+    return '';
+  }
+
+  let section = '## 装备与状态效果\n';
+  equipment.forEach(([slot, entry]) => { section += `- ${slot}：${entry.name}\n`; });
+  effects.forEach(effect => {
+    section += `- ${effect.source}：${effect.stat} ${effect.amount > 0 ? '+' : ''}${effect.amount}（剩余${effect.remainingTurns}回合）\n`;
+  });
+  return section;
+}
+
+async function saveTurnStartSnapshot(sessionId, action) {
+  try {
+    await saveTurnStart(sessionId, action);
+  } catch (error) {
+    console.error('[Checkpoint] Failed to save turn-start snapshot:', error.message);
+  }
+}
+
+function getStoryLedgerPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `story_ledger_${sessionId}.json`);
+}
+
+/**
+ * Fold turns that left the recent window into the story ledger
+ */
+async function refreshStoryLedger(session) {
+  try {
+    const ledgerPath = getStoryLedgerPath(session.sessionId);
+    const previous = loadStoryLedger(ledgerPath);
+    const { ledger, updated } = await updateStoryLedger(
+      previous,
+      historyToMessages(session.history),
+      { context: { sessionId: session.sessionId, mode: 'classic' } }
+    );
+    if (updated) {
+      await saveStoryLedger(ledgerPath, ledger, previous);
+    }
+  } catch (error) {
+    // The next turn retries; the recent window still carries the story meanwhile
+    console.error('[Story Ledger] Failed to update story ledger:', error.message);
+  }
+}
+
+async function sendCheckSteps(onChunk, text, fromIndex = 0) {
+  const steps = parseNarrativeSteps(text).steps;
+  for (let i = fromIndex; i < steps.length; i++) {
+    if (steps[i].type === 'check') {
+      await onChunk(JSON.stringify({
+        type: 'step',
+        stepIndex: i,
+        step: steps[i],
+        isIncremental: false
+      }) + '\n', i);
+    }
+  }
+}
+
+/**
+ * Roll the check steps of a turn and have the storyteller narrate their outcome.
+ * The checks are replaced by check_result steps (re-sent under their stream index)
+ * and the narration is appended to the response.
+ * @returns {Object} The response with `checks`: the rolled results
+ */
+async function resolveTurnChecks(session, action, response, useStreaming, onChunk) {
+  if (!hasPendingChecks(response.message)) {
+    return { ...response, checks: [] };
+  }
+
+  const status = loadStatus(session.sessionId);
+  const { text, results } = await resolvePendingChecks(session.sessionId, status, response.message);
+  if (onChunk) await sendCheckSteps(onChunk, text);
+
+  const continuation = await callClaudeAPI(session, action, useStreaming, onChunk, false, {
+    continuation: { assistant: text, user: formatCheckResultsForPrompt(results) }
+  });
+
+  // Checks asked for again while narrating are rolled as well, but not narrated
+  const narration = await resolvePendingChecks(session.sessionId, status, continuation.message);
+  const message = `${text}\n${narration.text}`;
+  if (onChunk && narration.results.length > 0) {
+    await sendCheckSteps(onChunk, message, parseNarrativeSteps(text).totalSteps);
+  }
+
+  return { ...continuation, message, checks: [...results, ...narration.results] };
+}
+
+/**
+ * End the game when the session reached one of its endings and write the epilogue.
+ * options: { onChunk, stepIndex } to stream the ending step after a turn's steps;
+ * sync: upload the session as completed (callers outside a story turn)
+ * @returns {Promise<Object|null>} The ending record, or null when no ending was reached
+ */
+export async function concludeIfEnded(sessionId, { onChunk = null, stepIndex = 0, sync = false } = {}) {
+  const ending = detectClassicEnding(sessionId);
+  if (!ending) return null;
+
+  const session = gameSessions.get(sessionId);
+  const record = await endClassicSession(sessionId, ending, session?.history || []);
+  if (sync && session) {
+    try {
+      await completeGameSessionByParams(sessionId, 'public/game_data', session.sourceFileId || session.fileId, { status: 'completed' });
+    } catch (uploadError) {
+      console.error('[MinIO Upload] Failed to upload session data:', uploadError.message);
+    }
+  }
+  if (onChunk) {
+    await onChunk(JSON.stringify({
+      type: 'step',
+      stepIndex,
+      step: buildEndingStep(record),
+      isIncremental: false
+    }) + '\n', stepIndex);
+  }
+  return record;
+}
+
+/**
+ * Check the model's answer before it is kept. A refused answer is replaced with a fallback
+ * narration, and the stream is told to drop what it already showed.
+ * @returns {Promise<Object>} { response, moderation } where moderation is set when the answer was refused
+ */
+async function moderateTurnOutput(session, response, onChunk) {
+  const result = await checkModelOutput(response.message, {
+    sessionId: session.sessionId,
+    mode: 'classic',
+    source: 'action',
+    rating: getSessionRating(session.sessionId)
+  });
+  if (!result.blocked) {
+    return { response, moderation: null };
+  }
+
+  const moderation = describeModeration(result, 'output');
+  if (onChunk) {
+    await onChunk(JSON.stringify({ type: 'moderation', ...moderation, replacement: result.text }) + '\n');
+  }
+  return { response: { ...response, message: result.text }, moderation };
+}
+
+/**
+ * Announce status changes on the stream (source: 'item' | 'narrative')
+ */
+async function sendStatusEvent(onChunk, source, changes, characterStatus, extra = {}) {
+  if (!onChunk) return;
+  await onChunk(JSON.stringify({ type: 'status', source, changes, characterStatus, ...extra }) + '\n');
+}
+
+/**
+ * Announce a mission update on the stream ({ event: 'created', mission } or
+ * { event: 'activated' | 'failed', missions })
+ */
+async function sendMissionEvent(onChunk, update) {
+  if (!onChunk) return;
+  await onChunk(JSON.stringify({ type: 'mission', ...update }) + '\n');
+}
+
+/**
+ * Unlock the achievements the session has earned. options.onChunk: announce each one on the
+ * stream (after a turn's steps)
+ * @returns {Promise<Array<Object>>} Achievements unlocked now (empty when checking fails)
+ */
+export async function unlockAchievements(sessionId, { onChunk = null } = {}) {
+  try {
+    const unlocked = await checkAchievements(sessionId);
+    if (onChunk) {
+      for (const achievement of unlocked) {
+        await onChunk(JSON.stringify({ type: 'achievement', achievement }) + '\n');
+      }
+    }
+    return unlocked;
+  } catch (error) {
+    // Achievements must not break the turn
+    console.error('[Achievements] Failed to check achievements:', error.message);
+    return [];
+  }
+}
+
+async function saveTurnCheckpoint(sessionId) {
+  try {
+    await createCheckpoint(sessionId);
+  } catch (error) {
+    // A failed checkpoint must not break the turn
+    console.error('[Checkpoint] Failed to save checkpoint:', error.message);
+  }
+}
+
+/**
+ * options.continuation: { assistant, user } - continue a turn the model already answered
+ * (assistant) after the system's note (user); its steps are streamed after the earlier ones
+ */
+async function callClaudeAPI(session, action, useStreaming = false, onChunk = null, shouldForceMissionMarker = false, options = {}) {
   // Use sessionId for prepareGameDataForLLM if session is from pre-processed game
   const identifier = session.isPreProcessed ? session.sessionId : session.fileId;
   const isSessionId = session.isPreProcessed;
@@ -477,6 +968,11 @@ async function callClaudeAPI(session, action, useStreaming = false, onChunk = nu
   const unlockedScenes = status?.unlockedScenes || null;
   const gamePrompt = prepareGameDataForLLM(identifier, isSessionId, unlockedScenes);
 
+  const storyLedger = loadStoryLedger(getStoryLedgerPath(session.sessionId));
+  const storySoFar = formatStoryLedger(storyLedger);
+  const equipmentSection = formatEquipmentAndEffects(status);
+  const combatSummary = getCombatSummaryForPrompt(session.sessionId);
+
   const missionData = loadMissions(session.sessionId);
   const recentlyCompletedMissions = missionData.missions.filter(m =>
     m.status === 'completed' &&
@@ -508,6 +1004,25 @@ async function callClaudeAPI(session, action, useStreaming = false, onChunk = nu
     });
   }
 
+  const recentlyFailedMissions = missionData.missions.filter(m =>
+    m.status === 'failed' &&
+    m.failedTurn !== undefined &&
+    missionData.turnCount - m.failedTurn <= 1
+  );
+  if (recentlyFailedMissions.length > 0) {
+    missionCompletionPrompt += `
+##  最近失败的任务 (Recently Failed Missions)
+
+以下任务因时间耗尽而失败，请在剧情中自然地体现失败带来的后果：
+
+`;
+    recentlyFailedMissions.forEach(mission => {
+      missionCompletionPrompt += `### 任务：${mission.title}\n`;
+      missionCompletionPrompt += `描述：${mission.description}\n`;
+      missionCompletionPrompt += `失败原因：${mission.failureReason}\n\n`;
+    });
+  }
+
   // Add forced mission generation instruction if needed
   let forcedMissionInstruction = '';
   if (shouldForceMissionMarker) {
@@ -515,18 +1030,18 @@ async function callClaudeAPI(session, action, useStreaming = false, onChunk = nu
 ## ⚠️ CRITICAL INSTRUCTION - 强制任务生成
 
 系统检测到玩家已经很久没有收到主线任务了。你**必须**在本次回复中：
-1. **在回复的最开头添加 [MISSION: true] 标记**（这是强制要求）
+1. **在回复的第一行输出 {"type":"mission"}**（这是强制要求）
 2. 创造一个重要的剧情转折或危机，为即将生成的任务做铺垫
-3. **不要**包含 [CHOICE]、[OPTION]、[END_CHOICE] 标记
+3. **不要**输出 choice 步骤
 4. 用富有戏剧性的叙事引入这个关键时刻
 
 示例格式：
-[MISSION: true]
-[NARRATION: 你的叙事文本...]
-[DIALOGUE: NPC名字, "对话..."]
-[HINT: 提示文本...]
+{"type":"mission"}
+{"type":"narration","text":"你的叙事文本..."}
+{"type":"dialogue","speaker":"NPC名字","text":"对话..."}
+{"type":"hint","text":"提示文本..."}
 
-**记住：必须以 [MISSION: true] 开头，不要添加任何选项。**
+**记住：第一行必须是 {"type":"mission"}，不要添加任何选项。**
 `;
     console.log('[Force Mission] Injecting forced mission instruction into system prompt');
   }
@@ -541,7 +1056,10 @@ async function callClaudeAPI(session, action, useStreaming = false, onChunk = nu
 游戏设定内容：
 ${gamePrompt}
 
+${storySoFar}
+${equipmentSection}
 ${missionCompletionPrompt}
+${combatSummary}
 
 你的职责：
 1. 严格遵循游戏设定内容
@@ -557,48 +1075,56 @@ ${styleInstructions}
 
 **重要提醒：**
 - 所有叙述、对话、描写都必须符合上述文学风格
-- 即使使用结构化标记（[NARRATION]、[DIALOGUE]等），标记内的文本也必须遵循该风格
+- 即使使用结构化步骤（narration、dialogue等），步骤中的文本也必须遵循该风格
 - 保持风格的一致性，不要在同一回合中混用不同风格
 
 **重要：叙事结构格式 (Narrative Structure Format)**
-你的回复必须按照传统RPG游戏的叙事结构，分为以下几种步骤类型：
+你的回复必须按照传统RPG游戏的叙事结构，由以下几种步骤组成：
+
+${describeStepFormat()}
 
 1. **旁白叙述 (Narration)** - 场景描述、环境变化、事件发展
-   格式: [NARRATION: 旁白文本]
-   示例: [NARRATION: 残月沉入黑森林的尽头，杜恩要塞的号角在夜色中拉响。]
+   格式: {"type":"narration","text":"旁白文本"}
+   示例: {"type":"narration","text":"残月沉入黑森林的尽头，杜恩要塞的号角在夜色中拉响。"}
 
 2. **NPC对话 (Dialogue)** - NPC的台词
-   格式: [DIALOGUE: 角色名字, "对话内容"]
-   示例: [DIALOGUE: 艾德里安, "星图已经明示：在第一缕阳光照进王冠遗址前，我们必须抵达。"]
+   格式: {"type":"dialogue","speaker":"角色名字","text":"对话内容"}
+   示例: {"type":"dialogue","speaker":"艾德里安","text":"星图已经明示：在第一缕阳光照进王冠遗址前，我们必须抵达。"}
 
 3. **提示和状态变化 (Hint)** - 重要提示和角色属性、道具变化、npc关系变化
-   格式: [HINT: 提示文本]
-          [CHANGE: 玩家姓名, 属性名, +/-数值]
-          [CHANGE: RELATIONSHIP, NPC名字, +/-数值]
-          [CHANGE: 道具名称, 获得/丢失, 获得数量]
-   示例: [HINT: 艾德里安双手接过光焰剑，勇气升腾。]
-          [CHANGE: 玩家姓名, 勇气, +1]
-          [CHANGE: 光焰剑, 获得, 1]
-          [CHANGE: RELATIONSHIP, 艾德里安, +10]
+   格式: {"type":"hint","text":"提示文本","changes":[变化, ...]}
+   changes 中的每一项:
+          {"kind":"stat","target":"玩家姓名","attribute":"属性名","delta":数值}
+          {"kind":"relationship","npc":"NPC名字","delta":数值}
+          {"kind":"npc_relation","from":"NPC名字","to":"另一NPC名字","delta":数值}（前者对后者的关系变化）
+          {"kind":"reputation","faction":"势力名","delta":数值}（玩家在整个势力中的声望变化）
+          {"kind":"item","item":"道具名称","action":"获得"或"丢失","quantity":数量}
+   示例: {"type":"hint","text":"艾德里安双手接过光焰剑，勇气升腾。","changes":[{"kind":"stat","target":"玩家姓名","attribute":"勇气","delta":1},{"kind":"item","item":"光焰剑","action":"获得","quantity":1},{"kind":"relationship","npc":"艾德里安","delta":10},{"kind":"npc_relation","from":"艾德里安","to":"卡琳","delta":-5},{"kind":"reputation","faction":"星辉骑士团","delta":10}]}
+   没有状态变化时省略 changes
 
 4. **选择分支 (Choice)** - 玩家的行动选项
-   格式: [CHOICE: 选择标题]
-          选择的描述文本
-          [OPTION: 选项1文本]
-          [OPTION: 选项2文本]
-          [END_CHOICE]
-   示例: [CHOICE: 前路抉择]
-          古道分出两条路线：阳光山道通向王冠祭坛，暗影林地直指失落王城。
-          [OPTION: 踏上阳光山道，沿着古老的雕纹前进。]
-          [OPTION: 潜入暗影林地，借迷雾遮蔽行踪。]
-          [END_CHOICE]
+   格式: {"type":"choice","title":"选择标题","text":"选择的描述文本","options":["选项1文本","选项2文本"]}
+   示例: {"type":"choice","title":"前路抉择","text":"古道分出两条路线：阳光山道通向王冠祭坛，暗影林地直指失落王城。","options":["踏上阳光山道，沿着古老的雕纹前进。","潜入暗影林地，借迷雾遮蔽行踪。"]}
+
+5. **技能检定 (Check)** - 结果不确定的行动（攀爬、说服、潜行、撬锁等）交给系统掷骰
+   格式: {"type":"check","attribute":"属性名","difficulty":"难度"}
+   难度: 简单 / 普通 / 困难 / 极难（或具体数值）
+   示例: {"type":"narration","text":"城墙湿滑，你抓住了一块松动的砖石。"}
+          {"type":"check","attribute":"敏捷","difficulty":"困难"}
+   输出检定步骤后立即停止本次回复，不要自行决定成败；系统会返回检定结果，再由你继续叙述。
+
+6. **战斗 (Combat)** - 剧情进入真正的战斗时，列出参战的敌人，战斗由系统按回合进行
+   格式: {"type":"combat","enemies":["敌人名称","敌人名称"]}
+   示例: {"type":"narration","text":"林间传来低吼，两头饿狼拦住了去路。"}
+          {"type":"combat","enemies":["饿狼","饿狼"]}
+   输出战斗步骤后不要描述战斗过程和结果，也不要提供选择。
 
 **叙事顺序规则：**
 1. 开场使用旁白设置场景氛围
 2. 穿插NPC对话推进剧情
 3. 在关键事件后用旁白描述环境变化
-4. 重要物品获得或属性变化使用HINT
-5. 最后提供CHOICE让玩家决策
+4. 重要物品获得或属性变化使用hint
+5. 最后提供choice让玩家决策
 
 **游戏初始化规则（CRITICAL - Game Initialization Rules）：**
 当玩家刚开始游戏时，**不要**输出以下内容：
@@ -608,58 +1134,45 @@ ${styleInstructions}
 -不要输出任何markdown格式的表格、列表、标题
 
 玩家状态由系统自动管理，你只需要：
-直接开始故事叙述（使用[NARRATION]）
+直接开始故事叙述（使用narration步骤）
 在故事中自然地提及关键背景信息
-正常使用[DIALOGUE]、[HINT]、[CHOICE]推进剧情
+正常使用dialogue、hint、choice步骤推进剧情
 
 正确的游戏开场示例：
-[NARRATION: 显庆五年，六月初四。襄州城笼罩在盛夏的热浪之中，汉水波光粼粼，码头上南来北往的船只络绎不绝。蝉鸣声从城外的梧桐林中传来，与市集的喧嚣交织成一曲盛世之音。]
-[NARRATION: 杜氏宅邸书房内，檀香袅袅。你伏案研读《春秋左传》，窗外阳光透过竹帘洒在书页上，形成斑驳的光影。忽然，一阵急促的脚步声打破了宁静。]
-[DIALOGUE: 小厮春儿, "三公子！三公子！货栈的赵执事来了，说有要紧事禀报！"]
-[NARRATION: 你抬起头，墨迹未干的毛笔悬在半空。透过窗棂，可以看见赵三在院中来回踱步，神色焦虑。]
-[CHOICE: 如何应对？]
-你该如何行动？
-[OPTION: 立即放下书卷，前去会见赵执事]
-[OPTION: 先派春儿稳住赵执事，自己整理好书案后再从容前往]
-[OPTION: 让赵执事稍候，赶往州学上课]
-[END_CHOICE]
+{"type":"narration","text":"显庆五年，六月初四。襄州城笼罩在盛夏的热浪之中，汉水波光粼粼，码头上南来北往的船只络绎不绝。蝉鸣声从城外的梧桐林中传来，与市集的喧嚣交织成一曲盛世之音。"}
+{"type":"narration","text":"杜氏宅邸书房内，檀香袅袅。你伏案研读《春秋左传》，窗外阳光透过竹帘洒在书页上，形成斑驳的光影。忽然，一阵急促的脚步声打破了宁静。"}
+{"type":"dialogue","speaker":"小厮春儿","text":"三公子！三公子！货栈的赵执事来了，说有要紧事禀报！"}
+{"type":"narration","text":"你抬起头，墨迹未干的毛笔悬在半空。透过窗棂，可以看见赵三在院中来回踱步，神色焦虑。"}
+{"type":"choice","title":"如何应对？","text":"你该如何行动？","options":["立即放下书卷，前去会见赵执事","先派春儿稳住赵执事，自己整理好书案后再从容前往","让赵执事稍候，赶往州学上课"]}
 
 **场景解锁机制 (Scene Unlock System)**
-- 在HINT中说明解锁新场景时，添加：[UNLOCK_SCENE: scene_id]
-- 示例: [HINT: 守卫点了点头，为你打开了通往北方森林的大门。]
-         [UNLOCK_SCENE: northern_forest]
+- 在hint中说明解锁新场景时，在它的 changes 中加入：{"kind":"unlock_scene","scene":"scene_id"}
+- 示例: {"type":"hint","text":"守卫点了点头，为你打开了通往北方森林的大门。","changes":[{"kind":"unlock_scene","scene":"northern_forest"}]}
 
 **任务生成标记 (Mission Generation Tag)**
-- 当剧情出现重大转折、危机或需要玩家完成明确目标时，在回复最开头添加：[MISSION: true]
-- 当剧情正常推进、无需生成任务时，不需要添加任何标记
-- 不要频繁使用 [MISSION: true]，只在真正关键的故事节点使用（大约每3-5轮对话一次）
-- 如果[MISSION: true]出现，不要使用[CHOICE][OPTION][END_CHOICE]
+- 当剧情出现重大转折、危机或需要玩家完成明确目标时，在回复第一行输出：{"type":"mission"}
+- 当剧情正常推进、无需生成任务时，不需要输出这一行
+- 不要频繁输出 mission 步骤，只在真正关键的故事节点使用（大约每3-5轮对话一次）
+- 如果输出了 mission 步骤，不要输出 choice 步骤
 
 ${forcedMissionInstruction}
 
 **完整示例：**
-[NARRATION: 残月沉入黑森林的尽头，杜恩要塞的号角在夜色中拉响。灰烬王冠的传说再次在火光中醒来。]
-[DIALOGUE: 艾德里安, "又是这样的梦……赛琳娜，我们真的要在黎明前就出发吗？"]
-[HINT: 艾德里安双手接过光焰剑，勇气升腾。]
-[CHANGE: 艾德里安, 勇气, +1]
-[CHOICE: 前路抉择]
-古道分出两条路线：阳光山道通向王冠祭坛，暗影林地直指失落王城。你们将如何前行？
-[OPTION: 踏上阳光山道，沿着古老的雕纹前进。]
-[OPTION: 潜入暗影林地，借迷雾遮蔽行踪。]
-[END_CHOICE]
-
-如果  [MISSION: true]
+{"type":"narration","text":"残月沉入黑森林的尽头，杜恩要塞的号角在夜色中拉响。灰烬王冠的传说再次在火光中醒来。"}
+{"type":"dialogue","speaker":"艾德里安","text":"又是这样的梦……赛琳娜，我们真的要在黎明前就出发吗？"}
+{"type":"hint","text":"艾德里安双手接过光焰剑，勇气升腾。","changes":[{"kind":"stat","target":"艾德里安","attribute":"勇气","delta":1}]}
+{"type":"choice","title":"前路抉择","text":"古道分出两条路线：阳光山道通向王冠祭坛，暗影林地直指失落王城。你们将如何前行？","options":["踏上阳光山道，沿着古老的雕纹前进。","潜入暗影林地，借迷雾遮蔽行踪。"]}
+
+如果输出 mission 步骤
 则示例为：
-[MISSION: true]
-[NARRATION: 残月沉入黑森林的尽头，杜恩要塞的号角在夜色中拉响。灰烬王冠的传说再次在火光中醒来。]
-[DIALOGUE: 艾德里安, "又是这样的梦……赛琳娜，我们真的要在黎明前就出发吗？"]
-[HINT: 艾德里安双手接过光焰剑，勇气升腾。]
-[CHANGE: 艾德里安, 勇气, +1]
+{"type":"mission"}
+{"type":"narration","text":"残月沉入黑森林的尽头，杜恩要塞的号角在夜色中拉响。灰烬王冠的传说再次在火光中醒来。"}
+{"type":"dialogue","speaker":"艾德里安","text":"又是这样的梦……赛琳娜，我们真的要在黎明前就出发吗？"}
+{"type":"hint","text":"艾德里安双手接过光焰剑，勇气升腾。","changes":[{"kind":"stat","target":"艾德里安","attribute":"勇气","delta":1}]}
 
 **注意事项：**
-- 每个步骤独占一行或多行（对于CHOICE）
-- character_id必须是游戏中实际存在的NPC ID或玩家自己扮演的角色
-- 对话内容必须用双引号包裹
+- 每个步骤调用一次对应的步骤工具，参数要完整
+- speaker必须是游戏中实际存在的NPC或玩家自己扮演的角色
 - 选择选项通常3-5个，要具体可操作
 - 所有文本必须是中文
 - 禁止输出游戏标题、章节标题、分隔线（---、===等）
@@ -667,99 +1180,87 @@ ${forcedMissionInstruction}
 
 请根据玩家的行动，用上述格式继续推进游戏剧情。`;
 
-  // Build conversation history for Claude
-  const messages = [...session.conversationHistory];
-  const trimmedConversationHistory = session.conversationHistory.slice(-20);
-
-  // Add current action
-  messages.push({
-    role: 'user',
-    content: action
-  });
+  // Build conversation history for Claude: turns not yet in the story ledger, then the current action
+  // (processPlayerAction has already appended the action to session.history)
+  const pastHistory = session.history[session.history.length - 1]?.type === 'player'
+    ? session.history.slice(0, -1)
+    : session.history;
+  const messages = getRecentMessages(storyLedger, historyToMessages(pastHistory));
+  if (messages[messages.length - 1]?.role === 'user') {
+    messages[messages.length - 1].content += `\n\n${action}`;
+  } else {
+    messages.push({
+      role: 'user',
+      content: action
+    });
+  }
+  const { continuation } = options;
+  if (continuation) {
+    messages.push(
+      { role: 'assistant', content: continuation.assistant },
+      { role: 'user', content: continuation.user }
+    );
+  }
+  const stepOffset = continuation ? parseNarrativeSteps(continuation.assistant).totalSteps : 0;
 
   if (useStreaming) {
       // Streaming mode
     console.log('🚀 Calling Claude API (Streaming mode)...');
-    const stream = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 12000,
+    let chunkIndex = 0;
+    // Steps are sent as soon as their tool call is complete
+    const stepStream = createStepStream('classic', async (step, index, final) => {
+      if (!onChunk) return;
+      await onChunk(JSON.stringify({
+        type: 'step',
+        stepIndex: stepOffset + index,
+        step: toClassicStep(step, index),
+        isIncremental: !final
+      }) + '\n', final ? stepOffset + index : chunkIndex);
+    });
+
+    // Send raw text (or step input) chunks immediately for instant feedback
+    const sendRawText = async (text) => {
+      if (onChunk) {
+        await onChunk(JSON.stringify({
+          type: 'raw_text',
+          text,
+          chunkIndex: chunkIndex
+        }) + '\n', chunkIndex);
+      }
+      chunkIndex++;
+    };
+
+    const result = await streamMessage('gameTurn', {
       system: systemPrompt,
-      messages: trimmedConversationHistory,
-      stream: true
+      messages,
+      ...getStepToolParams('classic')
+    }, sendRawText, {
+      context: { sessionId: session.sessionId, mode: 'classic' },
+      onToolInput: (call, partialJson) => sendRawText(partialJson),
+      onToolUse: (call) => stepStream.pushToolCall(call)
     });
 
-    let fullResponse = '';
-    let chunkIndex = 0;
-    let usage = null;
-    let buffer = ''; // Buffer for incremental step parsing
-    let sentSteps = []; // Track sent steps to avoid duplicates
-
-    for await (const chunk of stream) {
-      if (chunk.type === 'content_block_delta') {
-        const token = chunk.delta.text;
-        fullResponse += token;
-        buffer += token;
-
-        // Send raw text chunk immediately for instant feedback
-        if (onChunk) {
-          await onChunk(JSON.stringify({
-            type: 'raw_text',
-            text: token,
-            chunkIndex: chunkIndex
-          }) + '\n', chunkIndex);
-        }
+    // The turn is kept as step lines; a provider without tools answers with them as text
+    const fullResponse = result.toolCalls.length > 0 ? formatToolTurn(result.toolCalls) : result.text;
+    const usage = result.usage;
 
-        // Try to parse and send complete steps from buffer
-        if (onChunk) {
-          const narrativeData = parseNarrativeSteps(buffer);
-          for (let i = sentSteps.length; i < narrativeData.steps.length; i++) {
-            const step = narrativeData.steps[i];
-            // Check if it's the last step and buffer doesn't end with expected markers
-            const isLastStep = i === narrativeData.steps.length - 1;
-            const bufferEndsCleanly = buffer.trimEnd().endsWith(']') ||
-                                    buffer.trimEnd().endsWith('[END_CHOICE]');
-
-            if (!isLastStep || bufferEndsCleanly) {
-              await onChunk(JSON.stringify({
-                type: 'step',
-                stepIndex: i,
-                step: step,
-                isIncremental: true
-              }) + '\n', chunkIndex);
-
-              sentSteps.push(step);
-            }
-          }
-        }
-        chunkIndex++;
-      } else if (chunk.type === 'message_delta' && chunk.usage) {
-        // Capture token usage from stream
-        usage = chunk.usage;
-      }
+    // After streaming completes, send the last step and the final parsed structure
+    console.log('📖 Finalizing narrative steps...');
+    if (result.toolCalls.length === 0) {
+      await stepStream.push(result.text);
     }
-
-    // After streaming completes, send final parsed structure
+    await stepStream.end();
     if (onChunk && fullResponse) {
-      console.log('📖 Finalizing narrative steps...');
-      const narrativeData = parseNarrativeSteps(fullResponse);
-
-      // Send any remaining steps that weren't sent during streaming
-      for (let i = sentSteps.length; i < narrativeData.steps.length; i++) {
-        const step = narrativeData.steps[i];
+      // Pending checks are completed by the continuation that narrates their results
+      if (continuation || !hasPendingChecks(fullResponse)) {
+        const turnSteps = parseNarrativeSteps(continuation ? `${continuation.assistant}\n${fullResponse}` : fullResponse);
+        // Send completion signal with full metadata
         await onChunk(JSON.stringify({
-          type: 'step',
-          stepIndex: i,
-          step: step,
-          isIncremental: false
-        }) + '\n', i);
+          type: 'complete',
+          totalSteps: turnSteps.totalSteps,
+          allSteps: turnSteps.steps
+        }) + '\n', chunkIndex);
       }
-
-      // Send completion signal with full metadata
-      await onChunk(JSON.stringify({
-        type: 'complete',
-        totalSteps: narrativeData.totalSteps,
-        allSteps: narrativeData.steps
-      }) + '\n', chunkIndex);
     }
 
     // Update conversation history
@@ -768,12 +1269,9 @@ ${forcedMissionInstruction}
       role: 'assistant',
       content: fullResponse
     });
-    // Update token usage tracking
-    session.tokenUsage.totalOutputTokens += usage.output_tokens || 0;
-    session.tokenUsage.totalTokens += (usage.output_tokens || 0);
-    session.tokenUsage.apiCalls += 1;
-
+    // session.tokenUsage is kept up to date by the metering listener below
     console.log('📊 Token Usage (Streaming):');
+    console.log(`   Input Tokens: ${usage.input_tokens || 0}`);
     console.log(`   Output Tokens: ${usage.output_tokens || 0}`);
     console.log(`   Session Total Tokens: ${session.tokenUsage.totalTokens}`);
     console.log(`   API Calls: ${session.tokenUsage.apiCalls}`);
@@ -781,7 +1279,7 @@ ${forcedMissionInstruction}
     return {
       message: fullResponse,
       metadata: {
-        model: 'claude-sonnet-4-5-20250929',
+        model: result.model,
         streaming: true,
         usage: usage,
         sessionTokenUsage: session.tokenUsage
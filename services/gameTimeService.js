@@ -0,0 +1,228 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { calendarSchema } from './schemas/gameDataSchemas.js';
+import { readJsonState, writeJsonState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * In-game calendar and clock.
+ *
+ * A game's calendar lives in its lore data (`calendar`, see calendarSchema); the current date
+ * is the lore `gameTime`, whose currentYear counts within the era named by yearName.
+ * Everything that needs dates (shops, quests, eras, NPC memories) goes through here.
+ */
+
+// Lore written before calendars existed was all set in the Jian'an era
+const LEGACY_ERAS = { 建安: [{ name: '建安', startYear: 196 }] };
+
+const DEFAULT_TIMES_OF_DAY = [
+  { name: '清晨', startHour: 5 },
+  { name: '上午', startHour: 8 },
+  { name: '中午', startHour: 11 },
+  { name: '下午', startHour: 13 },
+  { name: '傍晚', startHour: 17 },
+  { name: '夜晚', startHour: 19 },
+  { name: '深夜', startHour: 23 }
+];
+
+const DEFAULT_SEASONS = [
+  { name: '春', startMonth: 1 },
+  { name: '夏', startMonth: 4 },
+  { name: '秋', startMonth: 7 },
+  { name: '冬', startMonth: 10 }
+];
+
+/**
+ * Calendar of a lore file with every default filled in
+ */
+export function getCalendar(lore = {}) {
+  const calendar = calendarSchema.parse(lore?.calendar || {});
+  const monthNames = lore?.gameTime?.monthNames || [];
+  const months = calendar.months || Array.from({ length: Math.max(monthNames.length, 12) }, (_, i) => ({
+    name: monthNames[i] || '',
+    days: 30
+  }));
+  const eras = lore?.calendar ? calendar.eras : LEGACY_ERAS[lore?.gameTime?.yearName] || [];
+
+  return {
+    ...calendar,
+    months,
+    daysPerYear: months.reduce((sum, month) => sum + month.days, 0),
+    seasons: calendar.seasons || (months.length === 12 ? DEFAULT_SEASONS : []),
+    timesOfDay: calendar.timesOfDay || (calendar.hoursPerDay === 24 ? DEFAULT_TIMES_OF_DAY : []),
+    eras: [...eras].sort((a, b) => a.startYear - b.startYear)
+  };
+}
+
+function getSessionLorePath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `lore_${sessionId}.json`);
+}
+
+/**
+ * Lore of a session, or null when its lore file is missing
+ */
+export function loadSessionLore(sessionId) {
+  return readJsonState(getSessionLorePath(sessionId), null);
+}
+
+export function saveSessionLore(sessionId, lore) {
+  return writeJsonState(getSessionLorePath(sessionId), lore);
+}
+
+/**
+ * gameTime of a session, or null when its lore file is missing
+ */
+export function loadSessionGameTime(sessionId) {
+  return loadSessionLore(sessionId)?.gameTime || null;
+}
+
+/**
+ * Absolute year of a year counted in an era; years outside a known era are absolute already
+ */
+export function toAbsoluteYear(year, eraName, calendar) {
+  const era = calendar.eras.find(e => e.name === eraName);
+  return era ? era.startYear + year - 1 : year;
+}
+
+/**
+ * Era and year-within-era of an absolute year ({ yearName, year })
+ */
+export function fromAbsoluteYear(absoluteYear, calendar) {
+  const era = [...calendar.eras].reverse().find(e => e.startYear <= absoluteYear);
+  return era
+    ? { yearName: era.name, year: absoluteYear - era.startYear + 1 }
+    : { yearName: '', year: absoluteYear };
+}
+
+function readDate(date) {
+  return {
+    yearName: date.yearName ?? date.era ?? '',
+    year: Number(date.currentYear ?? date.year) || 0,
+    month: Number(date.currentMonth ?? date.month) || 1,
+    day: Number(date.currentDay ?? date.day) || 1
+  };
+}
+
+/**
+ * Day number of a date ({ yearName?, currentYear, currentMonth, currentDay } or
+ * { era?, year, month, day }), for counting days between two dates
+ */
+export function gameTimeToDay(gameTime, calendar = getCalendar()) {
+  if (!gameTime) return 0;
+  const { yearName, year, month, day } = readDate(gameTime);
+  const monthIndex = Math.min(Math.max(month, 1), calendar.months.length) - 1;
+  const daysBeforeMonth = calendar.months.slice(0, monthIndex).reduce((sum, m) => sum + m.days, 0);
+  return toAbsoluteYear(year, yearName, calendar) * calendar.daysPerYear + daysBeforeMonth + (day - 1);
+}
+
+/**
+ * Current day number of a session and a converter for other dates in the session's calendar.
+ * Dates without an era are read in the current one.
+ */
+export function loadSessionClock(sessionId) {
+  const lore = loadSessionLore(sessionId);
+  const calendar = getCalendar(lore || {});
+  const gameTime = lore?.gameTime || null;
+  return {
+    today: gameTimeToDay(gameTime, calendar),
+    toDay: date => gameTimeToDay({ yearName: gameTime?.yearName, ...date }, calendar)
+  };
+}
+
+// Periods are listed by start; a value before the first start belongs to the last period
+function findPeriod(periods, value, startKey) {
+  const sorted = [...periods].sort((a, b) => a[startKey] - b[startKey]);
+  return [...sorted].reverse().find(p => p[startKey] <= value) || sorted.at(-1);
+}
+
+export function getSeason(month, calendar) {
+  return findPeriod(calendar.seasons, month, 'startMonth')?.name;
+}
+
+/**
+ * Hour of a gameTime and the name of that part of the day ({ hour, name })
+ */
+export function getTimeOfDay(gameTime, calendar) {
+  const hour = Number(gameTime?.currentHour ?? calendar.startHour) || 0;
+  return { hour, name: findPeriod(calendar.timesOfDay, hour, 'startHour')?.name || '' };
+}
+
+/**
+ * Date of a gameTime in the calendar's dateFormat
+ * ({era}, {year}, {absoluteYear}, {month}, {monthName}, {day}, {season}, {hour}, {timeOfDay})
+ */
+export function formatGameDate(gameTime, calendar) {
+  if (!gameTime) return '';
+  const { yearName, year, month, day } = readDate(gameTime);
+  const values = {
+    era: yearName,
+    year,
+    absoluteYear: toAbsoluteYear(year, yearName, calendar),
+    month,
+    monthName: calendar.months[month - 1]?.name || `${month}月`,
+    day,
+    season: gameTime.season || getSeason(month, calendar) || '',
+    hour: getTimeOfDay(gameTime, calendar).hour,
+    timeOfDay: getTimeOfDay(gameTime, calendar).name
+  };
+  return calendar.dateFormat.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * gameTime moved forward by { days, hours }; months, years, season and era roll over with it
+ */
+export function advanceGameTime(gameTime, step, calendar) {
+  const { yearName, year } = readDate(gameTime);
+  let { month, day } = readDate(gameTime);
+  month = Math.min(Math.max(month, 1), calendar.months.length);
+  let absoluteYear = toAbsoluteYear(year, yearName, calendar);
+  const hours = (gameTime.currentHour ?? calendar.startHour) + (step.hours || 0);
+  const days = Math.floor(step.days || 0) + Math.floor(hours / calendar.hoursPerDay);
+
+  day += days;
+  while (day > calendar.months[month - 1].days) {
+    day -= calendar.months[month - 1].days;
+    month += 1;
+    if (month > calendar.months.length) {
+      month = 1;
+      absoluteYear += 1;
+    }
+  }
+
+  const keepsEra = !calendar.eras.some(e => e.name === yearName);
+  const era = keepsEra
+    ? { yearName, year: year + (absoluteYear - toAbsoluteYear(year, yearName, calendar)) }
+    : fromAbsoluteYear(absoluteYear, calendar);
+
+  return {
+    ...gameTime,
+    yearName: era.yearName,
+    currentYear: era.year,
+    currentMonth: month,
+    currentDay: day,
+    currentHour: hours % calendar.hoursPerDay,
+    season: getSeason(month, calendar) || gameTime.season
+  };
+}
+
+/**
+ * Let the time configured for an action kind ('turn', 'npcChat', 'building', 'shop') pass
+ * in a session. Resolves to { previous, gameTime } or null when no time passes.
+ */
+export async function advanceSessionTime(sessionId, kind) {
+  const lore = loadSessionLore(sessionId);
+  if (!lore?.gameTime) return null;
+
+  const calendar = getCalendar(lore);
+  const step = calendar.timeAdvance[kind];
+  if (!step || (!step.days && !step.hours)) return null;
+
+  const previous = lore.gameTime;
+  lore.gameTime = advanceGameTime(previous, step, calendar);
+  await saveSessionLore(sessionId, lore);
+  return { previous, gameTime: lore.gameTime };
+}
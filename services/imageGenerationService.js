@@ -7,6 +7,7 @@ import https from 'https';
 import http from 'http';
 import sharp from 'sharp';
 import dotenv from 'dotenv';
+import { recordImageUsage } from './usageMeteringService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -238,6 +239,7 @@ export async function generateImage(prompt, size, quality = 'standard', maxRetri
         throw new Error('OpenAI API returned invalid response structure');
       }
 
+      recordImageUsage({ model: 'gemini-3-pro-image-preview' });
       return response.data[0].url;
     } catch (error) {
       const elapsedTime = Date.now() - startTime;
@@ -0,0 +1,56 @@
+import Anthropic from '@anthropic-ai/sdk';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Anthropic-compatible provider (also used for proxied models behind CLAUDE_BASE_URL).
+ * Streams yield { type: 'text' }, { type: 'tool_use_start' | 'tool_input' | 'tool_use_end', index },
+ * { type: 'stop' } and a final { type: 'usage' } event.
+ */
+export function createAnthropicProvider() {
+  const client = new Anthropic({
+    apiKey: process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY,
+    baseURL: process.env.CLAUDE_BASE_URL,
+    // Retries are handled by the provider layer (see index.js)
+    maxRetries: 0,
+  });
+
+  return {
+    name: 'anthropic',
+
+    async createMessage(params) {
+      return client.messages.create(params);
+    },
+
+    async *streamMessage(params) {
+      const stream = await client.messages.create({ ...params, stream: true });
+      const usage = { input_tokens: 0, output_tokens: 0 };
+
+      // Indexes of the tool_use blocks in this message
+      const toolBlocks = new Set();
+
+      for await (const chunk of stream) {
+        if (chunk.type === 'message_start') {
+          usage.input_tokens = chunk.message?.usage?.input_tokens || 0;
+        } else if (chunk.type === 'content_block_start' && chunk.content_block?.type === 'tool_use') {
+          toolBlocks.add(chunk.index);
+          yield { type: 'tool_use_start', index: chunk.index, id: chunk.content_block.id, name: chunk.content_block.name };
+        } else if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'input_json_delta') {
+          yield { type: 'tool_input', index: chunk.index, partialJson: chunk.delta.partial_json };
+        } else if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
+          yield { type: 'text', text: chunk.delta.text };
+        } else if (chunk.type === 'content_block_stop' && toolBlocks.has(chunk.index)) {
+          yield { type: 'tool_use_end', index: chunk.index };
+        } else if (chunk.type === 'message_delta') {
+          usage.output_tokens = chunk.usage?.output_tokens || usage.output_tokens;
+          if (chunk.delta?.stop_reason) {
+            yield { type: 'stop', stopReason: chunk.delta.stop_reason };
+          }
+        }
+      }
+
+      yield { type: 'usage', usage };
+    }
+  };
+}
@@ -0,0 +1,259 @@
+import dotenv from 'dotenv';
+import { createAnthropicProvider } from './anthropicProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { resolveModel, resolveMaxTokens } from './modelConfig.js';
+
+dotenv.config();
+
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 2);
+const RETRY_BASE_DELAY_MS = Number(process.env.LLM_RETRY_BASE_DELAY_MS ?? 1000);
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+// Provider factories by name; LLM_PROVIDER selects one (default: anthropic)
+const providerFactories = new Map([
+  ['anthropic', createAnthropicProvider],
+  ['mock', createMockProvider]
+]);
+const providerInstances = new Map();
+const usageListeners = new Set();
+
+/**
+ * Register an additional provider factory, e.g. registerProvider('openai', createOpenAIProvider)
+ */
+export function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providerInstances.delete(name);
+}
+
+/**
+ * Get the active provider instance
+ */
+export function getProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+  if (!providerInstances.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    providerInstances.set(name, factory());
+    console.log(`🤖 LLM provider initialized: ${name}`);
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * Subscribe to token usage of every LLM call. Returns an unsubscribe function.
+ * Listener receives { task, provider, model, usage, durationMs, context, request, response }
+ * where request is { system, messages } and response the returned text (tool calls as JSON lines)
+ */
+export function onLLMUsage(listener) {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+}
+
+function emitUsage(record) {
+  for (const listener of usageListeners) {
+    try {
+      listener(record);
+    } catch (error) {
+      console.error('❌ LLM usage listener failed:', error.message);
+    }
+  }
+}
+
+function isRetryable(error) {
+  if (error.status) {
+    return RETRYABLE_STATUS.has(error.status);
+  }
+  // No HTTP status: connection reset, timeout, DNS, ...
+  return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError' || !!error.code;
+}
+
+async function withRetry(task, fn, retries) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error) || error.noRetry) {
+        throw error;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      attempt++;
+      console.warn(`⚠️ LLM call for ${task} failed (${error.status || error.code || error.message}), retry ${attempt}/${retries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function buildParams(task, params, use) {
+  return {
+    ...params,
+    model: params.model || resolveModel(task),
+    max_tokens: params.max_tokens || resolveMaxTokens(task, use)
+  };
+}
+
+/**
+ * What a call answered, for usage listeners: its text followed by its tool calls
+ */
+function describeResponse(text, toolCalls) {
+  return [text, ...toolCalls.map(call => JSON.stringify({ tool: call.name, input: call.input }))]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Send a non-streaming request.
+ * @param {string} task - Task name used for model selection and accounting (see modelConfig.js)
+ * @param {Object} params - Anthropic Messages API params (tools and tool_choice included); model/max_tokens are optional
+ * @param {Object} options - { retries, context, use } where context is passed to usage listeners and use picks
+ * the use's max_tokens (see modelConfig.js)
+ * @returns {Promise<Object>} Anthropic-shaped message ({ content, usage, stop_reason, model })
+ */
+export async function createMessage(task, params, options = {}) {
+  const provider = getProvider();
+  const requestParams = buildParams(task, params, options.use);
+  const startedAt = Date.now();
+
+  const message = await withRetry(
+    task,
+    () => provider.createMessage(requestParams, { task }),
+    options.retries ?? MAX_RETRIES
+  );
+
+  emitUsage({
+    task,
+    provider: provider.name,
+    model: requestParams.model,
+    usage: message.usage || { input_tokens: 0, output_tokens: 0 },
+    durationMs: Date.now() - startedAt,
+    context: options.context || {},
+    request: { system: requestParams.system, messages: requestParams.messages },
+    response: describeResponse(getMessageText(message), getToolCalls(message))
+  });
+
+  return message;
+}
+
+/**
+ * Send a streaming request. onText is awaited for every text delta. With tools, options.onToolInput(call, partialJson)
+ * is awaited for every piece of a tool call's input as it streams in, and options.onToolUse(call) once the call is
+ * complete ({ id, name, input }, input null with an error when the streamed JSON does not parse).
+ * options.use picks the use's max_tokens, as for createMessage. Retries only happen before the first token has been delivered.
+ * @returns {Promise<{text: string, toolCalls: Array<Object>, usage: Object, model: string, stopReason: string}>}
+ */
+export async function streamMessage(task, params, onText = null, options = {}) {
+  const provider = getProvider();
+  const requestParams = buildParams(task, params, options.use);
+  const startedAt = Date.now();
+  const { onToolInput, onToolUse } = options;
+
+  const result = await withRetry(task, async () => {
+    let text = '';
+    let usage = { input_tokens: 0, output_tokens: 0 };
+    let stopReason = null;
+    const toolCalls = [];
+    // Tool calls whose input is still streaming, by content block index
+    const openCalls = new Map();
+
+    try {
+      for await (const event of provider.streamMessage(requestParams, { task })) {
+        if (event.type === 'text') {
+          text += event.text;
+          if (onText) {
+            await onText(event.text);
+          }
+        } else if (event.type === 'tool_use_start') {
+          openCalls.set(event.index, { id: event.id, name: event.name, inputJson: '' });
+        } else if (event.type === 'tool_input') {
+          const call = openCalls.get(event.index);
+          call.inputJson += event.partialJson;
+          if (onToolInput) {
+            await onToolInput(call, event.partialJson);
+          }
+        } else if (event.type === 'tool_use_end') {
+          const call = completeToolCall(openCalls.get(event.index));
+          openCalls.delete(event.index);
+          toolCalls.push(call);
+          if (onToolUse) {
+            await onToolUse(call);
+          }
+        } else if (event.type === 'usage') {
+          usage = event.usage;
+        } else if (event.type === 'stop') {
+          stopReason = event.stopReason;
+        }
+      }
+    } catch (error) {
+      // Partial output was already forwarded to the client, a retry would duplicate it
+      if (text || toolCalls.length > 0 || openCalls.size > 0) {
+        error.noRetry = true;
+      }
+      throw error;
+    }
+
+    return { text, toolCalls, usage, model: requestParams.model, stopReason };
+  }, options.retries ?? MAX_RETRIES);
+
+  emitUsage({
+    task,
+    provider: provider.name,
+    model: requestParams.model,
+    usage: result.usage,
+    durationMs: Date.now() - startedAt,
+    context: options.context || {},
+    request: { system: requestParams.system, messages: requestParams.messages },
+    response: describeResponse(result.text, result.toolCalls)
+  });
+
+  return result;
+}
+
+/**
+ * A streamed tool call with its input parsed
+ */
+function completeToolCall({ id, name, inputJson }) {
+  try {
+    return { id, name, input: inputJson ? JSON.parse(inputJson) : {} };
+  } catch (error) {
+    return { id, name, input: null, error: `Invalid tool input: ${error.message}` };
+  }
+}
+
+/**
+ * Concatenate the text blocks of a message
+ */
+export function getMessageText(message) {
+  return (message?.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * The tool calls of a message ([{ id, name, input }])
+ */
+export function getToolCalls(message) {
+  return (message?.content || [])
+    .filter(block => block.type === 'tool_use')
+    .map(({ id, name, input }) => ({ id, name, input }));
+}
+
+/**
+ * Add one call's usage to a session-level tokenUsage tracker
+ * ({ totalInputTokens, totalOutputTokens, totalTokens, apiCalls })
+ */
+export function accumulateTokenUsage(tokenUsage, usage) {
+  if (!tokenUsage || !usage) return tokenUsage;
+
+  const inputTokens = usage.input_tokens || 0;
+  const outputTokens = usage.output_tokens || 0;
+  tokenUsage.totalInputTokens = (tokenUsage.totalInputTokens || 0) + inputTokens;
+  tokenUsage.totalOutputTokens = (tokenUsage.totalOutputTokens || 0) + outputTokens;
+  tokenUsage.totalTokens = (tokenUsage.totalTokens || 0) + inputTokens + outputTokens;
+  tokenUsage.apiCalls = (tokenUsage.apiCalls || 0) + 1;
+  return tokenUsage;
+}
+
+export { resolveModel, getTaskModels } from './modelConfig.js';
+export { setMockScript, resetMockProvider, getMockCalls } from './mockProvider.js';
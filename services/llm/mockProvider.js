@@ -0,0 +1,193 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const STREAM_CHUNK_SIZE = 16;
+const FALLBACK_RESPONSE = [
+  '{"type":"narration","text":"（模拟模式）故事在平静中继续。"}',
+  '{"type":"choice","title":"接下来的行动","options":["继续前进","原地观察"]}'
+].join('\n');
+
+/**
+ * Deterministic offline provider that replays scripted responses.
+ *
+ * Script format (LLM_MOCK_SCRIPT points to a JSON file, or pass it to setMockScript):
+ * {
+ *   "defaultResponse": "...",
+ *   "tasks": {
+ *     "gameTurn": ["first turn", { "match": "商店", "response": "..." }, "second turn"],
+ *     "missionGeneration": "same response every time"
+ *   }
+ * }
+ * Entries with `match` are returned whenever the regex matches the last user message.
+ * Plain entries are consumed in order; the last one repeats once the list is exhausted.
+ *
+ * When the request has tools, every response line that is a JSON object whose `type` names one of
+ * them is answered as a call of that tool (input: the other fields); the other lines stay text.
+ */
+let script = null;
+let cursors = new Map();
+let calls = [];
+
+function loadScript() {
+  if (script) {
+    return script;
+  }
+
+  script = { tasks: {} };
+  const scriptPath = process.env.LLM_MOCK_SCRIPT;
+  if (scriptPath) {
+    try {
+      script = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+      console.log(`📦 Loaded mock LLM script from ${scriptPath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load mock LLM script (${scriptPath}):`, error.message);
+    }
+  }
+  return script;
+}
+
+/**
+ * Replace the active script and reset all cursors
+ */
+export function setMockScript(newScript) {
+  script = { tasks: {}, ...newScript };
+  resetMockProvider();
+}
+
+/**
+ * Reset cursors and recorded calls without changing the script
+ */
+export function resetMockProvider() {
+  cursors = new Map();
+  calls = [];
+}
+
+/**
+ * Every request the mock provider has answered, in order
+ */
+export function getMockCalls() {
+  return [...calls];
+}
+
+function lastUserText(messages = []) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return (last.content || []).map(block => block.text || '').join('');
+}
+
+function pickResponse(task, messages) {
+  const { tasks = {}, defaultResponse } = loadScript();
+  const entries = tasks[task];
+
+  if (entries === undefined) {
+    return defaultResponse ?? FALLBACK_RESPONSE;
+  }
+  if (!Array.isArray(entries)) {
+    return entries;
+  }
+
+  const userText = lastUserText(messages);
+  const matched = entries.find(entry => typeof entry === 'object' && entry.match && new RegExp(entry.match).test(userText));
+  if (matched) {
+    return matched.response;
+  }
+
+  const sequence = entries.filter(entry => typeof entry === 'string');
+  if (sequence.length === 0) {
+    return defaultResponse ?? FALLBACK_RESPONSE;
+  }
+
+  const index = cursors.get(task) || 0;
+  cursors.set(task, index + 1);
+  return sequence[Math.min(index, sequence.length - 1)];
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * A scripted response as content blocks: text, or tool calls for the lines that name a tool
+ */
+function toContentBlocks(text, tools = []) {
+  const toolNames = new Set(tools.map(tool => tool.name));
+  const blocks = [];
+  let toolCount = 0;
+
+  for (const line of toolNames.size > 0 ? text.split('\n') : [text]) {
+    let data = null;
+    try {
+      data = toolNames.size > 0 && line.trim().startsWith('{') ? JSON.parse(line) : null;
+    } catch {
+      data = null;
+    }
+
+    if (data && toolNames.has(data.type)) {
+      const { type, ...input } = data;
+      blocks.push({ type: 'tool_use', id: `toolu_mock_${calls.length}_${++toolCount}`, name: type, input });
+    } else if (blocks[blocks.length - 1]?.type === 'text') {
+      blocks[blocks.length - 1].text += `\n${line}`;
+    } else if (line.trim() || toolNames.size === 0) {
+      blocks.push({ type: 'text', text: line });
+    }
+  }
+  return blocks;
+}
+
+function buildUsage(params, text) {
+  const promptText = (typeof params.system === 'string' ? params.system : '') +
+    (params.messages || []).map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content))).join('');
+  return {
+    input_tokens: estimateTokens(promptText),
+    output_tokens: estimateTokens(text)
+  };
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async createMessage(params, { task } = {}) {
+      const text = pickResponse(task, params.messages);
+      calls.push({ task, model: params.model, messages: params.messages, response: text });
+
+      const content = toContentBlocks(text, params.tools);
+      return {
+        id: `mock_${calls.length}`,
+        type: 'message',
+        role: 'assistant',
+        model: params.model,
+        content,
+        stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+        usage: buildUsage(params, text)
+      };
+    },
+
+    async *streamMessage(params, { task } = {}) {
+      const text = pickResponse(task, params.messages);
+      calls.push({ task, model: params.model, messages: params.messages, response: text });
+
+      const content = toContentBlocks(text, params.tools);
+      for (const [index, block] of content.entries()) {
+        if (block.type === 'text') {
+          for (let i = 0; i < block.text.length; i += STREAM_CHUNK_SIZE) {
+            yield { type: 'text', text: block.text.slice(i, i + STREAM_CHUNK_SIZE) };
+          }
+          continue;
+        }
+        // Tool input arrives in pieces, like input_json_delta events
+        const inputJson = JSON.stringify(block.input);
+        yield { type: 'tool_use_start', index, id: block.id, name: block.name };
+        for (let i = 0; i < inputJson.length; i += STREAM_CHUNK_SIZE) {
+          yield { type: 'tool_input', index, partialJson: inputJson.slice(i, i + STREAM_CHUNK_SIZE) };
+        }
+        yield { type: 'tool_use_end', index };
+      }
+      yield { type: 'stop', stopReason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn' };
+      yield { type: 'usage', usage: buildUsage(params, text) };
+    }
+  };
+}
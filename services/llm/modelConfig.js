@@ -0,0 +1,95 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+
+/**
+ * Built-in model and token budget for every LLM task in the backend. `uses` gives some uses
+ * of a task their own budget; a caller names its use with options.use.
+ * Override the model with env vars or a JSON file pointed to by LLM_MODEL_CONFIG:
+ * { "default": "...", "tasks": { "gameTurn": "..." } }
+ */
+const TASK_DEFAULTS = {
+  gameTurn: { model: DEFAULT_MODEL, maxTokens: 12000 },
+  missionGeneration: { model: DEFAULT_MODEL, maxTokens: 5000 },
+  npcChat: { model: DEFAULT_MODEL, maxTokens: 4096, uses: { stream: 1024 } },
+  npcMemory: { model: DEFAULT_MODEL, maxTokens: 500, uses: { plotSummary: 150, chatSummary: 200 } },
+  buildingInteraction: {
+    model: DEFAULT_MODEL,
+    maxTokens: 512,
+    uses: { start: 1024, stream: 3000, shopNarration: 400 }
+  },
+  worldEvent: {
+    model: DEFAULT_MODEL,
+    maxTokens: 20000,
+    uses: { npcSelection: 2000, npcInteraction: 10000, eventChain: 10000 }
+  },
+  novel: { model: DEFAULT_MODEL, maxTokens: 200000 },
+  extraction: { model: 'gpt-4.1-2025-04-14', maxTokens: 10000 },
+  greeting: { model: DEFAULT_MODEL, maxTokens: 200 },
+  visualTurn: { model: DEFAULT_MODEL, maxTokens: 10000 },
+  visualInit: { model: DEFAULT_MODEL, maxTokens: 16000, uses: { scenes: 20000 } },
+  worldInit: { model: DEFAULT_MODEL, maxTokens: 16000, uses: { scenes: 20000 } },
+  storySummary: { model: DEFAULT_MODEL, maxTokens: 2000 },
+  combat: { model: DEFAULT_MODEL, maxTokens: 400 },
+  epilogue: { model: DEFAULT_MODEL, maxTokens: 1500 },
+  moderation: { model: DEFAULT_MODEL, maxTokens: 300 }
+};
+
+let fileConfig = null;
+
+function loadFileConfig() {
+  if (fileConfig !== null) {
+    return fileConfig;
+  }
+
+  fileConfig = {};
+  const configPath = process.env.LLM_MODEL_CONFIG;
+  if (configPath) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      console.log(`📦 Loaded LLM model config from ${configPath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load LLM model config (${configPath}):`, error.message);
+    }
+  }
+  return fileConfig;
+}
+
+/**
+ * Resolve the model for a task.
+ * Order: LLM_MODEL_<TASK> > config file task > LLM_MODEL_DEFAULT > config file default > built-in
+ * @param {string} task - Task name, e.g. 'gameTurn'
+ * @returns {string} Model name
+ */
+export function resolveModel(task) {
+  const config = loadFileConfig();
+
+  return process.env[`LLM_MODEL_${String(task).toUpperCase()}`]
+    || config.tasks?.[task]
+    || process.env.LLM_MODEL_DEFAULT
+    || config.default
+    || TASK_DEFAULTS[task]?.model
+    || DEFAULT_MODEL;
+}
+
+/**
+ * max_tokens for a task, or for one use of it. Callers leave it to the task, so the budget is set here in one place.
+ * @param {string} task - Task name, e.g. 'npcChat'
+ * @param {string} [use] - Use of the task with its own budget, e.g. 'stream'
+ */
+export function resolveMaxTokens(task, use = null) {
+  const defaults = TASK_DEFAULTS[task];
+  return (use && defaults?.uses?.[use]) || defaults?.maxTokens || 4096;
+}
+
+/**
+ * List every known task with its resolved model
+ */
+export function getTaskModels() {
+  return Object.fromEntries(
+    Object.keys(TASK_DEFAULTS).map(task => [task, resolveModel(task)])
+  );
+}
@@ -0,0 +1,129 @@
+import dotenv from 'dotenv';
+import { createMessage, getMessageText } from './index.js';
+import { parseJSONFromResponse } from '../utils.js';
+
+dotenv.config();
+
+const MAX_REPAIRS = Number(process.env.LLM_SCHEMA_MAX_REPAIRS ?? 2);
+
+/**
+ * Thrown when a model response still fails its schema after all repair attempts
+ */
+export class SchemaValidationError extends Error {
+  constructor(label, issues, rawText, attempts) {
+    super(`${label} failed schema validation after ${attempts} attempt(s): ${issues.map(i => `${i.path}: ${i.message}`).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.label = label;
+    this.issues = issues;
+    this.rawText = rawText;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Turn a zod error into field-level diagnostics: [{ path: 'scene_1.npcs[0].name', message, code }]
+ */
+export function formatIssues(zodError) {
+  return zodError.issues.map(issue => ({
+    path: formatPath(issue.path),
+    message: issue.message,
+    code: issue.code
+  }));
+}
+
+function formatPath(pathParts = []) {
+  if (pathParts.length === 0) return '(root)';
+  return pathParts.reduce((acc, part) => {
+    if (typeof part === 'number') return `${acc}[${part}]`;
+    return acc ? `${acc}.${String(part)}` : String(part);
+  }, '');
+}
+
+/**
+ * Some proxied endpoints return the message as a JSON string
+ */
+function getResponseText(message) {
+  let parsedMessage = message;
+  if (typeof message === 'string') {
+    try {
+      parsedMessage = JSON.parse(message);
+    } catch (e) {
+      throw new Error('Invalid JSON response from API');
+    }
+  }
+
+  const text = getMessageText(parsedMessage);
+  if (!text) {
+    console.error('❌ Invalid API response structure:', JSON.stringify(parsedMessage, null, 2));
+    throw new Error('Invalid response from LLM API - no content received');
+  }
+  return text.trim();
+}
+
+function buildRepairPrompt(issues) {
+  const issueLines = issues.map(issue => `- ${issue.path}: ${issue.message}`).join('\n');
+  return `Your previous response did not match the required JSON structure.
+
+Validation errors:
+${issueLines}
+
+Return the complete, corrected JSON only (no explanations, no markdown). Keep every valid field unchanged and fix only the fields listed above.`;
+}
+
+/**
+ * Request JSON from the model and validate it against a zod schema.
+ * On a parse or validation failure the model is re-prompted with the errors (up to LLM_SCHEMA_MAX_REPAIRS times).
+ *
+ * @param {string} task - LLM task name (see llm/modelConfig.js)
+ * @param {Object} params - createMessage params ({ system, messages, max_tokens, ... })
+ * @param {import('zod').ZodType} schema - Expected shape
+ * @param {Object} options - { label, maxRepairs, parse, context, use }
+ * @returns {Promise<any>} Parsed data (with schema defaults applied)
+ */
+export async function createStructuredMessage(task, params, schema, options = {}) {
+  const {
+    label = task,
+    maxRepairs = MAX_REPAIRS,
+    parse = parseJSONFromResponse,
+    context,
+    use
+  } = options;
+
+  let messages = [...params.messages];
+  let lastIssues = [];
+  let lastText = '';
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const message = await createMessage(task, { ...params, messages }, { context, use });
+    lastText = getResponseText(message);
+
+    let data;
+    try {
+      data = parse(lastText);
+    } catch (error) {
+      lastIssues = [{ path: '(root)', message: `Response is not valid JSON: ${error.message}`, code: 'invalid_json' }];
+    }
+
+    if (data !== undefined) {
+      const result = schema.safeParse(data);
+      if (result.success) {
+        if (attempt > 0) {
+          console.log(`✅ ${label} repaired after ${attempt} retry(s)`);
+        }
+        return result.data;
+      }
+      lastIssues = formatIssues(result.error);
+    }
+
+    console.warn(`⚠️ ${label} failed validation (attempt ${attempt + 1}/${maxRepairs + 1}):`);
+    lastIssues.slice(0, 20).forEach(issue => console.warn(`   - ${issue.path}: ${issue.message}`));
+
+    messages = [
+      ...params.messages,
+      { role: 'assistant', content: lastText },
+      { role: 'user', content: buildRepairPrompt(lastIssues) }
+    ];
+  }
+
+  throw new SchemaValidationError(label, lastIssues, lastText, maxRepairs + 1);
+}
@@ -1,14 +1,27 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import Anthropic from '@anthropic-ai/sdk';
 import { loadStatus } from './statusService.js';
+import { createStructuredMessage } from './llm/structuredOutput.js';
+import { missionTemplateSchema } from './schemas/missionSchemas.js';
+import {
+  loadQuests,
+  activateQuests,
+  triggerFollowUps,
+  failExpiredMissions,
+  getTimeLimits,
+  buildQuestGraph
+} from './questChainService.js';
+import { loadSessionClock } from './gameTimeService.js';
+import { applySchedules } from './scheduleService.js';
+import { formatNpcLocation } from './utils.js';
+import { getFactionSetup, formatFactionsForPrompt } from './factionService.js';
+import { readJsonState, writeJsonState } from './statePersistence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const GAME_DATA_DIR = path.join(__dirname, '../public/game_data');
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
 
 /**
  * Build rich context for mission generation
@@ -25,9 +38,10 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
     }
   }
 
-  // 2. Current location details
+  // 2. Current location details (NPCs where their schedules put them right now)
+  const worldData = applySchedules(gameData?.worldData, gameData?.backgroundData);
   const currentLocation = playerData.location || 'unknown';
-  const currentScene = gameData?.worldData?.[currentLocation];
+  const currentScene = worldData?.[currentLocation];
   if (currentScene) {
     context += `## 当前场景: ${currentScene.name} (ID: ${currentLocation})\n`;
     context += `场景描述: ${currentScene.description || '无描述'}\n\n`;
@@ -40,6 +54,9 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
         if (npc.description) {
           context += `  ${npc.description}\n`;
         }
+        if (npc.location) {
+          context += `  此刻: ${formatNpcLocation(npc.location, currentScene)}\n`;
+        }
         if (playerData.relationships && playerData.relationships[npc.name]) {
           context += `  关系值: ${playerData.relationships[npc.name]}\n`;
         }
@@ -51,7 +68,7 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
     if (currentScene.buildings && currentScene.buildings.length > 0) {
       context += `### 场景中的建筑:\n`;
       currentScene.buildings.forEach(building => {
-        context += `- **${building.name}** (${building.type || 'building'})\n`;
+        context += `- **${building.name}** (${building.type || 'building'})${building.isOpen ? '' : ' [已关门]'}\n`;
         if (building.description) {
           context += `  ${building.description}\n`;
         }
@@ -67,7 +84,7 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
   if (playerData.unlockedScenes && playerData.unlockedScenes.length > 0) {
     context += `## 已解锁的场景 (可用于任务目标):\n`;
     playerData.unlockedScenes.forEach(sceneId => {
-      const scene = gameData?.worldData?.[sceneId];
+      const scene = worldData?.[sceneId];
       if (scene) {
         context += `- **${scene.name}** (ID: ${sceneId})`;
         if (scene.description) {
@@ -88,7 +105,7 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
   if (currentScene && currentScene.exits && Object.keys(currentScene.exits).length > 0) {
     context += `## 相邻场景 (可探索方向):\n`;
     Object.entries(currentScene.exits).forEach(([direction, targetSceneId]) => {
-      const targetScene = gameData?.worldData?.[targetSceneId];
+      const targetScene = worldData?.[targetSceneId];
       const isUnlocked = playerData.unlockedScenes?.includes(targetSceneId);
       if (targetScene) {
         context += `- ${direction}: **${targetScene.name}** (ID: ${targetSceneId}) ${isUnlocked ? '✓已解锁' : '🔒未解锁'}\n`;
@@ -118,6 +135,7 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
   const missionData = loadMissions(sessionId);
   const completedMissions = missionData.missions.filter(m => m.status === 'completed');
   const activeMissions = missionData.missions.filter(m => m.status === 'active');
+  const clock = loadSessionClock(sessionId);
 
   if (completedMissions.length > 0) {
     context += `## 已完成的任务 (不要生成类似任务):\n`;
@@ -138,6 +156,13 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
       if (mission.requirements) {
         context += `  要求: ${JSON.stringify(mission.requirements)}\n`;
       }
+      const limits = getTimeLimits(mission, missionData.turnCount, clock);
+      if (limits?.turnsLeft !== undefined) {
+        context += `  剩余回合: ${limits.turnsLeft}\n`;
+      }
+      if (limits?.deadlineDay !== undefined) {
+        context += `  剩余天数: ${Math.max(0, limits.deadlineDay - clock.today)}\n`;
+      }
     });
     context += '\n';
   }
@@ -153,6 +178,13 @@ export function buildGameContext(sessionId, session, gameData, playerData) {
     context += '\n\n';
   }
 
+  // 8. Faction standing (missions can serve or work against a faction)
+  const factionSetup = getFactionSetup(gameData?.backgroundData, gameData?.worldData);
+  if (factionSetup.factions.length > 0) {
+    context += `## 势力与玩家声望 (可围绕势力设计任务):\n`;
+    context += formatFactionsForPrompt(factionSetup, playerData) + '\n\n';
+  }
+
   return context;
 }
 
@@ -173,34 +205,29 @@ function getMissionFilePath(sessionId) {
 export function loadMissions(sessionId) {
   const filePath = getMissionFilePath(sessionId);
 
-  if (fs.existsSync(filePath)) {
-    const fileData = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(fileData);
-  }
-
-  // Initialize new mission data
-  return {
+  // Initialize new mission data when there is none yet
+  return readJsonState(filePath, {
     missions: [],
     turnCount: 0,
     lastMissionTurn: -5 // Allow mission generation on first turn after 5 turns
-  };
+  });
 }
 
 /**
- * Save mission data for a session
+ * Save mission data for a session (StateConflictError when the file changed since it was loaded)
  */
 export function saveMissions(sessionId, missionData) {
   const filePath = getMissionFilePath(sessionId);
-  fs.writeFileSync(filePath, JSON.stringify(missionData, null, 2), 'utf-8');
+  return writeJsonState(filePath, missionData);
 }
 
 /**
  * Increment turn counter
  */
-export function incrementTurnCount(sessionId) {
+export async function incrementTurnCount(sessionId) {
   const missionData = loadMissions(sessionId);
   missionData.turnCount += 1;
-  saveMissions(sessionId, missionData);
+  await saveMissions(sessionId, missionData);
   return missionData.turnCount;
 }
 
@@ -220,6 +247,18 @@ export async function generateStoryMission(sessionId, playerData, gameContext, n
 
   console.log('[Mission System] Generating story-critical mission using AI...');
 
+  // Chain onto the last finished story mission so the new one follows from how it ended
+  const previousStoryMission = [...missionData.missions]
+    .reverse()
+    .find(m => m.isStoryMission && (m.status === 'completed' || m.status === 'failed'));
+  let previousOutcome = '';
+  if (previousStoryMission) {
+    const previousPath = previousStoryMission.completionPaths?.find(p => p.pathId === previousStoryMission.completedViaPath);
+    previousOutcome = previousStoryMission.status === 'completed'
+      ? `上一个主线任务「${previousStoryMission.title}」已完成，完成方式：${previousPath ? `${previousPath.name} - ${previousPath.description}` : '未知'}`
+      : `上一个主线任务「${previousStoryMission.title}」失败了（${previousStoryMission.failureReason || '未完成'}）`;
+  }
+
   // Use Claude to generate contextual story mission with multiple completion paths
   const prompt = `You are a mission designer for an interactive fiction game. Based on the narrative context and player's current state, generate ONE story-critical mission that BLOCKS the main storyline until completed.
 
@@ -240,7 +279,10 @@ ${gameContext || 'Interactive fiction adventure game'}
 
 **NARRATIVE CONTEXT (what just happened in the story):**
 ${narrativeContext || 'Story is progressing'}
-
+${previousOutcome ? `
+**PREVIOUS STORY MISSION (the new mission must follow from this outcome):**
+${previousOutcome}
+` : ''}
 **IMPORTANT MISSION DESIGN GUIDELINES:**
 
 1. **CONTEXT-AWARE**: The mission MUST reference actual elements from the game context above:
@@ -336,20 +378,9 @@ Completion Path:
 Generate the story mission now (return ONLY valid JSON):`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 5000,
+    const missionTemplate = await createStructuredMessage('missionGeneration', {
       messages: [{ role: 'user', content: prompt }]
-    });
-
-    const content = message.content[0].text;
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.error('[Mission System] Failed to parse AI response:', content);
-      return null;
-    }
-
-    const missionTemplate = JSON.parse(jsonMatch[0]);
+    }, missionTemplateSchema, { label: 'storyMission' });
 
     // Create mission object
     const newMission = {
@@ -361,6 +392,15 @@ Generate the story mission now (return ONLY valid JSON):`;
       blocksStoryline: true,
       completionPaths: missionTemplate.completionPaths,
       reward: missionTemplate.reward,
+      source: 'generated',
+      ...(previousStoryMission && {
+        chainId: previousStoryMission.chainId || previousStoryMission.id,
+        prerequisites: [{
+          missionId: previousStoryMission.id,
+          outcome: previousStoryMission.status,
+          ...(previousStoryMission.completedViaPath && { pathId: previousStoryMission.completedViaPath })
+        }]
+      }),
       status: 'active',
       createdAt: new Date().toISOString(),
       createdTurn: missionData.turnCount,
@@ -371,7 +411,7 @@ Generate the story mission now (return ONLY valid JSON):`;
     missionData.missions.push(newMission);
     missionData.lastMissionTurn = missionData.turnCount;
     missionData.hasActiveStoryMission = true;
-    saveMissions(sessionId, missionData);
+    await saveMissions(sessionId, missionData);
 
     console.log('[Mission System] Story mission generated:', newMission.id, newMission.title);
     console.log(`[Mission System] Storyline is now BLOCKED until mission completion`);
@@ -422,7 +462,7 @@ function checkPathRequirements(path, playerData) {
   // Check relationships
   if (requirements.relationships && requirements.relationships.length > 0) {
     const relationshipsCheck = requirements.relationships.map(reqRel => {
-      const currentValue = playerData.relationships?.[reqRel.npcName] || 0;
+      const currentValue = playerData.network?.[reqRel.npcName]?.relationship ?? playerData.relationships?.[reqRel.npcName] ?? 0;
       const meetsRequirement = currentValue >= reqRel.minValue;
 
       if (!meetsRequirement) {
@@ -489,9 +529,12 @@ function checkPathRequirements(path, playerData) {
  * Manually submit a mission for completion validation
  * Checks all completion paths and returns which path (if any) was completed
  */
-export function submitMissionForValidation(sessionId, missionId) {
+export async function submitMissionForValidation(sessionId, missionId) {
   console.log(`[Mission System] Validating mission submission: ${missionId}`);
 
+  // A mission whose time ran out can no longer be submitted
+  await updateQuestProgress(sessionId);
+
   const missionData = loadMissions(sessionId);
   const mission = missionData.missions.find(m => m.id === missionId);
 
@@ -508,6 +551,7 @@ export function submitMissionForValidation(sessionId, missionId) {
       success: false,
       error: 'Mission is not active',
       status: mission.status,
+      ...(mission.failureReason && { failureReason: mission.failureReason }),
       missionId
     };
   }
@@ -525,8 +569,8 @@ export function submitMissionForValidation(sessionId, missionId) {
   // Increment attempt counter
   mission.attemptedSubmissions = (mission.attemptedSubmissions || 0) + 1;
 
-  // Check if this is a story mission with multiple completion paths
-  if (mission.isStoryMission && mission.completionPaths && mission.completionPaths.length > 0) {
+  // Missions with completion paths (story missions and authored quests)
+  if (mission.completionPaths && mission.completionPaths.length > 0) {
     console.log(`[Mission System] Checking ${mission.completionPaths.length} completion paths...`);
 
     // Check each path
@@ -556,7 +600,11 @@ export function submitMissionForValidation(sessionId, missionId) {
         missionData.hasActiveStoryMission = false;
       }
 
-      saveMissions(sessionId, missionData);
+      // Unlock the quests that follow this outcome
+      triggerFollowUps(missionData, mission);
+      const unlockedMissions = activateQuests(missionData, loadQuests(sessionId), loadSessionClock(sessionId).today);
+
+      await saveMissions(sessionId, missionData);
 
       console.log(`✅ Mission completed via path: ${completedPath.pathName}`);
 
@@ -567,11 +615,12 @@ export function submitMissionForValidation(sessionId, missionId) {
         completedPath: completedPath.pathId,
         completedPathName: completedPath.pathName,
         pathResults,
+        unlockedMissions,
         message: `任务完成！完成方式：${completedPath.pathName}`
       };
     } else {
       // No path completed
-      saveMissions(sessionId, missionData);
+      await saveMissions(sessionId, missionData);
 
       console.log(`❌ Mission not completed. Attempts: ${mission.attemptedSubmissions}`);
 
@@ -584,7 +633,44 @@ export function submitMissionForValidation(sessionId, missionId) {
         attempts: mission.attemptedSubmissions
       };
     }
-  } 
+  }
+
+  await saveMissions(sessionId, missionData);
+  return {
+    success: false,
+    error: 'Mission has no completion paths to validate',
+    missionId
+  };
+}
+
+/**
+ * Advance quest chains: fail missions whose time ran out, then activate
+ * authored quests whose prerequisites now hold
+ */
+export async function updateQuestProgress(sessionId) {
+  const missionData = loadMissions(sessionId);
+  const clock = loadSessionClock(sessionId);
+
+  const failed = failExpiredMissions(missionData, clock);
+  const activated = activateQuests(missionData, loadQuests(sessionId), clock.today);
+
+  if (failed.length > 0 || activated.length > 0) {
+    await saveMissions(sessionId, missionData);
+  }
+  return { failed, activated };
+}
+
+/**
+ * Quest graph of a session (missions, locked authored quests and how they connect)
+ */
+export function getQuestGraph(sessionId) {
+  const missionData = loadMissions(sessionId);
+  const clock = loadSessionClock(sessionId);
+  return {
+    turnCount: missionData.turnCount,
+    today: clock.today,
+    ...buildQuestGraph(missionData, loadQuests(sessionId), clock)
+  };
 }
 
 /**
@@ -649,6 +735,7 @@ export function getMissionSummary(sessionId) {
   const missionData = loadMissions(sessionId);
   const active = missionData.missions.filter(m => m.status === 'active');
   const completed = missionData.missions.filter(m => m.status === 'completed');
+  const failed = missionData.missions.filter(m => m.status === 'failed');
 
   return {
     turnCount: missionData.turnCount,
@@ -656,6 +743,7 @@ export function getMissionSummary(sessionId) {
     turnsUntilNextMission: Math.max(0, 5 - (missionData.turnCount - missionData.lastMissionTurn)),
     activeMissions: active,
     completedMissions: completed,
+    failedMissions: failed,
     totalMissions: missionData.missions.length
   };
 }
@@ -682,7 +770,7 @@ export function checkStorylineBlocked(sessionId) {
  * The mission is marked as abandoned, storyline is unblocked if it was a story mission,
  * and the player does NOT receive any rewards
  */
-export function abandonMission(sessionId, missionId) {
+export async function abandonMission(sessionId, missionId) {
   console.log(`[Mission System] Abandoning mission: ${missionId} for session: ${sessionId}`);
 
   const missionData = loadMissions(sessionId);
@@ -707,7 +795,7 @@ export function abandonMission(sessionId, missionId) {
     console.log('[Mission System] Storyline unblocked after mission abandonment');
   }
 
-  saveMissions(sessionId, missionData);
+  await saveMissions(sessionId, missionData);
 
   console.log(`✅ Mission abandoned: ${mission.title}`);
 
@@ -730,5 +818,7 @@ export default {
   submitMissionForValidation,
   checkStorylineBlocked,
   abandonMission,
-  buildGameContext
+  buildGameContext,
+  updateQuestProgress,
+  getQuestGraph
 };
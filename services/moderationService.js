@@ -0,0 +1,303 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { loadRules } from './rulesService.js';
+import { createStructuredMessage, formatIssues } from './llm/structuredOutput.js';
+import { formatStepLine } from './stepFormat.js';
+import {
+  MODERATION_CATEGORIES,
+  moderationConfigSchema,
+  classifierVerdictSchema
+} from './schemas/moderationSchemas.js';
+import { createModerationFlag } from '../login/service/moderationFlagService.js';
+
+dotenv.config();
+
+/**
+ * Content moderation of player input and model output.
+ *
+ * Player actions, NPC chat messages and visual actions are checked before they reach the
+ * model, and the model's answer is checked before it is kept. Keyword lists (and an optional
+ * classifier) score the text per category; the game's content rating (rules `contentRating`
+ * or visual worldSetting.contentRating) sets the scores that get a text logged for review and
+ * refused. Player input is also checked for prompt-injection attempts against the game-master
+ * prompt. Flagged texts are kept in MySQL (moderation_flags) for admin review.
+ *
+ * Override the built-in lists and thresholds with a JSON file pointed to by MODERATION_CONFIG
+ * (see schemas/moderationSchemas.js), or plug a classifier in with setModerationClassifier.
+ */
+
+const BUILTIN_KEYWORDS = {
+  sexual: [{ term: '色情', score: 0.6 }, { term: '性交', score: 0.7 }, { term: 'porn', score: 0.6 }],
+  minors: ['儿童色情', '未成年色情', '幼女色情', 'child porn'],
+  violence: [{ term: '虐杀', score: 0.7 }, { term: '肢解', score: 0.7 }, { term: 'dismember', score: 0.7 }],
+  self_harm: ['自杀方法', '怎么自杀', '割腕教程', 'how to kill myself'],
+  hate: [],
+  illegal: ['制作炸弹', '制毒方法', '合成冰毒', 'how to make a bomb', 'cook meth']
+};
+
+// Per rating and category: log at `flag`, refuse at `block` (null: never refuse)
+const BUILTIN_RATINGS = {
+  all: {
+    sexual: { flag: 0.3, block: 0.5 },
+    minors: { flag: 0.1, block: 0.3 },
+    violence: { flag: 0.5, block: 0.8 },
+    self_harm: { flag: 0.3, block: 0.5 },
+    hate: { flag: 0.3, block: 0.5 },
+    illegal: { flag: 0.3, block: 0.6 }
+  },
+  teen: {
+    sexual: { flag: 0.3, block: 0.6 },
+    minors: { flag: 0.1, block: 0.3 },
+    violence: { flag: 0.6, block: 0.95 },
+    self_harm: { flag: 0.4, block: 0.7 },
+    hate: { flag: 0.4, block: 0.7 },
+    illegal: { flag: 0.4, block: 0.8 }
+  },
+  mature: {
+    sexual: { flag: 0.7, block: 0.95 },
+    minors: { flag: 0.1, block: 0.3 },
+    violence: { flag: 0.9, block: null },
+    self_harm: { flag: 0.5, block: 0.9 },
+    hate: { flag: 0.5, block: 0.9 },
+    illegal: { flag: 0.6, block: 0.95 }
+  }
+};
+
+// Attempts to override or read the game-master prompt, and game markers typed by the player
+const INJECTION_PATTERNS = [
+  /ignore\s+(all\s+)?(the\s+)?(previous|above|prior|earlier)\s+(instructions?|prompts?|rules?)/i,
+  /disregard\s+(all\s+)?(the\s+)?(previous|above|prior|your)\s+(instructions?|prompts?|rules?)/i,
+  /(system|developer)\s*prompt/i,
+  /(developer|debug|god|admin)\s*mode/i,
+  /(忽略|无视|忘记|忘掉)(掉)?(你)?(之前|以上|上面|前面|所有|全部)的?(所有)?(指令|指示|提示|设定|规则|要求)/,
+  /(系统|开发者)(提示词?|指令|设定)/,
+  /(输出|打印|重复|告诉我|显示)(一下)?你的(系统)?(提示词?|指令|设定|规则)/,
+  /(开发者|调试|管理员|上帝)模式/,
+  /\[\s*(CHANGE|UNLOCK_SCENE|MISSION|COMBAT|CHECK|KEY_EVENT|RELATIONSHIP_CHANGE|SCENE_CHANGE|NARRATION|DIALOGUE|CHOICE|OPTION)\s*[:\]]/i,
+  /\{\s*"(type|kind)"\s*:\s*"(narration|dialogue|hint|choice|check|check_result|combat|mission|scene_change|transition|key_event|stat|item|relationship|npc_relation|reputation|unlock_scene)"/i
+];
+
+const MAX_FLAG_CONTENT = 5000;
+
+const BLOCKED_INPUT_MESSAGE = '你的输入包含不适合本游戏的内容，请换一种说法。';
+const INJECTION_MESSAGE = '你的输入试图修改游戏规则或主持人设定，请以角色的身份行动。';
+
+export const BLOCKED_OUTPUT_NARRATION = formatStepLine({ type: 'narration', text: '这段剧情未能通过内容安全审核，故事暂时停在这里。请换一种方式继续。' });
+
+/**
+ * Player input refused by moderation (result: the moderation result)
+ */
+export class ModerationError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = 422;
+    this.result = result;
+  }
+}
+
+let config = null;
+let classifier = null;
+
+function normalize(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * The moderation config: built-in keywords and ratings merged with MODERATION_CONFIG
+ */
+export function loadModerationConfig() {
+  if (config) return config;
+
+  let fileConfig = {};
+  const configPath = process.env.MODERATION_CONFIG;
+  if (configPath) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      console.log(`📦 Loaded moderation config from ${configPath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load moderation config (${configPath}):`, error.message);
+    }
+  }
+
+  let parsed = moderationConfigSchema.safeParse(fileConfig);
+  if (!parsed.success) {
+    const issues = formatIssues(parsed.error).map(i => `${i.path}: ${i.message}`).join('; ');
+    console.error(`❌ Ignoring invalid moderation config: ${issues}`);
+    parsed = moderationConfigSchema.safeParse({});
+  }
+  const fileData = parsed.data;
+
+  const builtinKeywords = moderationConfigSchema.parse({ keywords: BUILTIN_KEYWORDS }).keywords;
+  const categories = [...new Set([...MODERATION_CATEGORIES, ...Object.keys(fileData.keywords)])];
+  const keywords = Object.fromEntries(categories.map(category => [
+    category,
+    fileData.replaceKeywords
+      ? fileData.keywords[category] || []
+      : [...(builtinKeywords[category] || []), ...(fileData.keywords[category] || [])]
+  ]).map(([category, list]) => [category, list.map(keyword => ({ ...keyword, normalized: normalize(keyword.term) }))]));
+
+  const ratingNames = [...new Set([...Object.keys(BUILTIN_RATINGS), ...Object.keys(fileData.ratings)])];
+  const ratings = Object.fromEntries(ratingNames.map(name => [
+    name,
+    { ...(BUILTIN_RATINGS[name] || BUILTIN_RATINGS.teen), ...(fileData.ratings[name] || {}) }
+  ]));
+
+  config = {
+    ...fileData,
+    keywords,
+    ratings,
+    injectionPatterns: [...INJECTION_PATTERNS, ...fileData.injectionPatterns.map(source => new RegExp(source, 'i'))]
+  };
+  return config;
+}
+
+/**
+ * Use a custom classifier before and after each generation (null: back to the configured one).
+ * classify(text, { stage, rating, sessionId, mode }) resolves to { categories: { [category]: 0..1 } }
+ */
+export function setModerationClassifier(classify) {
+  classifier = classify;
+}
+
+async function classifyWithLLM(text, { stage, sessionId, mode }) {
+  return createStructuredMessage('moderation', {
+    system: `你是中文互动小说平台的内容审核员。判断下面这段${stage === 'input' ? '玩家输入' : '故事文本'}在每个分类上的风险，分数0到1（0为无风险，1为明确违规）。
+分类：${MODERATION_CATEGORIES.join(', ')}（sexual 色情，minors 涉及未成年人的性内容，violence 血腥暴力，self_harm 自残自杀，hate 仇恨歧视，illegal 违法犯罪教程）。
+虚构故事中的一般冲突和打斗不算高风险。只返回JSON：{"categories": {"分类": 分数}, "reason": "简短理由"}`,
+    messages: [{ role: 'user', content: text }]
+  }, classifierVerdictSchema, { label: 'Moderation verdict', maxRepairs: 0, context: { sessionId, mode } });
+}
+
+async function classify(text, options) {
+  const classifyText = classifier || (loadModerationConfig().classifier === 'llm' ? classifyWithLLM : null);
+  if (!classifyText) return {};
+  try {
+    const verdict = await classifyText(text, options);
+    return verdict?.categories || {};
+  } catch (error) {
+    // A failing classifier leaves the keyword scores
+    console.error('[Moderation] Classifier failed:', error.message);
+    return {};
+  }
+}
+
+function detectInjection(text, patterns) {
+  const pattern = patterns.find(p => p.test(text));
+  return pattern ? { pattern: pattern.source } : null;
+}
+
+/**
+ * Score a text against the keyword lists, the classifier and the rating's thresholds
+ * @param {Object} options - { stage: 'input' | 'output', rating, sessionId, mode }
+ * @returns {Promise<Object>} { blocked, flagged, rating, scores, flaggedCategories, blockedCategories, matches, injection }
+ */
+export async function moderateText(text, { stage, rating, sessionId = null, mode = 'classic' }) {
+  const moderationConfig = loadModerationConfig();
+  const ratingName = moderationConfig.ratings[rating] ? rating : moderationConfig.defaultRating;
+  const thresholds = moderationConfig.ratings[ratingName] || BUILTIN_RATINGS.teen;
+
+  const normalized = normalize(text);
+  const scores = {};
+  const matches = [];
+  for (const [category, keywords] of Object.entries(moderationConfig.keywords)) {
+    for (const keyword of keywords) {
+      if (keyword.normalized && normalized.includes(keyword.normalized)) {
+        scores[category] = Math.max(scores[category] || 0, keyword.score);
+        matches.push({ category, term: keyword.term });
+      }
+    }
+  }
+  const classified = await classify(text, { stage, rating: ratingName, sessionId, mode });
+  for (const [category, value] of Object.entries(classified)) {
+    scores[category] = Math.max(scores[category] || 0, Number(value) || 0);
+  }
+
+  const flaggedCategories = Object.keys(scores).filter(category =>
+    thresholds[category] && scores[category] >= thresholds[category].flag);
+  const blockedCategories = Object.keys(scores).filter(category =>
+    thresholds[category] && thresholds[category].block !== null && scores[category] >= thresholds[category].block);
+  const injection = stage === 'input' && moderationConfig.injection !== 'off'
+    ? detectInjection(text, moderationConfig.injectionPatterns)
+    : null;
+
+  return {
+    blocked: blockedCategories.length > 0 || (!!injection && moderationConfig.injection === 'block'),
+    flagged: flaggedCategories.length > 0 || blockedCategories.length > 0 || !!injection,
+    rating: ratingName,
+    scores,
+    flaggedCategories,
+    blockedCategories,
+    matches,
+    injection
+  };
+}
+
+async function recordFlag(result, text, { sessionId, mode, source, stage }) {
+  console.warn(`🚩 [Moderation] ${result.blocked ? 'Blocked' : 'Flagged'} ${stage} (${source}) in ${sessionId}: ` +
+    `${[...result.flaggedCategories, ...(result.injection ? ['injection'] : [])].join(', ')}`);
+  try {
+    await createModerationFlag({
+      sessionId,
+      mode,
+      source,
+      stage,
+      action: result.blocked ? 'blocked' : 'flagged',
+      rating: result.rating,
+      categories: result.scores,
+      injection: !!result.injection,
+      content: String(text).slice(0, MAX_FLAG_CONTENT)
+    });
+  } catch (error) {
+    console.error('[Moderation] Failed to record flag:', error.message);
+  }
+}
+
+/**
+ * Content rating of a classic session (rules `contentRating`, else the configured default)
+ */
+export function getSessionRating(sessionId) {
+  return loadRules(sessionId).contentRating || loadModerationConfig().defaultRating;
+}
+
+/**
+ * Check player input before it is sent to the model
+ * @param {Object} context - { sessionId, mode, source, rating }
+ * @throws {ModerationError} When the input is refused
+ */
+export async function checkPlayerInput(text, { sessionId, mode = 'classic', source, rating }) {
+  const result = await moderateText(text, { stage: 'input', rating, sessionId, mode });
+  if (result.flagged) {
+    await recordFlag(result, text, { sessionId, mode, source, stage: 'input' });
+  }
+  if (result.blocked) {
+    const injectionOnly = result.injection && result.blockedCategories.length === 0;
+    throw new ModerationError(injectionOnly ? INJECTION_MESSAGE : BLOCKED_INPUT_MESSAGE, result);
+  }
+  return result;
+}
+
+/**
+ * Check the model's output before it is kept; a refused output is replaced with `fallback`
+ * @param {Object} context - { sessionId, mode, source, rating, fallback }
+ * @returns {Promise<Object>} The moderation result with `text`: the output to keep
+ */
+export async function checkModelOutput(text, { sessionId, mode = 'classic', source, rating, fallback = BLOCKED_OUTPUT_NARRATION }) {
+  const result = await moderateText(text, { stage: 'output', rating, sessionId, mode });
+  if (result.flagged) {
+    await recordFlag(result, text, { sessionId, mode, source, stage: 'output' });
+  }
+  return { ...result, text: result.blocked ? fallback : text };
+}
+
+/**
+ * Public part of a moderation result, for API responses and stream events
+ */
+export function describeModeration(result, stage) {
+  return {
+    stage,
+    blocked: result.blocked,
+    categories: result.blocked ? result.blockedCategories : result.flaggedCategories,
+    injection: !!result.injection
+  };
+}
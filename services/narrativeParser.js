@@ -1,189 +1,69 @@
-export function parseNarrativeSteps(responseText) {
-
-  const steps = [];
-  let currentIndex = 0;
-  let shouldGenerateMission = false; // Track if mission should be generated
-
-  // Split the response into lines for processing
-  const lines = responseText.split('\n');
-  let inChoice = false;
-  let currentChoice = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-
-    // Skip empty lines
-    if (!line) {
-      continue;
-    }
-
-    // Detect [MISSION: true/false] tag
-    const missionMatch = line.match(/^\[MISSION:\s*(true|false)\]$/i);
-    if (missionMatch) {
-      shouldGenerateMission = missionMatch[1].toLowerCase() === 'true';
-      continue; // Don't add this as a step, just flag it
-    }
-
-    // Detect [NARRATION: ...] format
-    const narrationMatch = line.match(/^\[NARRATION:\s*(.+?)\]$/);
-    if (narrationMatch) {
-      steps.push({
-        id: `step_${currentIndex++}`,
-        type: 'narration',
-        text: narrationMatch[1].trim()
-      });
-      continue;
-    }
+import { parseSteps } from './stepFormat.js';
 
-    // Detect [DIALOGUE: character_id, "text"] format
-    const dialogueMatch = line.match(/^\[DIALOGUE:\s*([^,]+),\s*"(.+?)"\]$/);
-    if (dialogueMatch) {
-      const characterId = dialogueMatch[1].trim();
-      const text = dialogueMatch[2].trim();
-      steps.push({
-        id: `step_${currentIndex++}`,
-        type: 'dialogue',
-        characterId,
-        text
-      });
-      continue;
-    }
-
-    // Detect [HINT: text] with optional changes
-    const hintMatch = line.match(/^\[HINT:\s*(.+?)\]$/);
-    if (hintMatch) {
-      const hintText = hintMatch[1].trim();
-      const step = {
-        id: `step_${currentIndex++}`,
-        type: 'hint',
-        text: hintText,
-        changes: [],
-        relationshipChanges: [],
-        itemChanges: []
+/**
+ * A step in the shape the classic client uses
+ */
+export function toClassicStep(step, index) {
+  const id = `step_${index}`;
+  switch (step.type) {
+    case 'dialogue':
+      return { id, type: 'dialogue', characterId: step.speaker, text: step.text };
+    case 'check':
+      return { id, type: 'check', attribute: step.attribute, difficulty: step.difficulty, resolved: false };
+    case 'check_result':
+      return {
+        id,
+        type: 'check',
+        attribute: step.attribute,
+        difficulty: step.difficulty,
+        resolved: true,
+        roll: step.roll,
+        modifier: step.modifier,
+        total: step.roll + step.modifier,
+        success: step.success
       };
-
-      // Look ahead for [CHANGE: ...] markers
-      let j = i + 1;
-      while (j < lines.length) {
-        const nextLine = lines[j].trim();
-
-        // Match attribute change: [CHANGE: 角色名字, 属性名, +/-数值]
-        const attrChangeMatch = nextLine.match(/^\[CHANGE:\s*([^,]+),\s*([^,]+),\s*([+-]?\d+)\]$/);
-
-        // Match relationship change: [CHANGE: RELATIONSHIP, NPC名字, +/-数值]
-        const relChangeMatch = nextLine.match(/^\[CHANGE:\s*RELATIONSHIP,\s*([^,]+),\s*([+-]?\d+)\]$/);
-
-        // Match item change: [CHANGE: 道具名称, 获得/丢失, 数量]
-        const itemChangeMatch = nextLine.match(/^\[CHANGE:\s*([^,]+),\s*(获得|丢失),\s*(\d+)\]$/);
-
-        if (attrChangeMatch) {
-          // Attribute change
-          step.changes.push({
-            characterId: attrChangeMatch[1].trim(),
-            attribute: attrChangeMatch[2].trim(),
-            delta: parseInt(attrChangeMatch[3])
-          });
-          i = j; // Skip processed lines
-          j++;
-        } else if (relChangeMatch) {
-          // Relationship change
-          step.relationshipChanges.push({
-            npcName: relChangeMatch[1].trim(),
-            delta: parseInt(relChangeMatch[2])
-          });
-          i = j; // Skip processed lines
-          j++;
-        } else if (itemChangeMatch) {
-          // Item change
-          step.itemChanges.push({
-            itemName: itemChangeMatch[1].trim(),
-            action: itemChangeMatch[2].trim(), // 获得 or 丢失
-            quantity: parseInt(itemChangeMatch[3])
-          });
-          i = j; // Skip processed lines
-          j++;
-        } else {
-          break;
-        }
-      }
-
-      steps.push(step);
-      continue;
-    }
-
-    // Detect [CHOICE: title] format
-    const choiceMatch = line.match(/^\[CHOICE:\s*(.+?)\]$/);
-    if (choiceMatch) {
-      inChoice = true;
-      currentChoice = {
-        id: `step_${currentIndex++}`,
+    case 'combat':
+      return { id, type: 'combat', enemies: step.enemies };
+    case 'choice':
+      return {
+        id,
         type: 'choice',
-        title: choiceMatch[1].trim(),
-        text: '',
-        options: []
+        title: step.title,
+        text: step.text,
+        options: step.options.map((text, i) => ({ text, nextId: `choice_${i + 1}` }))
+      };
+    case 'hint': {
+      const changesOf = kind => step.changes.filter(change => change.kind === kind);
+      return {
+        id,
+        type: 'hint',
+        text: step.text,
+        changes: changesOf('stat').map(change => ({ characterId: change.target, attribute: change.attribute, delta: change.delta })),
+        relationshipChanges: changesOf('relationship').map(change => ({ npcName: change.npc, delta: change.delta })),
+        npcRelationChanges: changesOf('npc_relation').map(change => ({ from: change.from, to: change.to, delta: change.delta })),
+        reputationChanges: changesOf('reputation').map(change => ({ faction: change.faction, delta: change.delta })),
+        itemChanges: changesOf('item').map(change => ({ itemName: change.item, action: change.action, quantity: change.quantity })),
+        unlockedScenes: changesOf('unlock_scene').map(change => change.scene)
       };
-      continue;
-    }
-
-    // Detect [OPTION: text] format within a choice
-    const optionMatch = line.match(/^\[OPTION:\s*(.+?)\]$/);
-    if (optionMatch && inChoice && currentChoice) {
-      currentChoice.options.push({
-        text: optionMatch[1].trim(),
-        nextId: `choice_${currentChoice.options.length + 1}`
-      });
-      continue;
-    }
-
-    // Detect [END_CHOICE] to close the choice block
-    if (line === '[END_CHOICE]' && inChoice) {
-      if (currentChoice && currentChoice.options.length > 0) {
-        steps.push(currentChoice);
-      }
-      inChoice = false;
-      currentChoice = null;
-      continue;
-    }
-
-    // If we're in a choice and it's not a special marker, it's the choice description text
-    if (inChoice && currentChoice && !line.startsWith('[')) {
-      currentChoice.text += (currentChoice.text ? ' ' : '') + line;
-      continue;
-    }
-
-    // Regular text - treat as narration if not caught by other patterns
-    if (!line.startsWith('[')) {
-      // Check if this looks like dialogue (contains quotes and attribution)
-      const naturalDialogueMatch = line.match(/^([^:：]+)[：:]?"(.+?)"$/);
-      if (naturalDialogueMatch) {
-        const characterId = naturalDialogueMatch[1].trim();
-        const text = naturalDialogueMatch[2].trim();
-        steps.push({
-          id: `step_${currentIndex++}`,
-          type: 'dialogue',
-          characterId,
-          text
-        });
-      } else {
-        // Treat as narration
-        steps.push({
-          id: `step_${currentIndex++}`,
-          type: 'narration',
-          text: line
-        });
-      }
     }
+    default:
+      return { id, type: 'narration', text: step.text };
   }
+}
 
-  // Close any open choice block
-  if (inChoice && currentChoice && currentChoice.options.length > 0) {
-    steps.push(currentChoice);
-  }
-
+/**
+ * Parse a classic-mode turn (step format v2 JSON lines, or legacy markers) into client steps
+ * @param {string} responseText - The model's answer
+ * @returns {Object} - { steps, totalSteps, shouldGenerateMission, errors }
+ */
+export function parseNarrativeSteps(responseText) {
+  const { steps, shouldGenerateMission, errors } = parseSteps(responseText, 'classic');
+  const classicSteps = steps.map(toClassicStep);
   return {
-    steps,
-    totalSteps: steps.length,
-    shouldGenerateMission // Include mission flag in return value
+    steps: classicSteps,
+    totalSteps: classicSteps.length,
+    shouldGenerateMission,
+    errors
   };
 }
 
@@ -303,6 +183,7 @@ export function convertLegacyToSteps(responseText) {
 
 export default {
   parseNarrativeSteps,
+  toClassicStep,
   extractStatusChanges,
   convertLegacyToSteps
 };
@@ -3,6 +3,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { loadGameData } from './gameInitializationService.js';
+import { applyNpcRelationChange } from './rulesService.js';
+import { readJsonState, writeJsonState } from './statePersistence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -39,8 +41,7 @@ function loadScenesData(sessionId) {
   }
 
   try {
-    const fileData = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(fileData);
+    return readJsonState(filePath);
   } catch (error) {
     console.error(`Error loading scenes data for session ${sessionId}:`, error);
     return null;
@@ -50,7 +51,7 @@ function loadScenesData(sessionId) {
 /**
  * Save scenes data for a session
  */
-function saveScenesData(sessionId, scenesData) {
+async function saveScenesData(sessionId, scenesData) {
   const filePath = getScenesFilePath(sessionId);
   if (!filePath) {
     console.warn(`⚠️ Cannot save scenes data - file path not found for session: ${sessionId}`);
@@ -58,7 +59,7 @@ function saveScenesData(sessionId, scenesData) {
   }
 
   try {
-    fs.writeFileSync(filePath, JSON.stringify(scenesData, null, 2), 'utf-8');
+    await writeJsonState(filePath, scenesData);
     return true;
   } catch (error) {
     console.error(`Error saving scenes data for session ${sessionId}:`, error);
@@ -70,7 +71,7 @@ function saveScenesData(sessionId, scenesData) {
  * Sync player's network relationships to scene NPC data
  * Updates the relationship value for each NPC in the scenes JSON file
  */
-export function syncNetworkToScenes(sessionId, network) {
+export async function syncNetworkToScenes(sessionId, network) {
   console.log('🔄 Syncing network relationships to scene data...');
 
   const scenesData = loadScenesData(sessionId);
@@ -102,7 +103,7 @@ export function syncNetworkToScenes(sessionId, network) {
   }
 
   if (synced) {
-    saveScenesData(sessionId, scenesData);
+    await saveScenesData(sessionId, scenesData);
     console.log('✅ Network relationships synced to scene data');
   } else {
     console.log('⚠️ No relationship changes to sync');
@@ -203,3 +204,136 @@ export function getNetworkByLevel(sessionId, playerData) {
 
   return grouped;
 }
+
+/**
+ * Every NPC of a scenes file once (the first scene listing it), with that scene
+ */
+function listNpcs(scenesData) {
+  const npcs = new Map();
+  for (const [sceneId, sceneData] of Object.entries(scenesData || {})) {
+    (sceneData.npcs || []).forEach(npc => {
+      if (!npcs.has(npc.id)) npcs.set(npc.id, { npc, sceneId, sceneName: sceneData.name });
+    });
+  }
+  return [...npcs.values()];
+}
+
+function findNpc(scenesData, idOrName) {
+  const ref = String(idOrName || '').trim();
+  return listNpcs(scenesData).find(({ npc }) => npc.id === ref || npc.name === ref)?.npc || null;
+}
+
+function getPlayerRelationship(npc, network) {
+  return network?.[npc.name]?.relationship || npc.relationships || 0;
+}
+
+/**
+ * The relations of an NPC towards other NPCs, resolved to those NPCs and how the player stands with them
+ * @returns {Array<{ npc, type, label, value, playerRelationship }>}
+ */
+export function getNpcRelations(scenesData, npc, network = {}) {
+  return (npc?.relations || [])
+    .map(relation => {
+      const target = findNpc(scenesData, relation.target);
+      return target && {
+        npc: target,
+        type: relation.type || 'acquaintance',
+        label: relation.label || null,
+        value: Number(relation.value ?? 50),
+        playerRelationship: getPlayerRelationship(target, network)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Apply NPC-to-NPC relation changes ([CHANGE: RELATIONSHIP, NPC名字, NPC名字, +/-数值] markers).
+ * Each change is how `from` stands towards `to`; a missing relation starts out as a neutral acquaintance.
+ * @param {Array<{ from: string, to: string, delta: number }>} changes - NPC ids or names
+ * @returns {Promise<Array<{ from, to, before, after }>>} Applied changes
+ */
+export async function applyNpcRelationChanges(sessionId, changes, source = 'narrative') {
+  const scenesData = loadScenesData(sessionId);
+  if (!scenesData || changes.length === 0) return [];
+
+  const applied = [];
+  for (const change of changes) {
+    const fromNpc = findNpc(scenesData, change.from);
+    const toNpc = findNpc(scenesData, change.to);
+    if (!fromNpc || !toNpc || fromNpc.id === toNpc.id) {
+      console.warn(`⚠️ Unknown NPC relation: ${change.from} -> ${change.to}`);
+      continue;
+    }
+
+    const existing = (fromNpc.relations || []).find(r => r.target === toNpc.id || r.target === toNpc.name);
+    const before = Number(existing?.value ?? 50);
+    const after = await applyNpcRelationChange(sessionId, fromNpc.name, toNpc.name, before, change.delta, source);
+
+    // The same NPC may be listed in several scenes; keep every copy in step
+    for (const sceneData of Object.values(scenesData)) {
+      (sceneData.npcs || []).filter(npc => npc.id === fromNpc.id).forEach(npc => {
+        npc.relations = npc.relations || [];
+        const relation = npc.relations.find(r => r.target === toNpc.id || r.target === toNpc.name);
+        if (relation) {
+          relation.value = after;
+        } else {
+          npc.relations.push({ target: toNpc.id, type: 'acquaintance', value: after });
+        }
+      });
+    }
+
+    console.log(`  ✓ Relation ${fromNpc.name} -> ${toNpc.name}: ${before} → ${after}`);
+    applied.push({ from: fromNpc.name, to: toNpc.name, before, after });
+  }
+
+  if (applied.length > 0) await saveScenesData(sessionId, scenesData);
+  return applied;
+}
+
+/**
+ * Social graph of a session: the player, NPCs and factions as nodes; the player's relationships,
+ * NPC-to-NPC relations and faction memberships as edges
+ */
+export function getSocialGraph(sessionId, playerData) {
+  const network = playerData.network || {};
+  const scenesData = loadScenesData(sessionId) || {};
+  const npcs = listNpcs(scenesData);
+
+  const nodes = [{ id: 'player', kind: 'player', name: playerData.profile?.name || '玩家' }];
+  const edges = [];
+  const factions = new Set();
+
+  for (const { npc, sceneId, sceneName } of npcs) {
+    const relationship = getPlayerRelationship(npc, network);
+    nodes.push({
+      id: npc.id,
+      kind: 'npc',
+      name: npc.name,
+      job: npc.job,
+      icon: npc.icon,
+      factions: npc.factions || [],
+      relationship,
+      scene: sceneId,
+      sceneName
+    });
+    edges.push({ from: 'player', to: npc.id, type: 'player', value: relationship });
+
+    getNpcRelations(scenesData, npc, network).forEach(relation => edges.push({
+      from: npc.id,
+      to: relation.npc.id,
+      type: relation.type,
+      label: relation.label,
+      value: relation.value
+    }));
+
+    (npc.factions || []).forEach(faction => {
+      factions.add(faction);
+      edges.push({ from: npc.id, to: `faction:${faction}`, type: 'member' });
+    });
+  }
+
+  factions.forEach(faction => nodes.push({ id: `faction:${faction}`, kind: 'faction', name: faction }));
+
+  console.log(`✅ Built social graph with ${nodes.length} nodes and ${edges.length} edges`);
+  return { nodes, edges };
+}
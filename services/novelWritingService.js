@@ -1,20 +1,15 @@
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getStyleInstructions, getDefaultStyle } from './literaryStyleService.js';
+import { createMessage, streamMessage } from './llm/index.js';
+import { writeJsonState } from './statePersistence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const GAME_DATA_DIR = path.join(__dirname, '../public/game_data');
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
-});
-
 export const generateNovel = async (sessionId, options = {}, onChunk = null) => {
   try {
     const {
@@ -55,30 +50,19 @@ export const generateNovel = async (sessionId, options = {}, onChunk = null) =>
 
     if (onChunk) {
       // Streaming mode
-      const stream = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 200000,
+      const result = await streamMessage('novel', {
         system: systemPrompt,
-        messages: messages,
-        stream: true
-      });
+        messages: messages
+      }, onChunk);
 
-      for await (const chunk of stream) {
-        if (chunk.type === 'content_block_delta' && chunk.delta.text) {
-          const token = chunk.delta.text;
-          fullResponse += token;
-          await onChunk(token);
-        } else if (chunk.type === 'message_start') {
-          tokenUsage.inputTokens = chunk.message.usage?.input_tokens || 0;
-        } else if (chunk.type === 'message_delta') {
-          tokenUsage.outputTokens = chunk.usage?.output_tokens || 0;
-        }
-      }
+      fullResponse = result.text;
+      tokenUsage = {
+        inputTokens: result.usage.input_tokens || 0,
+        outputTokens: result.usage.output_tokens || 0
+      };
     } else {
       // Non-streaming mode
-      const message = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 200000,
+      const message = await createMessage('novel', {
         system: systemPrompt,
         messages: messages,
         betas: ['context-1m-2025-08-07']
@@ -115,7 +99,7 @@ export const generateNovel = async (sessionId, options = {}, onChunk = null) =>
     };
 
     // Save novel to file
-    saveNovelData(sessionId, novelId, novelData);
+    await saveNovelData(sessionId, novelId, novelData);
     console.log('Novel Data Saved!');
     return novelData;
   } catch (error) {
@@ -341,10 +325,10 @@ function loadScenesData(sessionId) {
 /**
  * Save novel data
  */
-function saveNovelData(sessionId, novelId, novelData) {
+async function saveNovelData(sessionId, novelId, novelData) {
   try {
     const novelPath = path.join(GAME_DATA_DIR, `novel_${sessionId}_${novelId}.json`);
-    fs.writeFileSync(novelPath, JSON.stringify(novelData, null, 2), 'utf-8');
+    await writeJsonState(novelPath, novelData);
     console.log(`Novel saved: ${novelPath}`);
   } catch (error) {
     console.error('Error saving novel data:', error);
@@ -1,20 +1,21 @@
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs/promises';
 import path from 'path';
 // import { parseJSONFromResponse } from '../utils/utils.js';
 import { fileURLToPath } from 'url';
 import { loadGameData } from './gameInitializationService.js';
 import { getStyleInstructions, getDefaultStyle } from './literaryStyleService.js';
+import { createMessage, streamMessage } from './llm/index.js';
+import { applyRelationshipChange } from './rulesService.js';
+import { getNpcRelations } from './networkService.js';
+import { applyRelationshipToReputation } from './statusService.js';
+import { getCalendar, formatGameDate, advanceSessionTime } from './gameTimeService.js';
+import { pickRandom } from './diceService.js';
+import { checkPlayerInput, checkModelOutput, getSessionRating, describeModeration } from './moderationService.js';
+import { writeJsonState, updateJsonState } from './statePersistence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
-});
-
-const MODEL_NAME = 'claude-sonnet-4-5-20250929';
 const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
 
 // Store active chat sessions in memory
@@ -52,9 +53,9 @@ async function updateNPCMemoriesWithPlot(sessionId, plotResponse) {
       return; // No NPCs mentioned, nothing to do
     }
 
-    // Load scenes data to update memories
-    const scenesPath = path.join(GAME_DATA_DIR, sessionId, `scenes_${sessionId}.json`);
-    const scenesData = JSON.parse(await fs.readFile(scenesPath, 'utf-8'));
+    // Summarize first; the scenes file is read and written once all summaries are in
+    const gameTimeString = formatGameDate(gameData.backgroundData.gameTime, getCalendar(gameData.backgroundData));
+    const plotMemories = [];
 
     // Process each mentioned NPC
     for (const npc of mentionedNPCs) {
@@ -73,50 +74,28 @@ ${plotResponse}
 总结应该简洁、有针对性，直接描述相关事件（直接给出总结内容，不要其他说明）：`;
 
       // Call Claude to summarize the plot context
-      const summaryResponse = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 150,
+      const summaryResponse = await createMessage('npcMemory', {
         messages: [{ role: 'user', content: summaryPrompt }]
-      });
+      }, { use: 'plotSummary' });
 
       const summary = summaryResponse.content[0].text.trim();
+      // Add game time to the summary instead of real timestamp
+      plotMemories.push({ npc, summary, entry: `${gameTimeString} [剧情]: ${summary}` });
+    }
 
-      // Find and update the NPC in scenes data
-      let npcUpdated = false;
-      for (const scene of Object.values(scenesData)) {
-        if (scene.npcs) {
-          const sceneNpc = scene.npcs.find(n => n.id === npc.id || n.name === npc.name);
-          if (sceneNpc) {
-            // Initialize memory array if it doesn't exist
-            if (!sceneNpc.memory) {
-              sceneNpc.memory = [];
-            }
-
-            // Add game time to the summary instead of real timestamp
-            const gameTime = gameData.backgroundData.gameTime;
-            const gameTimeString = `${gameTime.yearName}${gameTime.currentYear}年${gameTime.currentMonth}月${gameTime.currentDay}日`;
-            const timestampedSummary = `${gameTimeString} [剧情]: ${summary}`;
-
-            // Add to memory (keep only last 10 memories to avoid overflow)
-            sceneNpc.memory.push(timestampedSummary);
-            if (sceneNpc.memory.length > 10) {
-              sceneNpc.memory = sceneNpc.memory.slice(-10);
-            }
-
-            npcUpdated = true;
-            console.log(`📖 Updated plot memory for NPC ${npc.name}: ${summary.substring(0, 50)}...`);
-            break;
-          }
+    // Add the memories to the current scenes data (an NPC chat may have changed it meanwhile)
+    const scenesPath = path.join(GAME_DATA_DIR, sessionId, `scenes_${sessionId}.json`);
+    await updateJsonState(scenesPath, (scenesData) => {
+      for (const { npc, summary, entry } of plotMemories) {
+        const sceneNpc = findSceneNpc(scenesData, npc.id, npc.name);
+        if (!sceneNpc) {
+          console.warn(`Could not update memory for NPC ${npc.name} - not found in scenes data`);
+          continue;
         }
+        addNpcMemory(sceneNpc, entry);
+        console.log(`📖 Updated plot memory for NPC ${npc.name}: ${summary.substring(0, 50)}...`);
       }
-
-      if (!npcUpdated) {
-        console.warn(`Could not update memory for NPC ${npc.name} - not found in scenes data`);
-      }
-    }
-
-    // Save updated scenes data
-    await fs.writeFile(scenesPath, JSON.stringify(scenesData, null, 2), 'utf-8');
+    });
 
   } catch (error) {
     console.error('Error updating NPC plot memories:', error);
@@ -124,6 +103,24 @@ ${plotResponse}
   }
 }
 
+/**
+ * First NPC in the scenes data with the given id or name
+ */
+function findSceneNpc(scenesData, npcId, npcName = npcId) {
+  for (const scene of Object.values(scenesData)) {
+    const npc = scene.npcs?.find(n => n.id === npcId || n.name === npcName);
+    if (npc) return npc;
+  }
+  return null;
+}
+
+/**
+ * Add a memory to an NPC (keep only last 10 memories to avoid overflow)
+ */
+function addNpcMemory(npc, entry) {
+  npc.memory = [...(npc.memory || []), entry].slice(-10);
+}
+
 async function getOrCreateChatSession(sessionId, npcId) {
   const chatKey = `${sessionId}_${npcId}`;
 
@@ -170,7 +167,7 @@ async function saveChatHistory(sessionId, npcId, chatSession) {
     messageCount: chatSession.chatHistory.length,
   };
 
-  await fs.writeFile(historyPath, JSON.stringify(historyData, null, 2), 'utf-8');
+  await writeJsonState(historyPath, historyData);
 }
 
 async function loadNPCData(sessionId, npcId) {
@@ -186,6 +183,7 @@ async function loadNPCData(sessionId, npcId) {
           ...npc,
           sceneName: scene.name,
           sceneDescription: scene.description,
+          socialRelations: getNpcRelations(scenesData, npc),
         };
       }
     }
@@ -209,6 +207,17 @@ async function loadLoreData(sessionId) {
 }
 
 
+/**
+ * The NPC's relations to other NPCs and how the player stands with each of them
+ */
+function formatSocialRelations(socialRelations = []) {
+  if (socialRelations.length === 0) return '暂无';
+  return socialRelations.map(relation => {
+    const attitude = relation.value >= 60 ? '亲近' : relation.value <= 30 ? '敌视' : '一般';
+    return `- ${relation.npc.name}（${relation.label || relation.type}，你对其${attitude}，${relation.value}/100）——玩家与其关系值：${relation.playerRelationship}/100`;
+  }).join('\n');
+}
+
 function buildNPCChatSystemPrompt(npcData, playerData, loreData, currentRelationship, sessionId, literaryStyle) {
   // Get literary style instructions
   const styleInstructions = getStyleInstructions(literaryStyle || getDefaultStyle());
@@ -233,7 +242,10 @@ ${loreData.worldBackground?.content?.join('\n') || ''}
 - 描述：${npcData.description || ''}
 - 类型：${npcData.type || ''}
 - 所在地点：${npcData.sceneName || ''}
-${npcData.relationships ? `- 相关人物：${Object.entries(npcData.relationships).map(([name, rel]) => `${name}(${rel})`).join('、')}` : ''}
+${npcData.factions?.length ? `- 所属势力：${npcData.factions.join('、')}` : ''}
+
+# 你的人际关系
+${formatSocialRelations(npcData.socialRelations)}
 
 # 玩家信息
 - 姓名：${playerData.data?.profile?.name || '旅行者'}
@@ -268,6 +280,7 @@ ${styleInstructions}
 - 关系值低时可以保持距离或警惕
 - 关系值高时可以更加友好和信任
 - 玩家的言行会影响你对他/她的看法
+- 你会在意玩家如何对待你身边的人：玩家与你亲近的人交好会让你更信任玩家，与你敌视的人交好或与你亲近的人交恶会让你心生芥蒂
 - 保持自然对话，避免重复相同的话
 - 可以提及你的背景、想法、困扰或日常生活
 
@@ -294,17 +307,7 @@ async function summarizeAndStoreChatMemory(sessionId, npcId, chatHistory) {
     const loreData = JSON.parse(await fs.readFile(lorePath, 'utf-8'));
 
     // Find the NPC
-    let npcData = null;
-    for (const scene of Object.values(scenesData)) {
-      if (scene.npcs) {
-        const npc = scene.npcs.find(n => n.id === npcId || n.name === npcId);
-        if (npc) {
-          npcData = npc;
-          break;
-        }
-      }
-    }
-
+    const npcData = findSceneNpc(scenesData, npcId);
     if (!npcData) {
       console.warn(`NPC ${npcId} not found for memory update`);
       return;
@@ -331,32 +334,21 @@ ${conversationText}
 总结（直接给出总结内容，不要其他说明）：`;
 
     // Call Claude to summarize
-    const summaryResponse = await anthropic.messages.create({
-      model: MODEL_NAME,
-      max_tokens: 200,
+    const summaryResponse = await createMessage('npcMemory', {
       messages: [{ role: 'user', content: summaryPrompt }]
-    });
+    }, { use: 'chatSummary' });
 
     const summary = summaryResponse.content[0].text.trim();
 
-    // Initialize memory array if it doesn't exist
-    if (!npcData.memory) {
-      npcData.memory = [];
-    }
-
     // Add game time to the summary instead of real timestamp
-    const gameTime = loreData.gameTime;
-    const gameTimeString = `${gameTime.yearName}${gameTime.currentYear}年${gameTime.currentMonth}月${gameTime.currentDay}日`;
+    const gameTimeString = formatGameDate(loreData.gameTime, getCalendar(loreData));
     const timestampedSummary = `${gameTimeString}: ${summary}`;
 
-    // Add to memory (keep only last 10 memories to avoid overflow)
-    npcData.memory.push(timestampedSummary);
-    if (npcData.memory.length > 10) {
-      npcData.memory = npcData.memory.slice(-10);
-    }
-
-    // Save updated scenes data
-    await fs.writeFile(scenesPath, JSON.stringify(scenesData, null, 2), 'utf-8');
+    // The turn may have changed the scenes file during the summary; add the memory to its current content
+    await updateJsonState(scenesPath, (currentScenes) => {
+      const npc = findSceneNpc(currentScenes, npcId);
+      if (npc) addNpcMemory(npc, timestampedSummary);
+    });
     console.log(`💾 Updated memory for NPC ${npcId}: ${summary.substring(0, 50)}...`);
 
   } catch (error) {
@@ -368,34 +360,23 @@ ${conversationText}
 async function updateNPCRelationshipInScenes(sessionId, npcId, newRelationship) {
   try {
     const scenesPath = path.join(__dirname, '../public/game_data', sessionId, `scenes_${sessionId}.json`);
-    const scenesData = JSON.parse(await fs.readFile(scenesPath, 'utf-8'));
-
-    // Search for NPC in all scenes and update relationship
-    let npcFound = false;
-    for (const scene of Object.values(scenesData)) {
-      if (scene.npcs) {
-        const npc = scene.npcs.find(n => n.id === npcId || n.name === npcId);
-        if (npc) {
-          npc.relationships = newRelationship;
-          npcFound = true;
-          console.log(`Updated relationship for NPC ${npcId} to ${newRelationship} in scenes file`);
-          break;
-        }
+    await updateJsonState(scenesPath, (scenesData) => {
+      const npc = findSceneNpc(scenesData, npcId);
+      if (!npc) {
+        console.warn(`NPC ${npcId} not found in scenes file for relationship update`);
+        return;
       }
-    }
-
-    if (npcFound) {
-      // Save updated scenes data
-      await fs.writeFile(scenesPath, JSON.stringify(scenesData, null, 2), 'utf-8');
-    } else {
-      console.warn(`NPC ${npcId} not found in scenes file for relationship update`);
-    }
+      npc.relationships = newRelationship;
+      console.log(`Updated relationship for NPC ${npcId} to ${newRelationship} in scenes file`);
+    });
   } catch (error) {
     console.error(`Error updating NPC relationship in scenes file:`, error);
     // Don't throw error - this is a non-critical update
   }
 }
 
+const BLOCKED_NPC_REPLY = '（对方沉默了片刻，没有回答。这段对话未能通过内容安全审核。）';
+
 async function sendNPCChatMessage(sessionId, npcId, userMessage, onChunk = null) {
   try {
     // Load necessary data (all from session directory now)
@@ -413,7 +394,7 @@ async function sendNPCChatMessage(sessionId, npcId, userMessage, onChunk = null)
     if (chatSession.chatHistory.length === 0) {
       // Use a random greeting from the NPC's greetings array
       const greetings = npcData.greetings || ["你好！", "很高兴见到你。", "欢迎来到这里。"];
-      const randomGreeting = greetings[Math.floor(Math.random() * greetings.length)];
+      const randomGreeting = await pickRandom(sessionId, greetings, 'greeting');
 
       // Add the greeting as the first message from NPC
       chatSession.chatHistory.push({
@@ -456,6 +437,10 @@ async function sendNPCChatMessage(sessionId, npcId, userMessage, onChunk = null)
     // Build system prompt with literary style
     const systemPrompt = buildNPCChatSystemPrompt(npcData, playerData, loreData, currentRelationship, sessionId, literaryStyle);
 
+    // Refused messages never reach the model (throws ModerationError)
+    const rating = getSessionRating(sessionId);
+    await checkPlayerInput(userMessage, { sessionId, mode: 'classic', source: 'npc_chat', rating });
+
     // Add user message to history
     chatSession.chatHistory.push({
       role: 'user',
@@ -472,28 +457,15 @@ async function sendNPCChatMessage(sessionId, npcId, userMessage, onChunk = null)
 
     if (onChunk) {
       // Streaming mode
-      const stream = await anthropic.messages.create({
-        model: MODEL_NAME,
-        max_tokens: 1024,
+      const result = await streamMessage('npcChat', {
         system: systemPrompt,
         messages: chatSession.chatHistory,
-        stream: true,
-      });
+      }, onChunk, { use: 'stream' });
 
-      for await (const event of stream) {
-        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
-          const chunk = event.delta.text;
-          fullResponse += chunk;
-          if (onChunk) {
-            onChunk(chunk);
-          }
-        }
-      }
+      fullResponse = result.text;
     } else {
       // Non-streaming mode
-      const response = await anthropic.messages.create({
-        model: MODEL_NAME,
-        max_tokens: 4096,
+      const response = await createMessage('npcChat', {
         system: systemPrompt,
         messages: chatSession.chatHistory,
       });
@@ -501,6 +473,16 @@ async function sendNPCChatMessage(sessionId, npcId, userMessage, onChunk = null)
       fullResponse = response.content[0].text;
     }
 
+    // A refused reply is not kept; the NPC's line is replaced
+    const outputCheck = await checkModelOutput(fullResponse, {
+      sessionId,
+      mode: 'classic',
+      source: 'npc_chat',
+      rating,
+      fallback: BLOCKED_NPC_REPLY
+    });
+    fullResponse = outputCheck.text;
+
     // Add assistant response to history
     chatSession.chatHistory.push({
       role: 'assistant',
@@ -516,20 +498,20 @@ async function sendNPCChatMessage(sessionId, npcId, userMessage, onChunk = null)
 
     if (relationshipChangeMatch) {
       relationshipChange = parseInt(relationshipChangeMatch[1]);
-      newRelationship = Math.max(0, Math.min(100, currentRelationship + relationshipChange));
+      newRelationship = await applyRelationshipChange(sessionId, npcData.name, currentRelationship, relationshipChange, `npc_chat:${npcId}`);
 
       // Update the relationship value in the scenes JSON file (primary storage)
       await updateNPCRelationshipInScenes(sessionId, npcId, newRelationship);
 
-      // Also update player data for backwards compatibility
-      if (!playerData.data.relationships) {
-        playerData.data.relationships = {};
-      }
-      playerData.data.relationships[npcData.name] = newRelationship;
-
-      // Save updated player data (in session directory)
+      // Also update player data for backwards compatibility (on its current content: the
+      // player data loaded before the reply may be stale by now)
       const playerPath = path.join(__dirname, '../public/game_data', sessionId, `player_${sessionId}.json`);
-      await fs.writeFile(playerPath, JSON.stringify(playerData, null, 2), 'utf-8');
+      await updateJsonState(playerPath, (currentPlayer) => {
+        currentPlayer.data.relationships = { ...currentPlayer.data.relationships, [npcData.name]: newRelationship };
+      });
+
+      // The NPC's factions (and their allies and rivals) notice too
+      await applyRelationshipToReputation(sessionId, npcData.name, newRelationship - currentRelationship, `npc_chat:${npcId}`);
     }
 
     // Save chat history
@@ -538,13 +520,16 @@ async function sendNPCChatMessage(sessionId, npcId, userMessage, onChunk = null)
     // Summarize and store chat memory
     await summarizeAndStoreChatMemory(sessionId, npcId, chatSession.chatHistory);
 
+    await advanceSessionTime(sessionId, 'npcChat');
+
     return {
       success: true,
       npcName: npcData.name,
       response: fullResponse,
       relationshipChange,
       newRelationship,
-      isFirstInteraction: false
+      isFirstInteraction: false,
+      ...(outputCheck.blocked && { moderation: describeModeration(outputCheck, 'output') })
     };
 
   } catch (error) {
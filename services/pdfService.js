@@ -4,6 +4,32 @@ import fs from 'fs';
 const require = createRequire(import.meta.url);
 const pdf = require('pdf-parse');
 
+/**
+ * Same text layout as pdf-parse's default renderer, but also collects each page's text
+ */
+function createPageCollector(pages) {
+  return async (pageData) => {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    pages[pageData.pageIndex] = text;
+    return text;
+  };
+}
+
 export const processPDFFile = async (filePath, progressCallback) => {
   try {
     // Simulate progress for reading file
@@ -13,7 +39,8 @@ export const processPDFFile = async (filePath, progressCallback) => {
     
     if (progressCallback) progressCallback(60);
 
-    const data = await pdf(dataBuffer);
+    const pages = [];
+    const data = await pdf(dataBuffer, { pagerender: createPageCollector(pages) });
     
     if (progressCallback) progressCallback(100);
 
@@ -23,6 +50,7 @@ export const processPDFFile = async (filePath, progressCallback) => {
       info: data.info,
       metadata: data.metadata,
       text: data.text,
+      pages: Array.from(pages, page => page || ''),
       version: data.version
     };
   } catch (error) {
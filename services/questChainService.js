@@ -0,0 +1,272 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { questFileSchema } from './schemas/missionSchemas.js';
+import { formatIssues } from './llm/structuredOutput.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Quest chains on top of the mission system.
+ *
+ * Authored quests (quests_<id>.json, copied into the session like the rules) become missions
+ * once their prerequisites hold. A quest named as a follow-up of another quest (or of one of its
+ * completion paths, or of its failure) additionally waits until that event happens. Active
+ * missions fail when their failure conditions (turn limit, in-game days, deadline) are reached.
+ *
+ * The functions here work on mission data ({ missions, turnCount, ... }) in memory;
+ * missionService loads and saves it.
+ */
+
+export function parseQuests(data) {
+  const result = questFileSchema.safeParse(data || {});
+  if (!result.success) {
+    const issues = formatIssues(result.error);
+    throw new Error(`Invalid quests: ${issues.map(i => `${i.path}: ${i.message}`).join('; ')}`);
+  }
+  return result.data.quests;
+}
+
+function getSessionQuestsPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `quests_${sessionId}.json`);
+}
+
+/**
+ * Copy a game's quests into a new session
+ */
+export function copyQuestsToSession(sourcePath, sessionId) {
+  if (sourcePath && fs.existsSync(sourcePath)) {
+    fs.copyFileSync(sourcePath, getSessionQuestsPath(sessionId));
+  }
+}
+
+/**
+ * Authored quests of a session; a broken quests file is ignored
+ */
+export function loadQuests(sessionId) {
+  const questsPath = getSessionQuestsPath(sessionId);
+  if (!fs.existsSync(questsPath)) return [];
+  try {
+    return parseQuests(JSON.parse(fs.readFileSync(questsPath, 'utf-8')));
+  } catch (error) {
+    console.error(`[Quest Chain] Ignoring quests of ${sessionId}:`, error.message);
+    return [];
+  }
+}
+
+function isSatisfied(prerequisite, missionsById) {
+  const mission = missionsById.get(prerequisite.missionId);
+  if (!mission || mission.status !== (prerequisite.outcome || 'completed')) return false;
+  return !prerequisite.pathId || mission.completedViaPath === prerequisite.pathId;
+}
+
+function followUpTargets(quest) {
+  return [
+    ...quest.followUps,
+    ...quest.onFailure,
+    ...quest.completionPaths.flatMap(path => path.followUps)
+  ];
+}
+
+function instantiateQuest(quest, missionData, today) {
+  return {
+    id: quest.id,
+    questId: quest.id,
+    source: 'authored',
+    title: quest.title,
+    description: quest.description,
+    type: quest.isStoryMission ? 'story' : 'side',
+    isStoryMission: quest.isStoryMission,
+    blocksStoryline: quest.blocksStoryline,
+    prerequisites: quest.prerequisites,
+    completionPaths: quest.completionPaths,
+    followUps: quest.followUps,
+    onFailure: quest.onFailure,
+    ...(quest.failureConditions && { failureConditions: quest.failureConditions }),
+    reward: quest.reward,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    createdTurn: missionData.turnCount,
+    createdDay: today,
+    attemptedSubmissions: 0
+  };
+}
+
+/**
+ * Turn every authored quest whose prerequisites hold (and whose trigger, if it has one, fired) into an active mission
+ * @returns {Array<Object>} Missions activated by this call
+ */
+export function activateQuests(missionData, quests, today) {
+  const missionsById = new Map(missionData.missions.map(mission => [mission.id, mission]));
+  const triggered = new Set(missionData.triggeredQuests || []);
+  const awaitsTrigger = new Set(quests.flatMap(followUpTargets));
+  const activated = [];
+
+  for (const quest of quests) {
+    if (missionsById.has(quest.id)) continue;
+    if (awaitsTrigger.has(quest.id) && !triggered.has(quest.id)) continue;
+    if (!quest.prerequisites.every(prerequisite => isSatisfied(prerequisite, missionsById))) continue;
+
+    const mission = instantiateQuest(quest, missionData, today);
+    missionData.missions.push(mission);
+    missionsById.set(mission.id, mission);
+    if (mission.isStoryMission && mission.blocksStoryline) {
+      missionData.hasActiveStoryMission = true;
+    }
+    activated.push(mission);
+    console.log(`[Quest Chain] Activated: ${mission.title}`);
+  }
+
+  return activated;
+}
+
+/**
+ * Queue the follow-ups of a finished mission: quest-level ones, plus the completed path's branch
+ */
+export function triggerFollowUps(missionData, mission) {
+  const ids = mission.status === 'failed'
+    ? mission.onFailure || []
+    : [
+      ...(mission.followUps || []),
+      ...(mission.completionPaths?.find(path => path.pathId === mission.completedViaPath)?.followUps || [])
+    ];
+  missionData.triggeredQuests = [...new Set([...(missionData.triggeredQuests || []), ...ids])];
+  return ids;
+}
+
+/**
+ * Why an active mission has failed, or null while it can still be completed
+ * (clock: { today, toDay } from gameTimeService.loadSessionClock)
+ */
+function getFailureReason(mission, turnCount, { today, toDay }) {
+  const conditions = mission.failureConditions;
+  if (!conditions || mission.status !== 'active') return null;
+
+  if (conditions.turnLimit && turnCount - (mission.createdTurn || 0) >= conditions.turnLimit) {
+    return `超过${conditions.turnLimit}回合未完成`;
+  }
+  if (conditions.gameDays && mission.createdDay !== undefined && today - mission.createdDay >= conditions.gameDays) {
+    return `超过${conditions.gameDays}天未完成`;
+  }
+  if (conditions.deadline && today > toDay(conditions.deadline)) {
+    return `已过期限（${conditions.deadline.era || ''}${conditions.deadline.year}年${conditions.deadline.month}月${conditions.deadline.day}日）`;
+  }
+  return null;
+}
+
+/**
+ * Fail active missions whose conditions ran out and queue their onFailure follow-ups
+ * @returns {Array<Object>} Missions failed by this call
+ */
+export function failExpiredMissions(missionData, clock) {
+  const failed = [];
+  for (const mission of missionData.missions) {
+    const reason = getFailureReason(mission, missionData.turnCount, clock);
+    if (!reason) continue;
+
+    mission.status = 'failed';
+    mission.failedAt = new Date().toISOString();
+    mission.failedTurn = missionData.turnCount;
+    mission.failureReason = reason;
+    if (mission.isStoryMission && mission.blocksStoryline) {
+      missionData.hasActiveStoryMission = false;
+    }
+    triggerFollowUps(missionData, mission);
+    failed.push(mission);
+    console.log(`[Quest Chain] Failed: ${mission.title} (${reason})`);
+  }
+  return failed;
+}
+
+/**
+ * How much time an active mission has left ({ turnsLeft?, deadlineDay? })
+ */
+export function getTimeLimits(mission, turnCount, clock) {
+  const conditions = mission.failureConditions;
+  if (!conditions || mission.status !== 'active') return null;
+
+  const deadlines = [
+    conditions.gameDays && mission.createdDay !== undefined ? mission.createdDay + conditions.gameDays : null,
+    conditions.deadline ? clock.toDay(conditions.deadline) + 1 : null
+  ].filter(day => day !== null);
+
+  return {
+    ...(conditions.turnLimit && { turnsLeft: Math.max(0, conditions.turnLimit - (turnCount - (mission.createdTurn || 0))) }),
+    ...(deadlines.length > 0 && { deadlineDay: Math.min(...deadlines) })
+  };
+}
+
+/**
+ * Quest graph of a session: missions and not-yet-active authored quests as nodes;
+ * prerequisites, follow-ups, path branches and failure follow-ups as edges
+ */
+export function buildQuestGraph(missionData, quests, clock) {
+  const nodes = new Map();
+  const triggered = new Set(missionData.triggeredQuests || []);
+
+  for (const mission of missionData.missions) {
+    nodes.set(mission.id, {
+      id: mission.id,
+      title: mission.title,
+      status: mission.status,
+      source: mission.source || 'generated',
+      isStoryMission: !!mission.isStoryMission,
+      chainId: mission.chainId || null,
+      paths: (mission.completionPaths || []).map(path => ({ pathId: path.pathId, name: path.name })),
+      completedViaPath: mission.completedViaPath || null,
+      failureReason: mission.failureReason || null,
+      timeLimits: getTimeLimits(mission, missionData.turnCount, clock),
+      definition: mission
+    });
+  }
+
+  for (const quest of quests) {
+    if (nodes.has(quest.id)) continue;
+    nodes.set(quest.id, {
+      id: quest.id,
+      title: quest.title,
+      status: triggered.has(quest.id) ? 'pending' : 'locked',
+      source: 'authored',
+      isStoryMission: quest.isStoryMission,
+      chainId: null,
+      paths: quest.completionPaths.map(path => ({ pathId: path.pathId, name: path.name })),
+      completedViaPath: null,
+      failureReason: null,
+      timeLimits: null,
+      definition: quest
+    });
+  }
+
+  const edges = [];
+  const seen = new Set();
+  const addEdge = (edge) => {
+    const key = `${edge.from}>${edge.to}>${edge.type}>${edge.pathId || ''}`;
+    if (seen.has(key) || !nodes.has(edge.from) || !nodes.has(edge.to)) return;
+    seen.add(key);
+    edges.push(edge);
+  };
+
+  for (const node of nodes.values()) {
+    const definition = node.definition;
+    (definition.prerequisites || []).forEach(prerequisite => addEdge({
+      from: prerequisite.missionId,
+      to: node.id,
+      type: 'prerequisite',
+      outcome: prerequisite.outcome || 'completed',
+      ...(prerequisite.pathId && { pathId: prerequisite.pathId })
+    }));
+    (definition.followUps || []).forEach(id => addEdge({ from: node.id, to: id, type: 'followUp' }));
+    (definition.completionPaths || []).forEach(path =>
+      (path.followUps || []).forEach(id => addEdge({ from: node.id, to: id, type: 'branch', pathId: path.pathId }))
+    );
+    (definition.onFailure || []).forEach(id => addEdge({ from: node.id, to: id, type: 'failure' }));
+  }
+
+  return {
+    nodes: [...nodes.values()].map(({ definition, ...node }) => node),
+    edges
+  };
+}
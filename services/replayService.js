@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { getProvider, setMockScript } from './llm/index.js';
+import { readSessionLog, getInitialFilesDir, startSessionLog } from './sessionLogService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Replay of a logged session (see sessionLogService).
+ *
+ * The session's initial files are copied to a new session, the mock provider is scripted
+ * with the recorded LLM responses (per task, in order) and the recorded requests are sent
+ * again to the API. The replay's state files, random draws and prompts are then compared
+ * with the original's. Timestamps and generated ids are ignored.
+ */
+
+const MAX_DIFFERENCES_PER_FILE = 20;
+const VOLATILE_KEY = /(At|timestamp|lastUpdated)$/;
+const TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g;
+const GENERATED_ID = /_\d{13}_[a-z0-9]+/g;
+
+function normalizeText(text, sessionId, replayId) {
+  return text.split(replayId).join(sessionId)
+    .replace(TIMESTAMP, '<time>')
+    .replace(GENERATED_ID, '_<id>');
+}
+
+function normalize(value, sessionId, replayId) {
+  if (typeof value === 'string') return normalizeText(value, sessionId, replayId);
+  if (Array.isArray(value)) return value.map(item => normalize(item, sessionId, replayId));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !VOLATILE_KEY.test(key))
+      .map(([key, item]) => [key, normalize(item, sessionId, replayId)]));
+  }
+  return value;
+}
+
+function diffValues(original, replayed, pathName, differences) {
+  if (differences.length >= MAX_DIFFERENCES_PER_FILE) return;
+  if (JSON.stringify(original) === JSON.stringify(replayed)) return;
+
+  const bothObjects = original && replayed && typeof original === 'object' && typeof replayed === 'object' &&
+    Array.isArray(original) === Array.isArray(replayed);
+  if (!bothObjects) {
+    differences.push({ path: pathName || '.', original, replayed });
+    return;
+  }
+  const keys = new Set([...Object.keys(original), ...Object.keys(replayed)]);
+  for (const key of keys) {
+    diffValues(original[key], replayed[key], pathName ? `${pathName}.${key}` : key, differences);
+  }
+}
+
+function readStateFiles(dir, sessionId, replayId) {
+  return Object.fromEntries(fs.readdirSync(dir)
+    .filter(fileName => fileName.endsWith('.json'))
+    .map(fileName => [
+      fileName.split(replayId).join(sessionId),
+      normalize(JSON.parse(fs.readFileSync(path.join(dir, fileName), 'utf-8')), sessionId, replayId)
+    ]));
+}
+
+/**
+ * Per-file differences between the original session's files and the replay's
+ */
+export function diffSessionFiles(sessionId, replayId) {
+  const original = readStateFiles(path.join(GAME_DATA_DIR, sessionId), sessionId, replayId);
+  const replayed = readStateFiles(path.join(GAME_DATA_DIR, replayId), sessionId, replayId);
+
+  return [...new Set([...Object.keys(original), ...Object.keys(replayed)])].sort().map(file => {
+    if (!(file in replayed)) return { file, status: 'missing' };
+    if (!(file in original)) return { file, status: 'extra' };
+    const differences = [];
+    diffValues(original[file], replayed[file], '', differences);
+    return { file, status: differences.length > 0 ? 'different' : 'same', differences };
+  });
+}
+
+function compareLogs(originalLog, replayLog, sessionId, replayId) {
+  const draws = log => log.filter(entry => entry.type === 'random').map(entry => entry.values);
+  const calls = log => log.filter(entry => entry.type === 'llm')
+    .map(entry => ({ task: entry.task, request: normalizeText(JSON.stringify(entry.request), sessionId, replayId) }));
+
+  const [recordedDraws, replayedDraws] = [draws(originalLog), draws(replayLog)];
+  const drawMismatch = recordedDraws.findIndex((values, i) => JSON.stringify(values) !== JSON.stringify(replayedDraws[i]));
+  const [recordedCalls, replayedCalls] = [calls(originalLog), calls(replayLog)];
+  const promptMismatch = recordedCalls.findIndex((call, i) =>
+    call.task !== replayedCalls[i]?.task || call.request !== replayedCalls[i]?.request);
+
+  return {
+    randomDraws: {
+      recorded: recordedDraws.length,
+      replayed: replayedDraws.length,
+      firstMismatch: drawMismatch === -1 ? null : {
+        index: drawMismatch,
+        recorded: recordedDraws[drawMismatch],
+        replayed: replayedDraws[drawMismatch] ?? null
+      }
+    },
+    llmCalls: {
+      recorded: recordedCalls.length,
+      replayed: replayedCalls.length,
+      firstPromptMismatch: promptMismatch === -1 ? null : {
+        index: promptMismatch,
+        task: recordedCalls[promptMismatch].task,
+        replayedTask: replayedCalls[promptMismatch]?.task ?? null
+      }
+    }
+  };
+}
+
+/**
+ * Re-run a logged session against the API at baseUrl (which must use the mock provider)
+ * @param {string} sessionId - Session to replay
+ * @param {Object} options - { baseUrl, replayId } where replayId is the session the replay plays in
+ * @returns {Promise<Object>} { sessionId, replayId, requests, randomDraws, llmCalls, files, identical }
+ */
+export async function replaySession(sessionId, { baseUrl, replayId = `${sessionId}_replay` }) {
+  if (getProvider().name !== 'mock') {
+    throw new Error('Replays run against the mock LLM provider (set LLM_PROVIDER=mock)');
+  }
+  const log = readSessionLog(sessionId);
+  if (log.length === 0 || !fs.existsSync(getInitialFilesDir(sessionId))) {
+    throw new Error(`Session ${sessionId} has no replay log`);
+  }
+
+  // The replay session starts from the original's initial files
+  const initialDir = getInitialFilesDir(sessionId);
+  const replayDir = path.join(GAME_DATA_DIR, replayId);
+  fs.rmSync(replayDir, { recursive: true, force: true });
+  fs.mkdirSync(replayDir, { recursive: true });
+  for (const fileName of fs.readdirSync(initialDir)) {
+    const text = fs.readFileSync(path.join(initialDir, fileName), 'utf-8');
+    fs.writeFileSync(path.join(replayDir, fileName.split(sessionId).join(replayId)), text.split(sessionId).join(replayId));
+  }
+  startSessionLog(replayId, { replayOf: sessionId });
+
+  const tasks = {};
+  log.filter(entry => entry.type === 'llm').forEach(entry => {
+    tasks[entry.task] = [...(tasks[entry.task] || []), entry.response];
+  });
+  setMockScript({ tasks });
+
+  console.log(`🔁 Replaying ${sessionId} as ${replayId}...`);
+  const requests = [];
+  for (const entry of log.filter(e => e.type === 'request')) {
+    const url = entry.url.split(sessionId).join(replayId);
+    const response = await fetch(new URL(url, baseUrl), {
+      method: entry.method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry.body || {}).split(sessionId).join(replayId)
+    });
+    await response.text();
+    requests.push({ method: entry.method, url: entry.url, status: response.status });
+  }
+
+  const { randomDraws, llmCalls } = compareLogs(log, readSessionLog(replayId), sessionId, replayId);
+  const files = diffSessionFiles(sessionId, replayId);
+
+  return {
+    sessionId,
+    replayId,
+    requests,
+    randomDraws,
+    llmCalls,
+    files,
+    identical: files.every(file => file.status === 'same') &&
+      !randomDraws.firstMismatch && randomDraws.recorded === randomDraws.replayed &&
+      llmCalls.recorded === llmCalls.replayed
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Tiny arithmetic expression language for game rules, e.g. "100 + 体质 * 10" or "max(1, floor(level / 2))".
+ * Supports numbers, stat names, + - * / %, parentheses and min/max/floor/ceil/round/abs.
+ * Comparisons (>= <= > < == !=) give 1 or 0, for conditions such as "level >= 5".
+ * Expressions are parsed once into a tree and never passed to eval.
+ */
+
+const FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  abs: Math.abs
+};
+
+const COMPARISONS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?|[\p{L}_][\p{L}\p{N}_]*|[<>]=?|[=!]=|[-+*/%(),])/uy;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at ${position} in "${source}"`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into an evaluator: (scope) => number.
+ * Unknown names evaluate to 0.
+ * @throws {Error} On syntax errors or unknown functions
+ */
+export function compileExpression(source) {
+  const tokens = tokenize(String(source));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}" in "${source}"`);
+    }
+  };
+
+  function parseComparison() {
+    const left = parseSum();
+    const compare = COMPARISONS[peek()];
+    if (!compare) return left;
+    next();
+    const right = parseSum();
+    return scope => compare(left(scope), right(scope)) ? 1 : 0;
+  }
+
+  function parseSum() {
+    let node = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const op = next();
+      const left = node;
+      const right = parseProduct();
+      node = op === '+' ? scope => left(scope) + right(scope) : scope => left(scope) - right(scope);
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = next();
+      const left = node;
+      const right = parseUnary();
+      if (op === '*') node = scope => left(scope) * right(scope);
+      else if (op === '/') node = scope => right(scope) === 0 ? 0 : left(scope) / right(scope);
+      else node = scope => right(scope) === 0 ? 0 : left(scope) % right(scope);
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      const operand = parseUnary();
+      return scope => -operand(scope);
+    }
+    if (peek() === '+') {
+      next();
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) {
+      throw new Error(`Unexpected end of "${source}"`);
+    }
+    if (token === '(') {
+      const node = parseComparison();
+      expect(')');
+      return node;
+    }
+    if (/^\d/.test(token)) {
+      const value = Number(token);
+      return () => value;
+    }
+    if (/^[\p{L}_]/u.test(token)) {
+      if (peek() === '(') {
+        const fn = FUNCTIONS[token];
+        if (!fn) {
+          throw new Error(`Unknown function "${token}" in "${source}"`);
+        }
+        next();
+        const args = [];
+        if (peek() !== ')') {
+          args.push(parseComparison());
+          while (peek() === ',') {
+            next();
+            args.push(parseComparison());
+          }
+        }
+        expect(')');
+        return scope => fn(...args.map(arg => arg(scope)));
+      }
+      return scope => {
+        const value = Number(scope[token]);
+        return Number.isFinite(value) ? value : 0;
+      };
+    }
+    throw new Error(`Unexpected "${token}" in "${source}"`);
+  }
+
+  const root = parseComparison();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index]}" in "${source}"`);
+  }
+  return scope => {
+    const value = root(scope);
+    return Number.isFinite(value) ? value : 0;
+  };
+}
+
+/**
+ * Evaluate a number or an expression string against a scope
+ */
+export function evaluate(value, scope) {
+  if (typeof value === 'number') return value;
+  return compileExpression(value)(scope);
+}
@@ -0,0 +1,502 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { gameRulesSchema } from './schemas/rulesSchemas.js';
+import { itemEffectsSchema } from './schemas/gameDataSchemas.js';
+import { formatIssues } from './llm/structuredOutput.js';
+import { evaluate } from './rulesExpression.js';
+import { writeJsonState, updateJsonState, trackState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+const GAME_SAVES_DIR = path.join(__dirname, '..', 'game_saves');
+
+const AUDIT_LIMIT = Number(process.env.RULES_AUDIT_LIMIT || 500);
+
+// Currency cannot go negative unless a rule says otherwise
+const DEFAULT_CURRENCY_RULE = { min: 0 };
+
+/**
+ * Declarative rules engine for classic sessions.
+ *
+ * Status changes (from [CHANGE:] markers, item use, level-ups) are validated and applied
+ * deterministically from the game's rules_<id>.json: attribute bounds, derived stats,
+ * item effects, relationship caps and level thresholds. Every applied, adjusted or
+ * rejected change is written to audit_<sessionId>.json with the reason.
+ */
+
+export class RulesValidationError extends Error {
+  constructor(issues) {
+    super(`Invalid game rules: ${issues.map(i => `${i.path}: ${i.message}`).join('; ')}`);
+    this.name = 'RulesValidationError';
+    this.issues = issues;
+  }
+}
+
+export function parseRules(data) {
+  const result = gameRulesSchema.safeParse(data || {});
+  if (!result.success) {
+    throw new RulesValidationError(formatIssues(result.error));
+  }
+  return result.data;
+}
+
+function readJSON(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function getSessionRulesPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `rules_${sessionId}.json`);
+}
+
+function getAuditPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `audit_${sessionId}.json`);
+}
+
+/**
+ * Where the author rules of a game live: next to its lore file
+ * (public/game_data for uploads, game_saves/<fileId> for pre-processed games)
+ */
+export function getGameRulesPath(fileId) {
+  if (fs.existsSync(path.join(GAME_SAVES_DIR, fileId, `lore_${fileId}.json`))) {
+    return path.join(GAME_SAVES_DIR, fileId, `rules_${fileId}.json`);
+  }
+  if (fs.existsSync(path.join(GAME_DATA_DIR, `lore_${fileId}.json`))) {
+    return path.join(GAME_DATA_DIR, `rules_${fileId}.json`);
+  }
+  return null;
+}
+
+export function loadGameRules(fileId) {
+  const rulesPath = getGameRulesPath(fileId);
+  return parseRules(rulesPath ? readJSON(rulesPath) : null);
+}
+
+/**
+ * Validate and store author rules for a game
+ * @returns {Promise<Object|null>} Normalized rules, or null when the game does not exist
+ */
+export async function saveGameRules(fileId, data) {
+  const rulesPath = getGameRulesPath(fileId);
+  if (!rulesPath) return null;
+
+  const rules = parseRules(data);
+  await writeJsonState(rulesPath, data);
+  return rules;
+}
+
+/**
+ * Copy a game's rules into a new session (sessions keep the rules they started with)
+ */
+export function copyRulesToSession(sourcePath, sessionId) {
+  if (sourcePath && fs.existsSync(sourcePath)) {
+    fs.copyFileSync(sourcePath, getSessionRulesPath(sessionId));
+  }
+}
+
+/**
+ * Rules of a session; a broken rules file falls back to the defaults
+ */
+export function loadRules(sessionId) {
+  try {
+    return parseRules(readJSON(getSessionRulesPath(sessionId)));
+  } catch (error) {
+    console.error(`[Rules] Using default rules for ${sessionId}:`, error.message);
+    return parseRules(null);
+  }
+}
+
+export function loadAuditTrail(sessionId) {
+  return readJSON(getAuditPath(sessionId))?.entries || [];
+}
+
+async function appendAuditTrail(sessionId, entries) {
+  if (entries.length === 0) return;
+  await updateJsonState(getAuditPath(sessionId), (trail) => ({
+    sessionId,
+    lastUpdated: new Date().toISOString(),
+    entries: [...(trail.entries || []), ...entries].slice(-AUDIT_LIMIT)
+  }), { entries: [] });
+}
+
+function buildScope(status) {
+  return {
+    ...(status.currency || {}),
+    ...(status.stats || {})
+  };
+}
+
+function capDelta(delta, rule) {
+  const limit = rule?.maxDeltaPerTurn;
+  if (!limit || Math.abs(delta) <= limit) return delta;
+  return Math.sign(delta) * limit;
+}
+
+function clamp(value, rule, scope) {
+  let result = value;
+  if (rule?.min !== undefined) result = Math.max(result, evaluate(rule.min, scope));
+  if (rule?.max !== undefined) result = Math.min(result, evaluate(rule.max, scope));
+  return result;
+}
+
+function findInventoryItem(items, name) {
+  return items.find(item => item.name === name || item.id === name);
+}
+
+/**
+ * Apply a set of changes to a player status according to the rules.
+ * Pure: returns a new status and the audit entries, the input is not modified. The new status
+ * carries the version the input was loaded at, so saveStatus still detects a conflicting write.
+ *
+ * @param {Object} status - Player data (loadStatus)
+ * @param {Object} changes - { stats, currency, network, reputation, new_items, removed_items, unlocked_scenes }
+ *   where stats/currency are deltas, network is { npcName: { relationship: delta } }
+ *   and reputation is { factionId: delta }
+ * @param {Object} rules - Parsed rules (loadRules)
+ * @param {Object} options - { source, reason, capDeltas } where capDeltas: false skips
+ *   maxDeltaPerTurn (reverting a buff or equipment bonus must restore the exact amount)
+ * @returns {{ status: Object, audit: Array<Object> }}
+ */
+export function applyRules(status, changes, rules, options = {}) {
+  const { source = 'narrative', reason = null, capDeltas = true } = options;
+  const next = trackState(JSON.parse(JSON.stringify(status)), status);
+  next.stats = next.stats || {};
+  next.currency = next.currency || {};
+  const audit = [];
+  const timestamp = new Date().toISOString();
+  const record = (entry) => audit.push({ timestamp, source, ...entry, reason: entry.reason || reason });
+
+  const applyDelta = (attribute, requested) => {
+    if (rules.derived[attribute] !== undefined) {
+      record({ target: `stats.${attribute}`, requested, applied: 0, status: 'rejected', reason: 'derived stat is computed by the rules' });
+      return;
+    }
+
+    const isCurrency = rules.currency[attribute] !== undefined ||
+      (attribute in next.currency && !(attribute in next.stats));
+    const bucket = isCurrency ? next.currency : next.stats;
+    const rule = isCurrency ? (rules.currency[attribute] || DEFAULT_CURRENCY_RULE) : rules.attributes[attribute];
+    const target = `${isCurrency ? 'currency' : 'stats'}.${attribute}`;
+
+    if (!(attribute in bucket) && !rule && rules.unknownAttributes === 'reject') {
+      record({ target, requested, applied: 0, status: 'rejected', reason: 'unknown attribute' });
+      return;
+    }
+
+    const applied = capDeltas ? capDelta(requested, rule) : requested;
+    const before = Number(bucket[attribute]) || 0;
+    bucket[attribute] = before + applied;
+    record({
+      target,
+      before,
+      after: bucket[attribute],
+      requested,
+      applied,
+      status: applied === requested ? 'applied' : 'adjusted',
+      ...(applied !== requested && { reason: `capped at ${rule.maxDeltaPerTurn} per turn` })
+    });
+  };
+
+  for (const [attribute, delta] of Object.entries(changes.stats || {})) {
+    if (Number.isFinite(Number(delta)) && Number(delta) !== 0) applyDelta(attribute, Number(delta));
+  }
+  for (const [attribute, delta] of Object.entries(changes.currency || {})) {
+    if (Number.isFinite(Number(delta)) && Number(delta) !== 0) applyDelta(attribute, Number(delta));
+  }
+
+  // Relationships: per-turn cap, then the min/max range
+  for (const [npcName, npcChange] of Object.entries(changes.network || {})) {
+    const requested = Number(npcChange?.relationship) || 0;
+    next.network = next.network || {};
+    const before = Number(next.network[npcName]?.relationship) || 0;
+    const applied = capDelta(requested, rules.relationships);
+    const after = clamp(before + applied, rules.relationships, {});
+    next.network[npcName] = { ...(next.network[npcName] || {}), relationship: after };
+    record({
+      target: `network.${npcName}.relationship`,
+      before,
+      after,
+      requested,
+      applied: after - before,
+      status: after - before === requested ? 'applied' : 'adjusted',
+      ...(after - before !== requested && {
+        reason: applied !== requested
+          ? `capped at ${rules.relationships.maxDeltaPerTurn} per turn`
+          : `kept within ${rules.relationships.min}..${rules.relationships.max}`
+      })
+    });
+  }
+
+  // Faction reputation: per-turn cap, then the min/max range
+  for (const [factionId, delta] of Object.entries(changes.reputation || {})) {
+    const requested = Number(delta) || 0;
+    if (requested === 0) continue;
+    next.reputation = next.reputation || {};
+    const before = Number(next.reputation[factionId]) || 0;
+    const applied = capDeltas ? capDelta(requested, rules.reputation) : requested;
+    const after = clamp(before + applied, rules.reputation, {});
+    next.reputation[factionId] = after;
+    record({
+      target: `reputation.${factionId}`,
+      before,
+      after,
+      requested,
+      applied: after - before,
+      status: after - before === requested ? 'applied' : 'adjusted',
+      ...(after - before !== requested && {
+        reason: applied !== requested
+          ? `capped at ${rules.reputation.maxDeltaPerTurn} per turn`
+          : `kept within ${rules.reputation.min}..${rules.reputation.max}`
+      })
+    });
+  }
+
+  // Inventory
+  const hasItemChanges = (changes.new_items || []).length > 0 || (changes.removed_items || []).length > 0;
+  if (hasItemChanges) {
+    next.inventory = { items: [...(next.inventory?.items || [])] };
+    const items = next.inventory.items;
+
+    for (const newItem of changes.new_items || []) {
+      const itemData = typeof newItem === 'object' ? newItem : {};
+      const itemName = typeof newItem === 'string' ? newItem : newItem.name;
+      if (!itemName) continue;
+      const quantity = Number(itemData.quantity) || 1;
+      const existing = findInventoryItem(items, itemName);
+      const before = existing ? (existing.quantity || 1) : 0;
+
+      if (existing) {
+        existing.quantity = before + quantity;
+      } else {
+        items.push({
+          id: itemData.id || `item_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+          name: itemName,
+          description: itemData.description || `${itemName} - 从游戏中获得`,
+          quantity,
+          value: itemData.value || 0,
+          ...(itemData.type && { type: itemData.type }),
+          ...(itemData.icon && { icon: itemData.icon }),
+          addedAt: new Date().toISOString()
+        });
+      }
+      record({ target: `inventory.${itemName}`, before, after: before + quantity, requested: quantity, applied: quantity, status: 'applied' });
+    }
+
+    for (const removedItem of changes.removed_items || []) {
+      const itemName = typeof removedItem === 'string' ? removedItem : removedItem.name;
+      const quantity = typeof removedItem === 'object' ? (Number(removedItem.quantity) || 1) : 1;
+      const existing = findInventoryItem(items, itemName);
+
+      if (!existing) {
+        record({ target: `inventory.${itemName}`, requested: -quantity, applied: 0, status: 'rejected', reason: 'item not in inventory' });
+        continue;
+      }
+
+      const before = existing.quantity || 1;
+      const removed = Math.min(before, quantity);
+      if (before > removed) {
+        existing.quantity = before - removed;
+      } else {
+        items.splice(items.indexOf(existing), 1);
+      }
+      record({
+        target: `inventory.${itemName}`,
+        before,
+        after: before - removed,
+        requested: -quantity,
+        applied: -removed,
+        status: removed === quantity ? 'applied' : 'adjusted',
+        ...(removed !== quantity && { reason: `only ${before} in inventory` })
+      });
+    }
+  }
+
+  // Scene unlocks
+  const newScenes = (changes.unlocked_scenes || []).filter(sceneId => !(next.unlockedScenes || []).includes(sceneId));
+  if (newScenes.length > 0) {
+    next.unlockedScenes = [...(next.unlockedScenes || []), ...newScenes];
+    newScenes.forEach(sceneId => record({ target: `unlockedScenes.${sceneId}`, after: true, status: 'applied' }));
+  }
+
+  applyLevelThresholds(next, rules, record);
+  applyDerivedAndBounds(next, rules, record);
+
+  return { status: next, audit };
+}
+
+/**
+ * Raise the level stat when the tracked stat crosses a threshold and grant per-level rewards
+ */
+function applyLevelThresholds(status, rules, record) {
+  const levels = rules.levels;
+  if (!levels) return;
+
+  const progress = Number(status.stats[levels.stat]) || 0;
+  const reached = levels.thresholds.filter(threshold => progress >= threshold).length;
+  const before = Number(status.stats[levels.levelStat]) || 0;
+  if (reached <= before) return;
+
+  status.stats[levels.levelStat] = reached;
+  record({
+    source: 'rule:level',
+    target: `stats.${levels.levelStat}`,
+    before,
+    after: reached,
+    status: 'applied',
+    reason: `${levels.stat} ${progress} reached threshold ${levels.thresholds[reached - 1]}`
+  });
+
+  const gained = reached - before;
+  for (const [attribute, perLevel] of Object.entries(levels.rewards)) {
+    const bucket = attribute in status.currency && !(attribute in status.stats) ? status.currency : status.stats;
+    const rewardBefore = Number(bucket[attribute]) || 0;
+    bucket[attribute] = rewardBefore + perLevel * gained;
+    record({
+      source: 'rule:level',
+      target: `${bucket === status.currency ? 'currency' : 'stats'}.${attribute}`,
+      before: rewardBefore,
+      after: bucket[attribute],
+      applied: perLevel * gained,
+      status: 'applied',
+      reason: `level up reward (${gained} level${gained > 1 ? 's' : ''})`
+    });
+  }
+}
+
+/**
+ * Recompute derived stats, then keep every ruled attribute inside its bounds
+ */
+function applyDerivedAndBounds(status, rules, record) {
+  for (const [attribute, formula] of Object.entries(rules.derived)) {
+    const before = status.stats[attribute];
+    const after = Math.round(evaluate(formula, buildScope(status)) * 100) / 100;
+    if (before !== after) {
+      status.stats[attribute] = after;
+      record({ source: 'rule:derived', target: `stats.${attribute}`, before: before ?? null, after, status: 'applied', reason: `derived: ${formula}` });
+    }
+  }
+
+  const clampBucket = (bucket, bucketName, ruleSet, defaultRule) => {
+    const names = new Set([...Object.keys(ruleSet), ...(defaultRule ? Object.keys(bucket) : [])]);
+    for (const attribute of names) {
+      if (!(attribute in bucket)) continue;
+      const before = Number(bucket[attribute]) || 0;
+      const after = clamp(before, ruleSet[attribute] || defaultRule, buildScope(status));
+      if (after !== before) {
+        bucket[attribute] = after;
+        record({ source: 'rule:bounds', target: `${bucketName}.${attribute}`, before, after, status: 'adjusted', reason: `kept within bounds (${before} -> ${after})` });
+      }
+    }
+  };
+
+  clampBucket(status.stats, 'stats', rules.attributes, null);
+  clampBucket(status.currency, 'currency', rules.currency, DEFAULT_CURRENCY_RULE);
+}
+
+/**
+ * Load, apply and persist: the status file and the audit trail are both written
+ * @returns {Promise<{ status: Object, audit: Array<Object> }>}
+ */
+export async function applyRulesToSession(sessionId, status, changes, options = {}) {
+  const rules = loadRules(sessionId);
+  const result = applyRules(status, changes, rules, options);
+  await appendAuditTrail(sessionId, result.audit);
+  return result;
+}
+
+async function applyRelationshipRule(sessionId, target, before, delta, source) {
+  const rules = loadRules(sessionId);
+  const applied = capDelta(delta, rules.relationships);
+  const after = clamp(before + applied, rules.relationships, {});
+  await appendAuditTrail(sessionId, [{
+    timestamp: new Date().toISOString(),
+    source,
+    target,
+    before,
+    after,
+    requested: delta,
+    applied: after - before,
+    status: after - before === delta ? 'applied' : 'adjusted',
+    reason: after - before === delta ? null : `kept within ${rules.relationships.min}..${rules.relationships.max}`
+  }]);
+  return after;
+}
+
+/**
+ * Relationship change outside a story turn (e.g. NPC chat), capped and clamped like [CHANGE:] markers
+ * @returns {Promise<number>} New relationship value
+ */
+export function applyRelationshipChange(sessionId, npcName, before, delta, source) {
+  return applyRelationshipRule(sessionId, `network.${npcName}.relationship`, before, delta, source);
+}
+
+/**
+ * Change of how one NPC stands towards another, under the same relationship rules
+ * @returns {Promise<number>} New relation value
+ */
+export function applyNpcRelationChange(sessionId, npcName, targetName, before, delta, source) {
+  return applyRelationshipRule(sessionId, `relations.${npcName}.${targetName}`, before, delta, source);
+}
+
+/**
+ * Item definitions of a session (items_<sessionId>.json), keyed by item id
+ */
+export function loadItemDefinitions(sessionId) {
+  try {
+    return readJSON(path.join(GAME_DATA_DIR, sessionId, `items_${sessionId}.json`)) || {};
+  } catch (error) {
+    console.error(`[Rules] Failed to read item data for ${sessionId}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * How an item behaves. The rules entry (by id, then name) wins; otherwise the item's own
+ * fields, falling back to its definition in itemData (inventory copies may lack effects).
+ * @returns {{ effects: Array<Object>, consumable: boolean, requires: Object, equippable: boolean, slots: string[], stats: Object }}
+ */
+export function getItemRule(rules, item, itemDefinitions = {}) {
+  const rule = rules.items[item.id] || rules.items[item.name];
+  if (rule) {
+    return {
+      ...rule,
+      equippable: Boolean(rule.equippable || rule.slots?.length),
+      slots: rule.slots || [],
+      stats: rule.stats || {}
+    };
+  }
+
+  const definition = itemDefinitions[item.id] ||
+    Object.values(itemDefinitions).find(entry => entry?.name === item.name) || {};
+  const merged = { ...definition, ...item, effects: item.effects ?? definition.effects };
+  const effects = itemEffectsSchema.safeParse(merged.effects ?? []);
+  const equippable = Boolean(merged.equippable || merged.slots?.length);
+
+  return {
+    effects: effects.success ? effects.data : [],
+    consumable: merged.consumable ?? (merged.type !== 'equipment' && !equippable),
+    requires: {},
+    equippable,
+    slots: merged.slots || [],
+    stats: Object.fromEntries(
+      Object.entries(merged.stats || {}).filter(([, value]) => Number.isFinite(Number(value))).map(([stat, value]) => [stat, Number(value)])
+    )
+  };
+}
+
+/**
+ * Check item requirements ({ stat: minimum }) against the current status
+ * @returns {string|null} Reason the item cannot be used, or null
+ */
+export function checkItemRequirements(status, rule) {
+  const scope = buildScope(status);
+  for (const [attribute, minimum] of Object.entries(rule.requires || {})) {
+    if ((Number(scope[attribute]) || 0) < minimum) {
+      return `requires ${attribute} >= ${minimum}`;
+    }
+  }
+  return null;
+}
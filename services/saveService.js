@@ -0,0 +1,449 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import dotenv from 'dotenv';
+import { startSessionLog } from './sessionLogService.js';
+import { parseSteps } from './stepFormat.js';
+import { writeJsonState } from './statePersistence.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+// Automatic checkpoints kept per session (named slots are never pruned)
+const CHECKPOINT_LIMIT = Number(process.env.CHECKPOINT_LIMIT || 30);
+const SAVE_ID_PATTERN = /^(turn_\d+|slot_[a-f0-9]{8})$/;
+// State right before the latest turn, used by undo/regenerate (not listed as a save)
+const TURN_START_FILE = 'turn_start.json';
+
+/**
+ * Save slots and per-turn checkpoints for classic sessions.
+ *
+ * Each save lives in public/game_data/<sessionId>/saves/<saveId>.json and snapshots
+ * everything a turn can change: history, player status, missions, scenes (NPC memories
+ * and relationships), NPC chat logs, the story ledger, the rules audit trail, the combat and dice
+ * state (so a reloaded turn rolls the same dice) and the lore gameTime.
+ * The saves/ folder is not synced to MinIO (only top-level session files are).
+ */
+
+function getSessionDir(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId);
+}
+
+function getSavesDir(sessionId) {
+  return path.join(getSessionDir(sessionId), 'saves');
+}
+
+function getSavePath(sessionId, saveId) {
+  return path.join(getSavesDir(sessionId), `${saveId}.json`);
+}
+
+function readJSON(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function writeJSON(filePath, data) {
+  return writeJsonState(filePath, data);
+}
+
+function getNPCChatFiles(sessionId) {
+  const prefix = `npc_chat_${sessionId}_`;
+  return fs.readdirSync(getSessionDir(sessionId))
+    .filter(fileName => fileName.startsWith(prefix) && fileName.endsWith('.json'))
+    .map(fileName => ({ npcId: fileName.slice(prefix.length, -'.json'.length), fileName }));
+}
+
+export function isValidSaveId(saveId) {
+  return SAVE_ID_PATTERN.test(saveId);
+}
+
+export function sessionExists(sessionId) {
+  return /^[\w-]+$/.test(sessionId) && fs.existsSync(path.join(getSessionDir(sessionId), `player_${sessionId}.json`));
+}
+
+/**
+ * Read the current state of every file a turn can modify
+ */
+function captureSnapshot(sessionId) {
+  const sessionDir = getSessionDir(sessionId);
+  const lore = readJSON(path.join(sessionDir, `lore_${sessionId}.json`));
+
+  const npcChats = {};
+  for (const { npcId, fileName } of getNPCChatFiles(sessionId)) {
+    npcChats[npcId] = readJSON(path.join(sessionDir, fileName));
+  }
+
+  return {
+    history: readJSON(path.join(sessionDir, `history_${sessionId}.json`)),
+    player: readJSON(path.join(sessionDir, `player_${sessionId}.json`)),
+    missions: readJSON(path.join(sessionDir, `missions_${sessionId}.json`)),
+    scenes: readJSON(path.join(sessionDir, `scenes_${sessionId}.json`)),
+    storyLedger: readJSON(path.join(sessionDir, `story_ledger_${sessionId}.json`)),
+    audit: readJSON(path.join(sessionDir, `audit_${sessionId}.json`)),
+    combat: readJSON(path.join(sessionDir, `combat_${sessionId}.json`)),
+    dice: readJSON(path.join(sessionDir, `dice_${sessionId}.json`)),
+    ending: readJSON(path.join(sessionDir, `ending_${sessionId}.json`)),
+    quests: readJSON(path.join(sessionDir, `quests_${sessionId}.json`)),
+    achievements: readJSON(path.join(sessionDir, `achievements_${sessionId}.json`)),
+    npcChats,
+    gameTime: lore?.gameTime || null
+  };
+}
+
+/**
+ * Write a snapshot back into a session directory. Files that did not exist
+ * when the snapshot was taken are removed.
+ */
+async function applySnapshot(sessionId, snapshot) {
+  const sessionDir = getSessionDir(sessionId);
+  const files = {
+    [`history_${sessionId}.json`]: snapshot.history,
+    [`player_${sessionId}.json`]: snapshot.player,
+    [`missions_${sessionId}.json`]: snapshot.missions,
+    [`scenes_${sessionId}.json`]: snapshot.scenes,
+    // Saves made before endings existed were taken before the game could end
+    [`ending_${sessionId}.json`]: snapshot.ending
+  };
+  // Saves made before the story ledger / audit trail / combat / quests / achievements existed leave the current files alone
+  if ('storyLedger' in snapshot) {
+    files[`story_ledger_${sessionId}.json`] = snapshot.storyLedger;
+  }
+  if ('audit' in snapshot) {
+    files[`audit_${sessionId}.json`] = snapshot.audit;
+  }
+  if ('combat' in snapshot) {
+    files[`combat_${sessionId}.json`] = snapshot.combat;
+    files[`dice_${sessionId}.json`] = snapshot.dice;
+  }
+  if ('quests' in snapshot) {
+    files[`quests_${sessionId}.json`] = snapshot.quests;
+  }
+  if ('achievements' in snapshot) {
+    files[`achievements_${sessionId}.json`] = snapshot.achievements;
+  }
+
+  for (const [fileName, data] of Object.entries(files)) {
+    const filePath = path.join(sessionDir, fileName);
+    if (data) {
+      await writeJSON(filePath, data);
+    } else if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  for (const { npcId, fileName } of getNPCChatFiles(sessionId)) {
+    if (!snapshot.npcChats?.[npcId]) {
+      fs.unlinkSync(path.join(sessionDir, fileName));
+    }
+  }
+  for (const [npcId, chat] of Object.entries(snapshot.npcChats || {})) {
+    await writeJSON(path.join(sessionDir, `npc_chat_${sessionId}_${npcId}.json`), chat);
+  }
+
+  if (snapshot.gameTime) {
+    const lorePath = path.join(sessionDir, `lore_${sessionId}.json`);
+    const lore = readJSON(lorePath);
+    if (lore) {
+      lore.gameTime = snapshot.gameTime;
+      await writeJSON(lorePath, lore);
+    }
+  }
+}
+
+/**
+ * Point every sessionId field inside a snapshot at another session (used by fork)
+ */
+function retargetSnapshot(snapshot, sessionId) {
+  const copy = JSON.parse(JSON.stringify(snapshot));
+  if (copy.history) copy.history.sessionId = sessionId;
+  if (copy.player) copy.player.sessionId = sessionId;
+  if (copy.audit) copy.audit.sessionId = sessionId;
+  for (const chat of Object.values(copy.npcChats || {})) {
+    if (chat && chat.sessionId) chat.sessionId = sessionId;
+  }
+  return copy;
+}
+
+function buildSummary(snapshot) {
+  const history = snapshot.history?.history || [];
+  const lastGameEntry = [...history].reverse().find(entry => entry.type === 'game');
+  const preview = parseSteps(lastGameEntry?.message || '').steps
+    .filter(step => ['narration', 'dialogue', 'hint'].includes(step.type))
+    .map(step => step.text)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 120);
+
+  return {
+    historyLength: history.length,
+    location: snapshot.player?.data?.location || null,
+    gameTime: snapshot.gameTime,
+    ending: snapshot.ending?.title || null,
+    preview
+  };
+}
+
+function countTurns(snapshot) {
+  return (snapshot.history?.history || []).filter(entry => entry.type === 'player').length;
+}
+
+function toSaveInfo(save) {
+  const { snapshot, ...info } = save;
+  return info;
+}
+
+/**
+ * Drop the oldest automatic checkpoints beyond CHECKPOINT_LIMIT
+ */
+function pruneCheckpoints(sessionId) {
+  const checkpoints = listSaves(sessionId).filter(save => save.type === 'checkpoint');
+  const excess = checkpoints.length - CHECKPOINT_LIMIT;
+  if (excess <= 0) return;
+
+  checkpoints
+    .sort((a, b) => a.turn - b.turn)
+    .slice(0, excess)
+    .forEach(save => fs.unlinkSync(getSavePath(sessionId, save.saveId)));
+}
+
+/**
+ * Snapshot the session after a turn. The checkpoint for a turn number is replaced
+ * when that turn is played again (after loading an earlier save).
+ * @returns {Promise<Object>} Save info (without snapshot)
+ */
+export async function createCheckpoint(sessionId) {
+  const snapshot = captureSnapshot(sessionId);
+  const turn = countTurns(snapshot);
+  const save = {
+    saveId: `turn_${turn}`,
+    sessionId,
+    type: 'checkpoint',
+    name: turn === 0 ? '开局' : `第 ${turn} 回合`,
+    turn,
+    createdAt: new Date().toISOString(),
+    summary: buildSummary(snapshot),
+    snapshot
+  };
+
+  fs.mkdirSync(getSavesDir(sessionId), { recursive: true });
+  await writeJSON(getSavePath(sessionId, save.saveId), save);
+  pruneCheckpoints(sessionId);
+
+  console.log(`💾 Checkpoint saved: ${sessionId} turn ${turn}`);
+  return toSaveInfo(save);
+}
+
+/**
+ * Create a named save slot from the current session state
+ */
+export async function createSaveSlot(sessionId, name = null) {
+  const snapshot = captureSnapshot(sessionId);
+  const turn = countTurns(snapshot);
+  const save = {
+    saveId: `slot_${crypto.randomBytes(4).toString('hex')}`,
+    sessionId,
+    type: 'slot',
+    name: name || `存档 - 第 ${turn} 回合`,
+    turn,
+    createdAt: new Date().toISOString(),
+    summary: buildSummary(snapshot),
+    snapshot
+  };
+
+  fs.mkdirSync(getSavesDir(sessionId), { recursive: true });
+  await writeJSON(getSavePath(sessionId, save.saveId), save);
+
+  console.log(`💾 Save slot created: ${save.saveId} (${save.name})`);
+  return toSaveInfo(save);
+}
+
+/**
+ * List saves of a session, newest first (snapshots omitted)
+ */
+export function listSaves(sessionId) {
+  const savesDir = getSavesDir(sessionId);
+  if (!fs.existsSync(savesDir)) return [];
+
+  return fs.readdirSync(savesDir)
+    .filter(fileName => fileName.endsWith('.json') && isValidSaveId(fileName.slice(0, -'.json'.length)))
+    .map(fileName => {
+      try {
+        return toSaveInfo(readJSON(path.join(savesDir, fileName)));
+      } catch (error) {
+        console.error(`❌ Failed to read save ${fileName}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.turn - a.turn || b.createdAt.localeCompare(a.createdAt));
+}
+
+export function getSave(sessionId, saveId) {
+  if (!isValidSaveId(saveId)) return null;
+  return readJSON(getSavePath(sessionId, saveId));
+}
+
+/**
+ * Rewind the session to a save. Automatic checkpoints after the save's turn
+ * belong to the abandoned timeline and are removed; named slots are kept.
+ * @returns {Promise<Object|null>} Save info, or null when the save does not exist
+ */
+export async function loadSave(sessionId, saveId) {
+  const save = getSave(sessionId, saveId);
+  if (!save) return null;
+
+  await applySnapshot(sessionId, save.snapshot);
+
+  listSaves(sessionId)
+    .filter(info => info.type === 'checkpoint' && info.turn > save.turn)
+    .forEach(info => fs.unlinkSync(getSavePath(sessionId, info.saveId)));
+
+  console.log(`⏪ Session ${sessionId} restored to ${saveId} (turn ${save.turn})`);
+  return toSaveInfo(save);
+}
+
+/**
+ * Start a new session branching from a save. The original session is not touched.
+ * Static session files (lore, items, manifest, images) are copied, the snapshot is
+ * applied on top, and checkpoints up to the save's turn are carried over.
+ * @returns {Promise<Object|null>} { sessionId, save } or null when the save does not exist
+ */
+export async function forkSave(sessionId, saveId, newSessionId) {
+  const save = getSave(sessionId, saveId);
+  if (!save) return null;
+
+  const sourceDir = getSessionDir(sessionId);
+  const targetDir = getSessionDir(newSessionId);
+  const renameFile = fileName => fileName.split(`_${sessionId}`).join(`_${newSessionId}`);
+
+  fs.mkdirSync(targetDir, { recursive: true });
+  for (const entry of fs.readdirSync(sourceDir, { withFileTypes: true })) {
+    if (entry.name === 'saves' || entry.name === 'replay' || entry.name.startsWith(`npc_chat_${sessionId}_`)) continue;
+    const sourcePath = path.join(sourceDir, entry.name);
+    const targetPath = path.join(targetDir, renameFile(entry.name));
+    if (entry.isDirectory()) {
+      fs.cpSync(sourcePath, targetPath, { recursive: true });
+    } else {
+      fs.copyFileSync(sourcePath, targetPath);
+    }
+  }
+
+  const manifestPath = path.join(targetDir, 'manifest.json');
+  const manifest = readJSON(manifestPath) || {};
+  manifest.session = {
+    ...manifest.session,
+    sessionId: newSessionId,
+    createdAt: new Date().toISOString(),
+    lastUpdated: new Date().toISOString(),
+    forkedFrom: { sessionId, saveId, turn: save.turn }
+  };
+  await writeJSON(manifestPath, manifest);
+
+  await applySnapshot(newSessionId, retargetSnapshot(save.snapshot, newSessionId));
+
+  fs.mkdirSync(getSavesDir(newSessionId), { recursive: true });
+  for (const info of listSaves(sessionId)) {
+    if (info.type !== 'checkpoint' || info.turn > save.turn) continue;
+    const checkpoint = getSave(sessionId, info.saveId);
+    await writeJSON(getSavePath(newSessionId, info.saveId), {
+      ...checkpoint,
+      sessionId: newSessionId,
+      snapshot: retargetSnapshot(checkpoint.snapshot, newSessionId)
+    });
+  }
+
+  // The fork replays from the save it was made from
+  startSessionLog(newSessionId, { forkedFrom: { sessionId, saveId } });
+
+  console.log(`🌿 Session ${sessionId} forked at ${saveId} -> ${newSessionId}`);
+  return { sessionId: newSessionId, save: toSaveInfo(save) };
+}
+
+export function deleteSave(sessionId, saveId) {
+  if (!isValidSaveId(saveId)) return false;
+  const savePath = getSavePath(sessionId, saveId);
+  if (!fs.existsSync(savePath)) return false;
+
+  fs.unlinkSync(savePath);
+  console.log(`🗑️ Save deleted: ${sessionId}/${saveId}`);
+  return true;
+}
+
+/**
+ * Remember the state right before a turn is played, so the turn can be undone
+ * without losing item use, scene changes or NPC chats made since the last checkpoint
+ */
+export async function saveTurnStart(sessionId, action) {
+  const snapshot = captureSnapshot(sessionId);
+  fs.mkdirSync(getSavesDir(sessionId), { recursive: true });
+  await writeJSON(path.join(getSavesDir(sessionId), TURN_START_FILE), {
+    sessionId,
+    turn: countTurns(snapshot) + 1,
+    action,
+    createdAt: new Date().toISOString(),
+    snapshot
+  });
+}
+
+/**
+ * Put the session back to the turn-start snapshot of the given turn, e.g. when replaying that
+ * turn failed half-way. The snapshot is kept, so the turn can be played again.
+ * @returns {Promise<boolean>} false when there is no snapshot for that turn
+ */
+export async function restoreTurnStart(sessionId, turn) {
+  const turnStart = readJSON(path.join(getSavesDir(sessionId), TURN_START_FILE));
+  if (!turnStart || turnStart.turn !== turn) return false;
+
+  await applySnapshot(sessionId, turnStart.snapshot);
+  listSaves(sessionId)
+    .filter(info => info.type === 'checkpoint' && info.turn >= turn)
+    .forEach(info => fs.unlinkSync(getSavePath(sessionId, info.saveId)));
+
+  console.log(`↩️ Session ${sessionId} restored to the start of turn ${turn}`);
+  return true;
+}
+
+/**
+ * Revert every file change of the latest turn (status updates, turn count, missions,
+ * NPC memories, history). Uses the turn-start snapshot when it belongs to that turn,
+ * otherwise falls back to the previous turn's checkpoint.
+ * @returns {Promise<Object|null>} { undoneTurn, action, itemUse, restoredFrom } or null when there is nothing to undo
+ */
+export async function rewindLastTurn(sessionId) {
+  const current = captureSnapshot(sessionId);
+  const turn = countTurns(current);
+  if (turn === 0) return null;
+
+  const history = current.history?.history || [];
+  const lastAction = [...history].reverse().find(entry => entry.type === 'player');
+  const action = lastAction?.message || null;
+
+  const turnStartPath = path.join(getSavesDir(sessionId), TURN_START_FILE);
+  const turnStart = readJSON(turnStartPath);
+  let restoredFrom;
+
+  if (turnStart && turnStart.turn === turn) {
+    await applySnapshot(sessionId, turnStart.snapshot);
+    fs.unlinkSync(turnStartPath);
+    restoredFrom = 'turn_start';
+  } else {
+    const checkpoint = getSave(sessionId, `turn_${turn - 1}`);
+    if (!checkpoint) return null;
+    await applySnapshot(sessionId, checkpoint.snapshot);
+    restoredFrom = checkpoint.saveId;
+  }
+
+  listSaves(sessionId)
+    .filter(info => info.type === 'checkpoint' && info.turn >= turn)
+    .forEach(info => fs.unlinkSync(getSavePath(sessionId, info.saveId)));
+
+  console.log(`↩️ Session ${sessionId} turn ${turn} undone (restored from ${restoredFrom})`);
+  return { undoneTurn: turn, action, itemUse: lastAction?.itemUse || null, restoredFrom };
+}
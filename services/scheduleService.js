@@ -0,0 +1,88 @@
+import { getCalendar, getTimeOfDay, loadSessionLore } from './gameTimeService.js';
+
+/**
+ * NPC daily routines and building opening hours, driven by the lore gameTime.
+ *
+ * An NPC listed in a scene may carry a `schedule`; the first entry matching the current hour
+ * (by time of day name or by a from/to hour range) says where it is. Without a match it stays
+ * in the scene that lists it. Buildings with `openHours` are closed outside them.
+ */
+
+function inHourRange(hour, from, to) {
+  // Ranges may wrap past midnight (22 -> 2)
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+function matchesEntry(entry, timeOfDay) {
+  if (entry.from !== undefined && entry.to !== undefined) {
+    return inHourRange(timeOfDay.hour, Number(entry.from), Number(entry.to));
+  }
+  const names = Array.isArray(entry.timeOfDay) ? entry.timeOfDay : [entry.timeOfDay];
+  return names.includes(timeOfDay.name);
+}
+
+export function isBuildingOpen(building, timeOfDay) {
+  if (!building?.openHours) return true;
+  return inHourRange(timeOfDay.hour, Number(building.openHours.from), Number(building.openHours.to));
+}
+
+/**
+ * Where every NPC of the world is at a time of day
+ * @returns {Array<{ npc, homeSceneId, sceneId, buildingId, activity }>} sceneId is null for away NPCs
+ */
+export function getNpcWhereabouts(worldData, timeOfDay) {
+  const whereabouts = [];
+  for (const [homeSceneId, scene] of Object.entries(worldData || {})) {
+    for (const npc of scene.npcs || []) {
+      const entry = (npc.schedule || []).find(e => matchesEntry(e, timeOfDay));
+      whereabouts.push({
+        npc,
+        homeSceneId,
+        sceneId: entry?.away ? null : entry?.sceneId || homeSceneId,
+        buildingId: entry?.buildingId || null,
+        activity: entry?.activity || null
+      });
+    }
+  }
+  return whereabouts;
+}
+
+/**
+ * World data as it is at the lore's current time: each scene lists the NPCs present
+ * (with `location`: { buildingId, activity } when scheduled there), and every building
+ * gets `isOpen`. Returns copies; the stored scenes are not changed.
+ */
+export function applySchedules(worldData, lore) {
+  if (!worldData) return worldData;
+  const calendar = getCalendar(lore || {});
+  const timeOfDay = getTimeOfDay(lore?.gameTime, calendar);
+
+  const scheduled = {};
+  for (const [sceneId, scene] of Object.entries(worldData)) {
+    scheduled[sceneId] = {
+      ...scene,
+      npcs: [],
+      buildings: (scene.buildings || []).map(building => ({ ...building, isOpen: isBuildingOpen(building, timeOfDay) }))
+    };
+  }
+
+  for (const { npc, sceneId, buildingId, activity } of getNpcWhereabouts(worldData, timeOfDay)) {
+    const scene = scheduled[sceneId];
+    if (!scene || scene.npcs.some(present => present.id === npc.id)) continue;
+    scene.npcs.push(buildingId || activity ? { ...npc, location: { buildingId, activity } } : npc);
+  }
+
+  return scheduled;
+}
+
+/**
+ * Current time of day of a session ({ hour, name })
+ */
+export function getSessionTimeOfDay(sessionId) {
+  const lore = loadSessionLore(sessionId);
+  return getTimeOfDay(lore?.gameTime, getCalendar(lore || {}));
+}
+
+export function formatOpenHours(openHours) {
+  return openHours ? `${openHours.from}-${openHours.to}时` : '全天';
+}
@@ -0,0 +1,312 @@
+import { z } from 'zod';
+
+/**
+ * Schemas for the four classic-mode extractions (lore / player / items / scenes).
+ * Objects are loose so extra fields from the model are kept; only fields the game relies on are checked.
+ */
+
+const textList = z.union([
+  z.array(z.string()),
+  z.string().transform(text => [text])
+]);
+
+const numberLike = z.coerce.number();
+const ageLike = z.union([z.number(), z.string()]).optional();
+
+// Keyed collections: fill a missing `id` from its key before validating
+const withIdsFromKeys = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      entry && typeof entry === 'object' && !entry.id ? { ...entry, id: key } : entry
+    ])
+  );
+};
+
+const textBlockSchema = z.looseObject({
+  title: z.string().default(''),
+  content: textList.default([])
+});
+
+export const gameTimeSchema = z.looseObject({
+  yearName: z.string().default(''),
+  currentYear: numberLike.default(0),
+  currentMonth: numberLike.int().min(1).default(1),
+  currentDay: numberLike.int().min(1).default(1),
+  currentHour: numberLike.int().min(0).optional(),
+  monthNames: z.array(z.string()).optional(),
+  season: z.string().optional()
+});
+
+const timeStepSchema = z.looseObject({
+  days: numberLike.min(0).default(0),
+  hours: numberLike.min(0).default(0)
+});
+
+/**
+ * Per-game calendar (lore `calendar`). Eras map absolute years to year names
+ * (an era's year 1 is its startYear); timesOfDay name the parts of a day for NPC schedules;
+ * timeAdvance says how much time passes per story turn and per action (npcChat, building, shop).
+ */
+export const calendarSchema = z.looseObject({
+  months: z.array(z.looseObject({
+    name: z.string().default(''),
+    days: numberLike.int().min(1).default(30)
+  })).min(1).optional(),
+  hoursPerDay: numberLike.int().min(1).default(24),
+  startHour: numberLike.int().min(0).default(8),
+  seasons: z.array(z.looseObject({
+    name: z.string().min(1),
+    startMonth: numberLike.int().min(1)
+  })).min(1).optional(),
+  eras: z.array(z.looseObject({
+    name: z.string().min(1),
+    startYear: numberLike.int()
+  })).default([]),
+  timesOfDay: z.array(z.looseObject({
+    name: z.string().min(1),
+    startHour: numberLike.int().min(0)
+  })).min(1).optional(),
+  dateFormat: z.string().default('{era}{year}年{month}月{day}日'),
+  timeAdvance: z.record(z.string(), timeStepSchema).default({ turn: { days: 0, hours: 2 } })
+});
+
+/**
+ * A group the player can stand well or badly with (lore `factions`). Members are NPC ids or names
+ * (NPCs listing the faction in their own `factions` are members too); allies and rivals are
+ * faction ids. Buildings run by the faction price by the player's reputation, and `unlocks`
+ * opens scenes once the reputation reaches minReputation.
+ */
+export const factionSchema = z.looseObject({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  members: z.array(z.string().min(1)).default([]),
+  allies: z.array(z.string().min(1)).default([]),
+  rivals: z.array(z.string().min(1)).default([]),
+  buildings: z.array(z.string().min(1)).default([]),
+  unlocks: z.array(z.looseObject({
+    sceneId: z.string().min(1),
+    minReputation: numberLike
+  })).default([]),
+  initialReputation: numberLike.default(0)
+});
+
+/**
+ * How reputation spreads (lore `factionRules`): a relationship change with a member moves its
+ * factions by memberShare of it; a faction's change moves its allies by allyShare and its rivals
+ * by -rivalShare. Tiers (by minReputation) set shop prices; shops refuse trade at `refusesTrade` tiers.
+ */
+export const factionRulesSchema = z.looseObject({
+  memberShare: numberLike.min(0).default(0.5),
+  allyShare: numberLike.min(0).default(0.5),
+  rivalShare: numberLike.min(0).default(0.5),
+  tiers: z.array(z.looseObject({
+    name: z.string().min(1),
+    minReputation: numberLike,
+    priceModifier: numberLike.positive().default(1),
+    refusesTrade: z.boolean().default(false)
+  })).min(1).default([
+    { name: '仇视', minReputation: -100, priceModifier: 1.5, refusesTrade: true },
+    { name: '敌对', minReputation: -60, priceModifier: 1.25, refusesTrade: false },
+    { name: '中立', minReputation: -20, priceModifier: 1, refusesTrade: false },
+    { name: '友好', minReputation: 20, priceModifier: 0.9, refusesTrade: false },
+    { name: '崇敬', minReputation: 60, priceModifier: 0.8, refusesTrade: false }
+  ])
+});
+
+export const backgroundDataSchema = z.looseObject({
+  worldBackground: textBlockSchema,
+  playerStory: textBlockSchema,
+  keyEvents: z.array(z.looseObject({
+    title: z.string().min(1),
+    year: z.union([z.string(), z.number()]).optional(),
+    description: z.string().default('')
+  })).default([]),
+  gameTime: gameTimeSchema,
+  calendar: calendarSchema.optional(),
+  factions: z.array(factionSchema).optional(),
+  factionRules: factionRulesSchema.optional()
+});
+
+/**
+ * Typed item effects. Legacy `{ health: 50 }` maps are read as "modify" effects.
+ * - heal: restore a stat (health by default)
+ * - modify: permanent stat change
+ * - buff: temporary stat change, reverted after `duration` story turns
+ * - unlock_scene: make a scene reachable
+ * - trigger_event: narrative event the storyteller must play out
+ */
+export const itemEffectSchema = z.discriminatedUnion('type', [
+  z.looseObject({ type: z.literal('heal'), stat: z.string().min(1).default('health'), amount: numberLike }),
+  z.looseObject({ type: z.literal('modify'), stat: z.string().min(1), amount: numberLike }),
+  z.looseObject({ type: z.literal('buff'), stat: z.string().min(1), amount: numberLike, duration: numberLike.int().min(1) }),
+  z.looseObject({ type: z.literal('unlock_scene'), sceneId: z.string().min(1) }),
+  z.looseObject({ type: z.literal('trigger_event'), event: z.string().min(1) })
+]);
+
+const legacyEffects = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.entries(value)
+    .filter(([, amount]) => amount !== '' && Number.isFinite(Number(amount)))
+    .map(([stat, amount]) => ({ type: 'modify', stat, amount: Number(amount) }));
+};
+
+export const itemEffectsSchema = z.preprocess(legacyEffects, z.array(itemEffectSchema));
+
+export const itemSchema = z.looseObject({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  icon: z.string().optional(),
+  type: z.string().default('misc'),
+  usable: z.boolean().optional(),
+  stackable: z.boolean().optional(),
+  equippable: z.boolean().optional(),
+  slots: z.array(z.string()).optional(),
+  effects: itemEffectsSchema.optional(),
+  stats: z.record(z.string(), numberLike).optional()
+});
+
+export const inventoryItemSchema = itemSchema.extend({
+  quantity: numberLike.int().min(0).default(1)
+});
+
+export const playerDataSchema = z.looseObject({
+  profile: z.looseObject({
+    name: z.string().min(1),
+    avatar: z.string().optional(),
+    age: ageLike,
+    gender: z.string().optional(),
+    job: z.string().optional()
+  }),
+  stats: z.record(z.string(), numberLike).default({}),
+  currency: z.record(z.string(), numberLike).default({}),
+  inventory: z.looseObject({
+    items: z.array(inventoryItemSchema).default([])
+  }).default({ items: [] })
+});
+
+export const itemDataSchema = z.preprocess(withIdsFromKeys, z.record(z.string(), itemSchema));
+
+// Hours are [from, to) and may wrap past midnight (from 22 to 2)
+const hourRange = {
+  from: numberLike.int().min(0).optional(),
+  to: numberLike.int().min(0).optional()
+};
+const hasHourRange = value => (value.from === undefined) === (value.to === undefined);
+
+/**
+ * Where an NPC is during part of the day: a time of day name (or several) or an hour range.
+ * Without sceneId the NPC stays in the scene that lists it; `away` NPCs are in no scene.
+ */
+export const scheduleEntrySchema = z.looseObject({
+  timeOfDay: z.union([z.string().min(1), z.array(z.string().min(1))]).optional(),
+  ...hourRange,
+  sceneId: z.string().optional(),
+  buildingId: z.string().optional(),
+  activity: z.string().optional(),
+  away: z.boolean().default(false)
+}).refine(hasHourRange, { message: 'from and to must be given together' })
+  .refine(entry => entry.timeOfDay !== undefined || entry.from !== undefined, {
+    message: 'A schedule entry needs a timeOfDay or a from/to hour range'
+  });
+
+/**
+ * How an NPC stands towards another NPC (`target` is the other NPC's id or name).
+ * `value` is on the same scale as player relationships; `type` says what binds them
+ * (family, friend, ally, lover, mentor, rival, enemy, ...) and `label` names it ("长兄").
+ */
+export const npcRelationSchema = z.looseObject({
+  target: z.string().min(1),
+  type: z.string().min(1).default('acquaintance'),
+  label: z.string().optional(),
+  value: numberLike.default(50)
+});
+
+export const npcSchema = z.looseObject({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  age: ageLike,
+  gender: z.string().optional(),
+  job: z.string().optional(),
+  description: z.string().default(''),
+  icon: z.string().optional(),
+  type: z.string().optional(),
+  relationships: numberLike.default(0),
+  memory: z.array(z.any()).default([]),
+  greetings: z.array(z.string()).default([]),
+  schedule: z.array(scheduleEntrySchema).optional(),
+  relations: z.array(npcRelationSchema).default([]),
+  factions: z.array(z.string().min(1)).default([])
+});
+
+/**
+ * Shop of a building. Stock entries without maxQuantity are unlimited;
+ * `quantity` is the current stock and is refilled to maxQuantity every restockEveryDays game days.
+ */
+export const shopStockSchema = z.looseObject({
+  itemId: z.string().min(1),
+  name: z.string().optional(),
+  price: numberLike.min(0),
+  maxQuantity: numberLike.int().min(0).optional(),
+  quantity: numberLike.int().min(0).optional()
+});
+
+export const shopSchema = z.looseObject({
+  currency: z.string().min(1).default('gold'),
+  // Share of an item's price the shop pays when the player sells it
+  sellRate: numberLike.min(0).max(1).default(0.5),
+  buysItems: z.boolean().default(true),
+  restockEveryDays: numberLike.int().min(1).optional(),
+  stock: z.array(shopStockSchema).default([])
+});
+
+export const buildingSchema = z.looseObject({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  icon: z.string().optional(),
+  type: z.string().default('building'),
+  features: z.array(z.string()).default([]),
+  shop: shopSchema.optional(),
+  openHours: z.looseObject({
+    from: numberLike.int().min(0),
+    to: numberLike.int().min(0)
+  }).optional()
+});
+
+export const sceneSchema = z.looseObject({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  background: z.string().optional(),
+  buildings: z.array(buildingSchema).default([]),
+  npcs: z.array(npcSchema).default([]),
+  events: z.array(z.any()).default([]),
+  exits: z.record(z.string(), z.string()).default({})
+});
+
+export const worldDataSchema = z.preprocess(
+  withIdsFromKeys,
+  z.record(z.string(), sceneSchema).refine(scenes => Object.keys(scenes).length > 0, {
+    message: 'At least one scene is required'
+  })
+);
+
+/**
+ * Per-chunk variants for long documents: a single chunk may not mention the
+ * player or any scene, so those parts may be empty until the chunks are merged
+ */
+export const partialPlayerDataSchema = playerDataSchema.extend({
+  profile: z.looseObject({
+    name: z.string().default(''),
+    avatar: z.string().optional(),
+    age: ageLike,
+    gender: z.string().optional(),
+    job: z.string().optional()
+  }).default({ name: '' })
+});
+
+export const partialWorldDataSchema = z.preprocess(withIdsFromKeys, z.record(z.string(), sceneSchema));
@@ -0,0 +1,111 @@
+import { z } from 'zod';
+
+/**
+ * Schemas for the story mission template returned by generateStoryMission
+ * and for authored quest chains (quests_<id>.json)
+ */
+
+const numberLike = z.coerce.number();
+
+export const completionPathSchema = z.looseObject({
+  pathId: z.string().optional(),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  requirements: z.looseObject({
+    items: z.array(z.looseObject({
+      itemName: z.string().min(1),
+      quantity: numberLike.int().positive().default(1)
+    })).default([]),
+    relationships: z.array(z.looseObject({
+      npcName: z.string().min(1),
+      minValue: numberLike
+    })).default([]),
+    locations: z.array(z.string()).default([]),
+    stats: z.array(z.looseObject({
+      statName: z.string().min(1),
+      minValue: numberLike
+    })).default([])
+  }).default({ items: [], relationships: [], locations: [], stats: [] })
+});
+
+const withPathIds = paths => paths.map((path, index) => ({ ...path, pathId: path.pathId || `path_${index + 1}` }));
+
+const rewardSchema = z.looseObject({
+  gold: numberLike.default(0),
+  items: z.array(z.string()).default([]),
+  experience: numberLike.default(0)
+}).default({ gold: 0, items: [], experience: 0 });
+
+export const missionTemplateSchema = z.looseObject({
+  title: z.string().min(1),
+  description: z.string().min(1),
+  completionPaths: z.array(completionPathSchema).min(1).transform(withPathIds),
+  reward: rewardSchema
+});
+
+// "quest_id" is shorthand for { missionId: "quest_id", outcome: "completed" }
+const prerequisiteSchema = z.union([
+  z.string().min(1).transform(missionId => ({ missionId, outcome: 'completed' })),
+  z.looseObject({
+    missionId: z.string().min(1),
+    pathId: z.string().optional(),
+    outcome: z.enum(['completed', 'failed']).default('completed')
+  })
+]);
+
+const questIdList = z.array(z.string().min(1)).default([]);
+
+/**
+ * A quest fails when it is still active after turnLimit story turns, after gameDays
+ * in-game days, or once the game date passes the deadline
+ */
+export const failureConditionsSchema = z.looseObject({
+  turnLimit: numberLike.int().positive().optional(),
+  gameDays: numberLike.int().positive().optional(),
+  // Year within `era` (the session's current era when omitted)
+  deadline: z.looseObject({
+    era: z.string().optional(),
+    year: numberLike,
+    month: numberLike.int().min(1).default(1),
+    day: numberLike.int().min(1).default(1)
+  }).optional()
+});
+
+export const questSchema = z.looseObject({
+  id: z.string().regex(/^[\w-]+$/, 'Quest ids may only contain letters, digits, _ and -'),
+  title: z.string().min(1),
+  description: z.string().default(''),
+  isStoryMission: z.boolean().default(false),
+  blocksStoryline: z.boolean().default(false),
+  prerequisites: z.array(prerequisiteSchema).default([]),
+  // Branches: each path may unlock its own follow-ups
+  completionPaths: z.array(completionPathSchema.extend({ followUps: questIdList })).min(1).transform(withPathIds),
+  followUps: questIdList,
+  failureConditions: failureConditionsSchema.optional(),
+  onFailure: questIdList,
+  reward: rewardSchema
+});
+
+export const questFileSchema = z.looseObject({
+  quests: z.array(questSchema).default([])
+}).superRefine((file, ctx) => {
+  const ids = new Set();
+  file.quests.forEach((quest, index) => {
+    if (ids.has(quest.id)) {
+      ctx.addIssue({ code: 'custom', path: ['quests', index, 'id'], message: `Duplicate quest id "${quest.id}"` });
+    }
+    ids.add(quest.id);
+  });
+
+  file.quests.forEach((quest, index) => {
+    const references = [
+      ...quest.prerequisites.map(p => p.missionId),
+      ...quest.followUps,
+      ...quest.onFailure,
+      ...quest.completionPaths.flatMap(path => path.followUps)
+    ];
+    references.filter(id => !ids.has(id)).forEach(id => {
+      ctx.addIssue({ code: 'custom', path: ['quests', index], message: `Unknown quest "${id}"` });
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { z } from 'zod';
+
+/**
+ * Schemas for the moderation config (MODERATION_CONFIG) and the LLM classifier's verdict
+ */
+
+export const MODERATION_CATEGORIES = ['sexual', 'minors', 'violence', 'self_harm', 'hate', 'illegal'];
+
+const score = z.number().min(0).max(1);
+
+// "term" is shorthand for { term: "term", score: 1 }
+export const keywordSchema = z.union([
+  z.string().min(1).transform(term => ({ term, score: 1 })),
+  z.looseObject({
+    term: z.string().min(1),
+    score: score.default(1)
+  })
+]);
+
+/**
+ * Per category: a score at or above `flag` is logged for review, at or above `block` the
+ * text is refused (block: null never refuses)
+ */
+export const thresholdSchema = z.looseObject({
+  flag: score,
+  block: score.nullable()
+});
+
+function isRegExp(source) {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const moderationConfigSchema = z.looseObject({
+  // Added to the built-in lists (replaced with replaceKeywords)
+  keywords: z.record(z.string(), z.array(keywordSchema)).default({}),
+  replaceKeywords: z.boolean().default(false),
+  // Per rating, merged over the built-in thresholds
+  ratings: z.record(z.string(), z.record(z.string(), thresholdSchema)).default({}),
+  defaultRating: z.string().min(1).default('teen'),
+  // Prompt-injection attempts in player input: refuse, only log, or ignore
+  injection: z.enum(['block', 'flag', 'off']).default('block'),
+  injectionPatterns: z.array(z.string().min(1).refine(isRegExp, 'Invalid regular expression')).default([]),
+  classifier: z.enum(['none', 'llm']).default('none')
+});
+
+export const classifierVerdictSchema = z.looseObject({
+  categories: z.record(z.string(), z.coerce.number().min(0).max(1)).default({}),
+  reason: z.string().default('')
+});
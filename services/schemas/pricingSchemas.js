@@ -0,0 +1,36 @@
+import { z } from 'zod';
+
+/**
+ * Schema for the pricing config (LLM_PRICING_CONFIG): what model calls and images cost
+ * and how that cost turns into points
+ */
+
+const usd = z.number().min(0);
+
+// USD per million tokens
+export const modelPriceSchema = z.looseObject({
+  input: usd,
+  output: usd
+});
+
+export const featurePricingSchema = z.looseObject({
+  // Applied to the points of the feature's calls (0 makes the feature free)
+  multiplier: z.number().min(0).default(1)
+});
+
+export const pricingConfigSchema = z.looseObject({
+  // flat: points are deducted per action at flatRates; metered: per request, from its model usage
+  billing: z.enum(['flat', 'metered']).default('flat'),
+  pointsPerUsd: z.number().positive().default(100),
+  // Points a player needs before an action is accepted in metered billing
+  minimumBalance: z.number().int().min(0).default(1),
+  flatRates: z.looseObject({
+    option: z.number().int().min(0).default(2),
+    selfDefined: z.number().int().min(0).default(3)
+  }).prefault({}),
+  // Merged over the built-in prices; "default" prices models without an entry
+  models: z.record(z.string(), modelPriceSchema).default({}),
+  // USD per generated image, by image model ("default" for the rest)
+  images: z.record(z.string(), usd).default({}),
+  features: z.record(z.string(), featurePricingSchema).default({})
+});
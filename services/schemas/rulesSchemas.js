@@ -0,0 +1,188 @@
+import { z } from 'zod';
+import { compileExpression } from '../rulesExpression.js';
+import { itemEffectsSchema } from './gameDataSchemas.js';
+
+/**
+ * Per-game rules file (rules_<id>.json). Every section is optional;
+ * an empty file gives the built-in defaults.
+ */
+
+const expression = z.string().min(1).superRefine((source, ctx) => {
+  try {
+    compileExpression(source);
+  } catch (error) {
+    ctx.addIssue({ code: 'custom', message: error.message });
+  }
+});
+
+// A bound is a fixed number or an expression over other stats ("maxHealth")
+const boundValue = z.union([z.number(), expression]);
+
+export const attributeRuleSchema = z.looseObject({
+  min: boundValue.optional(),
+  max: boundValue.optional(),
+  maxDeltaPerTurn: z.number().positive().optional()
+});
+
+export const itemRuleSchema = z.looseObject({
+  effects: itemEffectsSchema.default([]),
+  consumable: z.boolean().default(true),
+  requires: z.record(z.string(), z.number()).default({}),
+  // Equipment: slots it fits and the stat bonuses it gives while equipped
+  slots: z.array(z.string()).optional(),
+  stats: z.record(z.string(), z.number()).optional()
+});
+
+export const relationshipRuleSchema = z.looseObject({
+  min: z.number().default(0),
+  max: z.number().default(100),
+  maxDeltaPerTurn: z.number().positive().optional()
+});
+
+export const reputationRuleSchema = z.looseObject({
+  min: z.number().default(-100),
+  max: z.number().default(100),
+  maxDeltaPerTurn: z.number().positive().optional()
+});
+
+// Dice notation: "2d6+1", "d20", "1d8-1" or a flat number
+export const diceNotation = z.union([
+  z.number().int().min(0).transform(String),
+  z.string().trim().regex(/^(\d+|\d*d\d+([+-]\d+)?)$/i, 'Expected dice notation such as "2d6+1"')
+]);
+
+/**
+ * Skill checks ([CHECK: 属性, 难度]): roll the die, add the attribute's modifier (an expression
+ * over `value`, the attribute, and the other stats), succeed on total >= difficulty.
+ * With criticals, the die's highest face always succeeds and 1 always fails.
+ */
+export const checkRuleSchema = z.looseObject({
+  die: z.number().int().min(2).default(20),
+  modifier: expression.default('floor(value / 2)'),
+  criticals: z.boolean().default(true),
+  difficulties: z.record(z.string(), z.number()).default({ 简单: 8, 普通: 12, 困难: 16, 极难: 20 })
+});
+
+/**
+ * Enemy stat block: attack is added to its d20 attack roll, defense is the total an attack
+ * against it needs to hit, initiative is added to its initiative roll. Rewards (stats or
+ * currency deltas) are granted when the player wins.
+ */
+export const enemySchema = z.looseObject({
+  name: z.string().min(1),
+  hp: z.number().int().positive(),
+  attack: z.number().default(0),
+  defense: z.number().default(10),
+  initiative: z.number().default(0),
+  damage: diceNotation.default('1d6'),
+  rewards: z.record(z.string(), z.number()).default({})
+});
+
+/**
+ * Turn-based combat. The player's numbers are expressions over their stats; hpStat is the
+ * stat that takes damage.
+ */
+export const combatRuleSchema = z.looseObject({
+  hpStat: z.string().min(1).default('health'),
+  player: z.looseObject({
+    attack: expression.default('floor(attack / 2)'),
+    defense: expression.default('10 + floor(defense / 2)'),
+    initiative: expression.default('0'),
+    damage: diceNotation.default('1d6')
+  }).prefault({}),
+  fleeDifficulty: z.number().default(12),
+  defaultEnemy: enemySchema.prefault({ name: '敌人', hp: 20, attack: 2, defense: 10, damage: '1d6' }),
+  enemies: z.record(z.string(), enemySchema).default({})
+});
+
+/**
+ * Authored ending. It is reached when every condition in `when` holds:
+ * - keyEvent: a key event has happened (classic: the game time reached that lore key event;
+ *   visual: the storyteller marked one of worldSetting.keyEvents with [KEY_EVENT: ...])
+ * - scene: the player is in that scene
+ * - relationship: an NPC's relationship is within min..max (classic)
+ * - death: the player's hp stat (combat.hpStat) is down to 0 (classic)
+ * - condition: expression over the player's stats and currency (classic)
+ * When several endings are reached, the highest priority wins (then the first listed).
+ */
+export const endingSchema = z.looseObject({
+  id: z.string().min(1),
+  title: z.string().min(1),
+  kind: z.enum(['good', 'neutral', 'bad', 'death']).default('neutral'),
+  // What the ending is about; the epilogue is written from it
+  description: z.string().default(''),
+  priority: z.number().default(0),
+  when: z.looseObject({
+    keyEvent: z.string().min(1).optional(),
+    scene: z.string().min(1).optional(),
+    relationship: z.looseObject({
+      npc: z.string().min(1),
+      min: z.number().optional(),
+      max: z.number().optional()
+    }).optional(),
+    death: z.boolean().optional(),
+    condition: expression.optional()
+  }).refine(when => Object.values(when).some(value => value !== undefined), {
+    message: 'An ending needs at least one condition'
+  })
+});
+
+/**
+ * Authored achievement, unlocked once per player and game when every condition in `when` holds:
+ * - scenes: the player has visited these scenes ("all": every scene of the game)
+ * - relationship: an NPC's relationship is within min..max
+ * - missions: these missions (quest ids) are completed
+ * - ending: the game ended with this ending (true: any ending)
+ * - turns: at least this many story turns were played
+ * - condition: expression over the player's stats and currency
+ * Hidden achievements are shown as "???" until unlocked. Points go to the player's account.
+ */
+export const achievementSchema = z.looseObject({
+  id: z.string().min(1),
+  title: z.string().min(1),
+  description: z.string().default(''),
+  icon: z.string().optional(),
+  points: z.number().int().min(0).default(0),
+  hidden: z.boolean().default(false),
+  when: z.looseObject({
+    scenes: z.union([z.literal('all'), z.array(z.string().min(1)).min(1)]).optional(),
+    relationship: z.looseObject({
+      npc: z.string().min(1),
+      min: z.number().optional(),
+      max: z.number().optional()
+    }).optional(),
+    missions: z.array(z.string().min(1)).min(1).optional(),
+    ending: z.union([z.literal(true), z.string().min(1)]).optional(),
+    turns: z.number().int().positive().optional(),
+    condition: expression.optional()
+  }).refine(when => Object.values(when).some(value => value !== undefined), {
+    message: 'An achievement needs at least one condition'
+  })
+});
+
+export const levelRuleSchema = z.looseObject({
+  stat: z.string().default('experience'),
+  levelStat: z.string().default('level'),
+  thresholds: z.array(z.number().min(0)).min(1).refine(
+    thresholds => thresholds.every((value, i) => i === 0 || value > thresholds[i - 1]),
+    { message: 'Thresholds must be strictly increasing' }
+  ),
+  rewards: z.record(z.string(), z.number()).default({})
+});
+
+export const gameRulesSchema = z.looseObject({
+  attributes: z.record(z.string(), attributeRuleSchema).default({}),
+  currency: z.record(z.string(), attributeRuleSchema).default({}),
+  derived: z.record(z.string(), expression).default({}),
+  items: z.record(z.string(), itemRuleSchema).default({}),
+  relationships: relationshipRuleSchema.prefault({}),
+  reputation: reputationRuleSchema.prefault({}),
+  levels: levelRuleSchema.optional(),
+  checks: checkRuleSchema.prefault({}),
+  combat: combatRuleSchema.prefault({}),
+  endings: z.array(endingSchema).default([]),
+  achievements: z.array(achievementSchema).default([]),
+  // Content rating for moderation (all, teen, mature or a rating of MODERATION_CONFIG)
+  contentRating: z.string().min(1).optional(),
+  unknownAttributes: z.enum(['allow', 'reject']).default('allow')
+});
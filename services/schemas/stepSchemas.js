@@ -0,0 +1,80 @@
+import { z } from 'zod';
+
+/**
+ * Story steps of a game-master turn (step format v2): one JSON object per line,
+ * e.g. {"type":"dialogue","speaker":"艾德里安","text":"……"}
+ *
+ * The same schemas describe the legacy bracket markers ([NARRATION: ...], v1) once
+ * stepFormat.js has read them, so every mode works on one shape.
+ */
+
+export const STEP_FORMAT_VERSION = 2;
+
+const text = z.string().trim().min(1);
+const delta = z.coerce.number().int();
+
+const itemAction = z.enum(['获得', '丢失', 'gain', 'lose'])
+  .transform(action => (action === 'gain' ? '获得' : action === 'lose' ? '丢失' : action));
+
+// Status changes a hint carries
+export const stepChangeSchema = z.discriminatedUnion('kind', [
+  z.looseObject({ kind: z.literal('stat'), target: text.default('玩家'), attribute: text, delta }),
+  z.looseObject({ kind: z.literal('item'), item: text, action: itemAction, quantity: z.coerce.number().int().positive().default(1) }),
+  z.looseObject({ kind: z.literal('relationship'), npc: text, delta }),
+  z.looseObject({ kind: z.literal('npc_relation'), from: text, to: text, delta }),
+  z.looseObject({ kind: z.literal('reputation'), faction: text, delta }),
+  z.looseObject({ kind: z.literal('unlock_scene'), scene: text })
+]);
+
+const stepBase = {
+  // Format version the step was written in (absent: the current one)
+  v: z.number().int().positive().optional()
+};
+
+export const narrationStepSchema = z.looseObject({ ...stepBase, type: z.literal('narration'), text });
+export const dialogueStepSchema = z.looseObject({ ...stepBase, type: z.literal('dialogue'), speaker: text, text });
+export const hintStepSchema = z.looseObject({ ...stepBase, type: z.literal('hint'), text: z.string().trim().default(''), changes: z.array(stepChangeSchema).default([]) });
+export const choiceStepSchema = z.looseObject({
+  ...stepBase,
+  type: z.literal('choice'),
+  title: text,
+  text: z.string().trim().default(''),
+  options: z.array(z.union([text, z.looseObject({ text }).transform(option => option.text)])).min(1)
+});
+export const checkStepSchema = z.looseObject({ ...stepBase, type: z.literal('check'), attribute: text, difficulty: z.union([text, z.number()]) });
+export const checkResultStepSchema = z.looseObject({
+  ...stepBase,
+  type: z.literal('check_result'),
+  attribute: text,
+  difficulty: z.coerce.number().int(),
+  roll: z.coerce.number().int(),
+  modifier: z.coerce.number().int(),
+  success: z.boolean()
+});
+export const combatStepSchema = z.looseObject({ ...stepBase, type: z.literal('combat'), enemies: z.array(text).min(1) });
+// Asks the server to generate a story mission after the turn; not shown as a step
+export const missionStepSchema = z.looseObject({ ...stepBase, type: z.literal('mission') });
+export const sceneChangeStepSchema = z.looseObject({ ...stepBase, type: z.literal('scene_change'), scene: text });
+export const transitionStepSchema = z.looseObject({ ...stepBase, type: z.literal('transition'), text });
+export const keyEventStepSchema = z.looseObject({ ...stepBase, type: z.literal('key_event'), title: text });
+
+export const storyStepSchema = z.discriminatedUnion('type', [
+  narrationStepSchema,
+  dialogueStepSchema,
+  hintStepSchema,
+  choiceStepSchema,
+  checkStepSchema,
+  checkResultStepSchema,
+  combatStepSchema,
+  missionStepSchema,
+  sceneChangeStepSchema,
+  transitionStepSchema,
+  keyEventStepSchema
+]);
+
+// Step types each game mode accepts
+export const MODE_STEP_TYPES = {
+  classic: ['narration', 'dialogue', 'hint', 'choice', 'check', 'check_result', 'combat', 'mission'],
+  visual: ['narration', 'dialogue', 'choice', 'scene_change', 'transition', 'key_event'],
+  world: ['narration', 'dialogue', 'choice']
+};
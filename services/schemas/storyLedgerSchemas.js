@@ -0,0 +1,22 @@
+import { z } from 'zod';
+
+/**
+ * Rolling "story so far" ledger returned by the storySummary task
+ */
+
+const textList = z.union([
+  z.array(z.string()),
+  z.string().transform(text => (text ? [text] : []))
+]);
+
+export const metNPCSchema = z.looseObject({
+  name: z.string().min(1),
+  note: z.string().default('')
+});
+
+export const storyLedgerSchema = z.looseObject({
+  summary: z.string().default(''),
+  keyDecisions: textList.default([]),
+  metNPCs: z.array(metNPCSchema).default([]),
+  openThreads: textList.default([])
+});
@@ -0,0 +1,37 @@
+import { z } from 'zod';
+
+/**
+ * Schemas for world-interaction event payloads.
+ * The factories take the valid ids so the repair prompt can tell the model exactly what is allowed.
+ */
+
+const oneOf = (ids, label) => z.string().min(1).refine(id => ids.length === 0 || ids.includes(id), {
+  message: `Unknown ${label}. Must be one of: ${ids.join(', ')}`
+});
+
+export function createNPCSelectionSchema(npcIds = []) {
+  return z.looseObject({
+    selectedNpcId: oneOf(npcIds, 'NPC id'),
+    reason: z.string().default('')
+  });
+}
+
+export function createEventPayloadSchema({ npcIds = [], subsceneIds = [] } = {}) {
+  return z.looseObject({
+    eventTitle: z.string().min(1),
+    eventDescription: z.string().min(1),
+    eventType: z.string().default('encounter'),
+    targetNpcId: oneOf(npcIds, 'NPC id'),
+    targetSubsceneId: oneOf(subsceneIds, 'subscene id'),
+    relatedKeyEventIndex: z.coerce.number().int().optional()
+  });
+}
+
+export const eventChainDecisionSchema = z.looseObject({
+  shouldGenerateNew: z.boolean(),
+  keyEventCompleted: z.boolean(),
+  nextEventSuggestion: z.looseObject({
+    targetNpcId: z.string().optional(),
+    suggestedType: z.string().optional()
+  }).nullable().optional()
+});
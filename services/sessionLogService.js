@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { onLLMUsage } from './llm/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Replay log of a session.
+ *
+ * Under <sessionId>/replay/ a session keeps its files as they were when it was created
+ * (initial/) and log.jsonl: every request that changed it, every LLM request with its
+ * response and every random draw, in order. replayService re-runs the requests from the
+ * initial files against the mock provider, answering with the recorded responses.
+ */
+
+// The session a recorded request runs for, so LLM calls without a sessionId in their context are logged too
+const requestContext = new AsyncLocalStorage();
+
+function getReplayDir(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, 'replay');
+}
+
+export function getInitialFilesDir(sessionId) {
+  return path.join(getReplayDir(sessionId), 'initial');
+}
+
+export function getSessionLogPath(sessionId) {
+  return path.join(getReplayDir(sessionId), 'log.jsonl');
+}
+
+export function isSessionLogged(sessionId) {
+  return !!sessionId && fs.existsSync(getSessionLogPath(sessionId));
+}
+
+function appendEntry(sessionId, entry) {
+  fs.appendFileSync(getSessionLogPath(sessionId), JSON.stringify({
+    ...entry,
+    timestamp: new Date().toISOString()
+  }) + '\n');
+}
+
+/**
+ * Start the log of a new session: keep a copy of its files as they are now
+ * @param {Object} meta - Recorded with the first entry ({ fileId, seed, ... })
+ */
+export function startSessionLog(sessionId, meta = {}) {
+  const sessionDir = path.join(GAME_DATA_DIR, sessionId);
+  const initialDir = getInitialFilesDir(sessionId);
+  fs.mkdirSync(initialDir, { recursive: true });
+  for (const fileName of fs.readdirSync(sessionDir)) {
+    if (fileName.endsWith('.json')) {
+      fs.copyFileSync(path.join(sessionDir, fileName), path.join(initialDir, fileName));
+    }
+  }
+
+  fs.writeFileSync(getSessionLogPath(sessionId), '');
+  appendEntry(sessionId, { type: 'session', sessionId, ...meta });
+}
+
+/**
+ * Run fn as one recorded request of a session. The request is logged first; LLM calls and
+ * random draws made while it runs (including work it leaves running) are logged after it.
+ * Requests made from inside a recorded request are part of it and not logged again.
+ * @param {Object} request - { method, url, body }
+ */
+export function runRecordedRequest(sessionId, request, fn) {
+  if (!isSessionLogged(sessionId) || requestContext.getStore()) {
+    return fn();
+  }
+  appendEntry(sessionId, { type: 'request', ...request });
+  return requestContext.run({ sessionId }, fn);
+}
+
+export function recordRandomDraw(sessionId, draw) {
+  if (isSessionLogged(sessionId)) {
+    appendEntry(sessionId, { type: 'random', ...draw });
+  }
+}
+
+onLLMUsage(({ task, model, context, request, response }) => {
+  const sessionId = context?.sessionId || requestContext.getStore()?.sessionId;
+  if (!isSessionLogged(sessionId)) return;
+  try {
+    appendEntry(sessionId, { type: 'llm', task, model, request, response });
+  } catch (error) {
+    console.error('[Session Log] Failed to record LLM call:', error.message);
+  }
+});
+
+/**
+ * Entries of a session's log, in order (empty when the session has none)
+ */
+export function readSessionLog(sessionId) {
+  if (!isSessionLogged(sessionId)) return [];
+  return fs.readFileSync(getSessionLogPath(sessionId), 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
@@ -0,0 +1,217 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import redisClient from '../login/storage/redisClient.js';
+
+/**
+ * Session state shared by several server instances.
+ *
+ * A store keeps the sessions this instance plays in a local cache (get/set/delete, like the Map
+ * it replaces). Redis holds a lock and a version per session:
+ * - withLock(sessionId, fn) runs fn while holding the session's lock, so two actions on one
+ *   session are played one after the other, on this instance or on different ones;
+ * - before fn runs, a cached session older than the version in Redis is dropped (and reloaded
+ *   from its files by the caller). When another instance wrote that version, the session's
+ *   files are pulled from MinIO first, which is where every instance uploads them after a turn;
+ * - after fn, the version is bumped so the other instances drop their copies in turn.
+ *
+ * The lock is renewed while fn runs. Redis calls give up after SESSION_REDIS_TIMEOUT_MS, and
+ * are skipped while the client is reconnecting; the store then still serializes the actions of
+ * this instance.
+ */
+
+// Name of this instance in the session versions: instances that share a disk (same host) share
+// their session files and need not pull them from MinIO
+const INSTANCE_ID = process.env.INSTANCE_ID || os.hostname();
+// A lock is released after this long unless its holder renews it (ms); it is renewed every third of it
+const LOCK_TTL = Number(process.env.SESSION_LOCK_TTL_MS || 30000);
+// How long an action waits for the session's lock before it fails with a 409 (ms)
+const LOCK_WAIT = Number(process.env.SESSION_LOCK_WAIT_MS || 15000);
+// How long a Redis call may take before the store goes on without Redis (ms)
+const REDIS_TIMEOUT = Number(process.env.SESSION_REDIS_TIMEOUT_MS || 2000);
+const LOCK_RETRY_INTERVAL = 200;
+
+// Deletes the lock only if it is still ours
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Extends the lock only if it is still ours
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Locks held by the current action (so nested withLock calls on the same session go through)
+const heldLocks = new AsyncLocalStorage();
+
+/**
+ * Thrown when a session stays locked by another action for longer than SESSION_LOCK_WAIT_MS
+ */
+export class SessionBusyError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} is busy with another action. Please try again.`);
+    this.name = 'SessionBusyError';
+    this.sessionId = sessionId;
+    this.status = 409;
+  }
+}
+
+/**
+ * Run a Redis command; the store keeps working on this instance alone without Redis.
+ * A client that lost its connection queues commands until it is back instead of failing them,
+ * so commands are not sent while it reconnects and are not waited for longer than REDIS_TIMEOUT.
+ */
+async function withRedis(action, fallback = null) {
+  if (redisClient.isOpen && redisClient.isReady === false) {
+    return fallback;
+  }
+  let timer;
+  try {
+    return await Promise.race([
+      action(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${REDIS_TIMEOUT}ms`)), REDIS_TIMEOUT);
+      })
+    ]);
+  } catch (error) {
+    console.warn('⚠️ [SessionStore] Redis unavailable:', error.message);
+    return fallback;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const parseVersion = (value) => {
+  const [number, ...instance] = String(value || '').split(':');
+  return value ? { number: Number(number) || 0, instance: instance.join(':') } : { number: 0, instance: null };
+};
+
+/**
+ * Create the session store of a game mode.
+ * options.pull(sessionId): download the session's files from MinIO (when another instance wrote them)
+ */
+export function createSessionStore(kind, { pull = null } = {}) {
+  const cache = new Map();
+  // Version of each session this instance last read or wrote
+  const seenVersions = new Map();
+  // Tail of each session's local queue of actions
+  const localQueues = new Map();
+
+  const lockKey = (sessionId) => `session_lock:${kind}:${sessionId}`;
+  const versionKey = (sessionId) => `session_version:${kind}:${sessionId}`;
+
+  /**
+   * Drop the cached session when another instance changed it since
+   * @returns {Promise<string|null>} The current version
+   */
+  async function sync(sessionId) {
+    const version = await withRedis(() => redisClient.get(versionKey(sessionId)));
+    if (version && version !== seenVersions.get(sessionId)) {
+      const { instance } = parseVersion(version);
+      if (cache.delete(sessionId)) {
+        console.log(`🔄 [SessionStore] ${kind} session ${sessionId} changed on ${instance}, reloading`);
+      }
+      if (instance !== INSTANCE_ID && pull) {
+        try {
+          await pull(sessionId);
+        } catch (error) {
+          console.error(`[SessionStore] Failed to pull ${kind} session ${sessionId} from MinIO:`, error.message);
+        }
+      }
+    }
+    seenVersions.set(sessionId, version);
+    return version;
+  }
+
+  async function acquireLock(sessionId, token, deadline) {
+    while (true) {
+      const acquired = await withRedis(() => redisClient.set(lockKey(sessionId), token, { NX: true, PX: LOCK_TTL }), 'OK');
+      if (acquired) return;
+      if (Date.now() >= deadline) {
+        throw new SessionBusyError(sessionId);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+    }
+  }
+
+  /**
+   * Wait for the earlier actions of this instance (no longer than until deadline)
+   */
+  async function waitForTurn(sessionId, previous, deadline) {
+    let timer;
+    try {
+      await Promise.race([
+        previous,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new SessionBusyError(sessionId)), Math.max(0, deadline - Date.now()));
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run fn(session | undefined) while holding the session's lock; the cached session is current
+   * when fn starts. Nested calls for the same session run directly.
+   */
+  async function withLock(sessionId, fn) {
+    const key = `${kind}:${sessionId}`;
+    const held = heldLocks.getStore();
+    if (held?.has(key)) {
+      return fn(cache.get(sessionId));
+    }
+
+    // Actions of this instance wait in line before they compete for the Redis lock
+    const previous = localQueues.get(key) || Promise.resolve();
+    let releaseLocal;
+    const current = new Promise(resolve => { releaseLocal = resolve; });
+    const tail = previous.then(() => current);
+    localQueues.set(key, tail);
+
+    const deadline = Date.now() + LOCK_WAIT;
+    const token = randomUUID();
+    try {
+      await waitForTurn(sessionId, previous, deadline);
+      await acquireLock(sessionId, token, deadline);
+      // Keep the lock for as long as fn runs (a turn may take longer than LOCK_TTL)
+      const renewal = setInterval(() => {
+        withRedis(() => redisClient.eval(RENEW_LOCK_SCRIPT, { keys: [lockKey(sessionId)], arguments: [token, String(LOCK_TTL)] }));
+      }, LOCK_TTL / 3);
+      renewal.unref?.();
+      try {
+        await sync(sessionId);
+        return await heldLocks.run(new Set([...(held || []), key]), () => fn(cache.get(sessionId)));
+      } finally {
+        clearInterval(renewal);
+        const next = `${parseVersion(seenVersions.get(sessionId)).number + 1}:${INSTANCE_ID}`;
+        await withRedis(() => redisClient.set(versionKey(sessionId), next));
+        seenVersions.set(sessionId, next);
+        await withRedis(() => redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey(sessionId)], arguments: [token] }));
+      }
+    } finally {
+      releaseLocal();
+      if (localQueues.get(key) === tail) {
+        localQueues.delete(key);
+      }
+    }
+  }
+
+  return {
+    get: (sessionId) => cache.get(sessionId),
+    set: (sessionId, session) => cache.set(sessionId, session),
+    has: (sessionId) => cache.has(sessionId),
+    delete: (sessionId) => cache.delete(sessionId),
+    sync,
+    withLock
+  };
+}
+
+export default {
+  createSessionStore,
+  SessionBusyError
+};
@@ -0,0 +1,379 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { loadStatus, saveStatus } from './statusService.js';
+import { applyRulesToSession, loadItemDefinitions } from './rulesService.js';
+import { shopSchema } from './schemas/gameDataSchemas.js';
+import { formatIssues } from './llm/structuredOutput.js';
+import { createMessage, getMessageText } from './llm/index.js';
+import { loadSessionClock, advanceSessionTime } from './gameTimeService.js';
+import { isBuildingOpen, getSessionTimeOfDay, formatOpenHours } from './scheduleService.js';
+import { getBuildingStanding } from './factionService.js';
+import { readJsonState, writeJsonState } from './statePersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+
+/**
+ * Shops behind building features.
+ *
+ * A building's `shop` (in scenes_<sessionId>.json) lists what it sells, at which price and how much.
+ * Buying and selling are settled here: currency and inventory go through the rules engine (with an
+ * audit entry), the remaining stock is written back to the scenes file, and the model only narrates
+ * the outcome. Stock is refilled every `restockEveryDays` days of the session's gameTime.
+ * Shops run by a faction scale their prices by the player's reputation tier with it.
+ */
+
+export class ShopError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ShopError';
+    this.status = status;
+  }
+}
+
+function getScenesPath(sessionId) {
+  return path.join(GAME_DATA_DIR, sessionId, `scenes_${sessionId}.json`);
+}
+
+/**
+ * Refill stock when restockEveryDays have passed since the last restock
+ * @returns {boolean} Whether the shop changed
+ */
+function restockShop(shop, today) {
+  let changed = false;
+
+  // First visit: stock starts full
+  shop.stock.forEach(entry => {
+    if (entry.maxQuantity !== undefined && entry.quantity === undefined) {
+      entry.quantity = entry.maxQuantity;
+      changed = true;
+    }
+  });
+
+  if (shop.lastRestockDay === undefined) {
+    shop.lastRestockDay = today;
+    return true;
+  }
+
+  if (shop.restockEveryDays && today - shop.lastRestockDay >= shop.restockEveryDays) {
+    shop.stock.forEach(entry => {
+      if (entry.maxQuantity !== undefined) entry.quantity = entry.maxQuantity;
+    });
+    shop.lastRestockDay = today;
+    console.log(`🏪 Shop restocked on day ${today}`);
+    return true;
+  }
+  return changed;
+}
+
+/**
+ * Load the scenes file, find the building and bring its shop up to date. Only a trade (which runs
+ * under the session's lock) writes the restocked shop; a look at the shop restocks its copy only.
+ */
+async function openShop(sessionId, sceneId, buildingId, { persist = true } = {}) {
+  const scenesPath = getScenesPath(sessionId);
+  if (!fs.existsSync(scenesPath)) {
+    throw new ShopError('Session not found', 404);
+  }
+
+  const scenes = readJsonState(scenesPath);
+  const building = scenes[sceneId]?.buildings?.find(b => b.id === buildingId);
+  if (!building) {
+    throw new ShopError(`Building ${buildingId} not found in scene ${sceneId}`, 404);
+  }
+  if (!building.shop) {
+    throw new ShopError(`${building.name} is not a shop`, 404);
+  }
+
+  const parsed = shopSchema.safeParse(building.shop);
+  if (!parsed.success) {
+    throw new ShopError(`Invalid shop data for ${building.name}: ${formatIssues(parsed.error).map(i => `${i.path}: ${i.message}`).join('; ')}`, 422);
+  }
+  building.shop = parsed.data;
+
+  if (restockShop(building.shop, loadSessionClock(sessionId).today) && persist) {
+    await writeJsonState(scenesPath, scenes);
+  }
+
+  return { scenes, scenesPath, building, shop: building.shop };
+}
+
+function assertOpen(sessionId, building) {
+  if (!isBuildingOpen(building, getSessionTimeOfDay(sessionId))) {
+    throw new ShopError(`${building.name} is closed (open ${formatOpenHours(building.openHours)})`, 409);
+  }
+}
+
+function assertWillTrade(building, standing) {
+  if (standing?.refusesTrade) {
+    throw new ShopError(`${building.name} refuses to trade with you (${standing.factionName}: ${standing.tier})`, 403);
+  }
+}
+
+// Buying costs more and selling pays less the worse the player stands with the shop's faction
+function getBuyPrice(entry, standing) {
+  return Math.round(entry.price * (standing?.priceModifier ?? 1));
+}
+
+function findDefinition(definitions, itemId, name) {
+  return definitions[itemId] || Object.values(definitions).find(def => def?.name === (name || itemId)) || null;
+}
+
+function resolveStockItem(entry, definitions) {
+  const definition = findDefinition(definitions, entry.itemId, entry.name) || {};
+  return {
+    id: entry.itemId,
+    name: entry.name || definition.name || entry.itemId,
+    description: definition.description || '',
+    value: entry.price,
+    ...(definition.type && { type: definition.type }),
+    ...(definition.icon && { icon: definition.icon })
+  };
+}
+
+function parseQuantity(quantity) {
+  const count = Number(quantity ?? 1);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new ShopError('quantity must be a positive integer');
+  }
+  return count;
+}
+
+/**
+ * Price the shop pays for one unit of an inventory item (0 when it will not buy it)
+ */
+function getSellPrice(shop, item, definitions, standing) {
+  if (!shop.buysItems) return 0;
+  const entry = shop.stock.find(e => e.itemId === item.id || e.name === item.name);
+  const definition = findDefinition(definitions, item.id, item.name) || {};
+  const basePrice = Number(entry?.price ?? definition.value ?? definition.price ?? item.value) || 0;
+  return Math.floor(basePrice * shop.sellRate / (standing?.priceModifier ?? 1));
+}
+
+/**
+ * Write the player status and the shop stock together; the status is put back if the shop write fails
+ */
+async function commitTransaction(sessionId, previousStatus, status, scenesPath, scenes) {
+  await saveStatus(sessionId, status);
+  try {
+    await writeJsonState(scenesPath, scenes);
+  } catch (error) {
+    await saveStatus(sessionId, previousStatus, { force: true });
+    throw error;
+  }
+  await advanceSessionTime(sessionId, 'shop');
+}
+
+/**
+ * Stock, prices and what the player can afford
+ */
+export async function getShop(sessionId, sceneId, buildingId) {
+  const { building, shop } = await openShop(sessionId, sceneId, buildingId, { persist: false });
+  const status = loadStatus(sessionId);
+  const definitions = loadItemDefinitions(sessionId);
+  const funds = Number(status?.currency?.[shop.currency]) || 0;
+  const standing = getBuildingStanding(sessionId, buildingId, status);
+
+  return {
+    sceneId,
+    buildingId,
+    name: building.name,
+    isOpen: isBuildingOpen(building, getSessionTimeOfDay(sessionId)),
+    openHours: building.openHours || null,
+    faction: standing,
+    currency: shop.currency,
+    funds,
+    sellRate: shop.buysItems ? shop.sellRate : 0,
+    restockEveryDays: shop.restockEveryDays || null,
+    nextRestockDay: shop.restockEveryDays ? shop.lastRestockDay + shop.restockEveryDays : null,
+    stock: shop.stock.map(entry => {
+      const item = resolveStockItem(entry, definitions);
+      const price = getBuyPrice(entry, standing);
+      return {
+        itemId: entry.itemId,
+        name: item.name,
+        description: item.description,
+        price,
+        quantity: entry.quantity ?? null,
+        affordable: funds >= price && entry.quantity !== 0
+      };
+    }),
+    sellPrices: (status?.inventory?.items || [])
+      .map(item => ({ itemId: item.id, name: item.name, quantity: item.quantity || 1, price: getSellPrice(shop, item, definitions, standing) }))
+      .filter(entry => entry.price > 0)
+  };
+}
+
+/**
+ * Buy from a shop: pays with the shop's currency, adds the item, lowers the stock
+ * @returns {Promise<Object>} Transaction { type, sceneId, buildingId, buildingName, item, quantity, unitPrice, total, currency, balance, status, audit }
+ */
+export async function buyItem(sessionId, sceneId, buildingId, itemId, quantity = 1) {
+  const count = parseQuantity(quantity);
+  const { scenes, scenesPath, building, shop } = await openShop(sessionId, sceneId, buildingId);
+  assertOpen(sessionId, building);
+
+  const entry = shop.stock.find(e => e.itemId === itemId || e.name === itemId);
+  if (!entry) {
+    throw new ShopError(`${building.name} does not sell ${itemId}`, 404);
+  }
+  const item = resolveStockItem(entry, loadItemDefinitions(sessionId));
+  if (entry.quantity !== undefined && entry.quantity < count) {
+    throw new ShopError(entry.quantity === 0 ? `${item.name} is out of stock` : `Only ${entry.quantity} ${item.name} left in stock`);
+  }
+
+  const status = loadStatus(sessionId);
+  if (!status) {
+    throw new ShopError('Player data not found for session', 404);
+  }
+
+  const standing = getBuildingStanding(sessionId, buildingId, status);
+  assertWillTrade(building, standing);
+
+  const unitPrice = getBuyPrice(entry, standing);
+  const total = unitPrice * count;
+  const funds = Number(status.currency?.[shop.currency]) || 0;
+  if (funds < total) {
+    throw new ShopError(`Not enough ${shop.currency}: need ${total}, have ${funds}`);
+  }
+
+  const { status: updatedStatus, audit } = await applyRulesToSession(sessionId, status, {
+    currency: { [shop.currency]: -total },
+    new_items: [{ ...item, quantity: count }]
+  }, { source: `shop:${buildingId}`, reason: `bought ${count} x ${item.name} for ${total} ${shop.currency}`, capDeltas: false });
+
+  if (entry.quantity !== undefined) {
+    entry.quantity -= count;
+  }
+  await commitTransaction(sessionId, status, updatedStatus, scenesPath, scenes);
+
+  console.log(`🛒 ${building.name}: bought ${count} x ${item.name} for ${total} ${shop.currency}`);
+  return {
+    type: 'buy',
+    sceneId,
+    buildingId,
+    buildingName: building.name,
+    item: { id: item.id, name: item.name },
+    quantity: count,
+    unitPrice,
+    total,
+    currency: shop.currency,
+    balance: Number(updatedStatus.currency?.[shop.currency]) || 0,
+    stockLeft: entry.quantity ?? null,
+    status: updatedStatus,
+    audit
+  };
+}
+
+/**
+ * Sell an inventory item to a shop at sellRate of its price
+ * @returns {Promise<Object>} Transaction (same shape as buyItem)
+ */
+export async function sellItem(sessionId, sceneId, buildingId, itemIdOrName, quantity = 1) {
+  const count = parseQuantity(quantity);
+  const { scenes, scenesPath, building, shop } = await openShop(sessionId, sceneId, buildingId);
+  assertOpen(sessionId, building);
+
+  const status = loadStatus(sessionId);
+  if (!status) {
+    throw new ShopError('Player data not found for session', 404);
+  }
+
+  const item = (status.inventory?.items || []).find(i => i.id === itemIdOrName || i.name === itemIdOrName);
+  if (!item) {
+    throw new ShopError('Item not found in inventory', 404);
+  }
+  if (Object.values(status.equipment || {}).some(slot => slot.itemId === item.id)) {
+    throw new ShopError(`${item.name} is equipped; unequip it first`);
+  }
+  if ((item.quantity || 1) < count) {
+    throw new ShopError(`Only ${item.quantity || 1} ${item.name} in inventory`);
+  }
+
+  const standing = getBuildingStanding(sessionId, buildingId, status);
+  assertWillTrade(building, standing);
+
+  const unitPrice = getSellPrice(shop, item, loadItemDefinitions(sessionId), standing);
+  if (unitPrice <= 0) {
+    throw new ShopError(`${building.name} will not buy ${item.name}`);
+  }
+
+  const total = unitPrice * count;
+  const { status: updatedStatus, audit } = await applyRulesToSession(sessionId, status, {
+    currency: { [shop.currency]: total },
+    removed_items: [{ name: item.name, quantity: count }]
+  }, { source: `shop:${buildingId}`, reason: `sold ${count} x ${item.name} for ${total} ${shop.currency}`, capDeltas: false });
+
+  const entry = shop.stock.find(e => e.itemId === item.id || e.name === item.name);
+  if (entry?.quantity !== undefined) {
+    entry.quantity += count;
+  }
+  await commitTransaction(sessionId, status, updatedStatus, scenesPath, scenes);
+
+  console.log(`💰 ${building.name}: sold ${count} x ${item.name} for ${total} ${shop.currency}`);
+  return {
+    type: 'sell',
+    sceneId,
+    buildingId,
+    buildingName: building.name,
+    item: { id: item.id, name: item.name },
+    quantity: count,
+    unitPrice,
+    total,
+    currency: shop.currency,
+    balance: Number(updatedStatus.currency?.[shop.currency]) || 0,
+    stockLeft: entry?.quantity ?? null,
+    status: updatedStatus,
+    audit
+  };
+}
+
+/**
+ * Shop section for the building interaction prompt ('' when the building has no shop)
+ */
+export async function formatShopForPrompt(sessionId, sceneId, buildingId) {
+  let shop;
+  try {
+    shop = await getShop(sessionId, sceneId, buildingId);
+  } catch (error) {
+    if (error instanceof ShopError) return '';
+    throw error;
+  }
+
+  const stock = shop.stock.map(entry =>
+    `- ${entry.name}：${entry.price} ${shop.currency}${entry.quantity === null ? '' : `（库存 ${entry.quantity}）`}`
+  ).join('\n');
+
+  const standing = shop.faction
+    ? `\n这家店属于${shop.faction.factionName}，玩家在该势力的声望为 ${shop.faction.reputation}（${shop.faction.tier}）${shop.faction.refusesTrade ? '，店家拒绝与玩家交易' : ''}。`
+    : '';
+
+  return `## 商店
+玩家持有 ${shop.funds} ${shop.currency}。在售商品：
+${stock || '（暂无商品）'}${standing}
+
+买卖由系统结算：不要自行决定成交，也不要为买卖输出道具或金钱变化的标记。玩家想买卖时，描述商品和价格，并提示玩家使用购买/出售功能。`;
+}
+
+/**
+ * Short narration of a settled transaction. The outcome is fixed; the model only describes it.
+ */
+export async function narrateTransaction(sessionId, transaction) {
+  const verb = transaction.type === 'buy' ? '购买了' : '出售了';
+  const fallback = `你在${transaction.buildingName}${verb}${transaction.quantity}件${transaction.item.name}，` +
+    `${transaction.type === 'buy' ? '花费' : '获得'}${transaction.total} ${transaction.currency}。`;
+
+  try {
+    const response = await createMessage('buildingInteraction', {
+      system: '你是互动小说游戏的旁白。交易已经由系统完成，请用2-3句生动的中文描写交易过程，不要改变交易结果，不要输出任何标记或选项。',
+      messages: [{ role: 'user', content: `${fallback}玩家现在持有 ${transaction.balance} ${transaction.currency}。` }]
+    }, { context: { sessionId, mode: 'classic' }, use: 'shopNarration' });
+    return getMessageText(response).trim() || fallback;
+  } catch (error) {
+    console.error('[Shop] Narration failed:', error.message);
+    return fallback;
+  }
+}
@@ -0,0 +1,104 @@
+import { loadRules } from './rulesService.js';
+import { evaluate } from './rulesExpression.js';
+import { rollDie } from './diceService.js';
+import { parseStepLine, formatStepLine } from './stepFormat.js';
+
+/**
+ * Skill checks requested by the storyteller with a check step
+ * ({"type":"check","attribute":"力量","difficulty":"困难"}, or [CHECK: 属性, 难度] in legacy turns).
+ *
+ * The server rolls the check with the session's seeded dice against the player's stats and
+ * writes the outcome back into the story as a check_result step in the same format,
+ * so the model narrates a result it did not choose.
+ */
+
+function readCheckLine(line) {
+  const parsed = parseStepLine(line);
+  return parsed?.step?.type === 'check' ? parsed : null;
+}
+
+/**
+ * Difficulty class of a check: a number, or a name from the rules' difficulties
+ * (unknown names fall back to 普通, then 12)
+ */
+export function resolveDifficulty(difficulty, checkRules) {
+  const numeric = Number(difficulty);
+  if (String(difficulty).trim() !== '' && Number.isFinite(numeric)) return numeric;
+  const difficulties = checkRules.difficulties;
+  return difficulties[String(difficulty).trim()] ?? difficulties['普通'] ?? 12;
+}
+
+function findStat(stats, attribute) {
+  if (attribute in stats) return Number(stats[attribute]) || 0;
+  const key = Object.keys(stats).find(name => name.toLowerCase() === attribute.toLowerCase());
+  return key ? Number(stats[key]) || 0 : 0;
+}
+
+/**
+ * Roll one check for the player
+ * @returns {Promise<{ attribute, difficulty, roll, modifier, total, success, critical }>}
+ *   critical is 'success' or 'failure' when the die's highest face or 1 decided the check
+ */
+export async function resolveCheck(sessionId, status, { attribute, difficulty }, rules = loadRules(sessionId)) {
+  const checkRules = rules.checks;
+  const stats = status?.stats || {};
+  const value = findStat(stats, attribute);
+  const modifier = Math.floor(evaluate(checkRules.modifier, { ...(status?.currency || {}), ...stats, value }));
+  const dc = resolveDifficulty(difficulty, checkRules);
+
+  const [roll] = await rollDie(sessionId, checkRules.die);
+  const total = roll + modifier;
+  let critical = null;
+  if (checkRules.criticals && roll === checkRules.die) critical = 'success';
+  if (checkRules.criticals && roll === 1) critical = 'failure';
+  const success = critical ? critical === 'success' : total >= dc;
+
+  console.log(`🎲 Check ${attribute} DC${dc}: ${roll}${modifier >= 0 ? '+' : ''}${modifier} = ${total} → ${success ? 'success' : 'failure'}`);
+  return { attribute, difficulty: dc, roll, modifier, total, success, critical };
+}
+
+/**
+ * A result as a check_result step line, e.g. "[CHECK_RESULT: 力量, 12, 15, +2, 成功]"
+ * @param {string} [format='json'] - 'json' | 'markers', the format of the turn it goes into
+ */
+export function formatCheckResultLine(result, format = 'json') {
+  const { attribute, difficulty, roll, modifier, success } = result;
+  return formatStepLine({ type: 'check_result', attribute, difficulty, roll, modifier, success }, format);
+}
+
+/**
+ * Resolve every pending check line of a response, in order
+ * @returns {Promise<{ text: string, results: Array<Object> }>} text with the lines replaced by their results
+ */
+export async function resolvePendingChecks(sessionId, status, text) {
+  const rules = loadRules(sessionId);
+  const results = [];
+  const resolved = [];
+  for (const line of text.split('\n')) {
+    const check = readCheckLine(line);
+    if (!check) {
+      resolved.push(line);
+      continue;
+    }
+    const result = await resolveCheck(sessionId, status, check.step, rules);
+    results.push(result);
+    resolved.push(formatCheckResultLine(result, check.format));
+  }
+  return { text: resolved.join('\n'), results };
+}
+
+export function hasPendingChecks(text) {
+  return String(text || '').split('\n').some(line => readCheckLine(line));
+}
+
+/**
+ * Results as the note the storyteller gets before narrating them
+ */
+export function formatCheckResultsForPrompt(results) {
+  const lines = results.map(result => {
+    const critical = result.critical === 'success' ? '（大成功）' : result.critical === 'failure' ? '（大失败）' : '';
+    const modifier = result.modifier >= 0 ? `+${result.modifier}` : result.modifier;
+    return `- ${result.attribute}检定：难度 ${result.difficulty}，掷出 ${result.roll}${modifier} = ${result.total}，${result.success ? '成功' : '失败'}${critical}`;
+  });
+  return `【系统检定结果】\n${lines.join('\n')}\n\n请紧接上文，根据检定结果继续叙述这一回合（成功与失败要带来不同的后果），不要重复已经输出的内容，也不要再输出检定（check）步骤。`;
+}
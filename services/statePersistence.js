@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * Reading and writing the JSON state files of a session (status, history, missions, scenes, ...).
+ *
+ * - Writes are atomic: the JSON goes to a temp file next to the target, which is then renamed
+ *   over it, so a crash or a concurrent reader never sees half a file.
+ * - Every file has a version (a hash of its content). Data read with readJsonState remembers the
+ *   version it was read at; writing it back after someone else changed the file throws a
+ *   StateConflictError (409) instead of silently dropping their change. The check and the rename
+ *   run under a <file>.lock created with O_EXCL, so two processes cannot both pass the check.
+ *   Writes wait for the lock without blocking: the writes of this process queue up per file, and
+ *   the lock file is retried on a timer while another process holds it.
+ * - updateJsonState(filePath, update) applies a change to the current content of a file while
+ *   holding its lock. Work that has to wait (an LLM call, another file) is done first; update
+ *   itself should only change the data it is given.
+ */
+
+const LOCK_WAIT_MS = 2000;
+// A lock file older than this was left by a process that died while holding it
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 5;
+
+// Writes of this process to a file, in order: filePath -> promise of the last one
+const fileQueues = new Map();
+
+// Version of the file each object was read from (or last written to): object -> { filePath, version }
+const readVersions = new WeakMap();
+
+/**
+ * Thrown when a file changed since the data being written was read from it
+ */
+export class StateConflictError extends Error {
+  constructor(filePath, message = `${path.basename(filePath)} was changed by another action since it was read`) {
+    super(message);
+    this.name = 'StateConflictError';
+    this.status = 409;
+    this.filePath = filePath;
+  }
+}
+
+const hashContent = (text) => createHash('md5').update(text).digest('hex');
+
+/**
+ * Current version of a file (null when it does not exist)
+ */
+export function getStateVersion(filePath) {
+  return fs.existsSync(filePath) ? hashContent(fs.readFileSync(filePath, 'utf-8')) : null;
+}
+
+function isStaleLock(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create the file's lock file, retrying while another process holds it. After LOCK_WAIT_MS a
+ * StateConflictError is thrown.
+ */
+async function acquireLockFile(filePath) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      return await fs.promises.open(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      if (isStaleLock(lockPath)) {
+        console.warn(`⚠️ [State] Removing stale lock ${path.basename(lockPath)}`);
+        await fs.promises.rm(lockPath, { force: true });
+      } else if (Date.now() >= deadline) {
+        throw new StateConflictError(filePath, `${path.basename(filePath)} is being written by another action`);
+      } else {
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  }
+}
+
+/**
+ * Run fn while holding the file's lock. Writes of this process wait for the earlier ones to the
+ * same file, then for the lock file (the lock is only held for a version check and a rename).
+ */
+function withFileLock(filePath, fn) {
+  const previous = fileQueues.get(filePath) || Promise.resolve();
+  const run = previous.then(async () => {
+    const handle = await acquireLockFile(filePath);
+    try {
+      return await fn();
+    } finally {
+      await handle.close();
+      await fs.promises.rm(`${filePath}.lock`, { force: true });
+    }
+  });
+  const settled = run.catch(() => {});
+  fileQueues.set(filePath, settled);
+  settled.then(() => {
+    if (fileQueues.get(filePath) === settled) fileQueues.delete(filePath);
+  });
+  return run;
+}
+
+function remember(data, filePath, version) {
+  if (data && typeof data === 'object') {
+    readVersions.set(data, { filePath, version });
+  }
+}
+
+/**
+ * Let part of the data read from a file (e.g. a nested object a loader returns) carry the version
+ * the data was read at, so writing it back is checked too
+ */
+export function trackState(part, whole) {
+  const read = readVersions.get(whole);
+  if (read) {
+    remember(part, read.filePath, read.version);
+  }
+  return part;
+}
+
+/**
+ * Read a JSON state file. Returns fallback when the file does not exist (throws when no fallback is given).
+ */
+export function readJsonState(filePath, fallback = undefined) {
+  if (!fs.existsSync(filePath)) {
+    if (fallback === undefined) {
+      throw new Error(`State file not found: ${filePath}`);
+    }
+    remember(fallback, filePath, null);
+    return fallback;
+  }
+  const text = fs.readFileSync(filePath, 'utf-8');
+  const data = JSON.parse(text);
+  remember(data, filePath, hashContent(text));
+  return data;
+}
+
+/**
+ * Put text in place of a file (the caller holds the file's lock)
+ */
+async function replaceFile(filePath, text, check) {
+  const tempPath = `${filePath}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  try {
+    await fs.promises.writeFile(tempPath, text, 'utf-8');
+    check?.();
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON state file atomically.
+ * options.basedOn: the object read from the file that data was made from (default: data itself);
+ *   when the file changed since it was read, a StateConflictError is thrown
+ * options.force: write even then (e.g. to put back an earlier state)
+ */
+export async function writeJsonState(filePath, data, { basedOn = data, force = false } = {}) {
+  const read = readVersions.get(basedOn);
+  const text = JSON.stringify(data, null, 2);
+  await withFileLock(filePath, () => replaceFile(filePath, text, () => {
+    if (!force && read?.filePath === filePath && getStateVersion(filePath) !== read.version) {
+      throw new StateConflictError(filePath);
+    }
+  }));
+
+  const version = hashContent(text);
+  remember(data, filePath, version);
+  remember(basedOn, filePath, version);
+}
+
+/**
+ * Apply update(data) to the current content of a JSON state file and write the result (update may
+ * change data in place or return the new content). The file stays locked from the read to the write.
+ * @returns The content written
+ */
+export function updateJsonState(filePath, update, fallback = undefined) {
+  return withFileLock(filePath, async () => {
+    const data = readJsonState(filePath, structuredClone(fallback));
+    const updated = update(data) ?? data;
+    const text = JSON.stringify(updated, null, 2);
+    await replaceFile(filePath, text);
+    remember(updated, filePath, hashContent(text));
+    return updated;
+  });
+}
+
+export default {
+  readJsonState,
+  writeJsonState,
+  updateJsonState,
+  trackState,
+  getStateVersion,
+  StateConflictError
+};
@@ -2,20 +2,18 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import Anthropic from '@anthropic-ai/sdk';
 import { deepMerge } from './utils.js';
 import { loadGameData } from './gameInitializationService.js';
 import { parseNarrativeSteps } from './narrativeParser.js';
-import { syncNetworkToScenes } from './networkService.js';
+import { syncNetworkToScenes, applyNpcRelationChanges } from './networkService.js';
+import { applyReputationChanges } from './factionService.js';
+import { loadRules, applyRulesToSession, getItemRule, checkItemRequirements, loadItemDefinitions } from './rulesService.js';
+import { readJsonState, writeJsonState, trackState } from './statePersistence.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
-});
 const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
 
 function getPlayerFilePath(sessionId) {
@@ -30,7 +28,7 @@ function getPlayerFilePath(sessionId) {
   return path.join(sessionDir, `player_${sessionId}.json`);
 }
 
-export function initializeStatus(sessionId, fileId, initialLocation) {
+export async function initializeStatus(sessionId, fileId, initialLocation) {
   console.log('📦 Initializing player data for session:', sessionId);
 
   let templateData = null;
@@ -61,11 +59,12 @@ export function initializeStatus(sessionId, fileId, initialLocation) {
       ...templateData,
       // Add session-specific fields
       location: initialLocation,
-      unlockedScenes: [initialLocation]// Initialize with only the starting scene unlocked
+      unlockedScenes: [initialLocation],// Initialize with only the starting scene unlocked
+      visitedLocations: [initialLocation]
     }
   };
 
-  saveStatus(sessionId, playerData);
+  await saveStatus(sessionId, playerData);
   return playerData.data; // Return just the data portion for compatibility
 }
 
@@ -117,8 +116,7 @@ export function loadStatus(sessionId) {
 
   try {
     if (fs.existsSync(filePath)) {
-      const fileData = fs.readFileSync(filePath, 'utf-8');
-      const playerData = JSON.parse(fileData);
+      const playerData = readJsonState(filePath);
 
       // Clean up inventory structure on load
       if (playerData.data && playerData.data.inventory) {
@@ -138,7 +136,8 @@ export function loadStatus(sessionId) {
         delete playerData.data.character;
       }
 
-      return playerData.data; // Return just the data portion for compatibility
+      // Return just the data portion for compatibility (saving it back is checked against the file's version)
+      return trackState(playerData.data, playerData);
     }
   } catch (error) {
     console.error(`Error loading player data for session ${sessionId}:`, error);
@@ -146,7 +145,11 @@ export function loadStatus(sessionId) {
   return null;
 }
 
-export function saveStatus(sessionId, playerDataOrFullObject) {
+/**
+ * Save the player status. Throws a StateConflictError when the status was loaded before another
+ * action changed the file; options.force writes it anyway (e.g. to put back an earlier status).
+ */
+export async function saveStatus(sessionId, playerDataOrFullObject, { force = false } = {}) {
   const filePath = getPlayerFilePath(sessionId);
 
   // Handle both old format (just data) and new format (full object with metadata)
@@ -159,9 +162,7 @@ export function saveStatus(sessionId, playerDataOrFullObject) {
     };
   } else {
     // Old format: just the data, need to load existing or create new
-    const existing = fs.existsSync(filePath)
-      ? JSON.parse(fs.readFileSync(filePath, 'utf-8'))
-      : { sessionId, createdAt: new Date().toISOString() };
+    const existing = readJsonState(filePath, { sessionId, createdAt: new Date().toISOString() });
 
     fullObject = {
       ...existing,
@@ -175,11 +176,11 @@ export function saveStatus(sessionId, playerDataOrFullObject) {
     fullObject.data.inventory = cleanInventoryStructure(fullObject.data.inventory);
   }
 
-  fs.writeFileSync(filePath, JSON.stringify(fullObject, null, 2), 'utf-8');
+  await writeJsonState(filePath, fullObject, { basedOn: playerDataOrFullObject, force });
 }
 
 
-export function updateStatus(sessionId, updates) {
+export async function updateStatus(sessionId, updates) {
   const status = loadStatus(sessionId);
 
   if (!status) {
@@ -187,51 +188,249 @@ export function updateStatus(sessionId, updates) {
   }
 
   // Deep merge updates
-  const updatedStatus = deepMerge(status, updates);
-  saveStatus(sessionId, updatedStatus);
+  const updatedStatus = trackState(deepMerge(status, updates), status);
+  await saveStatus(sessionId, updatedStatus);
 
   return updatedStatus;
 }
 
 
-export function useItem(sessionId, itemIdOrName) {
-  const status = loadStatus(sessionId);
+/**
+ * A use/equip request the player cannot perform (unknown item, unmet requirement, wrong slot)
+ */
+export class ItemActionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ItemActionError';
+  }
+}
 
+function findInventoryItem(status, itemIdOrName) {
+  return (status.inventory?.items || []).find(item =>
+    item.id === itemIdOrName || item.name === itemIdOrName
+  );
+}
+
+function loadStatusOrThrow(sessionId) {
+  const status = loadStatus(sessionId);
   if (!status) {
     throw new Error('Player data not found for session');
   }
+  return status;
+}
 
-  // Find item by ID or name
-  const itemIndex = status.inventory.items.findIndex(item =>
-    item.id === itemIdOrName || item.name === itemIdOrName
-  );
+/**
+ * Use an inventory item: checks its requirements and applies its typed effects through the
+ * rules engine (heal/modify change stats, buffs change them until they expire, unlock_scene
+ * opens scenes), then consumes one unless the item is reusable.
+ * trigger_event effects are returned for the storyteller to narrate.
+ * @returns {Promise<{ status: Object, usedItem: Object, effects: Array<Object>, buffs: Array<Object>, events: string[], audit: Array<Object> }>}
+ */
+export async function useItem(sessionId, itemIdOrName) {
+  const status = loadStatusOrThrow(sessionId);
 
-  if (itemIndex === -1) {
-    throw new Error('Item not found in inventory');
+  const item = findInventoryItem(status, itemIdOrName);
+  if (!item) {
+    throw new ItemActionError('Item not found in inventory');
   }
 
-  const item = status.inventory.items[itemIndex];
+  const rule = getItemRule(loadRules(sessionId), item, loadItemDefinitions(sessionId));
+  const blockedReason = checkItemRequirements(status, rule);
+  if (blockedReason) {
+    throw new ItemActionError(`Cannot use ${item.name}: ${blockedReason}`);
+  }
 
-  // Decrease quantity or remove item
-  if (item.quantity && item.quantity > 1) {
-    item.quantity -= 1;
-  } else {
-    status.inventory.items.splice(itemIndex, 1);
+  const source = `item:${item.id || item.name}`;
+  const stats = {};
+  rule.effects
+    .filter(effect => effect.type === 'heal' || effect.type === 'modify')
+    .forEach(effect => { stats[effect.stat] = (stats[effect.stat] || 0) + effect.amount; });
+
+  let { status: updatedStatus, audit } = await applyRulesToSession(sessionId, status, {
+    stats,
+    unlocked_scenes: rule.effects.filter(effect => effect.type === 'unlock_scene').map(effect => effect.sceneId),
+    removed_items: rule.consumable ? [{ name: item.name, quantity: 1 }] : []
+  }, { source, reason: `used ${item.name}` });
+
+  // Buffs are applied one by one so each remembers the amount it actually added
+  const buffs = [];
+  for (const effect of rule.effects.filter(effect => effect.type === 'buff')) {
+    const result = await applyRulesToSession(sessionId, updatedStatus, {
+      stats: { [effect.stat]: effect.amount }
+    }, { source, reason: `${item.name}: ${effect.stat} buff for ${effect.duration} turns` });
+    updatedStatus = result.status;
+    audit = [...audit, ...result.audit];
+
+    const applied = result.audit.find(entry => entry.source === source && entry.target.endsWith(`.${effect.stat}`))?.applied || 0;
+    if (applied !== 0) {
+      const buff = {
+        id: `buff_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+        stat: effect.stat,
+        amount: applied,
+        remainingTurns: effect.duration,
+        source: item.name
+      };
+      updatedStatus.activeEffects = [...(updatedStatus.activeEffects || []), buff];
+      buffs.push(buff);
+    }
   }
 
-  saveStatus(sessionId, status);
+  await saveStatus(sessionId, updatedStatus);
 
   return {
-    status,
-    usedItem: item
+    status: updatedStatus,
+    usedItem: item,
+    effects: rule.effects,
+    buffs,
+    events: rule.effects.filter(effect => effect.type === 'trigger_event').map(effect => effect.event),
+    audit
   };
 }
 
+/**
+ * Count down active buffs by one story turn and revert the ones that run out
+ * @returns {Promise<Array<Object>>} Expired buffs
+ */
+export async function tickActiveEffects(sessionId) {
+  const status = loadStatus(sessionId);
+  if (!status?.activeEffects?.length) {
+    return [];
+  }
+
+  const expired = status.activeEffects.filter(effect => effect.remainingTurns <= 1);
+  let updatedStatus = trackState({
+    ...status,
+    activeEffects: status.activeEffects
+      .filter(effect => effect.remainingTurns > 1)
+      .map(effect => ({ ...effect, remainingTurns: effect.remainingTurns - 1 }))
+  }, status);
+
+  if (expired.length > 0) {
+    const stats = {};
+    expired.forEach(effect => { stats[effect.stat] = (stats[effect.stat] || 0) - effect.amount; });
+    ({ status: updatedStatus } = await applyRulesToSession(sessionId, updatedStatus, { stats }, {
+      source: 'buff:expired',
+      reason: `expired: ${expired.map(effect => `${effect.source} (${effect.stat})`).join(', ')}`,
+      capDeltas: false
+    }));
+    console.log(`⏳ Buffs expired: ${expired.map(effect => `${effect.source} ${effect.stat}`).join(', ')}`);
+  }
+
+  await saveStatus(sessionId, updatedStatus);
+  return expired;
+}
+
+/**
+ * Take the item out of a slot and revert the bonuses it gave
+ */
+async function clearSlot(sessionId, status, slot) {
+  const equipped = status.equipment?.[slot];
+  if (!equipped) {
+    return { status, audit: [] };
+  }
+
+  const stats = Object.fromEntries(Object.entries(equipped.bonuses || {}).map(([stat, amount]) => [stat, -amount]));
+  const result = await applyRulesToSession(sessionId, status, { stats }, {
+    source: `unequip:${equipped.itemId}`,
+    reason: `unequipped ${equipped.name} from ${slot}`,
+    capDeltas: false
+  });
+  const { [slot]: _removed, ...equipment } = result.status.equipment || {};
+  return { status: trackState({ ...result.status, equipment }, status), audit: result.audit };
+}
+
+/**
+ * Equip an inventory item into a slot (the first free slot it fits when none is given).
+ * Whatever occupied the slot is unequipped first; the item's stats apply while it stays equipped.
+ * @returns {Promise<{ status: Object, slot: string, item: Object, audit: Array<Object> }>}
+ */
+export async function equipItem(sessionId, itemIdOrName, slot = null) {
+  const status = loadStatusOrThrow(sessionId);
+
+  const item = findInventoryItem(status, itemIdOrName);
+  if (!item) {
+    throw new ItemActionError('Item not found in inventory');
+  }
+
+  const rule = getItemRule(loadRules(sessionId), item, loadItemDefinitions(sessionId));
+  if (!rule.equippable) {
+    throw new ItemActionError(`${item.name} cannot be equipped`);
+  }
+
+  const slots = rule.slots.length > 0 ? rule.slots : [item.type || 'misc'];
+  if (slot && !slots.includes(slot)) {
+    throw new ItemActionError(`${item.name} does not fit slot ${slot} (fits: ${slots.join(', ')})`);
+  }
+
+  const blockedReason = checkItemRequirements(status, rule);
+  if (blockedReason) {
+    throw new ItemActionError(`Cannot equip ${item.name}: ${blockedReason}`);
+  }
+
+  const equipment = status.equipment || {};
+  const targetSlot = slot || slots.find(name => !equipment[name]) || slots[0];
+  let audit = [];
+  let updatedStatus = status;
+
+  // Free the target slot and any slot the item already occupies
+  const slotsToClear = Object.keys(equipment).filter(name => name === targetSlot || equipment[name].itemId === item.id);
+  for (const name of slotsToClear) {
+    const result = await clearSlot(sessionId, updatedStatus, name);
+    updatedStatus = result.status;
+    audit = [...audit, ...result.audit];
+  }
+
+  const source = `equip:${item.id}`;
+  const result = await applyRulesToSession(sessionId, updatedStatus, { stats: rule.stats }, {
+    source,
+    reason: `equipped ${item.name} in ${targetSlot}`,
+    capDeltas: false
+  });
+  const bonuses = Object.fromEntries(
+    result.audit
+      .filter(entry => entry.source === source && entry.applied)
+      .map(entry => [entry.target.split('.').slice(1).join('.'), entry.applied])
+  );
+
+  updatedStatus = trackState({
+    ...result.status,
+    equipment: {
+      ...(result.status.equipment || {}),
+      [targetSlot]: { itemId: item.id, name: item.name, bonuses, equippedAt: new Date().toISOString() }
+    }
+  }, status);
+  audit = [...audit, ...result.audit];
+
+  await saveStatus(sessionId, updatedStatus);
+  return { status: updatedStatus, slot: targetSlot, item, audit };
+}
+
+/**
+ * Unequip by slot name or by item id/name
+ * @returns {Promise<{ status: Object, slot: string, item: Object, audit: Array<Object> }>}
+ */
+export async function unequipItem(sessionId, slotOrItem) {
+  const status = loadStatusOrThrow(sessionId);
+  const equipment = status.equipment || {};
+
+  const slot = equipment[slotOrItem]
+    ? slotOrItem
+    : Object.keys(equipment).find(name => equipment[name].itemId === slotOrItem || equipment[name].name === slotOrItem);
+  if (!slot) {
+    throw new ItemActionError(`Nothing equipped for ${slotOrItem}`);
+  }
+
+  const item = equipment[slot];
+  const { status: updatedStatus, audit } = await clearSlot(sessionId, status, slot);
+  await saveStatus(sessionId, updatedStatus);
+  return { status: updatedStatus, slot, item, audit };
+}
+
 /**
  * Extract explicit status changes from parsed narrative steps
- * Handles [CHANGE:], [UNLOCK_SCENE:], and implicit item/relationship mentions
+ * Handles stat, item, relationship, reputation and scene-unlock changes of hint steps
  */
-function extractExplicitChanges(responseText, narrativeSteps) {
+function extractExplicitChanges(narrativeSteps) {
   console.log('\n=== 🔍 Extracting explicit changes from narrative ===');
 
   const changes = {
@@ -239,7 +438,9 @@ function extractExplicitChanges(responseText, narrativeSteps) {
     stats_updates: {},
     new_items: [],
     removed_items: [],
-    unlocked_scenes: []
+    unlocked_scenes: [],
+    npc_relations: [],
+    reputation: {}
   };
 
   // Process each narrative step
@@ -277,6 +478,22 @@ function extractExplicitChanges(responseText, narrativeSteps) {
         });
       }
 
+      // Extract [CHANGE: RELATIONSHIP, NPC名字, NPC名字, delta] markers
+      if (step.npcRelationChanges && step.npcRelationChanges.length > 0) {
+        step.npcRelationChanges.forEach(relChange => {
+          changes.npc_relations.push(relChange);
+          console.log(`  ✓ Relation ${relChange.from} -> ${relChange.to}: ${relChange.delta > 0 ? '+' : ''}${relChange.delta}`);
+        });
+      }
+
+      // Extract [CHANGE: REPUTATION, 势力名, delta] markers
+      if (step.reputationChanges && step.reputationChanges.length > 0) {
+        step.reputationChanges.forEach(repChange => {
+          changes.reputation[repChange.faction] = (changes.reputation[repChange.faction] || 0) + repChange.delta;
+          console.log(`  ✓ Reputation ${repChange.faction}: ${repChange.delta > 0 ? '+' : ''}${repChange.delta}`);
+        });
+      }
+
       // Extract [CHANGE: 道具名称, 获得/丢失, 数量] markers
       if (step.itemChanges && step.itemChanges.length > 0) {
         step.itemChanges.forEach(itemChange => {
@@ -295,19 +512,16 @@ function extractExplicitChanges(responseText, narrativeSteps) {
           }
         });
       }
-    }
-  });
 
-  // Extract [UNLOCK_SCENE: scene_id] markers from hint text
-  const unlockPattern = /\[UNLOCK_SCENE:\s*([^\]]+)\]/g;
-  const unlockMatches = responseText.matchAll(unlockPattern);
-  for (const match of unlockMatches) {
-    const sceneId = match[1].trim();
-    if (!changes.unlocked_scenes.includes(sceneId)) {
-      changes.unlocked_scenes.push(sceneId);
-      console.log(`  ✓ Unlocked scene: ${sceneId}`);
+      // Extract [UNLOCK_SCENE: scene_id] / unlock_scene changes
+      (step.unlockedScenes || []).forEach(sceneId => {
+        if (!changes.unlocked_scenes.includes(sceneId)) {
+          changes.unlocked_scenes.push(sceneId);
+          console.log(`  ✓ Unlocked scene: ${sceneId}`);
+        }
+      });
     }
-  }
+  });
 
   console.log(`✅ Extracted ${Object.keys(changes.stats_updates).length} explicit stats changes`);
   console.log(`✅ Extracted ${changes.unlocked_scenes.length} scene unlocks`);
@@ -316,90 +530,41 @@ function extractExplicitChanges(responseText, narrativeSteps) {
 }
 
 /**
- * Use LLM to parse implicit changes not covered by explicit markers
- * This handles changes that are mentioned in narration/dialogue but not marked explicitly
+ * Applied relationship deltas of an audit trail ({ npcName: delta })
  */
-async function parseImplicitChanges(responseText, currentStatus, explicitChanges) {
-  console.log('\n=== 🔍 Parsing implicit changes with LLM ===');
-
-  // Extract stats for comparison
-  const currentStats = currentStatus.stats || {};
-  const currentInventory = currentStatus.inventory?.items || [];
-  const currentNetwork = currentStatus.network || {};
-  const currentCurrency = currentStatus.currency || {};
-
-  try {
-    const prompt = `You are a game state analyzer. The game already detected these EXPLICIT changes:
-- Stats: ${JSON.stringify(explicitChanges.stats_updates)}
-- Items: ${JSON.stringify(explicitChanges.new_items)}
-- Unlocked scenes: ${JSON.stringify(explicitChanges.unlocked_scenes)}
-
-Now find any ADDITIONAL implicit changes mentioned in the narrative that were NOT already detected.
-
-CURRENT STATE:
-Stats: ${JSON.stringify(currentStats, null, 2)}
-Inventory: ${currentInventory.map(i => i.name || i).join(', ')}
-Network: ${JSON.stringify(currentNetwork, null, 2)}
-Currency: ${JSON.stringify(currentCurrency, null, 2)}
-
-GAME RESPONSE:
-${responseText}
-
-LOOK FOR:
-1. Items mentioned as obtained/lost (获得, 失去, 拾取, 丢弃, etc.)
-2. Stats changes (health, attack, defense, intellect, reputation, etc.)
-3. Currency changes (gold)
-4. NPC relationship changes in the network
-5. DO NOT duplicate changes already in explicit list
-
-Return ONLY valid JSON (empty if no additional changes):
-{
-  "network": {},
-  "stats": {},
-  "currency": {},
-  "new_items": [],
-  "removed_items": []
-}`;
-
-    console.log('🤖 Calling LLM for implicit change detection...');
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: prompt }]
+function getRelationshipDeltas(audit) {
+  const deltas = {};
+  audit
+    .filter(entry => /^network\..+\.relationship$/.test(entry.target) && entry.applied)
+    .forEach(entry => {
+      const npcName = entry.target.slice('network.'.length, -'.relationship'.length);
+      deltas[npcName] = (deltas[npcName] || 0) + entry.applied;
     });
+  return deltas;
+}
 
-    const responseContent = message.content[0].text.trim();
-
-    // Try to extract JSON from response
-    let jsonText = responseContent;
-    const jsonMatch = responseContent.match(/```json\s*([\s\S]*?)\s*```/) ||
-                      responseContent.match(/```\s*([\s\S]*?)\s*```/) ||
-                      responseContent.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      jsonText = jsonMatch[0].replace(/```json|```/g, '').trim();
-    }
+/**
+ * Spread a relationship change made outside a story turn (e.g. NPC chat) to faction reputation
+ * and save the status
+ */
+export async function applyRelationshipToReputation(sessionId, npcName, delta, source) {
+  const status = loadStatus(sessionId);
+  if (!status || !delta) return status;
 
-    const parsedData = JSON.parse(jsonText);
-    console.log('✅ Implicit changes detected:', JSON.stringify(parsedData, null, 2));
-    return parsedData;
-  } catch (error) {
-    console.error('❌ Error parsing implicit changes:', error);
-    return {
-      network: {},
-      stats: {},
-      currency: {},
-      new_items: [],
-      removed_items: []
-    };
+  const result = await applyReputationChanges(sessionId, status, { relationships: { [npcName]: delta } }, { reason: `relationship with ${npcName} (${source})` });
+  if (result.audit.length > 0) {
+    await saveStatus(sessionId, result.status);
   }
+  return result.status;
 }
 
 /**
- * Apply parsed status updates from Claude response using two-phase detection:
- * 1. Extract explicit markers ([CHANGE:], [UNLOCK_SCENE:])
- * 2. Use LLM to detect implicit changes in narrative
+ * Apply status changes from a Claude response.
+ * Only the explicit changes of hint steps change the status; they are validated
+ * and applied by the rules engine (bounds, caps, derived stats, level-ups) with an audit trail.
+ * options.onAudit receives the audit entries of the changes (applied, adjusted or rejected).
  */
-export async function applyClaudeUpdates(sessionId, responseText) {
+export async function applyClaudeUpdates(sessionId, responseText, { onAudit = null } = {}) {
   console.log('\n=== 🎮 applyClaudeUpdates CALLED ===');
   console.log('Session ID:', sessionId);
 
@@ -416,159 +581,53 @@ export async function applyClaudeUpdates(sessionId, responseText) {
       return null;
     }
 
-    const updates = {};
-
-    // PHASE 1: Parse narrative structure and extract explicit changes
+    // Parse narrative structure and extract explicit changes
     const narrativeData = parseNarrativeSteps(responseText);
-    const explicitChanges = extractExplicitChanges(responseText, narrativeData.steps);
-
-    // PHASE 2: Use LLM to detect implicit changes not covered by explicit markers
-    const implicitChanges = await parseImplicitChanges(responseText, currentStatus, explicitChanges);
-
-    // Merge explicit and implicit changes
-    const changes = {
-      network: { ...explicitChanges.network, ...(implicitChanges.network || {}) },
-      stats: { ...explicitChanges.stats_updates, ...(implicitChanges.stats || {}) },
-      currency: { ...(implicitChanges.currency || {}) },
-      new_items: [...explicitChanges.new_items, ...(implicitChanges.new_items || [])],
-      removed_items: [...explicitChanges.removed_items, ...(implicitChanges.removed_items || [])],
+    const explicitChanges = extractExplicitChanges(narrativeData.steps);
+
+    const ruled = await applyRulesToSession(sessionId, currentStatus, {
+      stats: explicitChanges.stats_updates,
+      network: explicitChanges.network,
+      new_items: explicitChanges.new_items,
+      removed_items: explicitChanges.removed_items,
       unlocked_scenes: explicitChanges.unlocked_scenes
-    };
+    }, { source: 'narrative' });
 
-    console.log('🔄 Total changes detected:', JSON.stringify(changes, null, 2));
-
-    // Apply changes to network (includes relationship data)
-    if (changes.network && Object.keys(changes.network).length > 0) {
-      const currentNetwork = currentStatus.network || {};
-      // Deep merge network data to preserve existing relationship values
-      const mergedNetwork = { ...currentNetwork };
-      for (const [npcName, npcData] of Object.entries(changes.network)) {
-        if (mergedNetwork[npcName]) {
-          // Merge with existing - add relationship deltas
-          mergedNetwork[npcName] = {
-            ...mergedNetwork[npcName],
-            relationship: (mergedNetwork[npcName].relationship || 0) + (npcData.relationship || 0)
-          };
-        } else {
-          mergedNetwork[npcName] = npcData;
-        }
-      }
-      updates.network = mergedNetwork;
-    }
+    // Faction reputation follows the relationship changes that were actually applied
+    const factionResult = await applyReputationChanges(sessionId, ruled.status, {
+      relationships: getRelationshipDeltas(ruled.audit),
+      reputation: explicitChanges.reputation
+    });
+    const updatedStatus = factionResult.status;
+    const audit = [...ruled.audit, ...factionResult.audit];
+    onAudit?.(audit);
 
-    // Apply stats updates
-    if (changes.stats && Object.keys(changes.stats).length > 0) {
-      console.log('🔄 Applying stats updates...');
-      updates.stats = {
-        ...(currentStatus.stats || {}),
-        ...changes.stats
-      };
-      console.log('✅ Stats updated:', updates.stats);
-    }
+    // NPC-to-NPC relations live in the scene data, not in the player status
+    await applyNpcRelationChanges(sessionId, explicitChanges.npc_relations, 'narrative');
 
-    // Apply currency updates (hot update support)
-    if (changes.currency && Object.keys(changes.currency).length > 0) {
-      console.log('🔄 Applying currency updates...');
-      updates.currency = {
-        ...(currentStatus.currency || {}),
-        ...changes.currency
-      };
-      console.log('✅ Currency updated:', updates.currency);
+    if (audit.length === 0) {
+      console.log('⚠️ No updates to apply');
+      return currentStatus;
     }
 
-    // Handle inventory changes (both new and removed items)
-    const hasNewItems = changes.new_items && Array.isArray(changes.new_items) && changes.new_items.length > 0;
-    const hasRemovedItems = changes.removed_items && Array.isArray(changes.removed_items) && changes.removed_items.length > 0;
-
-    if (hasNewItems || hasRemovedItems) {
-      const currentInventory = currentStatus.inventory?.items || [];
-      const inventoryMap = new Map();
-
-      // Build map of current inventory
-      currentInventory.forEach(item => {
-        const key = item.name || item;
-        inventoryMap.set(key, item);
-      });
-
-      // Add new items
-      if (hasNewItems) {
-        changes.new_items.forEach(newItem => {
-          const itemName = typeof newItem === 'string' ? newItem : (newItem.name || newItem);
-          const existing = inventoryMap.get(itemName);
-
-          if (existing) {
-            // Item exists - update quantity
-            const addQuantity = typeof newItem === 'object' ? (newItem.quantity || 1) : 1;
-            existing.quantity = (existing.quantity || 1) + addQuantity;
-          } else {
-            // Add new item - only spread if newItem is an object, not a string
-            const itemData = typeof newItem === 'object' ? newItem : {};
-            inventoryMap.set(itemName, {
-              id: `item_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-              name: itemName,
-              description: itemData.description || `${itemName} - 从游戏中获得`,
-              quantity: itemData.quantity || 1,
-              value: itemData.value || 0,
-              addedAt: new Date().toISOString()
-            });
-          }
-        });
-      }
-
-      // Remove items or decrease quantity
-      if (hasRemovedItems) {
-        changes.removed_items.forEach(removedItem => {
-          const itemName = typeof removedItem === 'string' ? removedItem : (removedItem.name || removedItem);
-          const quantityToRemove = typeof removedItem === 'object' ? (removedItem.quantity || 1) : 1;
-          const existing = inventoryMap.get(itemName);
-
-          if (existing) {
-            const currentQuantity = existing.quantity || 1;
-            if (currentQuantity > quantityToRemove) {
-              // Decrease quantity
-              existing.quantity = currentQuantity - quantityToRemove;
-            } else {
-              // Remove item completely
-              inventoryMap.delete(itemName);
-            }
-          }
-        });
-      }
-
-      // Clean structure - only keep the items array, remove numeric keys
-      updates.inventory = {
-        items: Array.from(inventoryMap.values())
-      };
-    }
+    audit.forEach(entry => {
+      const icon = entry.status === 'applied' ? '✓' : entry.status === 'adjusted' ? '~' : '✗';
+      console.log(`  ${icon} [${entry.source}] ${entry.target}: ${entry.before ?? '-'} -> ${entry.after ?? '-'}${entry.reason ? ` (${entry.reason})` : ''}`);
+    });
 
-    // Handle unlocked scenes
-    if (changes.unlocked_scenes && Array.isArray(changes.unlocked_scenes) && changes.unlocked_scenes.length > 0) {
-      const currentUnlockedScenes = currentStatus.unlockedScenes || [];
-      const newlyUnlockedScenes = changes.unlocked_scenes.filter(
-        sceneId => !currentUnlockedScenes.includes(sceneId)
-      );
+    await saveStatus(sessionId, updatedStatus);
 
-      if (newlyUnlockedScenes.length > 0) {
-        updates.unlockedScenes = [...currentUnlockedScenes, ...newlyUnlockedScenes];
-        console.log(`🗺️ Unlocked new scenes: ${newlyUnlockedScenes.join(', ')}`);
-      }
+    // Sync network relationships to scene data
+    if (Object.keys(explicitChanges.network).length > 0) {
+      await syncNetworkToScenes(sessionId, updatedStatus.network);
     }
 
-    if (Object.keys(updates).length > 0) {
-      console.log('✅ Applying updates to player data');
-      const updatedStatus = updateStatus(sessionId, updates);
-
-      // Sync network relationships to scene data
-      if (updates.network) {
-        syncNetworkToScenes(sessionId, updatedStatus.network);
-      }
-
-      console.log('✅ Player data updated successfully');
-      return updatedStatus;
+    if (explicitChanges.unlocked_scenes.length > 0) {
+      console.log(`🗺️ Unlocked scenes: ${explicitChanges.unlocked_scenes.join(', ')}`);
     }
 
-    console.log('⚠️ No updates to apply');
-    return currentStatus;
+    console.log('✅ Player data updated successfully');
+    return updatedStatus;
   } catch (error) {
     console.error('❌ Error applying Claude updates:', error);
     console.error('Error stack:', error.stack);
@@ -576,4 +635,3 @@ export async function applyClaudeUpdates(sessionId, responseText) {
     return loadStatus(sessionId);
   }
 }
-
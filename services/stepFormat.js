@@ -0,0 +1,477 @@
+import { z } from 'zod';
+import { storyStepSchema, MODE_STEP_TYPES, STEP_FORMAT_VERSION } from './schemas/stepSchemas.js';
+import { formatIssues } from './llm/structuredOutput.js';
+import { getMessageText, getToolCalls } from './llm/index.js';
+
+/**
+ * The one reader for game-master turns, used by the classic, visual and world modes.
+ *
+ * The model writes a turn as tool calls, one per step (step format v2, see
+ * schemas/stepSchemas.js): the tool is named after the step type and its input is the rest of
+ * the step. Tool input streams in as it is written, so a step is complete when its call is.
+ * The turn is kept in histories as one JSON step per line (formatToolTurn).
+ *
+ * Those lines, and turns written before v2 with bracket markers ([NARRATION: ...],
+ * [CHANGE: ...], [CHOICE: ...] ... [END_CHOICE]), are read by the line reader, so stored
+ * histories, saves and replay logs keep working (it also reads a provider that answers in
+ * text). All of them are read into the same step objects; each mode then shapes them for its client.
+ *
+ * Steps that do not validate are reported in `errors` instead of being turned into narration.
+ * Plain text in a stored turn is still read as narration, as the bracket-format parsers did:
+ * classic mode makes each line a step, visual and world modes add it to the step before it.
+ */
+
+export { STEP_FORMAT_VERSION };
+
+// Modes that add plain text lines to the open step before them, or start a narration step with
+// them when there is none (classic reads every plain line as a step of its own)
+const APPEND_PLAIN_TEXT = new Set(['visual', 'world']);
+
+const MARKER = (name, body = '(.+?)') => new RegExp(`^\\[${name}:\\s*${body}\\s*\\]?$`);
+const LEGACY = {
+  mission: /^\[MISSION:\s*(true|false)\s*\]?$/i,
+  narration: MARKER('NARRATION'),
+  dialogue: MARKER('DIALOGUE', '([^,，]+?)\\s*[,，]\\s*["“](.*)["”]'),
+  dialogueUnquoted: MARKER('DIALOGUE', '([^,，]+?)\\s*[,，]\\s*(.+?)'),
+  check: MARKER('CHECK', '([^,，]+?)\\s*[,，]\\s*([^,，\\]]+?)'),
+  checkResult: MARKER('CHECK_RESULT', '([^,，]+?)\\s*[,，]\\s*(-?\\d+)\\s*[,，]\\s*(\\d+)\\s*[,，]\\s*([+-]?\\d+)\\s*[,，]\\s*(成功|失败)'),
+  combat: MARKER('COMBAT'),
+  hint: MARKER('HINT', '(.*?)'),
+  change: MARKER('CHANGE'),
+  unlockScene: MARKER('UNLOCK_SCENE'),
+  sceneChange: MARKER('SCENE_CHANGE'),
+  transition: MARKER('TRANSITION'),
+  keyEvent: MARKER('KEY_EVENT'),
+  choice: MARKER('CHOICE'),
+  option: MARKER('OPTION'),
+  endChoice: /^\[END_CHOICE\]$/
+};
+const UNKNOWN_MARKER = /^\[[A-Z_]+(:|\])/;
+
+// What each step tool is for (the tool input schemas come from the step schemas)
+const STEP_TOOL_DESCRIPTIONS = {
+  narration: '旁白叙述：场景描述、环境变化、事件发展',
+  dialogue: '角色对话：speaker 说出的一句台词',
+  hint: '提示，以及它带来的状态变化（属性、道具、关系、声望、解锁场景）',
+  choice: '给玩家的行动选项，放在回合最后',
+  check: '技能检定：结果不确定的行动交给系统掷骰，调用后结束本回合',
+  check_result: '检定结果（由系统写入）',
+  combat: '进入战斗，列出参战的敌人，调用后结束本回合',
+  mission: '请求系统在本回合后生成一个剧情任务（不需要参数）',
+  scene_change: '切换到另一个场景（scene 为场景 ID）',
+  transition: '场景之间的过渡叙述',
+  key_event: '达成关键事件'
+};
+const NATURAL_DIALOGUE = /^([^:：]+)[：:]?"(.+?)"$/;
+const INTEGER = /^[+-]?\d+$/;
+
+/**
+ * A legacy [CHANGE: ...] marker as a hint change, or null when it fits none of the forms.
+ * Item changes are matched before stat changes: "光焰剑, 获得, 1" fits both.
+ */
+function readLegacyChange(body) {
+  const parts = body.split(/\s*[,，]\s*/).map(part => part.trim());
+  const [first, second, third, fourth] = parts;
+  if (first === 'REPUTATION' && parts.length === 3 && INTEGER.test(third)) {
+    return { kind: 'reputation', faction: second, delta: parseInt(third) };
+  }
+  if (first === 'RELATIONSHIP' && parts.length === 3 && INTEGER.test(third)) {
+    return { kind: 'relationship', npc: second, delta: parseInt(third) };
+  }
+  if (first === 'RELATIONSHIP' && parts.length === 4 && INTEGER.test(fourth)) {
+    return { kind: 'npc_relation', from: second, to: third, delta: parseInt(fourth) };
+  }
+  if (parts.length === 3 && (second === '获得' || second === '丢失') && /^\d+$/.test(third)) {
+    return { kind: 'item', item: first, action: second, quantity: parseInt(third) };
+  }
+  if (parts.length === 3 && INTEGER.test(third)) {
+    return { kind: 'stat', target: first, attribute: second, delta: parseInt(third) };
+  }
+  return null;
+}
+
+/**
+ * A single-line legacy marker as a step (null when the line is not one)
+ */
+function readLegacyStep(line) {
+  let match;
+  if ((match = line.match(LEGACY.narration))) return { type: 'narration', text: match[1] };
+  if ((match = line.match(LEGACY.dialogue) || line.match(LEGACY.dialogueUnquoted))) {
+    return { type: 'dialogue', speaker: match[1], text: match[2] };
+  }
+  if ((match = line.match(LEGACY.checkResult))) {
+    return {
+      type: 'check_result',
+      attribute: match[1],
+      difficulty: parseInt(match[2]),
+      roll: parseInt(match[3]),
+      modifier: parseInt(match[4]),
+      success: match[5] === '成功'
+    };
+  }
+  if ((match = line.match(LEGACY.check))) return { type: 'check', attribute: match[1], difficulty: match[2] };
+  if ((match = line.match(LEGACY.combat))) {
+    return { type: 'combat', enemies: match[1].split(/[,，]/).map(name => name.trim()).filter(Boolean) };
+  }
+  if ((match = line.match(LEGACY.sceneChange))) return { type: 'scene_change', scene: match[1] };
+  if ((match = line.match(LEGACY.transition))) return { type: 'transition', text: match[1] };
+  if ((match = line.match(LEGACY.keyEvent))) return { type: 'key_event', title: match[1] };
+  return null;
+}
+
+/**
+ * Whether a line starts a step of its own. Other bracketed lines (unknown markers, a
+ * change outside a hint) do not end the step before them.
+ */
+function startsStep(line) {
+  if (line.startsWith('{')) return true;
+  if (!line.startsWith('[')) return false;
+  return LEGACY.mission.test(line) || LEGACY.hint.test(line) || LEGACY.choice.test(line) || readLegacyStep(line) !== null;
+}
+
+function validateStep(data) {
+  const result = storyStepSchema.safeParse(data);
+  if (result.success) return { step: result.data };
+  return { error: formatIssues(result.error).map(issue => `${issue.path}: ${issue.message}`).join('; ') };
+}
+
+/**
+ * One line that holds a whole step, in either format
+ * @returns {{ step: Object, format: 'json' | 'markers' } | { error: string, format } | null}
+ *   null when the line is not a step on its own (plain text, choice/hint parts, ...)
+ */
+export function parseStepLine(line) {
+  const trimmed = String(line || '').trim();
+  if (trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}`, format: 'json' };
+    }
+    if (data?.v > STEP_FORMAT_VERSION) {
+      return { error: `Unsupported step format version ${data.v}`, format: 'json' };
+    }
+    return { ...validateStep(data), format: 'json' };
+  }
+  const legacy = trimmed.startsWith('[') ? readLegacyStep(trimmed) : null;
+  return legacy ? { ...validateStep(legacy), format: 'markers' } : null;
+}
+
+/**
+ * Write a step as a line in the given format (the server writes check results and
+ * fallback narration into turns the model wrote in either format)
+ */
+export function formatStepLine(step, format = 'json') {
+  if (format === 'json') return JSON.stringify(step);
+  switch (step.type) {
+    case 'narration':
+      return `[NARRATION: ${step.text}]`;
+    case 'dialogue':
+      return `[DIALOGUE: ${step.speaker}, "${step.text}"]`;
+    case 'check':
+      return `[CHECK: ${step.attribute}, ${step.difficulty}]`;
+    case 'check_result': {
+      const modifier = step.modifier >= 0 ? `+${step.modifier}` : String(step.modifier);
+      return `[CHECK_RESULT: ${step.attribute}, ${step.difficulty}, ${step.roll}, ${modifier}, ${step.success ? '成功' : '失败'}]`;
+    }
+    default:
+      throw new Error(`No marker form for ${step.type} steps`);
+  }
+}
+
+/**
+ * Tools and tool_choice for a game-master request in the given mode: one tool per step type the
+ * mode uses, and every answer is made of step calls
+ */
+export function getStepToolParams(mode = 'classic') {
+  if (!MODE_STEP_TYPES[mode]) throw new Error(`Unknown game mode: ${mode}`);
+  const tools = storyStepSchema.options
+    .map(schema => ({ schema, type: schema.shape.type.value }))
+    .filter(({ type }) => MODE_STEP_TYPES[mode].includes(type) && type !== 'check_result')
+    .map(({ schema, type }) => {
+      const { $schema, ...inputSchema } = z.toJSONSchema(schema.omit({ type: true, v: true }), { io: 'input', unrepresentable: 'any' });
+      return { name: type, description: STEP_TOOL_DESCRIPTIONS[type], input_schema: inputSchema };
+    });
+  return { tools, tool_choice: { type: 'any' } };
+}
+
+/**
+ * A tool call as the step it writes (before validation)
+ */
+function toolCallStep(call) {
+  // The tool name is the step type, whatever the input says
+  const { type: _type, ...input } = call.input;
+  return { type: call.name, ...input };
+}
+
+/**
+ * A turn written with step tool calls as the lines it is kept as in histories
+ */
+export function formatToolTurn(toolCalls) {
+  return toolCalls
+    .filter(call => call.input)
+    .map(call => formatStepLine(toolCallStep(call)))
+    .join('\n');
+}
+
+/**
+ * The turn of a non-streamed answer, for parseSteps: its step tool calls, or its text when it has none
+ */
+export function getMessageTurn(message) {
+  const toolCalls = getToolCalls(message);
+  return toolCalls.length > 0 ? toolCalls : getMessageText(message);
+}
+
+/**
+ * Reads a turn step call by step call, or line by line. Steps are complete once their line is (a legacy hint or choice,
+ * or a legacy step in an append mode, once the line after it shows it has ended).
+ */
+class StepReader {
+  constructor(mode = 'classic') {
+    if (!MODE_STEP_TYPES[mode]) throw new Error(`Unknown game mode: ${mode}`);
+    this.mode = mode;
+    this.allowed = new Set(MODE_STEP_TYPES[mode]);
+    this.steps = [];
+    this.errors = [];
+    this.lineNumber = 0;
+    this.shouldGenerateMission = false;
+    this.sawJson = false;
+    this.open = null; // { step, kind: 'hint' | 'choice' | 'text' } still taking lines
+  }
+
+  error(line, message) {
+    this.errors.push({ line: this.lineNumber, text: line.slice(0, 200), message });
+  }
+
+  // A step tool call (its number in the turn is reported as the line)
+  readToolCall(call) {
+    this.lineNumber++;
+    this.sawJson = true;
+    this.close();
+    const line = JSON.stringify({ tool: call.name, input: call.input });
+    if (!call.input) {
+      this.error(line, call.error || 'Invalid tool input');
+      return;
+    }
+    const result = validateStep(toolCallStep(call));
+    if (result.error) this.error(line, result.error);
+    else this.emit(result.step, line);
+  }
+
+  emit(step, line) {
+    if (step.type === 'mission') {
+      this.shouldGenerateMission = true;
+    } else if (!this.allowed.has(step.type)) {
+      this.error(line, `${step.type} steps are not used in ${this.mode} mode`);
+    } else {
+      this.steps.push(step);
+    }
+  }
+
+  close() {
+    if (!this.open) return;
+    const { step, kind, line } = this.open;
+    this.open = null;
+    if (kind === 'choice' && step.options.length === 0) return;
+    const result = validateStep(step);
+    if (result.error) {
+      this.error(line, result.error);
+    } else {
+      this.emit(result.step, line);
+    }
+  }
+
+  readLine(rawLine) {
+    this.lineNumber++;
+    const line = rawLine.trim();
+    if (!line || line.startsWith('```')) return;
+
+    // Parts of an open legacy hint or choice
+    if (this.open?.kind === 'hint') {
+      const change = line.match(LEGACY.change);
+      const unlock = line.match(LEGACY.unlockScene);
+      if (change) {
+        const parsed = readLegacyChange(change[1]);
+        if (parsed) this.open.step.changes.push(parsed);
+        else this.error(line, 'Unknown change');
+        return;
+      }
+      if (unlock) {
+        this.open.step.changes.push({ kind: 'unlock_scene', scene: unlock[1] });
+        return;
+      }
+    }
+    if (this.open?.kind === 'choice') {
+      const option = line.match(LEGACY.option);
+      if (option) {
+        this.open.step.options.push(option[1]);
+        return;
+      }
+      if (LEGACY.endChoice.test(line)) {
+        this.close();
+        return;
+      }
+      if (!startsStep(line) && !UNKNOWN_MARKER.test(line)) {
+        this.open.step.text += (this.open.step.text ? ' ' : '') + line;
+        return;
+      }
+    }
+    if (this.open?.kind === 'text' && !line.startsWith('[') && !line.startsWith('{')) {
+      this.open.step.text += ` ${line}`;
+      return;
+    }
+    if (line.startsWith('[') && !startsStep(line)) {
+      const isChange = LEGACY.change.test(line) || LEGACY.unlockScene.test(line);
+      this.error(line, isChange ? 'Change outside a hint' : 'Unknown marker');
+      return;
+    }
+    this.close();
+
+    if (line.startsWith('{')) {
+      this.sawJson = true;
+      const result = parseStepLine(line);
+      if (result.error) this.error(line, result.error);
+      else this.emit(result.step, line);
+      return;
+    }
+
+    if (line.startsWith('[')) {
+      let match;
+      if ((match = line.match(LEGACY.mission))) {
+        this.shouldGenerateMission = match[1].toLowerCase() === 'true';
+        return;
+      }
+      if ((match = line.match(LEGACY.hint))) {
+        this.open = { kind: 'hint', line, step: { type: 'hint', text: match[1], changes: [] } };
+        return;
+      }
+      if ((match = line.match(LEGACY.choice))) {
+        this.open = { kind: 'choice', line, step: { type: 'choice', title: match[1], text: '', options: [] } };
+        return;
+      }
+      const result = parseStepLine(line);
+      if (result.error) {
+        this.error(line, result.error);
+      } else if (APPEND_PLAIN_TEXT.has(this.mode) && ['narration', 'dialogue', 'transition'].includes(result.step.type)) {
+        this.open = { kind: 'text', line, step: result.step };
+      } else {
+        this.emit(result.step, line);
+      }
+      return;
+    }
+
+    // Plain text outside any step
+    if (APPEND_PLAIN_TEXT.has(this.mode)) {
+      this.open = { kind: 'text', line, step: { type: 'narration', text: line } };
+      return;
+    }
+    const dialogue = line.match(NATURAL_DIALOGUE);
+    this.emit(dialogue
+      ? { type: 'dialogue', speaker: dialogue[1].trim(), text: dialogue[2].trim() }
+      : { type: 'narration', text: line }, line);
+  }
+
+  end() {
+    this.close();
+    if (this.errors.length > 0) {
+      const [first] = this.errors;
+      console.warn(`⚠️ [Steps] ${this.errors.length} line(s) skipped in a ${this.mode} turn, first at line ${first.line} (${first.message}): ${first.text.slice(0, 120)}`);
+    }
+  }
+
+  result() {
+    return {
+      steps: this.steps,
+      totalSteps: this.steps.length,
+      shouldGenerateMission: this.shouldGenerateMission,
+      version: this.sawJson ? STEP_FORMAT_VERSION : 1,
+      errors: this.errors
+    };
+  }
+}
+
+/**
+ * Read a whole turn
+ * @param {string|Array<Object>} turn - The model's step tool calls ([{ name, input }]), or a turn as
+ *   text (a stored turn, a legacy one or the answer of a provider without tools)
+ * @param {string} [mode='classic'] - 'classic' | 'visual' | 'world'
+ * @returns {{ steps, totalSteps, shouldGenerateMission, version, errors }}
+ */
+export function parseSteps(turn, mode = 'classic') {
+  const reader = new StepReader(mode);
+  if (Array.isArray(turn)) {
+    turn.forEach(call => reader.readToolCall(call));
+  } else {
+    for (const line of String(turn || '').split('\n')) {
+      reader.readLine(line);
+    }
+  }
+  reader.end();
+  return reader.result();
+}
+
+/**
+ * Read a turn while it streams in. onStep(step, index, final) is awaited for every step as soon
+ * as it is complete (final: it was completed by end()): pushToolCall takes each step tool call
+ * once streamMessage reports it complete, push takes text when the answer is text. end() reads the
+ * last line and returns what parseSteps would.
+ * @returns {{ push: (text: string) => Promise<void>, pushToolCall: (call: Object) => Promise<void>, end: () => Promise<Object> }}
+ */
+export function createStepStream(mode, onStep) {
+  const reader = new StepReader(mode);
+  let buffer = '';
+  let sent = 0;
+
+  async function flush(final) {
+    while (sent < reader.steps.length) {
+      const index = sent++;
+      await onStep(reader.steps[index], index, final);
+    }
+  }
+
+  return {
+    async push(text) {
+      buffer += text;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        reader.readLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+      await flush(false);
+    },
+    async pushToolCall(call) {
+      reader.readToolCall(call);
+      await flush(false);
+    },
+    async end() {
+      if (buffer) reader.readLine(buffer);
+      buffer = '';
+      reader.end();
+      await flush(true);
+      return reader.result();
+    }
+  };
+}
+
+/**
+ * The output rules every game-master prompt shares
+ */
+export function describeStepFormat() {
+  return `**输出格式（步骤格式 v${STEP_FORMAT_VERSION}）**
+- 每个步骤调用一次与步骤 type 同名的工具，参数是步骤中除 type 以外的字段；下文用 JSON 对象写出的步骤，例如 {"type":"narration","text":"……"}，就是调用 narration 工具、参数为 {"text":"……"}
+- 按剧情发生的先后顺序依次调用，一次回复中调用完本回合的所有步骤
+- 不要在工具调用之外输出任何文字`;
+}
+
+export default {
+  STEP_FORMAT_VERSION,
+  parseSteps,
+  parseStepLine,
+  formatStepLine,
+  formatToolTurn,
+  getMessageTurn,
+  getStepToolParams,
+  createStepStream,
+  describeStepFormat
+};
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createStructuredMessage } from './llm/structuredOutput.js';
+import { storyLedgerSchema } from './schemas/storyLedgerSchemas.js';
+import { readJsonState, writeJsonState, trackState } from './statePersistence.js';
+
+dotenv.config();
+
+/**
+ * Rolling "story so far" memory shared by the classic, visual and world-interaction modes.
+ * The newest STORY_RECENT_MESSAGES messages are sent to the model verbatim; older ones are
+ * folded into a ledger (summary, key decisions, met NPCs, open threads) in batches of
+ * STORY_SUMMARY_BATCH so long sessions keep their early plot without growing the prompt.
+ */
+
+const RECENT_MESSAGES = Number(process.env.STORY_RECENT_MESSAGES || 20);
+const SUMMARY_BATCH = Number(process.env.STORY_SUMMARY_BATCH || 10);
+
+// Upper bounds for a single summarization call and for each ledger list
+const MAX_MESSAGES_PER_UPDATE = 60;
+const MAX_MESSAGE_CHARS = 1500;
+const MAX_DECISIONS = 20;
+const MAX_NPCS = 30;
+const MAX_THREADS = 15;
+
+export function createEmptyLedger() {
+  return {
+    summary: '',
+    keyDecisions: [],
+    metNPCs: [],
+    openThreads: [],
+    summarizedCount: 0,
+    updatedAt: null
+  };
+}
+
+export function loadStoryLedger(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = readJsonState(filePath);
+      return trackState({ ...createEmptyLedger(), ...saved }, saved);
+    }
+  } catch (error) {
+    console.error(`[Story Ledger] Failed to read ${filePath}:`, error.message);
+  }
+  return createEmptyLedger();
+}
+
+/**
+ * Write a ledger; basedOn is the ledger it was updated from (a StateConflictError is thrown when
+ * the file changed since that one was loaded)
+ */
+export async function saveStoryLedger(filePath, ledger, basedOn = ledger) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  await writeJsonState(filePath, ledger, { basedOn });
+}
+
+/**
+ * A ledger that covers more messages than the history holds (history was
+ * truncated by an edit or regenerate) no longer matches the story
+ */
+function isStale(ledger, messages) {
+  return !ledger || ledger.summarizedCount > messages.length;
+}
+
+/**
+ * Map classic history entries ({ type: 'player' | 'game', message }) to chat messages
+ */
+export function historyToMessages(history = []) {
+  return history
+    .filter(entry => entry.type === 'player' || entry.type === 'game')
+    .map(entry => ({
+      role: entry.type === 'player' ? 'user' : 'assistant',
+      content: entry.message
+    }));
+}
+
+/**
+ * Messages not yet covered by the ledger, shaped for the chat API:
+ * starts with a user turn and never repeats a role twice in a row
+ */
+export function getRecentMessages(ledger, messages = []) {
+  const start = isStale(ledger, messages)
+    ? Math.max(0, messages.length - RECENT_MESSAGES)
+    : ledger.summarizedCount;
+
+  const result = [];
+  for (const message of messages.slice(start)) {
+    if (!message?.content) continue;
+    const last = result[result.length - 1];
+    if (last && last.role === message.role) {
+      last.content = `${last.content}\n\n${message.content}`;
+    } else {
+      if (result.length === 0 && message.role !== 'user') {
+        result.push({ role: 'user', content: '（继续之前的剧情）' });
+      }
+      result.push({ role: message.role, content: message.content });
+    }
+  }
+  return result;
+}
+
+/**
+ * Ledger as a system prompt section ('' while nothing has been summarized)
+ */
+export function formatStoryLedger(ledger) {
+  if (!ledger || (!ledger.summary && ledger.keyDecisions.length === 0 && ledger.openThreads.length === 0)) {
+    return '';
+  }
+
+  let section = `## 故事梗概 (Story So Far)
+
+以下是较早剧情的摘要，请保持与其一致，不要与之矛盾：
+
+${ledger.summary || '（暂无）'}`;
+
+  if (ledger.keyDecisions.length > 0) {
+    section += `\n\n### 玩家的关键决定\n${ledger.keyDecisions.map(d => `- ${d}`).join('\n')}`;
+  }
+  if (ledger.metNPCs.length > 0) {
+    section += `\n\n### 已结识的角色\n${ledger.metNPCs.map(npc => `- ${npc.name}${npc.note ? `：${npc.note}` : ''}`).join('\n')}`;
+  }
+  if (ledger.openThreads.length > 0) {
+    section += `\n\n### 尚未解决的线索\n${ledger.openThreads.map(t => `- ${t}`).join('\n')}`;
+  }
+  return `${section}\n`;
+}
+
+function formatTranscript(messages) {
+  return messages.map(message => {
+    const speaker = message.role === 'user' ? '玩家' : '主持人';
+    const content = String(message.content || '');
+    const text = content.length > MAX_MESSAGE_CHARS ? `${content.slice(0, MAX_MESSAGE_CHARS)}…` : content;
+    return `【${speaker}】${text}`;
+  }).join('\n\n');
+}
+
+const SUMMARY_SYSTEM_PROMPT = `你是互动小说的剧情记录员。你会收到现有的剧情账本（JSON）和之后新发生的对话记录，请把新剧情合并进账本并返回完整的新账本。
+
+只返回一个JSON对象，格式如下：
+{
+  "summary": "到目前为止的完整剧情梗概（300-600字，按时间顺序，保留因果关系）",
+  "keyDecisions": ["玩家做出的、影响后续剧情的关键决定"],
+  "metNPCs": [{ "name": "角色名", "note": "身份及与玩家的关系现状" }],
+  "openThreads": ["尚未解决的悬念、承诺、任务线索"]
+}
+
+要求：
+- 保留旧账本中仍然成立的内容，更新已经变化的内容
+- 已经解决的线索从 openThreads 中移除
+- 只记录对话记录中真实发生的事，不要编造
+- 所有文本使用中文`;
+
+/**
+ * Fold messages that fell out of the recent window into the ledger.
+ * Does nothing until at least STORY_SUMMARY_BATCH messages are waiting.
+ *
+ * @param {Object} ledger - Current ledger (from loadStoryLedger)
+ * @param {Array<{role: string, content: string}>} messages - Full conversation
+ * @param {Object} options - { context, label }
+ * @returns {Promise<{ledger: Object, updated: boolean}>}
+ */
+export async function updateStoryLedger(ledger, messages = [], options = {}) {
+  const { context, label = 'storySummary' } = options;
+
+  let current = ledger || createEmptyLedger();
+  if (isStale(current, messages)) {
+    console.log(`[Story Ledger] History is shorter than the ledger (${current.summarizedCount} > ${messages.length}), rebuilding`);
+    current = createEmptyLedger();
+  }
+
+  const end = Math.max(0, messages.length - RECENT_MESSAGES);
+  if (end - current.summarizedCount < SUMMARY_BATCH) {
+    return { ledger: current, updated: current !== ledger };
+  }
+
+  // Catch up in bounded steps when a long history is summarized for the first time
+  while (current.summarizedCount < end) {
+    const batchEnd = Math.min(end, current.summarizedCount + MAX_MESSAGES_PER_UPDATE);
+    const batch = messages.slice(current.summarizedCount, batchEnd);
+    const previous = {
+      summary: current.summary,
+      keyDecisions: current.keyDecisions,
+      metNPCs: current.metNPCs,
+      openThreads: current.openThreads
+    };
+
+    const result = await createStructuredMessage('storySummary', {
+      system: SUMMARY_SYSTEM_PROMPT,
+      messages: [{
+        role: 'user',
+        content: `## 现有账本\n${JSON.stringify(previous, null, 2)}\n\n## 新的对话记录\n${formatTranscript(batch)}\n\n请返回更新后的完整账本JSON。`
+      }]
+    }, storyLedgerSchema, { label, context });
+
+    current = {
+      summary: result.summary,
+      keyDecisions: result.keyDecisions.slice(-MAX_DECISIONS),
+      metNPCs: result.metNPCs.slice(0, MAX_NPCS).map(npc => ({ name: npc.name, note: npc.note })),
+      openThreads: result.openThreads.slice(-MAX_THREADS),
+      summarizedCount: batchEnd,
+      updatedAt: new Date().toISOString()
+    };
+    console.log(`📚 [Story Ledger] Summarized ${batch.length} messages (${batchEnd}/${messages.length})`);
+  }
+
+  return { ledger: current, updated: true };
+}
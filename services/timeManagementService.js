@@ -1,50 +1,45 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-import { loadGameData } from './gameInitializationService.js';
 import { loadStatus, saveStatus } from './statusService.js';
 import { getSession } from './gameService.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const GAME_DATA_DIR = path.join(__dirname, '..', 'public', 'game_data');
+import { formatStepLine } from './stepFormat.js';
+import {
+  getCalendar,
+  loadSessionLore,
+  saveSessionLore,
+  toAbsoluteYear,
+  fromAbsoluteYear,
+  getSeason,
+  formatGameDate
+} from './gameTimeService.js';
 
 /**
- * Parse year string from keyEvents (e.g., "184年" -> 184, "208年以后" -> 208)
+ * Absolute year of a keyEvents year: a number, "184年", "208年以后", or a year
+ * in one of the calendar's eras ("建安13年")
  */
-function parseEventYear(yearString) {
-  const match = yearString.match(/(\d+)年/);
-  return match ? parseInt(match[1], 10) : null;
-}
-
-/**
- * Convert absolute year to 建安 year
- * 建安1年 = 196 CE, so 建安year = absolute year - 195
- */
-function toJiananYear(absoluteYear) {
-  return absoluteYear - 195;
-}
-
-/**
- * Convert 建安 year to absolute year
- */
-function toAbsoluteYear(jiananYear) {
-  return jiananYear + 195;
+function parseEventYear(yearValue, calendar) {
+  if (typeof yearValue === 'number') return yearValue;
+  if (typeof yearValue !== 'string') return null;
+
+  const era = calendar.eras.find(e => yearValue.includes(e.name));
+  const match = era
+    ? yearValue.slice(yearValue.indexOf(era.name) + era.name.length).match(/-?\d+/)
+    : yearValue.match(/-?\d+/);
+  if (!match) return null;
+
+  const year = parseInt(match[0], 10);
+  return era ? toAbsoluteYear(year, era.name, calendar) : year;
 }
 
 /**
  * Determine current era index based on gameTime
  */
-function getCurrentEraIndex(gameTime, keyEvents) {
-  const currentAbsoluteYear = toAbsoluteYear(gameTime.currentYear);
+function getCurrentEraIndex(gameTime, keyEvents, calendar) {
+  const currentAbsoluteYear = toAbsoluteYear(Number(gameTime.currentYear) || 0, gameTime.yearName, calendar);
 
   // Find the most recent event that has passed
   let currentEraIndex = 0;
   for (let i = 0; i < keyEvents.length; i++) {
-    const eventYear = parseEventYear(keyEvents[i].year);
-    if (eventYear && currentAbsoluteYear >= eventYear) {
+    const eventYear = parseEventYear(keyEvents[i].year, calendar);
+    if (eventYear !== null && currentAbsoluteYear >= eventYear) {
       currentEraIndex = i;
     } else {
       break;
@@ -54,6 +49,22 @@ function getCurrentEraIndex(gameTime, keyEvents) {
   return currentEraIndex;
 }
 
+/**
+ * Titles of the key events whose year the game time has reached
+ */
+export function getReachedKeyEvents(loreData) {
+  const calendar = getCalendar(loreData);
+  const gameTime = loreData.gameTime || {};
+  const currentAbsoluteYear = toAbsoluteYear(Number(gameTime.currentYear) || 0, gameTime.yearName, calendar);
+
+  return (loreData.keyEvents || [])
+    .filter(event => {
+      const eventYear = parseEventYear(event.year, calendar);
+      return eventYear !== null && currentAbsoluteYear >= eventYear;
+    })
+    .map(event => event.title);
+}
+
 /**
  * Calculate time difference between two eras
  */
@@ -88,17 +99,13 @@ function simulatePlayerGrowth(yearsPassed, currentStats) {
  * Generate narrative text for era transition
  */
 function generateEraTransitionNarrative(fromEra, toEra, yearsPassed) {
-  return `
-[NARRATION: 时光流转，${yearsPassed}年光阴如白驹过隙。]
-
-[NARRATION: ${fromEra.title}的硝烟已经散去，天下局势再次发生变化。]
-
-[NARRATION: ${toEra.year}，${toEra.title}。]
-
-[NARRATION: ${toEra.description}]
-
-[HINT: 你在这${yearsPassed}年间不断成长，实力显著提升。]
-  `.trim();
+  return [
+    { type: 'narration', text: `时光流转，${yearsPassed}年光阴如白驹过隙。` },
+    { type: 'narration', text: `${fromEra.title}的硝烟已经散去，天下局势再次发生变化。` },
+    { type: 'narration', text: `${toEra.year}，${toEra.title}。` },
+    { type: 'narration', text: toEra.description },
+    { type: 'hint', text: `你在这${yearsPassed}年间不断成长，实力显著提升。` }
+  ].map(step => formatStepLine(step)).join('\n');
 }
 
 /**
@@ -115,25 +122,22 @@ export async function skipToNextEra(sessionId) {
       throw new Error('Session not found');
     }
 
-    const identifier = session.isPreProcessed ? sessionId : session.fileId;
-    const isSessionId = session.isPreProcessed;
-
-    // Load game data
-    const gameData = loadGameData(identifier, isSessionId);
-    if (!gameData || !gameData.backgroundData) {
+    // Load the session's lore
+    const loreData = loadSessionLore(sessionId);
+    if (!loreData) {
       throw new Error('Game lore data not found');
     }
 
-    const loreData = gameData.backgroundData;
     const keyEvents = loreData.keyEvents || [];
     const gameTime = loreData.gameTime || {};
+    const calendar = getCalendar(loreData);
 
     if (keyEvents.length === 0) {
       throw new Error('No key events defined in lore data');
     }
 
     // Determine current era
-    const currentEraIndex = getCurrentEraIndex(gameTime, keyEvents);
+    const currentEraIndex = getCurrentEraIndex(gameTime, keyEvents, calendar);
     console.log(`📅 Current era: ${keyEvents[currentEraIndex].title} (index ${currentEraIndex})`);
 
     // Check if we're already at the last era
@@ -153,31 +157,31 @@ export async function skipToNextEra(sessionId) {
     console.log(`➡️ Skipping to: ${nextEra.title} (index ${nextEraIndex})`);
 
     // Calculate time difference
-    const currentAbsoluteYear = toAbsoluteYear(gameTime.currentYear);
-    const nextEventYear = parseEventYear(nextEra.year);
+    const currentAbsoluteYear = toAbsoluteYear(Number(gameTime.currentYear) || 0, gameTime.yearName, calendar);
+    const nextEventYear = parseEventYear(nextEra.year, calendar);
+    if (nextEventYear === null) {
+      throw new Error(`Key event "${nextEra.title}" has no year`);
+    }
     const yearsPassed = calculateTimeDifference(currentAbsoluteYear, nextEventYear);
 
     console.log(`⏰ Years passed: ${yearsPassed}`);
 
-    // Update game time
+    // Update game time: start of the event's year, in the era that year falls in
+    const nextDate = calendar.eras.length > 0
+      ? fromAbsoluteYear(nextEventYear, calendar)
+      : { yearName: gameTime.yearName, year: nextEventYear };
     const newGameTime = {
       ...gameTime,
-      currentYear: toJiananYear(nextEventYear),
+      yearName: nextDate.yearName,
+      currentYear: nextDate.year,
       currentMonth: 1,  // Reset to first month of the year
       currentDay: 1,    // Reset to first day
-      season: '春'      // Spring season (first season)
+      season: getSeason(1, calendar) || gameTime.season
     };
 
     // Update lore data
     loreData.gameTime = newGameTime;
-
-    // Save updated lore data
-    const loreFilePath = path.join(
-      GAME_DATA_DIR,
-      identifier,
-      `lore_${identifier}.json`
-    );
-    fs.writeFileSync(loreFilePath, JSON.stringify(loreData, null, 2), 'utf-8');
+    await saveSessionLore(sessionId, loreData);
     console.log('✅ Lore data updated with new game time');
 
     // Load and update player data
@@ -201,7 +205,7 @@ export async function skipToNextEra(sessionId) {
       }
 
       // Save updated player data
-      saveStatus(sessionId, playerData);
+      await saveStatus(sessionId, playerData);
       console.log('✅ Player data updated:', {
         ageChange: `${currentAge} -> ${newAge}`,
         statsGrowth: newStats
@@ -227,8 +231,8 @@ export async function skipToNextEra(sessionId) {
       },
       timeChange: {
         yearsPassed,
-        previousDate: `建安${gameTime.currentYear}年${gameTime.currentMonth}月${gameTime.currentDay}日`,
-        newDate: `建安${newGameTime.currentYear}年${newGameTime.currentMonth}月${newGameTime.currentDay}日`
+        previousDate: formatGameDate(gameTime, calendar),
+        newDate: formatGameDate(newGameTime, calendar)
       },
       playerChanges: playerData ? {
         ageIncrease: yearsPassed,
@@ -259,30 +263,27 @@ export function getCurrentEraInfo(sessionId) {
       throw new Error('Session not found');
     }
 
-    const identifier = session.isPreProcessed ? sessionId : session.fileId;
-    const isSessionId = session.isPreProcessed;
-
-    const gameData = loadGameData(identifier, isSessionId);
-    if (!gameData || !gameData.backgroundData) {
+    const loreData = loadSessionLore(sessionId);
+    if (!loreData) {
       throw new Error('Game lore data not found');
     }
 
-    const loreData = gameData.backgroundData;
     const keyEvents = loreData.keyEvents || [];
     const gameTime = loreData.gameTime || {};
+    const calendar = getCalendar(loreData);
 
-    const currentEraIndex = getCurrentEraIndex(gameTime, keyEvents);
+    const currentEraIndex = getCurrentEraIndex(gameTime, keyEvents, calendar);
     const currentEra = keyEvents[currentEraIndex];
     const nextEra = currentEraIndex < keyEvents.length - 1 ? keyEvents[currentEraIndex + 1] : null;
 
     return {
       success: true,
-      currentEra: {
+      currentEra: currentEra ? {
         index: currentEraIndex,
         title: currentEra.title,
         year: currentEra.year,
         description: currentEra.description
-      },
+      } : null,
       nextEra: nextEra ? {
         index: currentEraIndex + 1,
         title: nextEra.title,
@@ -294,7 +295,15 @@ export function getCurrentEraInfo(sessionId) {
         currentYear: gameTime.currentYear,
         currentMonth: gameTime.currentMonth,
         currentDay: gameTime.currentDay,
-        season: gameTime.season
+        currentHour: gameTime.currentHour ?? null,
+        season: gameTime.season || getSeason(Number(gameTime.currentMonth) || 1, calendar) || null,
+        formatted: formatGameDate(gameTime, calendar)
+      },
+      calendar: {
+        months: calendar.months,
+        hoursPerDay: calendar.hoursPerDay,
+        seasons: calendar.seasons,
+        eras: calendar.eras
       },
       canSkipToNextEra: nextEra !== null
     };
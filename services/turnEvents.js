@@ -0,0 +1,266 @@
+import { randomUUID } from 'crypto';
+import redisClient from '../login/storage/redisClient.js';
+
+/**
+ * Typed SSE events for streamed turns.
+ *
+ * Game services report a turn's progress to their onChunk callback as JSON lines
+ * ({ "type": "step", ... }). The stream endpoints write each of them as an SSE event named
+ * after its type, so a client can listen for the events it renders:
+ *
+ * - start       the turn was accepted
+ * - raw_text    a token of the model's answer, as written
+ * - step        a parsed step, sent the moment it closes ({ stepIndex, step, isIncremental })
+ * - status      status changes applied by the rules engine ({ source, changes, characterStatus })
+ * - mission     a mission was created, activated or failed ({ event, mission | missions })
+ * - achievement an achievement was unlocked
+ * - moderation  the answer was refused; drop what was shown ({ replacement })
+ * - complete    every step of the turn ({ totalSteps, allSteps })
+ * - data        the turn result
+ * - error, done
+ *
+ * Every event also carries its type in `data`, so clients that only read data lines keep working.
+ *
+ * Turn streams are resumable: each event has an id ("<turnId>-<n>") and is kept in a
+ * per-session log in Redis. A client that lost the connection reconnects with Last-Event-ID,
+ * gets the events it missed and, while the turn is still being generated, the rest of them live.
+ * raw_text tokens are not logged (the steps carry the same text); a client resuming on this
+ * server still gets them. Start a turn stream while holding the session's lock, so only one
+ * turn of a session writes its log at a time.
+ */
+
+// Seconds a session's event log (and the mark of a running turn) is kept in Redis
+const EVENT_LOG_TTL = Number(process.env.TURN_EVENT_LOG_TTL_SECONDS || 3600);
+// How often a client resuming a turn that runs on another server polls the log (ms)
+const REMOTE_POLL_INTERVAL = 1000;
+// A followed turn whose log did not grow for this long is given up (its server may have died) (ms)
+const REMOTE_IDLE_TIMEOUT = Number(process.env.TURN_EVENT_IDLE_TIMEOUT_MS || 120000);
+// How long an event log call may wait for Redis (ms)
+const REDIS_TIMEOUT = 2000;
+// Events only sent live
+const UNLOGGED_TYPES = new Set(['raw_text']);
+
+// Deletes the running mark only if it is still this turn's
+const CLEAR_RUNNING_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Turns being generated on this server: sessionId -> turn stream
+const runningTurns = new Map();
+
+const logKey = (sessionId) => `turn_events:${sessionId}`;
+const runningKey = (sessionId) => `turn_events:${sessionId}:running`;
+
+/**
+ * Write one event
+ */
+export function writeTurnEvent(res, type, data = {}, id = null) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify({ ...data, type })}\n\n`);
+}
+
+/**
+ * The onChunk callback for the game services: passes each JSON line it gets to send(type, data)
+ * (by default: writes it to res as an event)
+ */
+export function forwardTurnEvents(res, send = (type, data) => writeTurnEvent(res, type, data)) {
+  return (chunk) => {
+    for (const line of String(chunk).split('\n')) {
+      if (!line.trim()) continue;
+      const { type, ...data } = JSON.parse(line);
+      send(type, data);
+    }
+  };
+}
+
+/**
+ * Set the SSE headers of a turn stream
+ */
+export function openTurnStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+}
+
+/**
+ * Read an event id: { turnId, seq }
+ */
+function parseEventId(id) {
+  const match = /^(.+)-(\d+)$/.exec(String(id || '').trim());
+  return match ? { turnId: match[1], seq: Number(match[2]) } : null;
+}
+
+/**
+ * The events of a turn the client has not seen yet (all of them when it last saw another turn)
+ */
+function eventsAfter(events, lastEventId) {
+  const last = parseEventId(lastEventId);
+  return events.filter(event => {
+    const current = parseEventId(event.id);
+    return !last || current.turnId !== last.turnId || current.seq > last.seq;
+  });
+}
+
+function writeLoggedEvent(res, event) {
+  writeTurnEvent(res, event.type, event.data, event.id);
+}
+
+const isFinal = (event) => event.type === 'done' || event.type === 'error';
+
+/**
+ * Run a Redis command for the event log; the stream itself works without Redis (or while the
+ * client is reconnecting, when commands would only queue up)
+ */
+async function withEventLog(action, fallback = null) {
+  if (redisClient.isOpen && redisClient.isReady === false) {
+    return fallback;
+  }
+  let timer;
+  try {
+    return await Promise.race([
+      action(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${REDIS_TIMEOUT}ms`)), REDIS_TIMEOUT);
+      })
+    ]);
+  } catch (error) {
+    console.warn('⚠️ [TurnEvents] Event log unavailable:', error.message);
+    return fallback;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Start streaming a turn of a session to res (call it while holding the session's lock). Every
+ * event sent gets an id, is written to the attached clients and appended to the session's event
+ * log (which is reset for the turn).
+ * @returns {{ send: Function, forward: Function, end: Function, attach: Function }}
+ *   send(type, data) sends one event, forward() is the onChunk callback for the game services,
+ *   end() closes the stream for every attached client
+ */
+export function beginTurnStream(sessionId, res) {
+  const turnId = randomUUID();
+  const events = [];
+  const clients = new Set();
+  let finished = false;
+  // Log writes run one after another, in the order of the events
+  let logWrites = withEventLog(async () => {
+    await redisClient.del(logKey(sessionId));
+    await redisClient.set(runningKey(sessionId), turnId, { EX: EVENT_LOG_TTL });
+  });
+
+  const appendToLog = (event) => {
+    logWrites = logWrites.then(() => withEventLog(async () => {
+      await redisClient.rPush(logKey(sessionId), JSON.stringify(event));
+      await redisClient.expire(logKey(sessionId), EVENT_LOG_TTL);
+    }));
+  };
+
+  const stream = {
+    /**
+     * Replay the events after lastEventId to res and keep it attached until the turn ends
+     */
+    attach(client, lastEventId = null) {
+      eventsAfter(events, lastEventId).forEach(event => writeLoggedEvent(client, event));
+      if (finished) {
+        client.end();
+        return;
+      }
+      clients.add(client);
+      // The turn keeps running for the other clients (and the log) when this one drops
+      client.on('close', () => clients.delete(client));
+    },
+    send(type, data = {}) {
+      const event = { id: `${turnId}-${events.length + 1}`, type, data };
+      events.push(event);
+      clients.forEach(client => writeLoggedEvent(client, event));
+      if (!UNLOGGED_TYPES.has(type)) {
+        appendToLog(event);
+      }
+    },
+    forward() {
+      return forwardTurnEvents(null, stream.send);
+    },
+    end() {
+      finished = true;
+      clients.forEach(client => client.end());
+      clients.clear();
+      if (runningTurns.get(sessionId) === stream) {
+        runningTurns.delete(sessionId);
+      }
+      logWrites = logWrites.then(() => withEventLog(() =>
+        redisClient.eval(CLEAR_RUNNING_SCRIPT, { keys: [runningKey(sessionId)], arguments: [turnId] })));
+    }
+  };
+
+  runningTurns.set(sessionId, stream);
+  stream.attach(res);
+  return stream;
+}
+
+/**
+ * Resume a session's turn stream after lastEventId: replays the missed events and, while the
+ * turn is still being generated, attaches res to it (on this server directly, on another one
+ * by following the event log). Sends an error event when there is nothing to resume.
+ */
+export async function resumeTurnStream(sessionId, lastEventId, res) {
+  const local = runningTurns.get(sessionId);
+  if (local) {
+    console.log(`🔄 [TurnEvents] Client reattached to running turn of session ${sessionId}`);
+    local.attach(res, lastEventId);
+    return;
+  }
+
+  const readLog = async () => (await withEventLog(() => redisClient.lRange(logKey(sessionId), 0, -1), []) || [])
+    .map(entry => JSON.parse(entry));
+  const logged = await readLog();
+  if (logged.length === 0) {
+    writeTurnEvent(res, 'error', { error: 'No turn to resume' });
+    res.end();
+    return;
+  }
+
+  eventsAfter(logged, lastEventId).forEach(event => writeLoggedEvent(res, event));
+  const { turnId } = parseEventId(logged[0].id);
+  const runningTurnId = () => withEventLog(() => redisClient.get(runningKey(sessionId)));
+  if (logged.some(isFinal) || (await runningTurnId()) !== turnId) {
+    res.end();
+    return;
+  }
+
+  // The turn runs on another server: follow its log until it ends
+  console.log(`🔄 [TurnEvents] Following turn of session ${sessionId} from the event log`);
+  let seen = logged.length;
+  let lastGrowth = Date.now();
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  while (!closed) {
+    await new Promise(resolve => setTimeout(resolve, REMOTE_POLL_INTERVAL));
+    const current = await readLog();
+    // The log expired or a new turn replaced it
+    if (parseEventId(current[0]?.id)?.turnId !== turnId) break;
+    if (current.length > seen) {
+      current.slice(seen).forEach(event => writeLoggedEvent(res, event));
+      seen = current.length;
+      lastGrowth = Date.now();
+    }
+    if (current.some(isFinal) || (await runningTurnId()) !== turnId) break;
+    if (Date.now() - lastGrowth >= REMOTE_IDLE_TIMEOUT) {
+      console.warn(`⚠️ [TurnEvents] Turn of session ${sessionId} sent nothing for ${REMOTE_IDLE_TIMEOUT}ms, no longer following it`);
+      writeTurnEvent(res, 'error', { error: 'The turn stopped responding' });
+      break;
+    }
+  }
+  res.end();
+}
+
+export default {
+  writeTurnEvent,
+  forwardTurnEvents,
+  openTurnStream,
+  beginTurnStream,
+  resumeTurnStream
+};
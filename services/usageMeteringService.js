@@ -0,0 +1,284 @@
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { onLLMUsage } from './llm/index.js';
+import { formatIssues } from './llm/structuredOutput.js';
+import { pricingConfigSchema } from './schemas/pricingSchemas.js';
+import { recordLlmUsage } from '../login/service/llmUsageService.js';
+import { addPointActivity } from '../login/service/userPointService.js';
+import { deductUserPoints } from '../login/service/authService.js';
+import { generateShortId } from '../login/util/idUtil.js';
+
+/**
+ * Usage metering and point billing.
+ *
+ * Every LLM call (and every generated image) is priced from LLM_PRICING_CONFIG and stored in
+ * MySQL (llm_usage) with the player, session, feature and request it belongs to. One HTTP
+ * request is one turn: the middleware in middleware/usageMetering.js runs it in a metering
+ * context, and when it ends the points of all its calls are deducted at once
+ * ("metered" billing). With "flat" billing (the default) usage is only recorded and
+ * deductPointsOption keeps charging fixed rates per action.
+ *
+ * Usage is charged to the authenticated caller (req.user) or to the user the server names in a
+ * call's context, never to the owner of a session id taken from the URL: the /api/backend,
+ * /api/visual and /api/world-interaction routes do not require a token, so anyone could name
+ * someone else's session. Calls without a user are recorded but not charged.
+ */
+
+const POINT_ACTIVITY_TYPE = 'llm_usage';
+// A user without a request for this long has ended their play session; the fraction of a point
+// carried for them is dropped
+const CARRY_IDLE_MS = 30 * 60 * 1000;
+
+// Built-in prices in USD per million tokens / per image
+const BUILTIN_MODEL_PRICES = {
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+  'gpt-4.1-2025-04-14': { input: 2, output: 8 },
+  default: { input: 3, output: 15 }
+};
+const BUILTIN_IMAGE_PRICES = {
+  default: 0.04
+};
+
+// Feature a task's usage is billed under (a call can name another one in its context)
+const TASK_FEATURES = {
+  gameTurn: 'story',
+  visualTurn: 'story',
+  combat: 'story',
+  epilogue: 'story',
+  storySummary: 'memory',
+  npcMemory: 'memory',
+  npcChat: 'chat',
+  buildingInteraction: 'chat',
+  worldEvent: 'events',
+  missionGeneration: 'missions',
+  novel: 'novel',
+  extraction: 'ingestion',
+  greeting: 'ingestion',
+  visualInit: 'ingestion',
+  worldInit: 'ingestion',
+  moderation: 'moderation'
+};
+
+const meteringContext = new AsyncLocalStorage();
+const usageListeners = new Set();
+// Fractions of a point not yet deducted, per user: userId -> { points, updatedAt }
+const pointCarry = new Map();
+let config = null;
+
+/**
+ * The pricing config: built-in prices merged with LLM_PRICING_CONFIG
+ */
+export function loadPricingConfig() {
+  if (config) return config;
+
+  let fileConfig = {};
+  const configPath = process.env.LLM_PRICING_CONFIG;
+  if (configPath) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      console.log(`📦 Loaded pricing config from ${configPath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load pricing config (${configPath}):`, error.message);
+    }
+  }
+
+  let parsed = pricingConfigSchema.safeParse(fileConfig);
+  if (!parsed.success) {
+    const issues = formatIssues(parsed.error).map(i => `${i.path}: ${i.message}`).join('; ');
+    console.error(`❌ Ignoring invalid pricing config: ${issues}`);
+    parsed = pricingConfigSchema.safeParse({});
+  }
+
+  config = {
+    ...parsed.data,
+    models: { ...BUILTIN_MODEL_PRICES, ...parsed.data.models },
+    images: { ...BUILTIN_IMAGE_PRICES, ...parsed.data.images }
+  };
+  return config;
+}
+
+/**
+ * Points deducted per action with flat billing
+ * @param {string} type - 'option' | 'selfDefined'
+ */
+export function getFlatRate(type) {
+  return loadPricingConfig().flatRates[type];
+}
+
+/**
+ * Price a call in USD and points
+ * @param {Object} usage - { feature, model, inputTokens, outputTokens, images }
+ * @returns {{costUsd: number, points: number}}
+ */
+export function priceUsage({ feature, model, inputTokens = 0, outputTokens = 0, images = 0 }) {
+  const pricing = loadPricingConfig();
+  let costUsd;
+  if (images > 0) {
+    costUsd = images * (pricing.images[model] ?? pricing.images.default);
+  } else {
+    const price = pricing.models[model] || pricing.models.default;
+    costUsd = (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+  }
+  const multiplier = pricing.features[feature]?.multiplier ?? 1;
+  return { costUsd, points: costUsd * pricing.pointsPerUsd * multiplier };
+}
+
+/**
+ * Subscribe to metered usage. Listener receives
+ * { requestId, sessionId, mode, feature, task, model, inputTokens, outputTokens, images, costUsd, points }
+ */
+export function onMeteredUsage(listener) {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+}
+
+/**
+ * Run fn as one metered request. Calls it makes (including work it leaves running) are
+ * recorded under the request; settle with settleMeteredRequest once the request ends.
+ * Nested requests join the outer one and fill in what it does not know yet.
+ * @param {Object} context - { sessionId, userId, route }
+ */
+export function runMeteredRequest(context, fn) {
+  const current = meteringContext.getStore();
+  if (current) {
+    current.sessionId ||= context.sessionId || null;
+    current.userId ||= context.userId || null;
+    return fn();
+  }
+  return meteringContext.run({
+    requestId: generateShortId(12),
+    sessionId: context.sessionId || null,
+    userId: context.userId || null,
+    route: context.route || null,
+    points: 0,
+    pending: [],
+    settled: false
+  }, fn);
+}
+
+/**
+ * The metering context of the running request, if any
+ */
+export function getMeteringContext() {
+  return meteringContext.getStore() || null;
+}
+
+function dropIdleCarries(now = Date.now()) {
+  for (const [userId, carry] of pointCarry) {
+    if (now - carry.updatedAt > CARRY_IDLE_MS) {
+      pointCarry.delete(userId);
+    }
+  }
+}
+
+setInterval(dropIdleCarries, CARRY_IDLE_MS).unref();
+
+/**
+ * Deduct the points of a request (metered billing only). Fractions of a point are carried
+ * to the user's next request. The deduction is one conditional UPDATE, so concurrent requests
+ * cannot overdraw a balance; a balance that runs short is not charged.
+ * @returns {Promise<number>} Points deducted
+ */
+async function chargePoints(userId, points, requestId, description) {
+  if (loadPricingConfig().billing !== 'metered' || !userId || points <= 0) return 0;
+
+  const total = (pointCarry.get(userId)?.points || 0) + points;
+  const due = Math.floor(total);
+  if (total > due) {
+    pointCarry.set(userId, { points: total - due, updatedAt: Date.now() });
+  } else {
+    pointCarry.delete(userId);
+  }
+  if (due === 0) return 0;
+
+  const deduction = await deductUserPoints(userId, due);
+  if (!deduction.success) {
+    console.warn(`⚠️ User ${userId} not charged ${due} points for request ${requestId}: ${deduction.message}`);
+    return 0;
+  }
+  console.log(`💳 Charged user ${userId} ${due} points for request ${requestId}`);
+
+  try {
+    await addPointActivity(userId, POINT_ACTIVITY_TYPE, -due, description, 1, requestId);
+  } catch (error) {
+    console.error(`[Metering] Failed to record the ${due} points charged to user ${userId} for request ${requestId}:`, error.message);
+  }
+  return due;
+}
+
+/**
+ * Deduct what a metered request cost once it has ended
+ */
+export async function settleMeteredRequest(store) {
+  if (!store || store.settled) return 0;
+  store.settled = true;
+  await Promise.allSettled(store.pending);
+  return chargePoints(store.userId, store.points, store.requestId, `模型用量：${store.route || '请求'}`);
+}
+
+/**
+ * Price and record one call. Calls outside a request, or made after it was settled,
+ * are charged on their own.
+ * @param {Object} usage - { task, feature, provider, model, inputTokens, outputTokens, images, durationMs, context }
+ */
+export function recordUsage({ task, feature, provider = null, model, inputTokens = 0, outputTokens = 0, images = 0, durationMs = null, context = {} }) {
+  const store = meteringContext.getStore();
+  const requestId = store?.requestId || generateShortId(12);
+  const sessionId = context.sessionId || store?.sessionId || null;
+  feature = feature || context.feature || TASK_FEATURES[task] || task;
+  const { costUsd, points } = priceUsage({ feature, model, inputTokens, outputTokens, images });
+
+  const record = { requestId, sessionId, mode: context.mode || null, feature, task, model, inputTokens, outputTokens, images, costUsd, points };
+  for (const listener of usageListeners) {
+    try {
+      listener(record);
+    } catch (error) {
+      console.error('❌ Metered usage listener failed:', error.message);
+    }
+  }
+
+  const pending = (async () => {
+    const userId = store?.userId || context.userId || null;
+    await recordLlmUsage({
+      ...record,
+      userId,
+      route: store?.route || null,
+      provider,
+      durationMs
+    });
+
+    if (store && !store.settled) {
+      store.userId ||= userId;
+      store.points += points;
+    } else {
+      await chargePoints(userId, points, requestId, `模型用量：${feature}`);
+    }
+  })().catch(error => {
+    console.error(`[Metering] Failed to record ${task} usage:`, error.message);
+  });
+
+  if (store && !store.settled) {
+    store.pending.push(pending);
+  }
+  return pending;
+}
+
+/**
+ * Record generated images (image calls do not go through the LLM layer)
+ * @param {Object} usage - { model, count, task, context }
+ */
+export function recordImageUsage({ model, count = 1, task = 'image', context = {} }) {
+  return recordUsage({ task, feature: 'images', model, images: count, context });
+}
+
+onLLMUsage(({ task, provider, model, usage, durationMs, context }) => {
+  recordUsage({
+    task,
+    provider,
+    model,
+    inputTokens: usage?.input_tokens || 0,
+    outputTokens: usage?.output_tokens || 0,
+    durationMs,
+    context: context || {}
+  });
+});
@@ -1,4 +1,8 @@
 import {loadGameData} from './gameInitializationService.js';
+import { getCalendar, formatGameDate, getTimeOfDay } from './gameTimeService.js';
+import { applySchedules } from './scheduleService.js';
+import { getNpcRelations } from './networkService.js';
+import { getFactionSetup, formatFactionsForPrompt } from './factionService.js';
 
 export function parseJSONFromResponse(responseText) {
   let jsonText = responseText.trim();
@@ -165,6 +169,23 @@ export function formatAttributesForDisplay(attributes) {
 }
 
 
+/**
+ * "在铁匠铺 打铁" for an NPC placed by its schedule
+ */
+export function formatNpcLocation(location, scene) {
+  const building = location.buildingId && scene.buildings?.find(b => b.id === location.buildingId);
+  return [building ? `在${building.name}` : '', location.activity || ''].filter(Boolean).join(' ');
+}
+
+/**
+ * "刘备(兄长 85), 吕布(rival 15)" for the relations of an NPC towards other NPCs
+ */
+export function formatNpcRelations(npc, worldData) {
+  return getNpcRelations(worldData, npc)
+    .map(relation => `${relation.npc.name}(${relation.label || relation.type} ${relation.value})`)
+    .join(', ');
+}
+
 /**
  * Prepare game data for LLM prompt by loading structured JSON files
  * Supports both session directories and fileId directories
@@ -176,7 +197,11 @@ export function prepareGameDataForLLM(identifier, isSessionId = false, unlockedS
   if (!gameData) {
     throw new Error(`Game data not found for ${isSessionId ? 'session' : 'file'}: ${identifier}`);
   }
-  const { backgroundData, playerData, itemData, worldData } = gameData;
+  const { backgroundData, itemData } = gameData;
+  // Session player files wrap the status in { data }
+  const playerData = gameData.playerData?.data || gameData.playerData;
+  // Only the NPCs present at the current time of day are listed
+  const worldData = applySchedules(gameData.worldData, backgroundData);
 
   // Build comprehensive prompt from structured data
   let prompt = '';
@@ -207,6 +232,12 @@ export function prepareGameDataForLLM(identifier, isSessionId = false, unlockedS
       prompt += `月份名称: ${backgroundData.gameTime.monthNames.join(', ')}\n`;
     }
     prompt += `季节: ${backgroundData.gameTime.season || 'Unknown'}\n`;
+    const calendar = getCalendar(backgroundData);
+    prompt += `当前日期: ${formatGameDate(backgroundData.gameTime, calendar)}\n`;
+    if (backgroundData.gameTime.currentHour !== undefined) {
+      const timeOfDay = getTimeOfDay(backgroundData.gameTime, calendar);
+      prompt += `当前时刻: ${timeOfDay.name ? `${timeOfDay.name} ` : ''}${timeOfDay.hour}时 (每天${calendar.hoursPerDay}小时)\n`;
+    }
   }
 
   // 5. Player Profile
@@ -231,6 +262,13 @@ export function prepareGameDataForLLM(identifier, isSessionId = false, unlockedS
     prompt += `金币: ${playerData.currency.gold || 'Unknown'}\n`;
   }
 
+  // Factions and the player's reputation with them (session player files wrap the status in `data`)
+  const factionSetup = getFactionSetup(backgroundData, gameData.worldData);
+  if (factionSetup.factions.length > 0) {
+    prompt += `\n=== 势力与声望 (Factions) ===\n`;
+    prompt += formatFactionsForPrompt(factionSetup, playerData) + '\n';
+  }
+
   // 8. Initial Inventory
   if (playerData?.inventory?.items?.length > 0) {
     prompt += `\n=== 玩家拥有的物品 ===\n`;
@@ -277,6 +315,9 @@ export function prepareGameDataForLLM(identifier, isSessionId = false, unlockedS
           prompt += `  建筑:\n`;
           scene.buildings.forEach(building => {
             prompt += `    - ${building.name} (${building.type}): ${building.description || 'No description'}\n`;
+            if (!building.isOpen) {
+              prompt += `      已关门 (营业时间 ${building.openHours.from}-${building.openHours.to}时)\n`;
+            }
             if (building.features?.length > 0) {
               prompt += `      特色: ${building.features.join(', ')}\n`;
             }
@@ -288,9 +329,14 @@ export function prepareGameDataForLLM(identifier, isSessionId = false, unlockedS
           prompt += `  NPC:\n`;
           scene.npcs.forEach(npc => {
             prompt += `    - ${npc.name} (${npc.age}岁, ${npc.gender}, ${npc.job}): ${npc.description || 'No description'}\n`;
-            if (npc.relationships) {
-              const relationships = Object.entries(npc.relationships).map(([name, rel]) => `${name}(${rel})`).join(', ');
-              prompt += `      关系: ${relationships}\n`;
+            if (npc.location) {
+              prompt += `      此刻: ${formatNpcLocation(npc.location, scene)}\n`;
+            }
+            if (npc.relations?.length > 0) {
+              prompt += `      人际: ${formatNpcRelations(npc, gameData.worldData)}\n`;
+            }
+            if (npc.factions?.length > 0) {
+              prompt += `      所属: ${npc.factions.join(', ')}\n`;
             }
           });
         }
@@ -328,6 +374,9 @@ export function prepareGameDataForLLM(identifier, isSessionId = false, unlockedS
           prompt += `  建筑:\n`;
           scene.buildings.forEach(building => {
             prompt += `    - ${building.name} (${building.type}): ${building.description || 'No description'}\n`;
+            if (!building.isOpen) {
+              prompt += `      已关门 (营业时间 ${building.openHours.from}-${building.openHours.to}时)\n`;
+            }
             if (building.features?.length > 0) {
               prompt += `      特色: ${building.features.join(', ')}\n`;
             }
@@ -339,9 +388,14 @@ export function prepareGameDataForLLM(identifier, isSessionId = false, unlockedS
           prompt += `  NPC:\n`;
           scene.npcs.forEach(npc => {
             prompt += `    - ${npc.name} (${npc.age}岁, ${npc.gender}, ${npc.job}): ${npc.description || 'No description'}\n`;
-            if (npc.relationships) {
-              const relationships = Object.entries(npc.relationships).map(([name, rel]) => `${name}(${rel})`).join(', ');
-              prompt += `      关系: ${relationships}\n`;
+            if (npc.location) {
+              prompt += `      此刻: ${formatNpcLocation(npc.location, scene)}\n`;
+            }
+            if (npc.relations?.length > 0) {
+              prompt += `      人际: ${formatNpcRelations(npc, gameData.worldData)}\n`;
+            }
+            if (npc.factions?.length > 0) {
+              prompt += `      所属: ${npc.factions.join(', ')}\n`;
             }
           });
         }
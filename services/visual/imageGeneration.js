@@ -7,6 +7,7 @@ import http from 'http';
 import sharp from 'sharp';
 import dotenv from 'dotenv';
 import OpenAI from 'openai';
+import { recordImageUsage } from '../usageMeteringService.js';
 import { completeGameByParams } from '../../login/controller/gamesController.js';
 import { relative } from 'path/win32';
 
@@ -372,6 +373,7 @@ export async function generateImage(prompt, size = '1024x1024', quality = 'stand
       const elapsedTime = Date.now() - startTime;
       console.log(`✅ Image generated successfully in ${elapsedTime}ms`);
       // Extract URL or base64 data from response object
+      recordImageUsage({ model: 'gemini-3-pro-image-preview' });
       const imageUrl = response.data?.[0]?.url;
       const imageB64 = response.data?.[0]?.b64_json;
 
@@ -453,6 +455,7 @@ export async function generateImageToImage(prompt, referenceImagePath, size = '1
         }
 
         const result = await response.json();
+        recordImageUsage({ model: 'gemini-3-pro-image-preview', task: 'imageEdit' });
 
         const imageUrl = result.data?.[0]?.url;
         const imageB64 = result.data?.[0]?.b64_json;
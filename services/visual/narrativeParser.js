@@ -0,0 +1,125 @@
+import { parseSteps } from '../stepFormat.js';
+
+/**
+ * The NPC portrait that fits a line of dialogue (an expression, clothing or pose variant named
+ * in it), or the base portrait
+ */
+function detectNPCVariantFromDialogue(content, npcImages) {
+  if (!npcImages) return null;
+
+  // Remove color markup tags for cleaner detection
+  const cleanContent = content.replace(/<\/?(?:red|yellow|green|blue|purple)>/g, '').toLowerCase();
+
+  // Priority order: expression > clothing > pose
+  const variantPriority = ['expression', 'clothing', 'pose'];
+
+  for (const variantType of variantPriority) {
+    // Find all variants of this type
+    const variantsOfType = Object.entries(npcImages)
+      .filter(([key]) => key.startsWith(`${variantType}_`))
+      .map(([key, url]) => {
+        const variantValue = key.replace(`${variantType}_`, '');
+        return { key, url, variantValue };
+      });
+
+    // Check each variant of this type
+    for (const { url, variantValue } of variantsOfType) {
+      const lowerVariantValue = variantValue.toLowerCase();
+      // 1. Check for exact match of variant value in content
+      if (cleanContent.includes(lowerVariantValue)) {
+        return url;
+      }
+      // 2. Check for partial match using word boundaries (for multi-word variants)
+      // Split variant by common separators and check if any part appears in content
+      const variantParts = lowerVariantValue.split(/[-_\s]+/);
+      for (const part of variantParts) {
+        if (part.length > 1 && cleanContent.includes(part)) {
+          return url;
+        }
+      }
+      // 3. Check for fuzzy character match (for single-word variants with 2+ chars)
+      // This helps with typos or similar character variations
+      if (variantValue.length >= 2 && !lowerVariantValue.includes(' ')) {
+        const variantChars = lowerVariantValue.split('');
+        const matchCount = variantChars.filter(char => cleanContent.includes(char)).length;
+        // Require at least 70% character match for better accuracy
+        if (matchCount >= Math.ceil(variantValue.length * 0.7)) {
+          return url;
+        }
+      }
+    }
+  }
+
+  // Default to base image
+  return npcImages['base'] || null;
+}
+
+/**
+ * A step in the shape the visual client uses, enriched with scene and NPC data when
+ * sessionState is given
+ */
+export function toVisualStep(step, sessionState = null) {
+  switch (step.type) {
+    case 'scene_change': {
+      const visualStep = { type: 'scene_change', sceneId: step.scene };
+      const scene = sessionState?.sceneSetting.scenes.find(s => s.id === step.scene);
+      if (scene) {
+        visualStep.sceneName = scene.name;
+        visualStep.sceneDescription = scene.description;
+        visualStep.sceneImage = scene.image || scene.images;
+        visualStep.sceneAtmosphere = scene.atmosphere;
+        visualStep.dangerLevel = scene.dangerLevel;
+        visualStep.soundtrack = scene.soundtrack;
+      }
+      return visualStep;
+    }
+    case 'dialogue': {
+      // Handles both NPC and player dialogue
+      const speakerId = step.speaker;
+      const visualStep = { type: 'dialogue', speakerId, content: step.text };
+      if (speakerId === 'player') {
+        visualStep.isPlayer = true;
+        if (sessionState) {
+          visualStep.speakerName = sessionState.player.name;
+        }
+      } else {
+        visualStep.isPlayer = false;
+        const npc = sessionState?.npcSetting.npcs.find(n => n.id === speakerId);
+        if (npc) {
+          visualStep.speakerName = npc.name;
+          visualStep.npcImages = npc.images || {};
+
+          // Detect and set appropriate variant image based on dialogue content
+          const variantImage = detectNPCVariantFromDialogue(step.text, npc.images);
+          if (variantImage) {
+            visualStep.activeImage = variantImage;
+          }
+        }
+      }
+      // Keep legacy npcId field for backward compatibility
+      visualStep.npcId = speakerId;
+      return visualStep;
+    }
+    case 'key_event':
+      return { type: 'key_event', title: step.title };
+    case 'choice':
+      return { type: 'choice', title: step.title, description: step.text, options: step.options };
+    default:
+      // narration and transition
+      return { type: step.type, content: step.text };
+  }
+}
+
+/**
+ * Parse narrative steps from a visual game-master turn
+ * @param {string} response - The LLM response text
+ * @param {object} [sessionState] - The session, to enrich scenes and speakers
+ */
+export function parseVisualNarrativeSteps(response, sessionState = null) {
+  const { steps, errors } = parseSteps(response, 'visual');
+  return {
+    steps: steps.map(step => toVisualStep(step, sessionState)),
+    totalSteps: steps.length,
+    errors
+  };
+}
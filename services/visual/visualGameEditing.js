@@ -5,6 +5,7 @@ import { dirname } from 'path';
 import { validateWorldSetting, validateNPCSetting, validateSceneSetting } from './utils.js';
 import { completeGameByParams } from '../../login/controller/gamesController.js'
 import { downloadInitFilesAndReturnFiles } from '../../login/controller/visualController.js';
+import { writeJsonState } from '../statePersistence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,7 +28,7 @@ function loadJSONFile(filePath) {
 }
 
 async function saveJSONFile(fileId, filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  await writeJsonState(filePath, data);
   //minio upload can be added here if needed
   try {
     console.log("====================save:presetId:", fileId);
@@ -1,11 +1,31 @@
-import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
 import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { loadVisualGameSettings } from './utils.js';
-import { completeGameSessionByParams } from '../../login/controller/gamesController.js';
+import { completeGameSessionByParams, uploadGameSessionDataBySessionId } from '../../login/controller/gamesController.js';
+import { createSessionStore } from '../sessionStore.js';
+import { writeJsonState } from '../statePersistence.js';
+import { streamMessage } from '../llm/index.js';
+import { createStepStream, describeStepFormat, getStepToolParams, formatToolTurn } from '../stepFormat.js';
+import { toVisualStep, parseVisualNarrativeSteps } from './narrativeParser.js';
+import {
+  parseEndings,
+  findReachedEnding,
+  generateEpilogue,
+  createEndingRecord,
+  buildEndingStep
+} from '../endingService.js';
+import {
+  createEmptyLedger,
+  loadStoryLedger,
+  saveStoryLedger,
+  updateStoryLedger,
+  getRecentMessages,
+  formatStoryLedger
+} from '../storyMemoryService.js';
+import { checkPlayerInput, checkModelOutput, describeModeration } from '../moderationService.js';
 
 dotenv.config();
 
@@ -17,15 +37,12 @@ const VISUAL_TEMP_DIR = path.join(VISUAL_GAME_DATA_DIR, 'temp');
 const VISUAL_SESSION_SAVES_DIR = path.join(VISUAL_GAME_DATA_DIR, 'sessions');
 const VISUAL_PRESET_DIR = path.join(__dirname, '..', '..', 'visual_saves');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
+// Visual game sessions of this instance, locked and versioned in Redis (files and MinIO are the durable copy)
+const visualSessions = createSessionStore('visual', {
+  pull: sessionId => uploadGameSessionDataBySessionId(sessionId, 'public/visual_game/sessions')
 });
 
-// Store visual game sessions in memory
-const visualSessions = new Map();
-
-export function createVisualGameSession(sessionId, fileId = null, presetId = null) {
+export async function createVisualGameSession(sessionId, fileId = null, presetId = null) {
   console.log(`🎮 Creating visual game session: ${sessionId}${fileId ? ` with fileId: ${fileId}` : ''}${presetId ? ` with presetId: ${presetId}` : ''}`);
 
   try {
@@ -45,17 +62,20 @@ export function createVisualGameSession(sessionId, fileId = null, presetId = nul
       currentScene: initialScene.id,
       visitedScenes: [initialScene.id],
       conversationHistory: [],
+      storyLedger: createEmptyLedger(),
       player: {
         ...worldSetting.player,
         currentLocation: initialScene.id
       },
       gameStarted: false,
+      reachedKeyEvents: [],
+      ending: null,
       createdAt: new Date().toISOString()
     };
 
     // Save session to memory and disk
     visualSessions.set(sessionId, sessionState);
-    saveVisualSession(sessionId, sessionState);
+    await saveVisualSession(sessionId, sessionState);
 
     console.log(`✅ Visual game session created: ${sessionId}`);
     return sessionState;
@@ -84,12 +104,14 @@ async function saveVisualSession(sessionId, sessionState) {
     visitedScenes: sessionState.visitedScenes,
     player: sessionState.player,
     gameStarted: sessionState.gameStarted,
+    reachedKeyEvents: sessionState.reachedKeyEvents || [],
+    ending: sessionState.ending || null,
     createdAt: sessionState.createdAt,
     updatedAt: sessionState.updatedAt || new Date().toISOString()
   };
 
   const sessionPath = path.join(sessionDir, 'session.json');
-  fsSync.writeFileSync(sessionPath, JSON.stringify(sessionData, null, 2));
+  await writeJsonState(sessionPath, sessionData);
 
   // Save settings separately (only if not already saved)
   const worldPath = path.join(sessionDir, 'worldSetting.json');
@@ -97,13 +119,13 @@ async function saveVisualSession(sessionId, sessionState) {
   const scenePath = path.join(sessionDir, 'sceneSetting.json');
 
   if (!fsSync.existsSync(worldPath)) {
-    fsSync.writeFileSync(worldPath, JSON.stringify(sessionState.worldSetting, null, 2));
+    await writeJsonState(worldPath, sessionState.worldSetting);
   }
   if (!fsSync.existsSync(npcPath)) {
-    fsSync.writeFileSync(npcPath, JSON.stringify(sessionState.npcSetting, null, 2));
+    await writeJsonState(npcPath, sessionState.npcSetting);
   }
   if (!fsSync.existsSync(scenePath)) {
-    fsSync.writeFileSync(scenePath, JSON.stringify(sessionState.sceneSetting, null, 2));
+    await writeJsonState(scenePath, sessionState.sceneSetting);
   }
 
   // Save conversation history separately
@@ -114,13 +136,16 @@ async function saveVisualSession(sessionId, sessionState) {
     totalMessages: (sessionState.conversationHistory || []).length
   };
   const historyPath = path.join(sessionDir, 'history.json');
-  fsSync.writeFileSync(historyPath, JSON.stringify(historyData, null, 2));
+  await writeJsonState(historyPath, historyData);
+  await saveStoryLedger(path.join(sessionDir, 'storyLedger.json'), sessionState.storyLedger || createEmptyLedger());
 
   // minio save
   try {
     const fileId = sessionState.presetId;
     console.log("====================save:presetId:", sessionState.presetId);
-    await completeGameSessionByParams(sessionId, 'public/visual_game/sessions', fileId);
+    await completeGameSessionByParams(sessionId, 'public/visual_game/sessions', fileId, {
+      status: sessionState.ending ? 'completed' : 'active'
+    });
     console.log(`✅ Session data uploaded to MinIO: ${sessionId}`);
   } catch (uploadError) {
     console.error('[MinIO Upload] Failed to upload session data:', uploadError.message);
@@ -175,7 +200,8 @@ export function loadVisualSession(sessionId) {
         worldSetting,
         npcSetting,
         sceneSetting,
-        conversationHistory
+        conversationHistory,
+        storyLedger: loadStoryLedger(path.join(sessionDir, 'storyLedger.json'))
       };
 
       visualSessions.set(sessionId, sessionState);
@@ -219,7 +245,7 @@ function buildVisualGameContext(sessionState, userAction) {
   };
 
   // Build world setting section - required fields first, then any optional fields
-  const worldRequiredKeys = ['title', 'background', 'preamble', 'initialplot', 'literary', 'player'];
+  const worldRequiredKeys = ['title', 'background', 'preamble', 'initialplot', 'literary', 'player', 'keyEvents', 'endings'];
   let worldSection = `## 游戏世界设定
 **标题**：${world.title}
 **背景**：${world.background}
@@ -288,9 +314,12 @@ function buildVisualGameContext(sessionState, userAction) {
     }).join('\n');
   }
 
+  const storySection = formatStoryLedger(sessionState.storyLedger);
+  const keyEventsSection = formatKeyEventsSection(sessionState);
+
   const systemPrompt = `你是一个专业的视觉小说游戏主持人（Game Master）。你正在主持一个基于以下设定的视觉小说游戏。
 
-${worldSection}${playerSection}${sceneSection}${npcSection}${scenesSection}
+${worldSection}${playerSection}${sceneSection}${npcSection}${scenesSection}${keyEventsSection}${storySection ? `\n\n${storySection}` : ''}
 
 你的职责：
 1. 严格遵循游戏世界设定和场景信息
@@ -301,42 +330,38 @@ ${worldSection}${playerSection}${sceneSection}${npcSection}${scenesSection}
 
 # 叙事结构格式 
 
-你的回复必须按照视觉小说的叙事结构，分为以下几种步骤类型：
+你的回复必须按照视觉小说的叙事结构，由以下几种步骤组成：
+
+${describeStepFormat()}
 
 1. **旁白叙述 (Narration)** - 场景描述、环境变化、事件发展、心理描写
-   格式: [NARRATION: 旁白文本]
-   示例: [NARRATION: 月光透过树梢洒在林间小道上，远处传来夜莺的鸣叫。空气中弥漫着潮湿的青草气息。]
+   格式: {"type":"narration","text":"旁白文本"}
+   示例: {"type":"narration","text":"月光透过树梢洒在林间小道上，远处传来夜莺的鸣叫。空气中弥漫着潮湿的青草气息。"}
 
 2. **NPC对话 (Dialogue)** - NPC或玩家的台词
-   格式: [DIALOGUE: NPC_ID, "对话内容"] 或 [DIALOGUE: player, "对话内容"]
-   示例: [DIALOGUE: gandalf, "弗罗多，时候到了。你必须离开夏尔，前往瑞文戴尔。"]
-   示例: [DIALOGUE: player, "我愿意承担这个使命，虽然我不知道自己能否胜任。"]
-   注意: 必须使用NPC的ID（如gandalf, harry_truman等），而不是NPC的名字
+   格式: {"type":"dialogue","speaker":"NPC_ID","text":"对话内容"} 或 {"type":"dialogue","speaker":"player","text":"对话内容"}
+   示例: {"type":"dialogue","speaker":"gandalf","text":"弗罗多，时候到了。你必须离开夏尔，前往瑞文戴尔。"}
+   示例: {"type":"dialogue","speaker":"player","text":"我愿意承担这个使命，虽然我不知道自己能否胜任。"}
+   注意: speaker必须使用NPC的ID（如gandalf, harry_truman等），而不是NPC的名字
    注意: 当表达玩家的对话时，使用player作为ID
 
 3. **场景切换 (Scene Change)** - 当剧情发展需要切换到新场景时
-   格式: [SCENE_CHANGE: scene_id]
-   示例: [SCENE_CHANGE: bree]
-   注意: 必须使用场景的实际ID，切换场景后立即用NARRATION描述新场景
+   格式: {"type":"scene_change","scene":"scene_id"}
+   示例: {"type":"scene_change","scene":"bree"}
+   注意: 必须使用场景的实际ID，切换场景后立即用narration描述新场景
 
 4. **场景过渡 (Transition)** - 场景切换时的描述（可选，用于更生动的过渡）
-   格式: [TRANSITION: 过渡文本]
-   示例: [TRANSITION: 经过三个小时的跋涉，你终于抵达了布理镇的边缘。炊烟在暮色中升起，酒馆的灯光温暖而诱人。]
+   格式: {"type":"transition","text":"过渡文本"}
+   示例: {"type":"transition","text":"经过三个小时的跋涉，你终于抵达了布理镇的边缘。炊烟在暮色中升起，酒馆的灯光温暖而诱人。"}
 
 5. **选择分支 (Choice)** - 玩家的行动选项
-   格式: [CHOICE: 选择标题]
-          选择的描述文本
-          [OPTION: 选项1文本]
-          [OPTION: 选项2文本]
-          [OPTION: 选项3文本]
-          [END_CHOICE]
-   示例: [CHOICE: 如何回应？]
-          甘道夫正等待着你的答复，他的目光中充满期待。
-          [OPTION: "我愿意承担这个使命，虽然我不知道自己能否胜任。"]
-          [OPTION: "让我考虑一下，这太突然了。"]
-          [OPTION: "为什么是我？我只是个普通的霍比特人。"]
-          [END_CHOICE]
-
+   格式: {"type":"choice","title":"选择标题","text":"选择的描述文本","options":["选项1文本","选项2文本","选项3文本"]}
+   示例: {"type":"choice","title":"如何回应？","text":"甘道夫正等待着你的答复，他的目光中充满期待。","options":["我愿意承担这个使命，虽然我不知道自己能否胜任。","让我考虑一下，这太突然了。","为什么是我？我只是个普通的霍比特人。"]}
+${keyEventsSection ? `
+6. **关键事件 (Key Event)** - 剧情中真正发生了“关键事件”列表中的某个事件时标记一次
+   格式: {"type":"key_event","title":"事件标题"}
+   注意: 只在事件确实发生的那一轮使用，标题必须与列表中的完全一致
+` : ''}
 #  文本颜色标记 
 
 在叙述和对话中，可以使用颜色标记来强调重要的词语或句子，前端会渲染为不同颜色：
@@ -348,41 +373,40 @@ ${worldSection}${playerSection}${sceneSection}${npcSection}${scenesSection}
 - <purple>文本</purple> - 紫色：魔法、神秘、罕见的事物
 
 示例:
-[NARRATION: 阴影中传来<red>诡异的低吼声</red>，让人不寒而栗。]
-[DIALOGUE: gandalf, "<red>快跑！</red>炎魔来了！"]
+{"type":"narration","text":"阴影中传来<red>诡异的低吼声</red>，让人不寒而栗。"}
+{"type":"dialogue","speaker":"gandalf","text":"<red>快跑！</red>炎魔来了！"}
 
 在对话中，可以使用动画标记来表现角色的情绪和动作，前端会为立绘添加相应的动画效果：
 
 - <jump>文本</jump> - 立绘跳跃：表现喜悦、兴奋、开心的情绪
 - <vibration>文本</vibration> - 立绘震动：表现惊吓、生气、震惊、愤怒的情绪
-- <injury>文本</injury> - 表现角色受伤，遭到攻击时的状态，此状态也可在旁白 NARRATION 中出现
-只有<injury>可以在旁白 NARRATION 中出现，其他只能在对话DIALOGUE中出现
+- <injury>文本</injury> - 表现角色受伤，遭到攻击时的状态，此状态也可在旁白 narration 中出现
+只有<injury>可以在旁白 narration 中出现，其他只能在对话 dialogue 中出现
 
 示例:
-[DIALOGUE: player, "<jump>太好了，我们成功了！</jump>"]
-[DIALOGUE: NPC_ID, "<vibration>敌人来了！准备战斗！</vibration>"]
-[DIALOGUE: player, "<injury>我不行了，一直在流血</injury>"]
+{"type":"dialogue","speaker":"player","text":"<jump>太好了，我们成功了！</jump>"}
+{"type":"dialogue","speaker":"NPC_ID","text":"<vibration>敌人来了！准备战斗！</vibration>"}
+{"type":"dialogue","speaker":"player","text":"<injury>我不行了，一直在流血</injury>"}
 
 
 **游戏初始化规则: **
 当玩家刚开始游戏时：
-- 直接开始故事叙述（使用[NARRATION]）
+- 直接开始故事叙述（使用narration步骤）
 - 在故事中自然地提及关键背景信息
 - 不要输出游戏标题、分隔线、设定说明
 - 不要逐行列出角色状态
 
 **场景过渡规则：**
 当玩家移动到新场景时：
-- 使用[TRANSITION]描述移动过程
+- 使用transition步骤描述移动过程
 - 提供新场景的行动选项
 
 **示例（场景切换）：**
-[TRANSITION: 告别了袋底洞的温暖，你踏上了前往布理的道路。夏尔的绿色田野渐渐被起伏的丘陵取代，道路变得更加崎岖。]
-[SCENE_CHANGE: bree]
+{"type":"transition","text":"告别了袋底洞的温暖，你踏上了前往布理的道路。夏尔的绿色田野渐渐被起伏的丘陵取代，道路变得更加崎岖。"}
+{"type":"scene_change","scene":"bree"}
 
 **注意事项：**
-- 每个步骤独占一行或多行（对于CHOICE）
-- 对话内容必须用双引号包裹
+- 每个步骤调用一次对应的步骤工具，参数要完整
 - **NPC对话必须使用NPC的ID**
 - **玩家对话使用player作为ID**
 - 选择选项通常2-4个，要具体可操作
@@ -395,195 +419,117 @@ ${worldSection}${playerSection}${sceneSection}${npcSection}${scenesSection}
   return systemPrompt;
 }
 
-function detectNPCVariantFromDialogue(content, npcImages) {
-  if (!npcImages) return null;
-
-  // Remove color markup tags for cleaner detection
-  const cleanContent = content.replace(/<\/?(?:red|yellow|green|blue|purple)>/g, '').toLowerCase();
-
-  // Priority order: expression > clothing > pose
-  const variantPriority = ['expression', 'clothing', 'pose'];
+function getKeyEventTitles(worldSetting) {
+  return (worldSetting.keyEvents || [])
+    .map(event => (typeof event === 'string' ? event : event?.title))
+    .filter(Boolean);
+}
 
-  for (const variantType of variantPriority) {
-    // Find all variants of this type
-    const variantsOfType = Object.entries(npcImages)
-      .filter(([key]) => key.startsWith(`${variantType}_`))
-      .map(([key, url]) => {
-        const variantValue = key.replace(`${variantType}_`, '');
-        return { key, url, variantValue };
-      });
+/**
+ * Authored key events for the prompt, with the ones that already happened marked
+ */
+function formatKeyEventsSection(sessionState) {
+  const reached = new Set((sessionState.reachedKeyEvents || []).map(event => event.title));
+  const lines = (sessionState.worldSetting.keyEvents || []).map(event => {
+    const { title, description } = typeof event === 'string' ? { title: event } : (event || {});
+    return title ? `- ${title}${description ? `：${description}` : ''}${reached.has(title) ? '（已发生）' : ''}` : null;
+  }).filter(Boolean);
+  return lines.length > 0 ? `\n\n## 关键事件\n${lines.join('\n')}` : '';
+}
 
-    // Check each variant of this type
-    for (const { url, variantValue } of variantsOfType) {
-      const lowerVariantValue = variantValue.toLowerCase();
-      // 1. Check for exact match of variant value in content
-      if (cleanContent.includes(lowerVariantValue)) {
-        return url;
-      }
-      // 2. Check for partial match using word boundaries (for multi-word variants)
-      // Split variant by common separators and check if any part appears in content
-      const variantParts = lowerVariantValue.split(/[-_\s]+/);
-      for (const part of variantParts) {
-        if (part.length > 1 && cleanContent.includes(part)) {
-          return url;
-        }
-      }
-      // 3. Check for fuzzy character match (for single-word variants with 2+ chars)
-      // This helps with typos or similar character variations
-      if (variantValue.length >= 2 && !lowerVariantValue.includes(' ')) {
-        const variantChars = lowerVariantValue.split('');
-        const matchCount = variantChars.filter(char => cleanContent.includes(char)).length;
-        // Require at least 70% character match for better accuracy
-        if (matchCount >= Math.ceil(variantValue.length * 0.7)) {
-          return url;
-        }
-      }
-    }
+/**
+ * Fold messages that left the recent window into the session's story ledger
+ */
+async function refreshStoryLedger(sessionState) {
+  try {
+    const { ledger } = await updateStoryLedger(sessionState.storyLedger, sessionState.conversationHistory, {
+      context: { sessionId: sessionState.sessionId, mode: 'visual' }
+    });
+    sessionState.storyLedger = ledger;
+  } catch (error) {
+    console.error('[Story Ledger] Failed to update story ledger:', error.message);
   }
-
-  // Default to base image
-  return npcImages['base'] || null;
 }
 
-function parseVisualNarrativeSteps(response, sessionState = null) {
-  const steps = [];
-  const lines = response.split('\n');
-
-  let currentStep = null;
-  let currentChoice = null;
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    // Narration
-    if (trimmedLine.startsWith('[NARRATION:')) {
-      if (currentStep) steps.push(currentStep);
-      currentStep = {
-        type: 'narration',
-        content: trimmedLine.replace(/^\[NARRATION:\s*/, '').replace(/\]$/, '').trim()
-      };
-    }
-    // Scene Change
-    else if (trimmedLine.startsWith('[SCENE_CHANGE:')) {
-      if (currentStep) steps.push(currentStep);
-      const sceneId = trimmedLine.replace(/^\[SCENE_CHANGE:\s*/, '').replace(/\]$/, '').trim();
-
-      currentStep = {
-        type: 'scene_change',
-        sceneId: sceneId
-      };
+/**
+ * Drop the ledger when a message it already summarized is rewritten or removed
+ */
+function discardLedgerFrom(sessionState, index) {
+  if (sessionState.storyLedger && index < sessionState.storyLedger.summarizedCount) {
+    console.log(`📚 [Story Ledger] History changed at ${index}, ledger will be rebuilt`);
+    sessionState.storyLedger = createEmptyLedger();
+  }
+}
 
-      // Enrich with scene data if sessionState is provided
-      if (sessionState) {
-        const scene = sessionState.sceneSetting.scenes.find(s => s.id === sceneId);
-        if (scene) {
-          currentStep.sceneName = scene.name;
-          currentStep.sceneDescription = scene.description;
-          currentStep.sceneImage = scene.image || scene.images;
-          currentStep.sceneAtmosphere = scene.atmosphere;
-          currentStep.dangerLevel = scene.dangerLevel;
-          currentStep.soundtrack = scene.soundtrack;
-        }
-      }
-    }
-    // Dialogue (handles both NPC and player dialogue)
-    else if (trimmedLine.startsWith('[DIALOGUE:')) {
-      if (currentStep) steps.push(currentStep);
-      const match = trimmedLine.match(/^\[DIALOGUE:\s*([^,]+),\s*"([^"]+)"\s*\]/);
-      if (match) {
-        const speakerId = match[1].trim();
-        const dialogueContent = match[2].trim();
-
-        currentStep = {
-          type: 'dialogue',
-          speakerId: speakerId,
-          content: dialogueContent
-        };
-
-        // Check if it's player dialogue
-        if (speakerId === 'player') {
-          currentStep.isPlayer = true;
-          if (sessionState) {
-            currentStep.speakerName = sessionState.player.name;
-          }
-        } else {
-          // NPC dialogue - enrich with NPC data if sessionState is provided
-          currentStep.isPlayer = false;
-          if (sessionState) {
-            const npc = sessionState.npcSetting.npcs.find(n => n.id === speakerId);
-            if (npc) {
-              currentStep.speakerName = npc.name;
-              currentStep.npcImages = npc.images || {};
-
-              // Detect and set appropriate variant image based on dialogue content
-              const variantImage = detectNPCVariantFromDialogue(dialogueContent, npc.images);
-              if (variantImage) {
-                currentStep.activeImage = variantImage;
-              }
-            }
-          }
-        }
+/**
+ * Forget the key events and the ending reached from history index on (the history was rewritten)
+ */
+function discardProgressFrom(sessionState, index) {
+  sessionState.reachedKeyEvents = (sessionState.reachedKeyEvents || []).filter(event => event.historyIndex < index);
+  if (sessionState.ending && sessionState.ending.historyIndex >= index) {
+    console.log(`🏁 History changed at ${index}, ending "${sessionState.ending.title}" undone`);
+    sessionState.ending = null;
+  }
+}
 
-        // Keep legacy npcId field for backward compatibility
-        currentStep.npcId = speakerId;
-      }
-    }
-    // Transition
-    else if (trimmedLine.startsWith('[TRANSITION:')) {
-      if (currentStep) steps.push(currentStep);
-      currentStep = {
-        type: 'transition',
-        content: trimmedLine.replace(/^\[TRANSITION:\s*/, '').replace(/\]$/, '').trim()
-      };
-    }
-    // Choice start
-    else if (trimmedLine.startsWith('[CHOICE:')) {
-      if (currentStep) steps.push(currentStep);
-      currentChoice = {
-        type: 'choice',
-        title: trimmedLine.replace(/^\[CHOICE:\s*/, '').replace(/\]$/, '').trim(),
-        description: '',
-        options: []
-      };
-      currentStep = currentChoice;
-    }
-    // Option
-    else if (trimmedLine.startsWith('[OPTION:') && currentChoice) {
-      currentChoice.options.push(
-        trimmedLine.replace(/^\[OPTION:\s*/, '').replace(/\]$/, '').trim()
-      );
-    }
-    // End choice
-    else if (trimmedLine === '[END_CHOICE]' && currentChoice) {
-      steps.push(currentChoice);
-      currentStep = null;
-      currentChoice = null;
-    }
-    // Description text for choice
-    else if (currentChoice && trimmedLine && !trimmedLine.startsWith('[')) {
-      currentChoice.description += (currentChoice.description ? ' ' : '') + trimmedLine;
-    }
-    // Continuation of current step
-    else if (currentStep && !currentChoice && trimmedLine && !trimmedLine.startsWith('[')) {
-      currentStep.content += ' ' + trimmedLine;
+/**
+ * Remember the authored key events the storyteller marked with [KEY_EVENT: ...] this turn
+ */
+function recordKeyEvents(sessionState, steps) {
+  const titles = getKeyEventTitles(sessionState.worldSetting);
+  sessionState.reachedKeyEvents = sessionState.reachedKeyEvents || [];
+  for (const step of steps.filter(step => step.type === 'key_event')) {
+    if (titles.includes(step.title) && !sessionState.reachedKeyEvents.some(event => event.title === step.title)) {
+      sessionState.reachedKeyEvents.push({ title: step.title, historyIndex: sessionState.conversationHistory.length - 1 });
+      console.log(`📌 Key event reached: ${step.title}`);
     }
   }
+}
 
-  // Push last step if exists
-  if (currentStep && !currentChoice) {
-    steps.push(currentStep);
-  }
+/**
+ * End the game when the turn reached one of worldSetting.endings
+ * @returns {Promise<Object|null>} The ending record, or null when the game goes on
+ */
+async function concludeIfEnded(sessionState) {
+  const endings = parseEndings(sessionState.worldSetting.endings, `endings of ${sessionState.sessionId}`);
+  const ending = findReachedEnding(endings, {
+    keyEvents: sessionState.reachedKeyEvents.map(event => event.title),
+    scene: sessionState.currentScene
+  });
+  if (!ending) return null;
 
-  return {
-    steps,
-    totalSteps: steps.length
-  };
+  console.log(`🏁 Visual session ${sessionState.sessionId} reached ending: ${ending.title} (${ending.kind})`);
+  const epilogue = await generateEpilogue({
+    sessionId: sessionState.sessionId,
+    mode: 'visual',
+    ending,
+    ledger: sessionState.storyLedger,
+    messages: sessionState.conversationHistory
+  });
+  sessionState.ending = createEndingRecord(ending, epilogue, {
+    historyIndex: sessionState.conversationHistory.length - 1
+  });
+  return sessionState.ending;
+}
+
+/**
+ * Run fn while holding the session's lock (serializes it with turns, also across server instances)
+ */
+export function withVisualSessionLock(sessionId, fn) {
+  return visualSessions.withLock(sessionId, fn);
 }
 
 /**
  * Process player action in visual game (with SSE streaming support)
  */
-export async function processVisualGameAction(sessionId, userAction, onChunk = null) {
+export function processVisualGameAction(sessionId, userAction, onChunk = null) {
+  return visualSessions.withLock(sessionId, () => playVisualTurn(sessionId, userAction, onChunk));
+}
+
+/**
+ * Play one visual turn while holding the session's lock
+ */
+async function playVisualTurn(sessionId, userAction, onChunk) {
   console.log(`🎮 Processing visual game action for session: ${sessionId}`);
   console.log(`Action: ${userAction}`);
 
@@ -592,6 +538,20 @@ export async function processVisualGameAction(sessionId, userAction, onChunk = n
     throw new Error('Session not found');
   }
 
+  // Nothing is played after the story reached an ending
+  if (sessionState.ending) {
+    const scene = getCurrentScene(sessionState);
+    return {
+      success: true,
+      response: `游戏已经结束：${sessionState.ending.title}。`,
+      narrativeSteps: [buildEndingStep(sessionState.ending)],
+      actionOptions: [],
+      ending: sessionState.ending,
+      currentScene: { id: scene.id, name: scene.name, soundtrack: scene.soundtrack },
+      npcs: sessionState.npcSetting.npcs.map(npc => ({ id: npc.id, name: npc.name }))
+    };
+  }
+
   try {
     // Handle game start
     if (!sessionState.gameStarted && userAction === '开始游戏') {
@@ -599,6 +559,10 @@ export async function processVisualGameAction(sessionId, userAction, onChunk = n
       userAction = '游戏开始，我想知道现在的情况';
     }
 
+    // Refused input never reaches the model (throws ModerationError)
+    const rating = sessionState.worldSetting?.contentRating;
+    await checkPlayerInput(userAction, { sessionId, mode: 'visual', source: 'visual_action', rating });
+
     // Build context and get Claude response
     const systemPrompt = buildVisualGameContext(sessionState, userAction);
 
@@ -608,8 +572,8 @@ export async function processVisualGameAction(sessionId, userAction, onChunk = n
       content: userAction
     });
 
-    // Keep conversation history manageable (last 20 messages)
-    const trimmedHistory = sessionState.conversationHistory.slice(-10);
+    // Messages already folded into the story ledger are covered by the system prompt
+    const trimmedHistory = getRecentMessages(sessionState.storyLedger, sessionState.conversationHistory);
 
     // Determine if we should use streaming
     const useStreaming = !!onChunk;
@@ -617,76 +581,61 @@ export async function processVisualGameAction(sessionId, userAction, onChunk = n
     if (useStreaming) {
       // Streaming mode
       console.log('🚀 Calling Claude API (Streaming mode)...');
-      const stream = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 10000,
+      let chunkIndex = 0;
+      // Steps are sent as soon as their tool call is complete
+      const stepStream = createStepStream('visual', async (step, index, final) => {
+        if (!onChunk) return;
+        await onChunk(JSON.stringify({
+          type: 'step',
+          stepIndex: index,
+          step: toVisualStep(step, sessionState),
+          isIncremental: !final
+        }) + '\n', final ? index : chunkIndex);
+      });
+
+      // Send raw text (or step input) chunks immediately for instant feedback
+      const sendRawText = async (text) => {
+        if (onChunk) {
+          await onChunk(JSON.stringify({
+            type: 'raw_text',
+            text,
+            chunkIndex: chunkIndex
+          }) + '\n', chunkIndex);
+        }
+        chunkIndex++;
+      };
+
+      const result = await streamMessage('visualTurn', {
         system: systemPrompt,
         messages: trimmedHistory,
-        stream: true
+        ...getStepToolParams('visual')
+      }, sendRawText, {
+        onToolInput: (call, partialJson) => sendRawText(partialJson),
+        onToolUse: (call) => stepStream.pushToolCall(call)
       });
 
-      let fullResponse = '';
-      let chunkIndex = 0;
-      let usage = null;
-      let buffer = ''; // Buffer for incremental step parsing
-      let sentSteps = []; // Track sent steps to avoid duplicates
-
-      for await (const chunk of stream) {
-        if (chunk.type === 'content_block_delta') {
-          const token = chunk.delta.text;
-          fullResponse += token;
-          buffer += token;
-          // Send raw text chunk immediately for instant feedback
-          if (onChunk) {
-            await onChunk(JSON.stringify({
-              type: 'raw_text',
-              text: token,
-              chunkIndex: chunkIndex
-            }) + '\n', chunkIndex);
-          }
+      const usage = result.usage;
+      // The turn is kept as step lines; a provider without tools answers with them as text
+      const turnText = result.toolCalls.length > 0 ? formatToolTurn(result.toolCalls) : result.text;
 
-          if (onChunk) {
-            const narrativeData = parseVisualNarrativeSteps(buffer, sessionState);
-            for (let i = sentSteps.length; i < narrativeData.steps.length; i++) {
-              const step = narrativeData.steps[i];
-              // Check if it's the last step and buffer doesn't end with expected markers
-              const isLastStep = i === narrativeData.steps.length - 1;
-              const bufferEndsCleanly = buffer.trimEnd().endsWith(']') ||
-                                      buffer.trimEnd().endsWith('[END_CHOICE]');
-
-              if (!isLastStep || bufferEndsCleanly) {
-                await onChunk(JSON.stringify({
-                  type: 'step',
-                  stepIndex: i,
-                  step: step,
-                  isIncremental: true
-                }) + '\n', chunkIndex);
-
-                sentSteps.push(step);
-              }
-            }
-          }
-          chunkIndex++;
-        } else if (chunk.type === 'message_delta' && chunk.usage) {
-          // Capture token usage from stream
-          usage = chunk.usage;
+      // A refused answer is not kept: the stream is told to drop what it showed
+      const outputCheck = await checkModelOutput(turnText, { sessionId, mode: 'visual', source: 'visual_action', rating });
+      const fullResponse = outputCheck.text;
+      const moderation = outputCheck.blocked ? describeModeration(outputCheck, 'output') : null;
+      if (moderation && onChunk) {
+        await onChunk(JSON.stringify({ type: 'moderation', ...moderation, replacement: fullResponse }) + '\n', chunkIndex);
+      }
+
+      // After streaming completes, send the last step and the final parsed structure
+      if (!outputCheck.blocked) {
+        if (result.toolCalls.length === 0) {
+          await stepStream.push(result.text);
         }
+        await stepStream.end();
       }
-      // After streaming completes, send final parsed structure
       if (onChunk && fullResponse) {
         console.log('📖 Finalizing narrative steps...');
         const narrativeData = parseVisualNarrativeSteps(fullResponse, sessionState);
-
-        // Send any remaining steps that weren't sent during streaming
-        for (let i = sentSteps.length; i < narrativeData.steps.length; i++) {
-          const step = narrativeData.steps[i];
-          await onChunk(JSON.stringify({
-            type: 'step',
-            stepIndex: i,
-            step: step,
-            isIncremental: false
-          }) + '\n', i);
-        }
         // Send completion signal with full metadata
         await onChunk(JSON.stringify({
           type: 'complete',
@@ -704,7 +653,7 @@ export async function processVisualGameAction(sessionId, userAction, onChunk = n
       // Parse narrative steps for action options
       const narrativeData = parseVisualNarrativeSteps(fullResponse, sessionState);
       const choiceSteps = narrativeData.steps.filter(step => step.type === 'choice');
-      const actionOptions = choiceSteps.length > 0 ? choiceSteps[0].options : ['继续探索', '与NPC交谈', '查看周围', '前往其他地点'];
+      let actionOptions = choiceSteps.length > 0 ? choiceSteps[0].options : ['继续探索', '与NPC交谈', '查看周围', '前往其他地点'];
 
       // Check for scene changes in the narrative
       const sceneChangeSteps = narrativeData.steps.filter(step => step.type === 'scene_change');
@@ -728,9 +677,27 @@ export async function processVisualGameAction(sessionId, userAction, onChunk = n
       sessionState.lastAction = userAction;
       sessionState.lastResponse = fullResponse;
       sessionState.updatedAt = new Date().toISOString();
+      await refreshStoryLedger(sessionState);
+
+      // A key event or scene reached this turn may end the game with an epilogue step
+      recordKeyEvents(sessionState, narrativeData.steps);
+      const ending = await concludeIfEnded(sessionState);
+      if (ending) {
+        const endingStep = buildEndingStep(ending);
+        if (onChunk) {
+          await onChunk(JSON.stringify({
+            type: 'step',
+            stepIndex: narrativeData.totalSteps,
+            step: endingStep,
+            isIncremental: false
+          }) + '\n', narrativeData.totalSteps);
+        }
+        narrativeData.steps.push(endingStep);
+        actionOptions = [];
+      }
       // Save session
       visualSessions.set(sessionId, sessionState);
-      saveVisualSession(sessionId, sessionState);
+      await saveVisualSession(sessionId, sessionState);
 
       console.log('📊 Token Usage (Streaming):');
       console.log(`  Input tokens: ${usage.input_tokens || 'N/A'}`);
@@ -750,8 +717,10 @@ export async function processVisualGameAction(sessionId, userAction, onChunk = n
           id: npc.id,
           name: npc.name,
         })),
+        ...(ending && { ending }),
+        ...(moderation && { moderation }),
         metadata: {
-          model: 'claude-sonnet-4-5-20250929',
+          model: result.model,
           streaming: true,
           usage: usage
         }
@@ -798,6 +767,8 @@ export function getVisualSessionState(sessionId) {
     })),
     visitedScenes: sessionState.visitedScenes,
     gameStarted: sessionState.gameStarted,
+    reachedKeyEvents: (sessionState.reachedKeyEvents || []).map(event => event.title),
+    ending: sessionState.ending || null,
     worldInfo: {
       title: sessionState.worldSetting.title,
       summary: sessionState.worldSetting.summary,
@@ -807,7 +778,17 @@ export function getVisualSessionState(sessionId) {
 }
 
 
-export async function regenerateVisualGameResponse(sessionId, historyIndex = null, onChunk = null) {
+/**
+ * Regenerate a response from conversation history (with SSE streaming support)
+ */
+export function regenerateVisualGameResponse(sessionId, historyIndex = null, onChunk = null) {
+  return visualSessions.withLock(sessionId, () => regenerateFromHistory(sessionId, historyIndex, onChunk));
+}
+
+/**
+ * Truncate the history at historyIndex (latest user message when null) and play that action again
+ */
+async function regenerateFromHistory(sessionId, historyIndex, onChunk) {
   console.log(`🔄 Regenerating response for session: ${sessionId}${historyIndex !== null ? ` from index ${historyIndex}` : ' (latest)'}`);
 
   const sessionState = loadVisualSession(sessionId);
@@ -852,12 +833,14 @@ export async function regenerateVisualGameResponse(sessionId, historyIndex = nul
   // This removes the user message at targetIndex and everything after it
   const truncatedHistory = history.slice(0, targetIndex);
   sessionState.conversationHistory = truncatedHistory;
+  discardLedgerFrom(sessionState, targetIndex);
+  discardProgressFrom(sessionState, targetIndex);
 
   console.log(`📜 Truncated history from ${history.length} to ${truncatedHistory.length} messages`);
   console.log(`🎬 Regenerating action: "${userAction}"`);
 
   // Save the truncated state before regenerating
-  saveVisualSession(sessionId, sessionState);
+  await saveVisualSession(sessionId, sessionState);
 
   // Now regenerate using the existing processVisualGameAction function
   // It will add the user message and new assistant response to history
@@ -871,7 +854,7 @@ export async function regenerateVisualGameResponse(sessionId, historyIndex = nul
   };
 }
 
-export function editVisualGameHistory(sessionId, historyIndex, newContent) {
+export async function editVisualGameHistory(sessionId, historyIndex, newContent) {
   console.log(`✏️ Editing history for session: ${sessionId} at index ${historyIndex}`);
 
   const sessionState = loadVisualSession(sessionId);
@@ -896,9 +879,11 @@ export function editVisualGameHistory(sessionId, historyIndex, newContent) {
   const truncatedHistory = history.slice(0, historyIndex + 1);
   const deletedMessages = history.length - truncatedHistory.length;
   sessionState.conversationHistory = truncatedHistory;
+  discardLedgerFrom(sessionState, historyIndex);
+  discardProgressFrom(sessionState, historyIndex);
 
   // Save the updated session
-  saveVisualSession(sessionId, sessionState);
+  await saveVisualSession(sessionId, sessionState);
 
   console.log(`✅ History edited successfully at index ${historyIndex}`);
   console.log(`   Old length: ${oldContent.length} chars`);
@@ -1,4 +1,3 @@
-import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
 import { randomUUID } from 'crypto';
 import {
@@ -29,14 +28,89 @@ import {
   generateNPCSelectionPrompt
 } from './prompts.js';
 import { parseInteractionNarrativeSteps } from './narrativeParser.js';
+import { createMessage } from '../llm/index.js';
+import { getStepToolParams, getMessageTurn } from '../stepFormat.js';
+import { createStructuredMessage } from '../llm/structuredOutput.js';
+import {
+  createNPCSelectionSchema,
+  createEventPayloadSchema,
+  eventChainDecisionSchema
+} from '../schemas/worldEventSchemas.js';
+import { updateStoryLedger, formatStoryLedger } from '../storyMemoryService.js';
+import { createSeed, nextRandom } from '../diceService.js';
 
 dotenv.config();
 
-// Initialize Claude client
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL
-});
+// Interactions shown verbatim after the ledger summary
+const RECENT_INTERACTION_LINES = 10;
+
+function stepsToText(steps = []) {
+  return steps
+    .map(step => {
+      if (step.type === 'dialogue') return `${step.speakerName || step.npcId}："${step.content}"`;
+      if (step.type === 'choice') return '';
+      return step.content || '';
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Flatten the interaction history into chat-style messages for the story ledger
+ */
+function interactionsToMessages(interactions = []) {
+  const messages = [];
+  for (const interaction of interactions) {
+    const prefix = `【第${interaction.round}回合·${interaction.eventTitle}·${interaction.subsceneName}】`;
+    if (interaction.type === 'npc_dialogue') {
+      messages.push({ role: 'assistant', content: `${prefix}${stepsToText(interaction.narrativeSteps)}` });
+    } else if (interaction.type === 'player_choice') {
+      messages.push({ role: 'user', content: `${prefix}玩家选择：${interaction.selectedOption?.text || ''}` });
+      messages.push({ role: 'assistant', content: `${interaction.npcName}的回应：${stepsToText(interaction.npcResponse)}` });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Story ledger plus the latest interactions it does not cover yet, as a prompt section
+ */
+function buildStoryContext(session) {
+  const messages = interactionsToMessages(session.interactionHistory);
+  const summarizedCount = Math.min(session.storyLedger?.summarizedCount || 0, messages.length);
+  const recent = messages
+    .slice(Math.max(summarizedCount, messages.length - RECENT_INTERACTION_LINES))
+    .map(message => `- ${message.content.replace(/\s+/g, ' ').slice(0, 200)}`);
+
+  let context = formatStoryLedger(session.storyLedger);
+  if (recent.length > 0) {
+    context += `${context ? '\n' : ''}## 最近的互动\n\n${recent.join('\n')}`;
+  }
+  return context;
+}
+
+/**
+ * Fold older interactions into the session's story ledger
+ */
+async function refreshStoryLedger(session) {
+  try {
+    const { ledger } = await updateStoryLedger(session.storyLedger, interactionsToMessages(session.interactionHistory), {
+      context: { sessionId: session.sessionId, mode: 'world' }
+    });
+    session.storyLedger = ledger;
+  } catch (error) {
+    console.error('[Story Ledger] Failed to update story ledger:', error.message);
+  }
+}
+
+/**
+ * Pick from a list with the session's seeded sequence (saved with the session);
+ * sessions created before seeds existed get one here
+ */
+function pickSessionRandom(session, items) {
+  session.random = session.random || { seed: createSeed(), draws: 0 };
+  return items[Math.floor(nextRandom(session.random) * items.length)];
+}
 
 /**
  * Generate and distribute an event for a random NPC
@@ -68,30 +142,30 @@ export async function generateAndDistributeEvent(sessionId) {
       currentKeyEvent: currentKeyEvent,
       currentKeyEventIndex: session.currentKeyEventIndex,
       currentRound: session.currentRound,
-      recentEvents: session.eventHistory.slice(-5) // Last 5 events to avoid repetition
-    });
-
-    const npcSelectionResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 2000,
-      system: npcSelectionSystemPrompt,
-      messages: [{
-        role: 'user',
-        content: npcSelectionUserPrompt
-      }]
+      recentEvents: session.eventHistory.slice(-5), // Last 5 events to avoid repetition
+      storySoFar: buildStoryContext(session)
     });
 
-    const npcSelectionText = npcSelectionResponse.content[0].text;
     let selectedNpcData;
 
     try {
-      selectedNpcData = parseJSONFromResponse(npcSelectionText);
+      selectedNpcData = await createStructuredMessage('worldEvent', {
+        system: npcSelectionSystemPrompt,
+        messages: [{
+          role: 'user',
+          content: npcSelectionUserPrompt
+        }]
+      }, createNPCSelectionSchema(allNpcs.map(npc => npc.id)), {
+        label: 'npcSelection',
+        parse: parseJSONFromResponse,
+        use: 'npcSelection'
+      });
       console.log(`✅ AI selected NPC: ${selectedNpcData.selectedNpcId}`);
       console.log(`📝 Reason: ${selectedNpcData.reason}`);
     } catch (error) {
-      console.warn('⚠️ Failed to parse NPC selection, falling back to random selection');
+      console.warn('⚠️ Failed to get a valid NPC selection, falling back to random selection:', error.message);
       selectedNpcData = {
-        selectedNpcId: allNpcs[Math.floor(Math.random() * allNpcs.length)].id,
+        selectedNpcId: pickSessionRandom(session, allNpcs).id,
         reason: 'Random fallback due to parsing error'
       };
     }
@@ -101,7 +175,7 @@ export async function generateAndDistributeEvent(sessionId) {
 
     if (!selectedNPC) {
       console.warn(`⚠️ Selected NPC ${selectedNpcData.selectedNpcId} not found, using random selection`);
-      const randomNPC = allNpcs[Math.floor(Math.random() * allNpcs.length)];
+      const randomNPC = pickSessionRandom(session, allNpcs);
       selectedNpcData.selectedNpcId = randomNPC.id;
       selectedNpcData.reason = 'Fallback to random due to invalid selection';
     }
@@ -119,34 +193,27 @@ export async function generateAndDistributeEvent(sessionId) {
       currentKeyEventIndex: session.currentKeyEventIndex,
       availableSubscenes: allSubscenes,
       currentRound: session.currentRound,
-      completedEvents: session.eventHistory.slice(-5) // Last 5 events
+      completedEvents: session.eventHistory.slice(-5), // Last 5 events
+      storySoFar: buildStoryContext(session)
     });
 
     console.log('🤖 Calling Claude to generate event...');
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 20000,
+    // Parse and validate event data (re-prompts the model with field errors on failure)
+    const eventData = await createStructuredMessage('worldEvent', {
       system: systemPrompt,
       messages: [{
         role: 'user',
         content: userPrompt
       }]
+    }, createEventPayloadSchema({
+      npcIds: allNpcs.map(npc => npc.id),
+      subsceneIds: allSubscenes.map(subscene => subscene.id)
+    }), {
+      label: 'worldEvent',
+      parse: parseJSONFromResponse
     });
-
-    const responseText = response.content[0].text;
     console.log('✅ Received event from Claude');
-    console.log('📝 Response length:', responseText.length);
-    console.log('📝 Response preview:', responseText.substring(0, 500));
-
-    // Parse event data
-    let eventData;
-    try {
-      eventData = parseJSONFromResponse(responseText);
-    } catch (error) {
-      console.error('❌ JSON parsing failed. Full response text:', responseText);
-      throw new Error(`Failed to parse event JSON: ${error.message}`);
-    }
 
     // Create event object
     const event = {
@@ -159,7 +226,7 @@ export async function generateAndDistributeEvent(sessionId) {
     };
 
     // Add event to session
-    addEventToSession(session, event);
+    await addEventToSession(session, event);
 
     // Add NPC to the subscene if not already there
     const subscene = getSubsceneById(session.sceneSetting, event.targetSubsceneId);
@@ -213,26 +280,26 @@ export async function interactWithNPC(sessionId, eventId) {
       event,
       player: session.player,
       subscene,
-      allNpcs: session.npcSetting.npcs // Pass all NPCs
+      allNpcs: session.npcSetting.npcs, // Pass all NPCs
+      storySoFar: buildStoryContext(session)
     });
 
     console.log('🤖 Calling Claude to generate NPC interaction...');
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 10000,
+    const response = await createMessage('worldEvent', {
       system: systemPrompt,
       messages: [{
         role: 'user',
         content: userPrompt
-      }]
-    });
+      }],
+      ...getStepToolParams('world')
+    }, { use: 'npcInteraction' });
 
-    const responseText = response.content[0].text;
+    const responseTurn = getMessageTurn(response);
     console.log('✅ Received interaction from Claude');
 
     // Parse interaction using narrative format
-    const narrativeData = parseInteractionNarrativeSteps(responseText, npc, session.npcSetting.npcs);
+    const narrativeData = parseInteractionNarrativeSteps(responseTurn, npc, session.npcSetting.npcs);
 
     // Extract options from choice steps
     const choiceSteps = narrativeData.steps.filter(step => step.type === 'choice');
@@ -246,7 +313,7 @@ export async function interactWithNPC(sessionId, eventId) {
     };
 
     // Add to interaction history for chat display
-    addInteractionToHistory(session, {
+    await addInteractionToHistory(session, {
       type: 'npc_dialogue',
       eventId: event.eventId,
       eventTitle: event.eventTitle,
@@ -258,7 +325,7 @@ export async function interactWithNPC(sessionId, eventId) {
       round: session.currentRound
     });
 
-    saveWorldInteractionSession(session);
+    await saveWorldInteractionSession(session);
 
     return {
       eventId: event.eventId,
@@ -325,26 +392,26 @@ export async function generateOptionResponse(sessionId, eventId, optionId) {
       player: session.player,
       subscene,
       selectedOption: selectedOptionData,
-      allNpcs: session.npcSetting.npcs // Pass all NPCs
+      allNpcs: session.npcSetting.npcs, // Pass all NPCs
+      storySoFar: buildStoryContext(session)
     });
 
     console.log('🤖 Calling Claude to generate NPC response...');
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 20000,
+    const response = await createMessage('worldEvent', {
       system: systemPrompt,
       messages: [{
         role: 'user',
         content: userPrompt
-      }]
+      }],
+      ...getStepToolParams('world')
     });
 
-    const responseText = response.content[0].text;
+    const responseTurn = getMessageTurn(response);
     console.log('✅ Received NPC response from Claude');
 
     // Parse response using narrative format
-    const narrativeData = parseInteractionNarrativeSteps(responseText, npc, session.npcSetting.npcs);
+    const narrativeData = parseInteractionNarrativeSteps(responseTurn, npc, session.npcSetting.npcs);
 
     // Store response in event
     event.optionResponse = {
@@ -353,7 +420,7 @@ export async function generateOptionResponse(sessionId, eventId, optionId) {
       timestamp: new Date().toISOString()
     };
 
-    saveWorldInteractionSession(session);
+    await saveWorldInteractionSession(session);
 
     return {
       eventId: event.eventId,
@@ -410,21 +477,21 @@ export async function selectOption(sessionId, eventId, optionId) {
       player: session.player,
       subscene,
       selectedOption: selectedOptionData,
-      allNpcs: session.npcSetting.npcs // Pass all NPCs
+      allNpcs: session.npcSetting.npcs, // Pass all NPCs
+      storySoFar: buildStoryContext(session)
     });
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 20000,
+    const response = await createMessage('worldEvent', {
       system: systemPrompt,
       messages: [{
         role: 'user',
         content: userPrompt
-      }]
+      }],
+      ...getStepToolParams('world')
     });
 
-    const responseText = response.content[0].text;
-    const narrativeData = parseInteractionNarrativeSteps(responseText, npc, session.npcSetting.npcs);
+    const responseTurn = getMessageTurn(response);
+    const narrativeData = parseInteractionNarrativeSteps(responseTurn, npc, session.npcSetting.npcs);
 
     // Store the selected option and response
     event.selectedOption = optionId;
@@ -435,7 +502,7 @@ export async function selectOption(sessionId, eventId, optionId) {
     };
 
     // Add player's choice and NPC response to interaction history
-    addInteractionToHistory(session, {
+    await addInteractionToHistory(session, {
       type: 'player_choice',
       eventId: event.eventId,
       eventTitle: event.eventTitle,
@@ -447,11 +514,12 @@ export async function selectOption(sessionId, eventId, optionId) {
       npcResponse: narrativeData.steps,
       round: session.currentRound
     });
+    await refreshStoryLedger(session);
 
-    saveWorldInteractionSession(session);
+    await saveWorldInteractionSession(session);
 
     // Terminate the event
-    const completedEvent = terminateEvent(session, eventId);
+    const completedEvent = await terminateEvent(session, eventId);
 
     // Reload session (it was saved in terminateEvent)
     const updatedSession = loadWorldInteractionSession(sessionId);
@@ -514,24 +582,24 @@ async function checkEventChainAndKeyEvent(session, worldSetting, npcSetting, com
       currentKeyEventIndex: session.currentKeyEventIndex,
       completedEvent,
       playerChoice: selectedOption,
-      allNpcs: npcSetting.npcs
+      allNpcs: npcSetting.npcs,
+      storySoFar: buildStoryContext(session)
     });
 
     console.log('🤖 Calling Claude to check event chain...');
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 10000,
+    const decision = await createStructuredMessage('worldEvent', {
       system: systemPrompt,
       messages: [{
         role: 'user',
         content: userPrompt
       }]
+    }, eventChainDecisionSchema, {
+      label: 'eventChainDecision',
+      parse: parseJSONFromResponse,
+      use: 'eventChain'
     });
 
-    const responseText = response.content[0].text;
-    const decision = parseJSONFromResponse(responseText);
-
     console.log('📊 Event chain decision:', decision);
 
     // If key event is completed, mark it and move to next
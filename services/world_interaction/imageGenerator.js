@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
-import { IMAGES_DIR, loadGameFiles, getAllSubscenes, getFileDirectory, loadJSONFile, saveJSONFile } from './utils.js';
+import { IMAGES_DIR, loadGameFiles, getAllSubscenes, getFileDirectory, loadJSONFile } from './utils.js';
+import { updateJsonState } from '../statePersistence.js';
 import {
   generateImage,
   processImageResult,
@@ -48,11 +49,12 @@ Create an artistic game world map with all these locations with beautiful artist
 
     const apiPath = `/api/world-interaction/images/${fileId}/world_map.png`;
 
-    // Save API path to worldSetting.json
+    // Save API path to worldSetting.json (as it is now: other images may have been saved meanwhile)
     const fileDir = getFileDirectory(fileId);
     const worldSettingPath = path.join(fileDir, 'worldSetting.json');
-    worldSetting.worldMapImage = apiPath;
-    saveJSONFile(worldSettingPath, worldSetting);
+    await updateJsonState(worldSettingPath, (current) => {
+      current.worldMapImage = apiPath;
+    });
 
     console.log(`✅ World map generated and saved to worldSetting: ${apiPath}`);
 
@@ -83,11 +85,12 @@ export async function generateSceneImage(fileId, sceneId) {
     // Save API path to sceneSetting.json
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
-    const sceneIndex = sceneSetting.scenes.findIndex(s => s.id === sceneId);
-    if (sceneIndex !== -1) {
-      sceneSetting.scenes[sceneIndex].image = apiPath;
-      saveJSONFile(sceneSettingPath, sceneSetting);
-    }
+    await updateJsonState(sceneSettingPath, (current) => {
+      const sceneIndex = current.scenes.findIndex(s => s.id === sceneId);
+      if (sceneIndex !== -1) {
+        current.scenes[sceneIndex].image = apiPath;
+      }
+    });
 
     console.log(`✅ Scene image generated and saved to sceneSetting: ${apiPath}`);
 
@@ -124,14 +127,15 @@ export async function generateSubsceneImage(fileId, sceneId, subsceneId) {
     // Save API path to sceneSetting.json
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
-    const sceneIndex = sceneSetting.scenes.findIndex(s => s.id === sceneId);
-    if (sceneIndex !== -1) {
-      const subsceneIndex = sceneSetting.scenes[sceneIndex].subscenes?.findIndex(s => s.id === subsceneId);
-      if (subsceneIndex !== -1) {
-        sceneSetting.scenes[sceneIndex].subscenes[subsceneIndex].image = apiPath;
-        saveJSONFile(sceneSettingPath, sceneSetting);
+    await updateJsonState(sceneSettingPath, (current) => {
+      const sceneIndex = current.scenes.findIndex(s => s.id === sceneId);
+      if (sceneIndex !== -1) {
+        const subsceneIndex = current.scenes[sceneIndex].subscenes?.findIndex(s => s.id === subsceneId);
+        if (subsceneIndex !== -1) {
+          current.scenes[sceneIndex].subscenes[subsceneIndex].image = apiPath;
+        }
       }
-    }
+    });
 
     console.log(`✅ Subscene image generated and saved to sceneSetting: ${apiPath}`);
 
@@ -164,14 +168,15 @@ export async function generateNPCImage(fileId, npcId) {
     // Save API path to npcSetting.json
     const fileDir = getFileDirectory(fileId);
     const npcSettingPath = path.join(fileDir, 'npcSetting.json');
-    const npcIndex = npcSetting.npcs.findIndex(n => n.id === npcId);
-    if (npcIndex !== -1) {
-      if (!npcSetting.npcs[npcIndex].images) {
-        npcSetting.npcs[npcIndex].images = {};
+    await updateJsonState(npcSettingPath, (current) => {
+      const npcIndex = current.npcs.findIndex(n => n.id === npcId);
+      if (npcIndex !== -1) {
+        if (!current.npcs[npcIndex].images) {
+          current.npcs[npcIndex].images = {};
+        }
+        current.npcs[npcIndex].images.base = apiPath;
       }
-      npcSetting.npcs[npcIndex].images.base = apiPath;
-      saveJSONFile(npcSettingPath, npcSetting);
-    }
+    });
 
     console.log(`✅ NPC image generated and saved to npcSetting: ${apiPath}`);
 
@@ -217,15 +222,16 @@ export async function generateNPCVariantImage(fileId, npcId, variant) {
     // Save API path to npcSetting.json
     const fileDir = getFileDirectory(fileId);
     const npcSettingPath = path.join(fileDir, 'npcSetting.json');
-    const npcIndex = npcSetting.npcs.findIndex(n => n.id === npcId);
-    if (npcIndex !== -1) {
-      if (!npcSetting.npcs[npcIndex].images) {
-        npcSetting.npcs[npcIndex].images = {};
+    await updateJsonState(npcSettingPath, (current) => {
+      const npcIndex = current.npcs.findIndex(n => n.id === npcId);
+      if (npcIndex !== -1) {
+        if (!current.npcs[npcIndex].images) {
+          current.npcs[npcIndex].images = {};
+        }
+        const variantKey = `${variant.type}_${variant.value.replace(/\s+/g, '_')}`;
+        current.npcs[npcIndex].images[variantKey] = apiPath;
       }
-      const variantKey = `${variant.type}_${variant.value.replace(/\s+/g, '_')}`;
-      npcSetting.npcs[npcIndex].images[variantKey] = apiPath;
-      saveJSONFile(npcSettingPath, npcSetting);
-    }
+    });
 
     console.log(`✅ NPC variant image generated and saved to npcSetting: ${apiPath}`);
 
@@ -258,11 +264,12 @@ export async function generatePlayerImage(fileId) {
     // Save API path to worldSetting.json
     const fileDir = getFileDirectory(fileId);
     const worldSettingPath = path.join(fileDir, 'worldSetting.json');
-    if (!worldSetting.player.images) {
-      worldSetting.player.images = {};
-    }
-    worldSetting.player.imagePath = apiPath;
-    saveJSONFile(worldSettingPath, worldSetting);
+    await updateJsonState(worldSettingPath, (current) => {
+      if (!current.player.images) {
+        current.player.images = {};
+      }
+      current.player.imagePath = apiPath;
+    });
 
     console.log(`✅ Player image generated and saved to worldSetting: ${apiPath}`);
 
@@ -1,94 +1,50 @@
+import { parseSteps } from '../stepFormat.js';
+
 /**
  * Parse narrative steps from NPC interaction response
- * This follows the same format as visualGameService.js
- * @param {string} response - The LLM response text
+ * (the shared step format, shaped like the visual mode's steps)
+ * @param {string|Array<Object>} response - The LLM response: its step tool calls, or text (see stepFormat.parseSteps)
  * @param {object} npc - The current NPC (for backward compatibility)
  * @param {array} npcList - List of all NPCs to lookup speaker names correctly
  */
 export function parseInteractionNarrativeSteps(response, npc, npcList = []) {
-  const steps = [];
-  const lines = response.split('\n');
-
-  let currentStep = null;
-  let currentChoice = null;
+  const { steps, errors } = parseSteps(response, 'world');
 
-  for (const line of lines) {
-    const trimmedLine = line.trim();
+  const interactionSteps = steps.map(step => {
+    if (step.type === 'dialogue') {
+      // Find the correct NPC by speakerId
+      const speakerId = step.speaker;
+      const speakerNpc = npcList.find(n => n.id === speakerId) || npc;
+      const speakerName = speakerNpc ? speakerNpc.name : speakerId;
 
-    // Narration
-    if (trimmedLine.startsWith('[NARRATION:')) {
-      if (currentStep) steps.push(currentStep);
-      currentStep = {
-        type: 'narration',
-        content: trimmedLine.replace(/^\[NARRATION:\s*/, '').replace(/\]$/, '').trim()
+      return {
+        type: 'dialogue',
+        npcId: speakerId,
+        content: step.text,
+        speakerName: speakerName,
+        npcImages: speakerNpc ? (speakerNpc.images || {}) : {},
+        activeImage: speakerNpc ? (speakerNpc.images?.base || null) : null
       };
     }
-    // Dialogue (NPC only in this context)
-    else if (trimmedLine.startsWith('[DIALOGUE:')) {
-      if (currentStep) steps.push(currentStep);
-      const match = trimmedLine.match(/^\[DIALOGUE:\s*([^,]+),\s*"([^"]+)"\s*\]/);
-      if (match) {
-        const speakerId = match[1].trim();
-        const dialogueContent = match[2].trim();
-
-        // Find the correct NPC by speakerId
-        const speakerNpc = npcList.find(n => n.id === speakerId) || npc;
-        const speakerName = speakerNpc ? speakerNpc.name : speakerId;
-
-        currentStep = {
-          type: 'dialogue',
-          npcId: speakerId,
-          content: dialogueContent,
-          speakerName: speakerName,
-          npcImages: speakerNpc ? (speakerNpc.images || {}) : {},
-          activeImage: speakerNpc ? (speakerNpc.images?.base || null) : null
-        };
-      }
-    }
-    // Choice start
-    else if (trimmedLine.startsWith('[CHOICE:')) {
-      if (currentStep) steps.push(currentStep);
-      currentChoice = {
+    if (step.type === 'choice') {
+      return {
         type: 'choice',
-        title: trimmedLine.replace(/^\[CHOICE:\s*/, '').replace(/\]$/, '').trim(),
-        description: '',
-        options: []
+        title: step.title,
+        description: step.text,
+        options: step.options.map((text, i) => ({
+          optionId: `option_${i + 1}`,
+          text,
+          type: 'unknown',
+          consequence: ''
+        }))
       };
-      currentStep = currentChoice;
     }
-    // Option
-    else if (trimmedLine.startsWith('[OPTION:') && currentChoice) {
-      const optionText = trimmedLine.replace(/^\[OPTION:\s*/, '').replace(/\]$/, '').trim();
-      currentChoice.options.push({
-        optionId: `option_${currentChoice.options.length + 1}`,
-        text: optionText,
-        type: 'unknown',
-        consequence: ''
-      });
-    }
-    // End choice
-    else if (trimmedLine === '[END_CHOICE]' && currentChoice) {
-      steps.push(currentChoice);
-      currentStep = null;
-      currentChoice = null;
-    }
-    // Description text for choice
-    else if (currentChoice && trimmedLine && !trimmedLine.startsWith('[')) {
-      currentChoice.description += (currentChoice.description ? ' ' : '') + trimmedLine;
-    }
-    // Continuation of current step
-    else if (currentStep && !currentChoice && trimmedLine && !trimmedLine.startsWith('[')) {
-      currentStep.content += ' ' + trimmedLine;
-    }
-  }
-
-  // Push last step if exists
-  if (currentStep && !currentChoice) {
-    steps.push(currentStep);
-  }
+    return { type: 'narration', content: step.text };
+  });
 
   return {
-    steps,
-    totalSteps: steps.length
+    steps: interactionSteps,
+    totalSteps: interactionSteps.length,
+    errors
   };
 }
@@ -1,3 +1,5 @@
+import { describeStepFormat } from '../stepFormat.js';
+
 /**
  * System prompt for event generation
  */
@@ -72,7 +74,8 @@ export function generateEventGenerationPrompt({
   currentKeyEventIndex,
   availableSubscenes,
   currentRound,
-  completedEvents
+  completedEvents,
+  storySoFar = ''
 }) {
   const completedEventsStr = completedEvents.length > 0
     ? `\n\n已完成的事件：\n${completedEvents.map((e, i) => `${i + 1}. ${e.eventTitle} (${e.targetNpcId})`).join('\n')}`
@@ -117,7 +120,7 @@ ${availableSubscenes.map(s => `- ${s.id} (${s.name})：${s.description}`).join('
 
 ## 当前游戏状态
 
-当前回合：第 ${currentRound} 回合${completedEventsStr}
+当前回合：第 ${currentRound} 回合${completedEventsStr}${storySoFar ? `\n\n${storySoFar}` : ''}
 
 请根据以上信息，为NPC"${npc.name}"生成一个推进关键剧情"${currentKeyEvent.title}"的事件。`;
 }
@@ -130,31 +133,23 @@ export function getNPCInteractionSystemPrompt() {
 
 ## 重要：输出格式
 
-你的回复必须使用以下叙事结构标记：
+你的回复必须由以下几种叙事步骤组成：
+
+${describeStepFormat()}
 
 1. **旁白叙述 (Narration)** - 场景描述、环境变化、事件发展、心理描写
-   格式: [NARRATION: 旁白文本]
-   示例: [NARRATION: 月光透过树梢洒在林间小道上，远处传来夜莺的鸣叫。空气中弥漫着潮湿的青草气息。]
+   格式: {"type":"narration","text":"旁白文本"}
+   示例: {"type":"narration","text":"月光透过树梢洒在林间小道上，远处传来夜莺的鸣叫。空气中弥漫着潮湿的青草气息。"}
 
 2. **NPC对话 (Dialogue)** - NPC的台词
-   格式: [DIALOGUE: NPC_ID, "对话内容"]
-   示例: [DIALOGUE: chen_yu, "你好，我注意到你好像有些迷茫。需要帮助吗？"]
-   示例: [DIALOGUE: player, "我愿意承担这个使命，虽然我不知道自己能否胜任。"]
-   注意: 必须使用NPC的ID（如chen_yu, xu_mingzhe等），而不是NPC的名字
+   格式: {"type":"dialogue","speaker":"NPC_ID","text":"对话内容"}
+   示例: {"type":"dialogue","speaker":"chen_yu","text":"你好，我注意到你好像有些迷茫。需要帮助吗？"}
+   示例: {"type":"dialogue","speaker":"player","text":"我愿意承担这个使命，虽然我不知道自己能否胜任。"}
+   注意: speaker必须使用NPC的ID（如chen_yu, xu_mingzhe等），而不是NPC的名字
 
 3. **选择分支 (Choice)** - 玩家的行动选项
-   格式: [CHOICE: 选择标题]
-          选择的描述文本
-          [OPTION: 选项1文本]
-          [OPTION: 选项2文本]
-          [OPTION: 选项3文本]
-          [END_CHOICE]
-   示例: [CHOICE: 如何回应？]
-          陈宇正等待着你的答复，他的目光中充满期待。
-          [OPTION: "谢谢你，我确实有些困惑。"]
-          [OPTION: "我没事，只是在思考一些事情。"]
-          [OPTION: "不好意思，我现在不太方便。"]
-          [END_CHOICE]
+   格式: {"type":"choice","title":"选择标题","text":"选择的描述文本","options":["选项1文本","选项2文本","选项3文本"]}
+   示例: {"type":"choice","title":"如何回应？","text":"陈宇正等待着你的答复，他的目光中充满期待。","options":["谢谢你，我确实有些困惑。","我没事，只是在思考一些事情。","不好意思，我现在不太方便。"]}
 
 ## 对话生成规则
 
@@ -179,31 +174,25 @@ export function getNPCInteractionSystemPrompt() {
    - <vibration>文本</vibration> - 立绘震动：表现惊吓、生气、震惊、愤怒的情绪
 
    示例:
-   [DIALOGUE: xu_mingzhe, "<jump>太好了！比赛我们赢了！</jump>"]
-   [DIALOGUE: gu_qinghan, "<vibration> 别打扰我学习。</vibration>"]
+   {"type":"dialogue","speaker":"xu_mingzhe","text":"<jump>太好了！比赛我们赢了！</jump>"}
+   {"type":"dialogue","speaker":"gu_qinghan","text":"<vibration> 别打扰我学习。</vibration>"}
 
 ## 输出格式示例
 
-[NARRATION: 樱花树下，陈宇静静地站在那里，手中拿着一本笔记本。微风吹过，花瓣纷纷扬扬地飘落在他的肩膀上。他抬起头，看到你走来，脸上露出温和的笑容。]
-[DIALOGUE: chen_yu, "你好，我是陈宇。看起来你是新来的转学生吧？如果有什么不懂的地方，随时可以问我。"]
-[DIALOGUE: player, "你好啊，谢谢学长！"]
-[NARRATION: 他的语气温柔而真诚，让人感到很安心。周围的空气似乎都变得温暖起来。]
-[CHOICE: 如何回应？]
-陈宇正等待着你的答复，他的眼神中充满善意。
-[OPTION: "谢谢你，我正好有些问题想请教。"]
-[OPTION: "你真好，我叫林晓，很高兴认识你。"]
-[OPTION: "不用了，我自己可以处理。"]
-[END_CHOICE]
+{"type":"narration","text":"樱花树下，陈宇静静地站在那里，手中拿着一本笔记本。微风吹过，花瓣纷纷扬扬地飘落在他的肩膀上。他抬起头，看到你走来，脸上露出温和的笑容。"}
+{"type":"dialogue","speaker":"chen_yu","text":"你好，我是陈宇。看起来你是新来的转学生吧？如果有什么不懂的地方，随时可以问我。"}
+{"type":"dialogue","speaker":"player","text":"你好啊，谢谢学长！"}
+{"type":"narration","text":"他的语气温柔而真诚，让人感到很安心。周围的空气似乎都变得温暖起来。"}
+{"type":"choice","title":"如何回应？","text":"陈宇正等待着你的答复，他的眼神中充满善意。","options":["谢谢你，我正好有些问题想请教。","你真好，我叫林晓，很高兴认识你。","不用了，我自己可以处理。"]}
 
 ## 注意事项
-- 每个步骤独占一行或多行（对于CHOICE）
-- 对话内容必须用英文的双引号包裹，**不允许使用中文双引号**
+- 每个步骤调用一次对应的步骤工具，参数要完整
 - NPC对话必须使用NPC的ID
 - **玩家对话使用player作为ID**
 - 选择选项通常3-4个，要具体可操作
 - 所有文本必须是中文
 - 禁止输出markdown格式的表格、代码块、标题（#、##、**等）
-- **不要输出JSON格式，必须使用上述叙事标记格式**
+- **除上述步骤外不要输出任何内容**
 
 请根据事件内容生成NPC的互动场景。`;
 }
@@ -217,11 +206,12 @@ export function generateNPCInteractionPrompt({
   event,
   player,
   subscene,
-  allNpcs = []
+  allNpcs = [],
+  storySoFar = ''
 }) {
   // Build NPC list string
   const npcListStr = allNpcs.length > 0
-    ? `\n\n## 游戏中的所有NPC\n\n${allNpcs.map(n => `- ${n.name} (${n.id})：${n.age}岁 ${n.gender}，${n.personality}`).join('\n')}\n\n**注意**：你可以在对话中提到其他NPC，但当前事件的主角是${npc.name}。如果需要其他NPC说话，也可以使用[DIALOGUE: NPC_ID, "对话内容"]格式。`
+    ? `\n\n## 游戏中的所有NPC\n\n${allNpcs.map(n => `- ${n.name} (${n.id})：${n.age}岁 ${n.gender}，${n.personality}`).join('\n')}\n\n**注意**：你可以在对话中提到其他NPC，但当前事件的主角是${npc.name}。如果需要其他NPC说话，也可以输出 speaker 为其 NPC_ID 的 dialogue 步骤。`
     : '';
 
   return `请为以下互动场景生成NPC的对话和玩家选项：
@@ -257,7 +247,7 @@ export function generateNPCInteractionPrompt({
 ## 场景
 
 场景：${subscene.name}
-描述：${subscene.description}
+描述：${subscene.description}${storySoFar ? `\n\n${storySoFar}` : ''}
 
 请生成${npc.name}的对话和玩家的回应选项。对话要自然地呈现事件内容，并提供3-4个有意义的选项供玩家选择。`;
 }
@@ -270,17 +260,19 @@ export function getOptionResponseSystemPrompt() {
 
 ## 重要：输出格式
 
-你的回复必须使用以下叙事结构标记：
+你的回复必须由以下几种叙事步骤组成：
+
+${describeStepFormat()}
 
 1. **旁白叙述 (Narration)** - 场景描述、环境变化、事件发展、心理描写
-   格式: [NARRATION: 旁白文本]
-   示例: [NARRATION: 陈宇听到你的回答后，脸上露出了欣慰的笑容。]
+   格式: {"type":"narration","text":"旁白文本"}
+   示例: {"type":"narration","text":"陈宇听到你的回答后，脸上露出了欣慰的笑容。"}
 
 2. **NPC对话 (Dialogue)** - NPC的台词
-   格式: [DIALOGUE: NPC_ID, "对话内容"]
-   示例: [DIALOGUE: player, "我愿意承担这个使命，虽然我不知道自己能否胜任。"]
-   示例: [DIALOGUE: chen_yu, "太好了，我就知道你会帮助我的。"]
-   注意: 必须使用NPC的ID（如chen_yu, xu_mingzhe等），而不是NPC的名字
+   格式: {"type":"dialogue","speaker":"NPC_ID","text":"对话内容"}
+   示例: {"type":"dialogue","speaker":"player","text":"我愿意承担这个使命，虽然我不知道自己能否胜任。"}
+   示例: {"type":"dialogue","speaker":"chen_yu","text":"太好了，我就知道你会帮助我的。"}
+   注意: speaker必须使用NPC的ID（如chen_yu, xu_mingzhe等），而不是NPC的名字
 
 3. **动画标记**（可选）：
    在对话中，可以使用动画标记来表现角色的情绪和动作：
@@ -311,18 +303,17 @@ export function getOptionResponseSystemPrompt() {
 
 ## 输出格式示例
 
-[NARRATION: 陈宇听到你的回答后，眼睛一亮，脸上露出了如释重负的笑容。]
-[DIALOGUE: chen_yu, "<jump>太好了！有你的帮助，我一定能完成这个任务。</jump>"]
-[NARRATION: 他伸出手，与你握了握手。你能感受到他掌心的温暖和真诚。这次对话让你们的关系更进了一步。]
+{"type":"narration","text":"陈宇听到你的回答后，眼睛一亮，脸上露出了如释重负的笑容。"}
+{"type":"dialogue","speaker":"chen_yu","text":"<jump>太好了！有你的帮助，我一定能完成这个任务。</jump>"}
+{"type":"narration","text":"他伸出手，与你握了握手。你能感受到他掌心的温暖和真诚。这次对话让你们的关系更进了一步。"}
 
 ## 注意事项
-- 每个步骤独占一行
-- 对话内容必须用英文双引号包裹，**不允许使用中文双引号**
+- 每个步骤调用一次对应的步骤工具，参数要完整
 - NPC对话必须使用NPC的ID
 - **玩家对话使用player作为ID**
 - 所有文本必须是中文
 - 禁止输出markdown格式的表格、代码块、标题（#、##、**等）
-- **不要输出JSON格式，必须使用上述叙事标记格式**
+- **除上述步骤外不要输出任何内容**
 - **不要再提供选项，这是事件的结束**
 
 请根据玩家的选择生成NPC的回应。`;
@@ -338,7 +329,8 @@ export function generateOptionResponsePrompt({
   player,
   subscene,
   selectedOption,
-  allNpcs = []
+  allNpcs = [],
+  storySoFar = ''
 }) {
   // Build NPC list string
   const npcListStr = allNpcs.length > 0
@@ -383,7 +375,7 @@ export function generateOptionResponsePrompt({
 
 选项：${selectedOption.text}
 ${selectedOption.type ? `类型：${selectedOption.type}` : ''}
-${selectedOption.consequence ? `后果：${selectedOption.consequence}` : ''}
+${selectedOption.consequence ? `后果：${selectedOption.consequence}` : ''}${storySoFar ? `\n\n${storySoFar}` : ''}
 
 请生成${npc.name}对玩家这个选择的回应。回应要体现NPC的性格，给事件一个合理的结局，并反映出选择的后果。`;
 }
@@ -490,7 +482,8 @@ export function generateNPCSelectionPrompt({
   currentKeyEvent,
   currentKeyEventIndex,
   currentRound,
-  recentEvents
+  recentEvents,
+  storySoFar = ''
 }) {
   const recentEventsStr = recentEvents.length > 0
     ? `\n\n## 最近完成的事件（用于避免重复）\n\n${recentEvents.map((e, i) => `${i + 1}. ${e.eventTitle} - NPC: ${e.targetNpcId} (${e.round}回合)`).join('\n')}`
@@ -523,7 +516,7 @@ ${allNpcs.map((npc, i) => `${i + 1}. **${npc.id}** (${npc.name})
 
 ## 当前游戏状态
 
-当前回合：第 ${currentRound} 回合${recentEventsStr}
+当前回合：第 ${currentRound} 回合${recentEventsStr}${storySoFar ? `\n\n${storySoFar}` : ''}
 
 请分析当前关键剧情"${currentKeyEvent.title}"的需求，从上述NPC列表中选择最适合推进该剧情的NPC。`;
 }
@@ -537,7 +530,8 @@ export function generateEventChainPrompt({
   currentKeyEventIndex,
   completedEvent,
   playerChoice,
-  allNpcs
+  allNpcs,
+  storySoFar = ''
 }) {
   return `请分析以下情况，决定是否需要生成新事件：
 
@@ -569,7 +563,7 @@ NPC：${completedEvent.targetNpcId}
 
 ## 可用NPC列表
 
-${allNpcs.map(n => `- ${n.id} (${n.name})：${n.personality}`).join('\n')}
+${allNpcs.map(n => `- ${n.id} (${n.name})：${n.personality}`).join('\n')}${storySoFar ? `\n\n${storySoFar}` : ''}
 
 请决定：
 1. 这个事件是否已经达成了关键剧情"${currentKeyEvent.title}"？
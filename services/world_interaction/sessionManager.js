@@ -10,13 +10,26 @@ import {
   getKeyEventByIndex,
   validateSessionData
 } from './utils.js';
+import { loadStoryLedger, saveStoryLedger } from '../storyMemoryService.js';
+import { createSeed } from '../diceService.js';
+import { createSessionStore } from '../sessionStore.js';
+
+// World sessions are read from their files on every request; the store only provides their locks
+const worldSessions = createSessionStore('world');
+
+/**
+ * Run fn while holding the session's lock (serializes actions on one session, also across server instances)
+ */
+export function withWorldSessionLock(sessionId, fn) {
+  return worldSessions.withLock(sessionId, fn);
+}
 
 /**
  * Create a new world interaction session
  * @param {string} fileId - Optional file ID from temp directory
  * @param {string} presetId - Optional preset ID from visual_saves directory
  */
-export function createWorldInteractionSession(fileId = null, presetId = null) {
+export async function createWorldInteractionSession(fileId = null, presetId = null) {
   try {
     console.log(`🎮 Creating world interaction session${fileId ? ` for fileId: ${fileId}` : ''}${presetId ? ` for presetId: ${presetId}` : ''}`);
 
@@ -59,7 +72,10 @@ export function createWorldInteractionSession(fileId = null, presetId = null) {
       visitedSubscenes: [],
 
       // Interaction history for chat display
-      interactionHistory: []
+      interactionHistory: [],
+
+      // Seeded random sequence (fallback NPC selection)
+      random: { seed: createSeed(), draws: 0 }
     };
 
     // Create session directory
@@ -83,20 +99,21 @@ export function createWorldInteractionSession(fileId = null, presetId = null) {
       player: session.player,
       visitedScenes: session.visitedScenes,
       visitedSubscenes: session.visitedSubscenes,
+      random: session.random,
       updatedAt: new Date().toISOString()
     };
 
     const sessionPath = path.join(sessionDir, 'session.json');
-    saveJSONFile(sessionPath, sessionData);
+    await saveJSONFile(sessionPath, sessionData);
 
     // Save game settings separately
     const worldPath = path.join(sessionDir, 'worldSetting.json');
     const npcPath = path.join(sessionDir, 'npcSetting.json');
     const scenePath = path.join(sessionDir, 'sceneSetting.json');
 
-    saveJSONFile(worldPath, worldSetting);
-    saveJSONFile(npcPath, npcSetting);
-    saveJSONFile(scenePath, sceneSetting);
+    await saveJSONFile(worldPath, worldSetting);
+    await saveJSONFile(npcPath, npcSetting);
+    await saveJSONFile(scenePath, sceneSetting);
 
     // Initialize empty interaction history
     const historyData = {
@@ -106,7 +123,7 @@ export function createWorldInteractionSession(fileId = null, presetId = null) {
       totalInteractions: 0
     };
     const historyPath = path.join(sessionDir, 'history.json');
-    saveJSONFile(historyPath, historyData);
+    await saveJSONFile(historyPath, historyData);
 
     console.log(`✅ Session created: ${sessionId}`);
     return session;
@@ -150,7 +167,8 @@ export function loadWorldInteractionSession(sessionId) {
       worldSetting,
       npcSetting,
       sceneSetting,
-      interactionHistory
+      interactionHistory,
+      storyLedger: loadStoryLedger(path.join(sessionDir, 'storyLedger.json'))
     };
 
     validateSessionData(session);
@@ -164,7 +182,7 @@ export function loadWorldInteractionSession(sessionId) {
 /**
  * Save session
  */
-export function saveWorldInteractionSession(session) {
+export async function saveWorldInteractionSession(session) {
   try {
     validateSessionData(session);
 
@@ -188,34 +206,38 @@ export function saveWorldInteractionSession(session) {
       player: session.player,
       visitedScenes: session.visitedScenes,
       visitedSubscenes: session.visitedSubscenes,
+      random: session.random,
       updatedAt: new Date().toISOString()
     };
 
     const sessionPath = path.join(sessionDir, 'session.json');
-    saveJSONFile(sessionPath, sessionData);
+    await saveJSONFile(sessionPath, sessionData);
 
     // Save game settings separately (only if they exist in session)
     if (session.worldSetting) {
       const worldPath = path.join(sessionDir, 'worldSetting.json');
       if (!fs.existsSync(worldPath)) {
-        saveJSONFile(worldPath, session.worldSetting);
+        await saveJSONFile(worldPath, session.worldSetting);
       }
     }
     if (session.npcSetting) {
       const npcPath = path.join(sessionDir, 'npcSetting.json');
       if (!fs.existsSync(npcPath)) {
-        saveJSONFile(npcPath, session.npcSetting);
+        await saveJSONFile(npcPath, session.npcSetting);
       }
     }
     if (session.sceneSetting) {
       const scenePath = path.join(sessionDir, 'sceneSetting.json');
       if (!fs.existsSync(scenePath)) {
-        saveJSONFile(scenePath, session.sceneSetting);
+        await saveJSONFile(scenePath, session.sceneSetting);
       }
     }
 
     // Save interaction history separately
-    saveInteractionHistory(session.sessionId, session.interactionHistory || []);
+    await saveInteractionHistory(session.sessionId, session.interactionHistory || []);
+    if (session.storyLedger) {
+      await saveStoryLedger(path.join(sessionDir, 'storyLedger.json'), session.storyLedger);
+    }
   } catch (error) {
     console.error('Error saving session:', error);
     throw error;
@@ -225,7 +247,7 @@ export function saveWorldInteractionSession(session) {
 /**
  * Save interaction history to separate file
  */
-export function saveInteractionHistory(sessionId, interactions) {
+export async function saveInteractionHistory(sessionId, interactions) {
   try {
     const sessionDir = path.join(SESSIONS_DIR, sessionId);
     const historyData = {
@@ -235,7 +257,7 @@ export function saveInteractionHistory(sessionId, interactions) {
       totalInteractions: (interactions || []).length
     };
     const historyPath = path.join(sessionDir, 'history.json');
-    saveJSONFile(historyPath, historyData);
+    await saveJSONFile(historyPath, historyData);
   } catch (error) {
     console.error('Error saving interaction history:', error);
     throw error;
@@ -245,7 +267,7 @@ export function saveInteractionHistory(sessionId, interactions) {
 /**
  * Add interaction to history
  */
-export function addInteractionToHistory(session, interaction) {
+export async function addInteractionToHistory(session, interaction) {
   if (!session.interactionHistory) {
     session.interactionHistory = [];
   }
@@ -255,7 +277,7 @@ export function addInteractionToHistory(session, interaction) {
     timestamp: new Date().toISOString()
   });
 
-  saveInteractionHistory(session.sessionId, session.interactionHistory);
+  await saveInteractionHistory(session.sessionId, session.interactionHistory);
   return session;
 }
 
@@ -345,7 +367,7 @@ export async function startNewRound(session) {
     console.log(`📍 Moving to key event ${session.currentKeyEventIndex}: ${newKeyEvent.title}`);
 
     // Save session before generating events
-    saveWorldInteractionSession(session);
+    await saveWorldInteractionSession(session);
 
     // Generate initial event for the new key event
     try {
@@ -357,7 +379,7 @@ export async function startNewRound(session) {
     }
   } else {
     console.log('🎉 All key events completed! Game finished!');
-    saveWorldInteractionSession(session);
+    await saveWorldInteractionSession(session);
   }
 
   // Reload session to get updated state
@@ -367,7 +389,7 @@ export async function startNewRound(session) {
 /**
  * Add event to session
  */
-export function addEventToSession(session, event) {
+export async function addEventToSession(session, event) {
   // Add to active events
   session.activeEvents.push(event);
 
@@ -378,14 +400,14 @@ export function addEventToSession(session, event) {
     timestamp: new Date().toISOString()
   });
 
-  saveWorldInteractionSession(session);
+  await saveWorldInteractionSession(session);
   return session;
 }
 
 /**
  * Terminate an event
  */
-export function terminateEvent(session, eventId) {
+export async function terminateEvent(session, eventId) {
   const eventIndex = session.activeEvents.findIndex(e => e.eventId === eventId);
 
   if (eventIndex === -1) {
@@ -401,7 +423,7 @@ export function terminateEvent(session, eventId) {
 
   console.log(`✅ Event terminated: ${eventId}`);
 
-  saveWorldInteractionSession(session);
+  await saveWorldInteractionSession(session);
   return event;
 }
 
@@ -4,6 +4,7 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { completeGameSessionByParams } from '../../login/controller/gamesController.js';
 import { getFileIdBySessionId } from '../../login/service/gamesService.js';
+import { readJsonState, writeJsonState } from '../statePersistence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -29,7 +30,7 @@ export function loadJSONFile(filePath) {
   if (!fs.existsSync(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
-  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return readJsonState(filePath);
 }
 
 /**
@@ -40,13 +41,13 @@ export async function saveJSONFile(filePath, data) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  await writeJsonState(filePath, data);
    // minio save
    try {
     // 根据sessionId => 对应的fileId
     const fileId = await getFileIdBySessionId(data.sessionId);
     if (fileId) {
-      await completeGameSessionByParams(data.sessionId, 'public/world_interaction/sessions', fileId);
+      await completeGameSessionByParams(data.sessionId, 'public/world_interaction/sessions', fileId, { status: 'active' });
       console.log(`✅ Session data uploaded to MinIO-yuqq: ${data.sessionId}`);
     }
   } catch (uploadError) {
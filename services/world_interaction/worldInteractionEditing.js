@@ -4,6 +4,7 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import sharp from 'sharp';
 import { validateWorldSetting, validateNPCSetting, validateSceneSetting } from '../visual/utils.js';
+import { writeJsonState } from '../statePersistence.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -29,7 +30,7 @@ function loadJSONFile(filePath) {
 }
 
 function saveJSONFile(filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  return writeJsonState(filePath, data);
 }
 
 async function resizeImageToStandard(imageBuffer, outputPath) {
@@ -49,7 +50,7 @@ async function resizeImageToStandard(imageBuffer, outputPath) {
   }
 }
 
-export function updateWorldSetting(fileId, updates) {
+export async function updateWorldSetting(fileId, updates) {
   try {
     const fileDir = getFileDirectory(fileId);
     const worldSettingPath = path.join(fileDir, 'worldSetting.json');
@@ -69,7 +70,7 @@ export function updateWorldSetting(fileId, updates) {
     validateWorldSetting(updatedWorldSetting);
 
     // Save
-    saveJSONFile(worldSettingPath, updatedWorldSetting);
+    await saveJSONFile(worldSettingPath, updatedWorldSetting);
 
     console.log(`✅ World setting updated for fileId: ${fileId}`);
     return updatedWorldSetting;
@@ -80,7 +81,7 @@ export function updateWorldSetting(fileId, updates) {
 }
 
 
-export function updatePlayer(fileId, playerUpdates) {
+export async function updatePlayer(fileId, playerUpdates) {
   try {
     const fileDir = getFileDirectory(fileId);
     const worldSettingPath = path.join(fileDir, 'worldSetting.json');
@@ -92,7 +93,7 @@ export function updatePlayer(fileId, playerUpdates) {
     validateWorldSetting(worldSetting);
 
     // Save
-    saveJSONFile(worldSettingPath, worldSetting);
+    await saveJSONFile(worldSettingPath, worldSetting);
 
     console.log(`✅ Player updated for fileId: ${fileId}`);
     return worldSetting.player;
@@ -133,7 +134,7 @@ export function getNPCById(fileId, npcId) {
 }
 
 
-export function addNPC(fileId, npcData) {
+export async function addNPC(fileId, npcData) {
   try {
     const fileDir = getFileDirectory(fileId);
     const npcSettingPath = path.join(fileDir, 'npcSetting.json');
@@ -159,7 +160,7 @@ export function addNPC(fileId, npcData) {
     validateNPCSetting(npcSetting);
 
     // Save
-    saveJSONFile(npcSettingPath, npcSetting);
+    await saveJSONFile(npcSettingPath, npcSetting);
 
     console.log(`✅ NPC added: ${npcData.id}`);
     return npcData;
@@ -169,7 +170,7 @@ export function addNPC(fileId, npcData) {
   }
 }
 
-export function updateNPC(fileId, npcId, updates) {
+export async function updateNPC(fileId, npcId, updates) {
   try {
     const fileDir = getFileDirectory(fileId);
     const npcSettingPath = path.join(fileDir, 'npcSetting.json');
@@ -193,7 +194,7 @@ export function updateNPC(fileId, npcId, updates) {
     validateNPCSetting(npcSetting);
 
     // Save
-    saveJSONFile(npcSettingPath, npcSetting);
+    await saveJSONFile(npcSettingPath, npcSetting);
 
     console.log(`✅ NPC updated: ${npcId}`);
     return npcSetting.npcs[npcIndex];
@@ -204,7 +205,7 @@ export function updateNPC(fileId, npcId, updates) {
 }
 
 
-export function deleteNPC(fileId, npcId) {
+export async function deleteNPC(fileId, npcId) {
   try {
     const fileDir = getFileDirectory(fileId);
     const npcSettingPath = path.join(fileDir, 'npcSetting.json');
@@ -220,7 +221,7 @@ export function deleteNPC(fileId, npcId) {
     npcSetting.npcs.splice(npcIndex, 1);
 
     // Save
-    saveJSONFile(npcSettingPath, npcSetting);
+    await saveJSONFile(npcSettingPath, npcSetting);
 
     // Also delete NPC images if they exist
     const npcImageDir = path.join(WORLD_INTERACTION_IMAGES_DIR, fileId, 'npcs', npcId);
@@ -268,7 +269,7 @@ export function getSceneById(fileId, sceneId) {
 }
 
 
-export function addScene(fileId, sceneData) {
+export async function addScene(fileId, sceneData) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -299,7 +300,7 @@ export function addScene(fileId, sceneData) {
     validateSceneSetting(sceneSetting);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Scene added: ${sceneData.id}`);
     return sceneData;
@@ -309,7 +310,7 @@ export function addScene(fileId, sceneData) {
   }
 }
 
-export function updateScene(fileId, sceneId, updates) {
+export async function updateScene(fileId, sceneId, updates) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -333,7 +334,7 @@ export function updateScene(fileId, sceneId, updates) {
     validateSceneSetting(sceneSetting);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Scene updated: ${sceneId}`);
     return sceneSetting.scenes[sceneIndex];
@@ -343,7 +344,7 @@ export function updateScene(fileId, sceneId, updates) {
   }
 }
 
-export function deleteScene(fileId, sceneId) {
+export async function deleteScene(fileId, sceneId) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -359,7 +360,7 @@ export function deleteScene(fileId, sceneId) {
     sceneSetting.scenes.splice(sceneIndex, 1);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     // Also delete scene image if it exists
     const sceneImagePath = path.join(WORLD_INTERACTION_IMAGES_DIR, fileId, 'scenes', `${sceneId}.png`);
@@ -414,7 +415,7 @@ export function getSubsceneById(fileId, sceneId, subsceneId) {
   }
 }
 
-export function addSubscene(fileId, sceneId, subsceneData) {
+export async function addSubscene(fileId, sceneId, subsceneData) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -457,7 +458,7 @@ export function addSubscene(fileId, sceneId, subsceneData) {
     validateSceneSetting(sceneSetting);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Subscene added: ${subsceneData.id} to scene: ${sceneId}`);
     return subsceneData;
@@ -467,7 +468,7 @@ export function addSubscene(fileId, sceneId, subsceneData) {
   }
 }
 
-export function updateSubscene(fileId, sceneId, subsceneId, updates) {
+export async function updateSubscene(fileId, sceneId, subsceneId, updates) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -503,7 +504,7 @@ export function updateSubscene(fileId, sceneId, subsceneId, updates) {
     validateSceneSetting(sceneSetting);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Subscene updated: ${subsceneId} in scene: ${sceneId}`);
     return scene.subscenes[subsceneIndex];
@@ -513,7 +514,7 @@ export function updateSubscene(fileId, sceneId, subsceneId, updates) {
   }
 }
 
-export function deleteSubscene(fileId, sceneId, subsceneId) {
+export async function deleteSubscene(fileId, sceneId, subsceneId) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -541,7 +542,7 @@ export function deleteSubscene(fileId, sceneId, subsceneId) {
     scene.subscenes.splice(subsceneIndex, 1);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     // Delete subscene image if it exists
     const subsceneImageDir = path.join(WORLD_INTERACTION_IMAGES_DIR, fileId, 'subscenes');
@@ -565,7 +566,7 @@ export function deleteSubscene(fileId, sceneId, subsceneId) {
 // NPC SETTINGS FUNCTIONS (Zoom & Position)
 // ============================================
 
-export function updateSubsceneNpcSlots(fileId, sceneId, subsceneId, npcSlots) {
+export async function updateSubsceneNpcSlots(fileId, sceneId, subsceneId, npcSlots) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -611,7 +612,7 @@ export function updateSubsceneNpcSlots(fileId, sceneId, subsceneId, npcSlots) {
     subscene.npcs_slots = npcSlots;
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Updated NPC slots for subscene: ${subsceneId} in scene: ${sceneId}`);
     return {
@@ -628,7 +629,7 @@ export function updateSubsceneNpcSlots(fileId, sceneId, subsceneId, npcSlots) {
 // SCENE-SUBSCENE RELATIONSHIP FUNCTIONS
 // ============================================
 
-export function moveSubscene(fileId, subsceneId, fromSceneId, toSceneId) {
+export async function moveSubscene(fileId, subsceneId, fromSceneId, toSceneId) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -675,7 +676,7 @@ export function moveSubscene(fileId, subsceneId, fromSceneId, toSceneId) {
     validateSceneSetting(sceneSetting);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Subscene moved: ${subsceneId} from ${fromSceneId} to ${toSceneId}`);
     return {
@@ -691,7 +692,7 @@ export function moveSubscene(fileId, subsceneId, fromSceneId, toSceneId) {
 }
 
 
-export function updateScenePositions(fileId, positions) {
+export async function updateScenePositions(fileId, positions) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -725,7 +726,7 @@ export function updateScenePositions(fileId, positions) {
     validateSceneSetting(sceneSetting);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Updated positions for ${updatedCount} scenes`);
     return {
@@ -740,7 +741,7 @@ export function updateScenePositions(fileId, positions) {
 }
 
 
-export function updateSubscenePositions(fileId, sceneId, positions) {
+export async function updateSubscenePositions(fileId, sceneId, positions) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -785,7 +786,7 @@ export function updateSubscenePositions(fileId, sceneId, positions) {
     validateSceneSetting(sceneSetting);
 
     // Save
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Updated positions for ${updatedCount} subscenes in scene: ${sceneId}`);
     return {
@@ -844,7 +845,7 @@ export async function uploadNPCImage(fileId, npcId, file, variant = 'base') {
     npc.images[variant] = apiImagePath;
 
     // Save updated NPC setting
-    saveJSONFile(npcSettingPath, npcSetting);
+    await saveJSONFile(npcSettingPath, npcSetting);
 
     console.log(`✅ NPC image uploaded: ${npcId} - ${variant}`);
     return {
@@ -901,7 +902,7 @@ export async function uploadSceneImage(fileId, sceneId, file) {
     scene.image = apiImagePath;
 
     // Save updated scene setting
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Scene image uploaded: ${sceneId}`);
     return {
@@ -969,7 +970,7 @@ export async function uploadSubsceneImage(fileId, sceneId, subsceneId, file) {
     subscene.image = apiImagePath;
 
     // Save updated scene setting
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Subscene image uploaded: ${subsceneId} in scene: ${sceneId}`);
     return {
@@ -1022,7 +1023,7 @@ export async function uploadPlayerImage(fileId, file, variant = 'base') {
     worldSetting.player.images[variant] = apiImagePath;
 
     // Save updated world setting
-    saveJSONFile(worldSettingPath, worldSetting);
+    await saveJSONFile(worldSettingPath, worldSetting);
 
     console.log(`✅ Player image uploaded: ${variant}`);
     return {
@@ -1071,7 +1072,7 @@ export async function uploadWorldMapImage(fileId, file) {
     worldSetting.worldMapImage = apiImagePath;
 
     // Save updated world setting
-    saveJSONFile(worldSettingPath, worldSetting);
+    await saveJSONFile(worldSettingPath, worldSetting);
 
     console.log(`✅ World map image uploaded`);
     return {
@@ -1085,7 +1086,7 @@ export async function uploadWorldMapImage(fileId, file) {
 }
 
 
-export function deleteNPCImage(fileId, npcId, variant) {
+export async function deleteNPCImage(fileId, npcId, variant) {
   try {
     const fileDir = getFileDirectory(fileId);
     const npcSettingPath = path.join(fileDir, 'npcSetting.json');
@@ -1111,7 +1112,7 @@ export function deleteNPCImage(fileId, npcId, variant) {
     }
 
     // Save updated NPC setting
-    saveJSONFile(npcSettingPath, npcSetting);
+    await saveJSONFile(npcSettingPath, npcSetting);
 
     console.log(`✅ NPC image deleted: ${npcId} - ${variant}`);
     return true;
@@ -1122,7 +1123,7 @@ export function deleteNPCImage(fileId, npcId, variant) {
 }
 
 
-export function deleteSceneImage(fileId, sceneId) {
+export async function deleteSceneImage(fileId, sceneId) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -1148,7 +1149,7 @@ export function deleteSceneImage(fileId, sceneId) {
     delete scene.image;
 
     // Save updated scene setting
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Scene image deleted: ${sceneId}`);
     return true;
@@ -1159,7 +1160,7 @@ export function deleteSceneImage(fileId, sceneId) {
 }
 
 
-export function deleteSubsceneImage(fileId, sceneId, subsceneId) {
+export async function deleteSubsceneImage(fileId, sceneId, subsceneId) {
   try {
     const fileDir = getFileDirectory(fileId);
     const sceneSettingPath = path.join(fileDir, 'sceneSetting.json');
@@ -1197,7 +1198,7 @@ export function deleteSubsceneImage(fileId, sceneId, subsceneId) {
     delete subscene.image;
 
     // Save updated scene setting
-    saveJSONFile(sceneSettingPath, sceneSetting);
+    await saveJSONFile(sceneSettingPath, sceneSetting);
 
     console.log(`✅ Subscene image deleted: ${subsceneId} in scene: ${sceneId}`);
     return true;
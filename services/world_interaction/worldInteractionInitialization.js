@@ -1,4 +1,3 @@
-import Anthropic from "@anthropic-ai/sdk";
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -7,6 +6,7 @@ import pdfParse from 'pdf-parse';
 import mammoth from 'mammoth';
 import dotenv from 'dotenv';
 import { parseJSONFromResponse, validateWorldSetting, validateNPCSetting, validateSceneSetting } from '../visual/utils.js';
+import { createMessage } from '../llm/index.js';
 
 dotenv.config();
 
@@ -21,12 +21,6 @@ if (!fs.existsSync(WORLD_INTERACTION_TEMP_DIR)) {
   fs.mkdirSync(WORLD_INTERACTION_TEMP_DIR, { recursive: true });
 }
 
-// Initialize Claude client
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY,
-  baseURL: process.env.CLAUDE_BASE_URL,
-});
-
 /**
  * Extract text from PDF file
  */
@@ -147,9 +141,7 @@ ${truncatedText}
 
 ${documentText.length > maxChars ? '\n（注：文档过长，已截取前50000字符）' : ''}`;
 
-    const worldSettingResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 16000,
+    const worldSettingResponse = await createMessage('worldInit', {
       temperature: 0.7,
       system: worldSettingPrompt,
       messages: [{
@@ -223,9 +215,7 @@ ${documentText.length > maxChars ? '\n（注：文档过长，已截取）' : ''
 背景: ${worldSetting.background.substring(0, 500)}...
 主角: ${worldSetting.player.name}`;
 
-    const npcSettingResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 16000,
+    const npcSettingResponse = await createMessage('worldInit', {
       temperature: 0.7,
       system: npcSettingPrompt,
       messages: [{
@@ -309,16 +299,14 @@ ${npcIds}
 
 请将这些NPC合理分配到各个子场景中。`;
 
-    const sceneSettingResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 20000,
+    const sceneSettingResponse = await createMessage('worldInit', {
       temperature: 0.7,
       system: sceneSettingPrompt,
       messages: [{
         role: 'user',
         content: sceneSettingUserPrompt
       }]
-    });
+    }, { use: 'scenes' });
 
     const sceneSettingText = sceneSettingResponse.content[0].text;
     const sceneSetting = parseJSONFromResponse(sceneSettingText);
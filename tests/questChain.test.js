@@ -0,0 +1,99 @@
+/**
+ * Quest chains: a quest becomes a mission once its prerequisites hold (outcome and path
+ * included) and its trigger fired; an active mission fails when a failure condition runs out,
+ * which queues its onFailure follow-ups.
+ *
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuests, activateQuests, triggerFollowUps, failExpiredMissions, getTimeLimits } from '../services/questChainService.js';
+
+const path = (name, followUps = []) => ({ name, followUps });
+
+const quests = parseQuests({
+  quests: [
+    { id: 'escort', title: '护送商队', completionPaths: [path('护送到达', ['reward']), path('劫走货物', ['outlaw'])], onFailure: ['rescue'] },
+    { id: 'report', title: '回报村长', prerequisites: ['escort'], completionPaths: [path('回报')] },
+    { id: 'revenge', title: '复仇', prerequisites: [{ missionId: 'escort', outcome: 'failed' }], completionPaths: [path('复仇')] },
+    { id: 'fence', title: '销赃', prerequisites: [{ missionId: 'escort', pathId: 'path_2' }], completionPaths: [path('销赃')] },
+    { id: 'reward', title: '领赏', completionPaths: [path('领赏')] },
+    { id: 'outlaw', title: '亡命天涯', completionPaths: [path('逃亡')] },
+    { id: 'rescue', title: '营救商人', completionPaths: [path('营救')] }
+  ]
+});
+
+const ids = missions => missions.map(mission => mission.id);
+
+// One month is 30 days, one year 360
+const clock = today => ({ today, toDay: ({ year, month, day }) => year * 360 + (month - 1) * 30 + day });
+
+test('a quest without prerequisites or trigger is activated at once', () => {
+  const missionData = { missions: [], turnCount: 0 };
+  assert.deepEqual(ids(activateQuests(missionData, quests, 10)), ['escort']);
+  assert.equal(missionData.missions[0].status, 'active');
+  assert.equal(missionData.missions[0].createdDay, 10);
+  assert.deepEqual(ids(activateQuests(missionData, quests, 10)), []);
+});
+
+test('prerequisites wait for the outcome and path they name', () => {
+  const completeVia = pathId => {
+    const missionData = { missions: [], turnCount: 0 };
+    activateQuests(missionData, quests, 0);
+    Object.assign(missionData.missions[0], { status: 'completed', completedViaPath: pathId });
+    triggerFollowUps(missionData, missionData.missions[0]);
+    return ids(activateQuests(missionData, quests, 0));
+  };
+
+  assert.deepEqual(completeVia('path_1'), ['report', 'reward']);
+  assert.deepEqual(completeVia('path_2'), ['report', 'fence', 'outlaw']);
+});
+
+test('a failed prerequisite unlocks the quests that wait for the failure', () => {
+  const missionData = { missions: [], turnCount: 0 };
+  activateQuests(missionData, quests, 0);
+  missionData.missions[0].status = 'failed';
+  triggerFollowUps(missionData, missionData.missions[0]);
+
+  assert.deepEqual(missionData.triggeredQuests, ['rescue']);
+  assert.deepEqual(ids(activateQuests(missionData, quests, 0)), ['revenge', 'rescue']);
+});
+
+test('a mission fails once its turn limit is used up', () => {
+  const missionData = {
+    missions: [{ id: 'escort', title: '护送商队', status: 'active', createdTurn: 2, failureConditions: { turnLimit: 3 }, onFailure: ['rescue'] }],
+    turnCount: 4
+  };
+  assert.deepEqual(getTimeLimits(missionData.missions[0], missionData.turnCount, clock(0)), { turnsLeft: 1 });
+  assert.deepEqual(failExpiredMissions(missionData, clock(0)), []);
+
+  missionData.turnCount = 5;
+  const [failed] = failExpiredMissions(missionData, clock(0));
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.failedTurn, 5);
+  assert.equal(failed.failureReason, '超过3回合未完成');
+  assert.deepEqual(missionData.triggeredQuests, ['rescue']);
+});
+
+test('a mission fails after its in-game days or past its deadline', () => {
+  const mission = () => ({ id: 'escort', title: '护送商队', status: 'active', createdTurn: 0, createdDay: 100 });
+
+  const days = { missions: [{ ...mission(), failureConditions: { gameDays: 5 } }], turnCount: 0 };
+  assert.deepEqual(failExpiredMissions(days, clock(104)), []);
+  assert.equal(failExpiredMissions(days, clock(105))[0].failureReason, '超过5天未完成');
+
+  const deadline = { year: 1, month: 1, day: 20 };
+  const dated = { missions: [{ ...mission(), failureConditions: { deadline } }], turnCount: 0 };
+  assert.deepEqual(getTimeLimits(dated.missions[0], 0, clock(100)), { deadlineDay: 381 });
+  assert.deepEqual(failExpiredMissions(dated, clock(380)), []);
+  assert.equal(failExpiredMissions(dated, clock(381))[0].failureReason, '已过期限（1年1月20日）');
+});
+
+test('missions that are no longer active never fail', () => {
+  const missionData = {
+    missions: [{ id: 'escort', title: '护送商队', status: 'completed', createdTurn: 0, failureConditions: { turnLimit: 1 } }],
+    turnCount: 10
+  };
+  assert.deepEqual(failExpiredMissions(missionData, clock(0)), []);
+  assert.equal(missionData.missions[0].status, 'completed');
+});
@@ -0,0 +1,53 @@
+/**
+ * Comparisons in rules expressions: they give 1 or 0, bind looser than arithmetic, and let
+ * ending conditions such as "level >= 5" pass the rules schema.
+ *
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression, evaluate } from '../services/rulesExpression.js';
+import { endingSchema } from '../services/schemas/rulesSchemas.js';
+
+test('each comparison gives 1 when it holds and 0 when it does not', () => {
+  const scope = { level: 5 };
+  const cases = [
+    ['level >= 5', 1], ['level >= 6', 0],
+    ['level <= 5', 1], ['level <= 4', 0],
+    ['level > 4', 1], ['level > 5', 0],
+    ['level < 6', 1], ['level < 5', 0],
+    ['level == 5', 1], ['level == 4', 0],
+    ['level != 4', 1], ['level != 5', 0]
+  ];
+  for (const [source, expected] of cases) {
+    assert.equal(evaluate(source, scope), expected, source);
+  }
+});
+
+test('arithmetic is evaluated before the comparison', () => {
+  const scope = { 体质: 3, 金币: 40 };
+  assert.equal(evaluate('体质 * 10 + 金币 >= 70', scope), 1);
+  assert.equal(evaluate('体质 * 10 + 金币 > 70', scope), 0);
+  assert.equal(evaluate('(金币 >= 40) + (体质 >= 5)', scope), 1);
+  assert.equal(evaluate('max(1, 体质 == 3) * 2', scope), 2);
+});
+
+test('unknown names compare as 0', () => {
+  assert.equal(evaluate('声望 == 0', {}), 1);
+  assert.equal(evaluate('声望 > 0', { 声望: 'x' }), 0);
+});
+
+test('malformed comparisons are refused', () => {
+  assert.throws(() => compileExpression('level >= '), /Unexpected end/);
+  assert.throws(() => compileExpression('level = 5'), /Unexpected character/);
+  assert.throws(() => compileExpression('1 < 2 < 3'), /Unexpected "<"/);
+});
+
+test('an ending condition with a comparison passes the rules schema', () => {
+  const ending = { id: 'hero', title: '英雄', when: { condition: 'level >= 5' } };
+  assert.equal(endingSchema.safeParse(ending).success, true);
+
+  const broken = endingSchema.safeParse({ ...ending, when: { condition: 'level >=' } });
+  assert.equal(broken.success, false);
+  assert.match(broken.error.issues[0].message, /Unexpected end/);
+});
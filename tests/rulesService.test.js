@@ -0,0 +1,85 @@
+/**
+ * The rules engine's clamping and caps: attribute bounds (fixed or expressions), per-turn caps
+ * on stats, relationships and reputation, the currency floor and derived stats, each with the
+ * audit entry that explains the adjustment.
+ *
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRules, parseRules } from '../services/rulesService.js';
+
+const rules = parseRules({
+  attributes: {
+    health: { min: 0, max: 'maxHealth' },
+    勇气: { maxDeltaPerTurn: 5 }
+  },
+  derived: { maxHealth: '100 + 体质 * 10' },
+  relationships: { min: 0, max: 100, maxDeltaPerTurn: 10 },
+  reputation: { min: -50, max: 50, maxDeltaPerTurn: 20 }
+});
+
+const player = () => ({
+  stats: { health: 100, 体质: 2, 勇气: 10 },
+  currency: { gold: 30 },
+  network: { 老王: { relationship: 95 } },
+  reputation: { guild: 45 }
+});
+
+const findAudit = (audit, target) => audit.find(entry => entry.target === target);
+
+test('a stat is kept within bounds computed from a derived stat', () => {
+  const { status, audit } = applyRules(player(), { stats: { health: 50 } }, rules);
+
+  assert.equal(status.stats.maxHealth, 120);
+  assert.equal(status.stats.health, 120);
+  assert.equal(findAudit(audit, 'stats.health').after, 150);
+  const bound = audit.find(entry => entry.source === 'rule:bounds');
+  assert.deepEqual([bound.target, bound.before, bound.after, bound.status], ['stats.health', 150, 120, 'adjusted']);
+
+  const hurt = applyRules(player(), { stats: { health: -500 } }, rules);
+  assert.equal(hurt.status.stats.health, 0);
+});
+
+test('a stat change is capped per turn, unless capDeltas is off', () => {
+  const capped = applyRules(player(), { stats: { 勇气: 12 } }, rules);
+  assert.equal(capped.status.stats.勇气, 15);
+  const entry = findAudit(capped.audit, 'stats.勇气');
+  assert.deepEqual([entry.requested, entry.applied, entry.status, entry.reason], [12, 5, 'adjusted', 'capped at 5 per turn']);
+
+  const exact = applyRules(player(), { stats: { 勇气: -12 } }, rules, { capDeltas: false });
+  assert.equal(exact.status.stats.勇气, -2);
+});
+
+test('a relationship is capped per turn, then kept within its range', () => {
+  const { status, audit } = applyRules(player(), { network: { 老王: { relationship: 8 }, 小李: { relationship: 30 } } }, rules);
+
+  assert.equal(status.network.老王.relationship, 100);
+  assert.equal(findAudit(audit, 'network.老王.relationship').reason, 'kept within 0..100');
+  assert.equal(status.network.小李.relationship, 10);
+  assert.equal(findAudit(audit, 'network.小李.relationship').reason, 'capped at 10 per turn');
+});
+
+test('reputation is capped per turn and kept within its range', () => {
+  const { status, audit } = applyRules(player(), { reputation: { guild: 15, thieves: -30 } }, rules);
+
+  assert.equal(status.reputation.guild, 50);
+  assert.equal(findAudit(audit, 'reputation.guild').reason, 'kept within -50..50');
+  assert.equal(status.reputation.thieves, -20);
+  assert.equal(findAudit(audit, 'reputation.thieves').reason, 'capped at 20 per turn');
+});
+
+test('currency cannot go below zero and derived stats cannot be changed directly', () => {
+  const { status, audit } = applyRules(player(), { currency: { gold: -50 }, stats: { maxHealth: 30 } }, rules);
+
+  assert.equal(status.currency.gold, 0);
+  assert.equal(audit.find(entry => entry.source === 'rule:bounds' && entry.target === 'currency.gold').before, -20);
+  assert.equal(status.stats.maxHealth, 120);
+  assert.equal(findAudit(audit, 'stats.maxHealth').status, 'rejected');
+});
+
+test('the input status is not modified', () => {
+  const before = player();
+  applyRules(before, { stats: { health: -30, 勇气: 3 }, network: { 老王: { relationship: -5 } } }, rules);
+  assert.deepEqual(before, player());
+});
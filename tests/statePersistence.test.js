@@ -0,0 +1,83 @@
+/**
+ * Conflict detection of the JSON state writer: data written back after the file changed since it
+ * was read is refused, data made from what was read (a clone, a nested part) is checked too.
+ *
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  readJsonState,
+  writeJsonState,
+  updateJsonState,
+  trackState,
+  StateConflictError
+} from '../services/statePersistence.js';
+
+function stateFile(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+  const filePath = path.join(dir, 'status.json');
+  fs.writeFileSync(filePath, JSON.stringify(content));
+  return filePath;
+}
+
+const readFile = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+test('writing data read before another write throws a StateConflictError', async () => {
+  const filePath = stateFile({ hp: 100 });
+  const first = readJsonState(filePath);
+  const second = readJsonState(filePath);
+
+  first.hp = 90;
+  await writeJsonState(filePath, first);
+
+  second.hp = 50;
+  await assert.rejects(writeJsonState(filePath, second), (error) => {
+    assert.ok(error instanceof StateConflictError);
+    assert.equal(error.status, 409);
+    return true;
+  });
+  assert.deepEqual(readFile(filePath), { hp: 90 });
+});
+
+test('the writer can write its own data again', async () => {
+  const filePath = stateFile({ hp: 100 });
+  const status = readJsonState(filePath);
+
+  status.hp = 90;
+  await writeJsonState(filePath, status);
+  status.hp = 80;
+  await writeJsonState(filePath, status);
+
+  assert.deepEqual(readFile(filePath), { hp: 80 });
+});
+
+test('a clone checked with basedOn or trackState conflicts like the data it was made from', async () => {
+  const filePath = stateFile({ hp: 100 });
+  const stale = readJsonState(filePath);
+  await updateJsonState(filePath, (status) => { status.hp = 70; });
+
+  await assert.rejects(writeJsonState(filePath, { ...stale, hp: 60 }, { basedOn: stale }), StateConflictError);
+  await assert.rejects(writeJsonState(filePath, trackState({ ...stale, hp: 60 }, stale)), StateConflictError);
+  assert.deepEqual(readFile(filePath), { hp: 70 });
+});
+
+test('force writes over a changed file', async () => {
+  const filePath = stateFile({ hp: 100 });
+  const stale = readJsonState(filePath);
+  await updateJsonState(filePath, (status) => { status.hp = 70; });
+
+  await writeJsonState(filePath, stale, { force: true });
+  assert.deepEqual(readFile(filePath), { hp: 100 });
+});
+
+test('concurrent updates are applied one after the other', async () => {
+  const filePath = stateFile({ count: 0 });
+  await Promise.all(Array.from({ length: 20 }, () => updateJsonState(filePath, (data) => { data.count += 1; })));
+
+  assert.deepEqual(readFile(filePath), { count: 20 });
+  assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['status.json']);
+});
@@ -0,0 +1,249 @@
+/**
+ * Turns read by the shared step reader: v2 turns (step tool calls, and the JSON lines they are
+ * stored as) and turns in the bracket format. The expected steps of the bracket turns are what
+ * the visual and world parsers produced for the same turns before they moved to stepFormat.js.
+ *
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVisualNarrativeSteps } from '../services/visual/narrativeParser.js';
+import { parseInteractionNarrativeSteps } from '../services/world_interaction/narrativeParser.js';
+import { parseSteps, createStepStream, formatToolTurn, getStepToolParams } from '../services/stepFormat.js';
+import { streamMessage, setMockScript } from '../services/llm/index.js';
+
+const visualTurn = `[TRANSITION: 告别了袋底洞的温暖，你踏上了前往布理的道路。]
+[SCENE_CHANGE: bree]
+[NARRATION: 镇口的灯光在暮色中摇曳。]
+空气中弥漫着炊烟的气味。
+[DIALOGUE: gandalf, "<vibration>小心，</vibration>这里不太平。"]
+[DIALOGUE: player, "我会留意的。"]
+[KEY_EVENT: 抵达布理]
+[CHOICE: 接下来去哪里？]
+甘道夫看着你，
+等待你的决定。
+[OPTION: 去跃马客栈]
+[OPTION: 在镇上打听消息]
+[END_CHOICE]`;
+
+const visualSession = {
+  player: { name: '弗罗多' },
+  sceneSetting: {
+    scenes: [{ id: 'bree', name: '布理', description: '人类与霍比特人杂居的小镇', image: 'bree.png', atmosphere: '喧闹', dangerLevel: 1 }]
+  },
+  npcSetting: {
+    npcs: [{ id: 'gandalf', name: '甘道夫', images: { base: 'g.png', expression_小心: 'g_careful.png' } }]
+  }
+};
+
+const worldTurn = `[NARRATION: 酒馆里人声鼎沸。]
+老板擦着杯子，头也不抬。
+[DIALOGUE: barliman, "要来一杯吗？"]
+[CHOICE: 你要做什么？]
+老板在等你回答。
+[OPTION: 要一杯麦酒]
+[OPTION: 打听消息]
+[END_CHOICE]`;
+
+const worldNpcs = [{ id: 'barliman', name: '巴力曼', images: { base: 'b.png' } }];
+
+test('a legacy visual turn gives the steps the old visual parser did', () => {
+  const { steps, errors } = parseVisualNarrativeSteps(visualTurn, visualSession);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(steps, [
+    { type: 'transition', content: '告别了袋底洞的温暖，你踏上了前往布理的道路。' },
+    {
+      type: 'scene_change',
+      sceneId: 'bree',
+      sceneName: '布理',
+      sceneDescription: '人类与霍比特人杂居的小镇',
+      sceneImage: 'bree.png',
+      sceneAtmosphere: '喧闹',
+      dangerLevel: 1,
+      soundtrack: undefined
+    },
+    { type: 'narration', content: '镇口的灯光在暮色中摇曳。 空气中弥漫着炊烟的气味。' },
+    {
+      type: 'dialogue',
+      speakerId: 'gandalf',
+      content: '<vibration>小心，</vibration>这里不太平。',
+      isPlayer: false,
+      speakerName: '甘道夫',
+      npcImages: { base: 'g.png', expression_小心: 'g_careful.png' },
+      activeImage: 'g_careful.png',
+      npcId: 'gandalf'
+    },
+    { type: 'dialogue', speakerId: 'player', content: '我会留意的。', isPlayer: true, speakerName: '弗罗多', npcId: 'player' },
+    { type: 'key_event', title: '抵达布理' },
+    { type: 'choice', title: '接下来去哪里？', description: '甘道夫看着你， 等待你的决定。', options: ['去跃马客栈', '在镇上打听消息'] }
+  ]);
+});
+
+test('a legacy world turn gives the steps the old interaction parser did', () => {
+  const { steps, errors } = parseInteractionNarrativeSteps(worldTurn, worldNpcs[0], worldNpcs);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(steps, [
+    { type: 'narration', content: '酒馆里人声鼎沸。 老板擦着杯子，头也不抬。' },
+    {
+      type: 'dialogue',
+      npcId: 'barliman',
+      content: '要来一杯吗？',
+      speakerName: '巴力曼',
+      npcImages: { base: 'b.png' },
+      activeImage: 'b.png'
+    },
+    {
+      type: 'choice',
+      title: '你要做什么？',
+      description: '老板在等你回答。',
+      options: [
+        { optionId: 'option_1', text: '要一杯麦酒', type: 'unknown', consequence: '' },
+        { optionId: 'option_2', text: '打听消息', type: 'unknown', consequence: '' }
+      ]
+    }
+  ]);
+});
+
+test('plain text after a closed step is kept as narration', () => {
+  const turn = `[KEY_EVENT: 抵达布理]
+夜色渐深，
+客栈里传来歌声。`;
+  const { steps, errors } = parseVisualNarrativeSteps(turn);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(steps, [
+    { type: 'key_event', title: '抵达布理' },
+    { type: 'narration', content: '夜色渐深， 客栈里传来歌声。' }
+  ]);
+});
+
+test('bracketed text in a choice stays in its description', () => {
+  const turn = `[CHOICE: 如何应对？]
+[提示] 黑骑士就在附近。
+[OPTION: 躲进客栈]
+[OPTION: 连夜出发]
+[END_CHOICE]`;
+  const { steps, errors } = parseInteractionNarrativeSteps(turn, null);
+  assert.deepEqual(errors, []);
+  assert.equal(steps.length, 1);
+  assert.equal(steps[0].description, '[提示] 黑骑士就在附近。');
+  assert.deepEqual(steps[0].options.map(option => option.text), ['躲进客栈', '连夜出发']);
+});
+
+const v2Turn = `{"type":"narration","text":"城墙湿滑，你抓住了一块松动的砖石。"}
+{"type":"check","attribute":"敏捷","difficulty":"困难"}
+{"type":"hint","text":"守卫为你打开了大门。","changes":[{"kind":"item","item":"钥匙","action":"gain"},{"kind":"stat","attribute":"勇气","delta":"1"}]}
+{"type":"choice","title":"前路抉择","options":["踏上阳光山道",{"text":"潜入暗影林地"}]}`;
+
+const v2Steps = [
+  { type: 'narration', text: '城墙湿滑，你抓住了一块松动的砖石。' },
+  { type: 'check', attribute: '敏捷', difficulty: '困难' },
+  {
+    type: 'hint',
+    text: '守卫为你打开了大门。',
+    changes: [
+      { kind: 'item', item: '钥匙', action: '获得', quantity: 1 },
+      { kind: 'stat', target: '玩家', attribute: '勇气', delta: 1 }
+    ]
+  },
+  { type: 'choice', title: '前路抉择', text: '', options: ['踏上阳光山道', '潜入暗影林地'] }
+];
+
+// The same turn as the step tool calls the model makes
+const v2Calls = v2Turn.split('\n').map((line, index) => {
+  const { type, ...input } = JSON.parse(line);
+  return { id: `toolu_${index}`, name: type, input };
+});
+
+test('a v2 turn is read from its step tool calls and from the lines it is stored as', () => {
+  const fromCalls = parseSteps(v2Calls, 'classic');
+  assert.deepEqual(fromCalls.errors, []);
+  assert.equal(fromCalls.version, 2);
+  assert.deepEqual(fromCalls.steps, v2Steps);
+
+  assert.equal(formatToolTurn(v2Calls), v2Turn);
+  const fromLines = parseSteps(v2Turn, 'classic');
+  assert.deepEqual(fromLines.errors, []);
+  assert.deepEqual(fromLines.steps, v2Steps);
+});
+
+test('each mode gets a tool for the step types it uses', () => {
+  const { tools, tool_choice } = getStepToolParams('world');
+  assert.deepEqual(tools.map(tool => tool.name), ['narration', 'dialogue', 'choice']);
+  assert.deepEqual(tools[1].input_schema.required, ['speaker', 'text']);
+  assert.deepEqual(tool_choice, { type: 'any' });
+});
+
+test('invalid v2 lines and calls are reported in errors and not shown', () => {
+  const turn = `{"type":"narration","text":"夜色渐深。"}
+{"type":"narration","text":"没有闭合的引号}
+{"type":"dialogue","speaker":"艾德里安"}
+{"type":"scene_change","scene":"bree"}
+{"type":"choice","title":"怎么办？","options":["等待"]}`;
+  const { steps, errors } = parseSteps(turn, 'classic');
+  assert.deepEqual(steps.map(step => step.type), ['narration', 'choice']);
+  assert.deepEqual(errors.map(error => error.line), [2, 3, 4]);
+  assert.match(errors[0].message, /^Invalid JSON/);
+  assert.match(errors[1].message, /^text:/);
+  assert.equal(errors[2].message, 'scene_change steps are not used in classic mode');
+
+  const calls = parseSteps([
+    { name: 'narration', input: { text: '夜色渐深。' } },
+    { name: 'dialogue', input: { speaker: '艾德里安' } },
+    { name: 'narration', input: null, error: 'Invalid tool input: Unexpected end of JSON input' }
+  ], 'classic');
+  assert.equal(calls.steps.length, 1);
+  assert.deepEqual(calls.errors.map(error => [error.line, error.message]), [
+    [2, 'text: Invalid input: expected string, received undefined'],
+    [3, 'Invalid tool input: Unexpected end of JSON input']
+  ]);
+});
+
+test('a step line is sent once it is complete, not while it streams in', async () => {
+  const sent = [];
+  const stream = createStepStream('classic', (step, index, final) => sent.push({ index, text: step.text, final }));
+
+  await stream.push('{"type":"narration","text":"城墙');
+  assert.deepEqual(sent, []);
+  await stream.push('湿滑。"}\n{"type":"narration","te');
+  assert.deepEqual(sent, [{ index: 0, text: '城墙湿滑。', final: false }]);
+  await stream.push('xt":"你抓住了砖石。"}');
+  assert.equal(sent.length, 1);
+
+  const result = await stream.end();
+  assert.deepEqual(sent[1], { index: 1, text: '你抓住了砖石。', final: true });
+  assert.equal(result.totalSteps, 2);
+});
+
+test('streamed step calls are sent as each call completes, while the next one is still streaming', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  setMockScript({ tasks: { gameTurn: v2Turn } });
+
+  const events = [];
+  const pieces = {};
+  const stream = createStepStream('classic', (step, index) => events.push(`step ${index} ${step.type}`));
+  const result = await streamMessage('gameTurn', {
+    system: '',
+    messages: [{ role: 'user', content: '翻过城墙' }],
+    ...getStepToolParams('classic')
+  }, (text) => events.push(`text ${text}`), {
+    onToolInput: (call) => {
+      pieces[call.name] = (pieces[call.name] || 0) + 1;
+      if (events[events.length - 1] !== `input ${call.name}`) events.push(`input ${call.name}`);
+    },
+    onToolUse: (call) => stream.pushToolCall(call)
+  });
+  const { steps, errors } = await stream.end();
+
+  // The hint's input arrives in several pieces; the steps before it are already sent by then
+  assert.ok(pieces.hint > 1);
+  assert.deepEqual(events, [
+    'input narration', 'step 0 narration',
+    'input check', 'step 1 check',
+    'input hint', 'step 2 hint',
+    'input choice', 'step 3 choice'
+  ]);
+  assert.equal(result.text, '');
+  assert.equal(result.stopReason, 'tool_use');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(steps, v2Steps);
+});